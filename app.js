@@ -0,0 +1,73 @@
+import express from "express";
+import cors from "cors";
+import bodyParser from "body-parser";
+import cookieParser from "cookie-parser";
+import { createServer } from "node:http";
+import morgan from "morgan";
+import { Server as SocketServer } from "socket.io";
+
+import configRoute from "./control/config.js";
+import AuthRoute from "./control/auth.js";
+import serverRoute from "./control/server.js";
+import nodeCrudRoute from "./control/node.js";
+import eggCrudRoute from "./control/egg.js";
+import userCrudRoute from "./control/user.js";
+import resourcesCrud from "./control/resources.js";
+import adminServer from "./control/adminServer.js";
+import purger from "./control/purger.js";
+import store from "./control/store.js";
+import { registerConsole } from "./control/console.js";
+import renewal from "./control/renewal.js";
+import roles from "./control/roles.js";
+import settings from "./control/settings.js";
+
+/**
+ * Build the dashboard's http server with every route and the console
+ * socket, without listening or starting background jobs; index.js does
+ * that, and tests boot it against the mock panel
+ * @param {Object} options
+ * @param {boolean} options.logRequests - Log each request with morgan
+ * @returns {{app: Object, httpServer: import("node:http").Server, io: SocketServer}}
+ */
+export function createApp({ logRequests = true } = {}) {
+  const app = express();
+  const httpServer = createServer(app);
+  const io = new SocketServer(httpServer, {
+    path: "/api/socket.io",
+    cors: {
+      origin: true,
+      credentials: true,
+    },
+  });
+
+  app.use(express.json());
+  app.use(
+    cors({
+      origin: "*",
+      credentials: true,
+    })
+  );
+  app.use(bodyParser.urlencoded());
+  app.use(cookieParser());
+  if (logRequests) app.use(morgan());
+
+  // router setup
+  app.use("/api", configRoute);
+  app.use("/api/auth", AuthRoute);
+  app.use("/api", serverRoute);
+  app.use("/api/nodes", nodeCrudRoute);
+  app.use("/api/eggs", eggCrudRoute);
+  app.use("/api/resources", resourcesCrud);
+  app.use("/api", userCrudRoute);
+  app.use("/api/", adminServer);
+  app.use("/api/admin", purger);
+  app.use("/api", store);
+  app.use("/api", renewal);
+  app.use("/api", roles);
+  app.use("/api", settings);
+
+  // socket setup
+  registerConsole(io);
+
+  return { app, httpServer, io };
+}
@@ -7,6 +7,9 @@ import Layout from "@/components/Layout";
 import Dashboard from "@/pages/Dashboard";
 import Login from "@/pages/Login";
 import Register from "@/pages/Register";
+import ForgotPassword from "@/pages/ForgotPassword";
+import ResetPassword from "@/pages/ResetPassword";
+import VerifyEmail from "@/pages/VerifyEmail";
 import NotFound from "@/pages/NotFound";
 import ServerManager from "./pages/Server";
 import EggDash from "@/pages/admin/Egg";
@@ -16,10 +19,15 @@ import Resources from "./pages/admin/Resources";
 import ServerCreationWizard from "./pages/CreateServer";
 import AdminServers from "./pages/admin/Servers";
 import Purger from "./pages/admin/purger";
+import Ledger from "./pages/admin/Ledger";
+import Products from "./pages/admin/Products";
+import Roles from "./pages/admin/Roles";
+import AdminSettings from "./pages/admin/Settings";
 import Store from "@/pages/Store";
+import Settings from "@/pages/Settings";
 
-const ProtectedPage = ({ children, adminRequired = false }) => (
-  <PrivateRoute adminRequired={adminRequired}>
+const ProtectedPage = ({ children, adminRequired = false, permission }) => (
+  <PrivateRoute adminRequired={adminRequired} permission={permission}>
     <Layout>{children}</Layout>
   </PrivateRoute>
 );
@@ -32,6 +40,9 @@ function App() {
           <Routes>
             <Route path="/auth/login" element={<Login />} />
             <Route path="/auth/register" element={<Register />} />
+            <Route path="/auth/forgot-password" element={<ForgotPassword />} />
+            <Route path="/auth/reset-password" element={<ResetPassword />} />
+            <Route path="/auth/verify-email" element={<VerifyEmail />} />
 
             <Route
               path="/"
@@ -58,10 +69,18 @@ function App() {
               }
             />
 
+            <Route
+              path="/settings"
+              element={
+                <ProtectedPage>
+                  <Settings />
+                </ProtectedPage>
+              }
+            />
             <Route
               path="/admin/egg"
               element={
-                <ProtectedPage adminRequired>
+                <ProtectedPage permission="eggs.manage">
                   <EggDash />
                 </ProtectedPage>
               }
@@ -69,7 +88,7 @@ function App() {
             <Route
               path="/admin/node"
               element={
-                <ProtectedPage adminRequired>
+                <ProtectedPage permission="nodes.manage">
                   <NodeDash />
                 </ProtectedPage>
               }
@@ -77,7 +96,7 @@ function App() {
             <Route
               path="/admin/user"
               element={
-                <ProtectedPage adminRequired>
+                <ProtectedPage permission="users.view">
                   <UserDash />
                 </ProtectedPage>
               }
@@ -85,7 +104,7 @@ function App() {
             <Route
               path="/admin/resources"
               element={
-                <ProtectedPage adminRequired>
+                <ProtectedPage permission="users.edit_resources">
                   <Resources />
                 </ProtectedPage>
               }
@@ -101,7 +120,7 @@ function App() {
             <Route
               path="/admin/servers"
               element={
-                <ProtectedPage adminRequired>
+                <ProtectedPage permission="servers.view_all">
                   <AdminServers />
                 </ProtectedPage>
               }
@@ -109,11 +128,43 @@ function App() {
             <Route
               path="/admin/purger"
               element={
-                <ProtectedPage adminRequired>
+                <ProtectedPage permission="purger.run">
                   <Purger />
                 </ProtectedPage>
               }
             />
+            <Route
+              path="/admin/ledger"
+              element={
+                <ProtectedPage permission="ledger.view">
+                  <Ledger />
+                </ProtectedPage>
+              }
+            />
+            <Route
+              path="/admin/products"
+              element={
+                <ProtectedPage permission="store.manage">
+                  <Products />
+                </ProtectedPage>
+              }
+            />
+            <Route
+              path="/admin/roles"
+              element={
+                <ProtectedPage permission="users.view">
+                  <Roles />
+                </ProtectedPage>
+              }
+            />
+            <Route
+              path="/admin/settings"
+              element={
+                <ProtectedPage permission="settings.manage">
+                  <AdminSettings />
+                </ProtectedPage>
+              }
+            />
 
             <Route path="*" element={<NotFound />} />
           </Routes>
@@ -1,10 +1,12 @@
 import Sidebar from "@/components/app-sidebar";
 import Footer from "@/components/footer";
+import VerifyEmailBanner from "@/components/verify-email-banner";
 
 const Layout = ({ children }) => (
   <div className="flex w-full">
     <Sidebar />
     <div className="flex-1 flex flex-col">
+      <VerifyEmailBanner />
       <main className="flex-1 item-center">{children}</main>
       <Footer />
     </div>
@@ -3,18 +3,21 @@ import { Navigate, useLocation } from "react-router-dom";
 import { useAuth } from "@/context/AuthProvider";
 import { userData } from "./api";
 
-const PrivateRoute = ({ children, adminRequired = false }) => {
+// `permission` names a dashboard permission (see model/Role.js on the server);
+// `adminRequired` still demands a panel root admin
+const PrivateRoute = ({ children, adminRequired = false, permission = null }) => {
   const { isAuthenticated, loading, user } = useAuth();
   const [userDetails, setUserDetails] = useState(null);
   const [userLoading, setUserLoading] = useState(false);
   const [error, setError] = useState(null);
   const location = useLocation();
+  const checkRequired = adminRequired || Boolean(permission);
 
   // Fetch user details when component mounts and user is authenticated
   useEffect(() => {
     const fetchUserData = async () => {
-      if (!isAuthenticated || !adminRequired) {
-        return; // Don't fetch if not authenticated or admin check not needed
+      if (!isAuthenticated || !checkRequired) {
+        return; // Don't fetch if not authenticated or permission check not needed
       }
 
       try {
@@ -31,7 +34,7 @@ const PrivateRoute = ({ children, adminRequired = false }) => {
     };
 
     fetchUserData();
-  }, [isAuthenticated, adminRequired]);
+  }, [isAuthenticated, checkRequired]);
 
   // Show loading spinner while auth is loading
   if (loading) {
@@ -47,8 +50,8 @@ const PrivateRoute = ({ children, adminRequired = false }) => {
     return <Navigate to="/auth/login" state={{ from: location }} replace />;
   }
 
-  // Show loading while fetching user details for admin check
-  if (adminRequired && userLoading) {
+  // Show loading while fetching user details for permission check
+  if (checkRequired && userLoading) {
     return (
       <div className="flex items-center justify-center min-h-screen bg-black">
         <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-white"></div>
@@ -58,7 +61,7 @@ const PrivateRoute = ({ children, adminRequired = false }) => {
   }
 
   // Handle error in fetching user data
-  if (adminRequired && error) {
+  if (checkRequired && error) {
     return (
       <div className="flex items-center justify-center min-h-screen bg-black text-white">
         <div className="text-center">
@@ -79,6 +82,15 @@ const PrivateRoute = ({ children, adminRequired = false }) => {
     return <Navigate to="/?error=UNAUTHORIZED+access" replace />;
   }
 
+  // Check dashboard permission if required
+  if (
+    permission &&
+    userDetails &&
+    !userDetails.permissions?.includes(permission)
+  ) {
+    return <Navigate to="/?error=UNAUTHORIZED+access" replace />;
+  }
+
   // Render children if all checks pass
   return children;
 };
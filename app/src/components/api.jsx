@@ -184,6 +184,32 @@ export async function config() {
   }
 }
 
+/**
+ * Get the captcha the login and registration forms must show
+ * @returns {Promise<Object|null>} Provider and site key, or null when off
+ */
+export async function getCaptchaConfig() {
+  try {
+    const response = await retryRequest(() => api.get("/api/captcha"));
+    return response.data.captcha;
+  } catch (error) {
+    handleAPIError(error, "getCaptchaConfig");
+  }
+}
+
+/**
+ * Get a fresh challenge for the self-hosted proof-of-work captcha
+ * @returns {Promise<Object>} Signed challenge and its difficulty
+ */
+export async function getCaptchaChallenge() {
+  try {
+    const response = await api.get("/api/captcha/challenge");
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "getCaptchaChallenge");
+  }
+}
+
 /**
  * Fetch current user data
  * @returns {Promise<Object>} User data object
@@ -230,8 +256,8 @@ export async function changePassword(currentPassword, newPassword) {
       "newPassword",
     ]);
 
-    if (newPassword.length < 6) {
-      throw new Error("New password must be at least 6 characters long");
+    if (newPassword.length < 8) {
+      throw new Error("New password must be at least 8 characters long");
     }
 
     const response = await api.post("/api/auth/change-password", {
@@ -244,6 +270,243 @@ export async function changePassword(currentPassword, newPassword) {
   }
 }
 
+/**
+ * Request a password reset link by email
+ * @param {string} email - Account email address
+ * @returns {Promise<Object>} Success response (same whether or not the account exists)
+ */
+export async function requestPasswordReset(email) {
+  try {
+    validateEmail(email);
+
+    const response = await api.post("/api/auth/forgot-password", { email });
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "requestPasswordReset");
+  }
+}
+
+/**
+ * Set a new password with a reset token from the reset email
+ * @param {string} token - Reset token from the link
+ * @param {string} password - New password
+ * @returns {Promise<Object>} Success response
+ */
+export async function resetPassword(token, password) {
+  try {
+    validateRequired({ token, password }, ["token", "password"]);
+
+    const response = await api.post("/api/auth/reset-password", {
+      token,
+      password,
+    });
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "resetPassword");
+  }
+}
+
+/**
+ * Verify an email address with the token from the verification email
+ * @param {string} token - Verification token from the link
+ * @returns {Promise<Object>} Success response
+ */
+export async function verifyEmail(token) {
+  try {
+    validateRequired({ token }, ["token"]);
+
+    const response = await api.post("/api/auth/verify-email", { token });
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "verifyEmail");
+  }
+}
+
+/**
+ * Send the verification email to the logged in user again
+ * @returns {Promise<Object>} Success response
+ */
+export async function resendVerificationEmail() {
+  try {
+    const response = await api.post("/api/auth/verify-email/resend");
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "resendVerificationEmail");
+  }
+}
+
+/**
+ * Start two-factor enrollment
+ * @param {string} preAuthToken - Setup token from login, when enrollment is
+ * required before the first login; omit when already logged in
+ * @returns {Promise<Object>} Secret and otpauth URI for the authenticator app
+ */
+export async function setupTwoFactor(preAuthToken) {
+  try {
+    const response = await api.post(
+      "/api/auth/2fa/setup",
+      preAuthToken ? { preAuthToken } : {}
+    );
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "setupTwoFactor");
+  }
+}
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @param {string} code - Current TOTP code
+ * @param {string} preAuthToken - Setup token from login, if not logged in
+ * @returns {Promise<Object>} Recovery codes (and the user, when logging in)
+ */
+export async function enableTwoFactor(code, preAuthToken) {
+  try {
+    validateRequired({ code }, ["code"]);
+
+    const response = await api.post("/api/auth/2fa/enable", {
+      code,
+      ...(preAuthToken && { preAuthToken }),
+    });
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "enableTwoFactor");
+  }
+}
+
+/**
+ * Turn off two-factor authentication
+ * @param {string} password - Current password
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<Object>} Success response
+ */
+export async function disableTwoFactor(password, factor) {
+  try {
+    validateRequired({ password }, ["password"]);
+
+    const response = await api.post("/api/auth/2fa/disable", {
+      password,
+      ...factor,
+    });
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "disableTwoFactor");
+  }
+}
+
+/**
+ * Replace the recovery codes, invalidating the old ones
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<Object>} New recovery codes
+ */
+export async function regenerateRecoveryCodes(code) {
+  try {
+    validateRequired({ code }, ["code"]);
+
+    const response = await api.post("/api/auth/2fa/recovery-codes", { code });
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "regenerateRecoveryCodes");
+  }
+}
+
+/**
+ * List the enabled social login providers
+ * @returns {Promise<Object>} Provider names and button labels
+ */
+export async function getOAuthProviders() {
+  try {
+    const response = await api.get("/api/auth/oauth/providers");
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "getOAuthProviders");
+  }
+}
+
+/**
+ * List the current user's active sessions
+ * @returns {Promise<Object>} Sessions, with the current one flagged
+ */
+export async function getSessions() {
+  try {
+    const response = await api.get("/api/auth/sessions");
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "getSessions");
+  }
+}
+
+/**
+ * Revoke one of the current user's sessions
+ * @param {number} id - Session ID
+ * @returns {Promise<Object>} Success response
+ */
+export async function revokeSession(id) {
+  try {
+    const response = await api.delete(`/api/auth/sessions/${id}`);
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "revokeSession");
+  }
+}
+
+/**
+ * Log out of every session, including this one
+ * @returns {Promise<Object>} Number of sessions revoked
+ */
+export async function revokeAllSessions() {
+  try {
+    const response = await api.delete("/api/auth/sessions");
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "revokeAllSessions");
+  }
+}
+
+/**
+ * List the current user's API keys and the scopes a key can have
+ * @returns {Promise<Object>} API keys (without secrets) and scopes
+ */
+export async function getApiKeys() {
+  try {
+    const response = await api.get("/api/auth/api-keys");
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "getApiKeys");
+  }
+}
+
+/**
+ * Create a personal API key
+ * @param {Object} keyData - Key details
+ * @param {string} keyData.name - Label for the key
+ * @param {string[]} keyData.scopes - Scope names
+ * @param {number} keyData.expiresInDays - Optional lifetime in days
+ * @returns {Promise<Object>} The key itself, shown only once, and its details
+ */
+export async function createApiKey(keyData) {
+  try {
+    validateRequired(keyData, ["name", "scopes"]);
+    const response = await api.post("/api/auth/api-keys", keyData);
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "createApiKey");
+  }
+}
+
+/**
+ * Delete one of the current user's API keys
+ * @param {number} id - API key ID
+ * @returns {Promise<Object>} Success response
+ */
+export async function deleteApiKey(id) {
+  try {
+    const response = await api.delete(`/api/auth/api-keys/${id}`);
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "deleteApiKey");
+  }
+}
+
 // ===========================================
 // GENERIC CRUD OPERATIONS
 // ===========================================
@@ -394,6 +657,20 @@ export async function updateServer(id, serverData) {
   }
 }
 
+/**
+ * Get live resource usage of an owned server
+ * @param {number} id - Server ID
+ * @returns {Promise<Object>} Power state and resource usage
+ */
+export async function getServerResources(id) {
+  try {
+    const response = await api.get(`/api/servers/${id}/resources`);
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "getServerResources");
+  }
+}
+
 /**
  * Delete server
  * @param {number} id - Server ID
@@ -408,6 +685,93 @@ export async function deleteServer(id) {
   }
 }
 
+/**
+ * Send power action to an owned server
+ * @param {number} id - Server ID
+ * @param {string} action - Power action ('start', 'stop', 'restart', 'kill')
+ * @returns {Promise<Object>} Action result
+ */
+export async function serverPowerAction(id, action) {
+  try {
+    validateRequired({ id, action }, ["id", "action"]);
+
+    const validActions = ["start", "stop", "restart", "kill"];
+    if (!validActions.includes(action)) {
+      throw new Error(
+        `Invalid power action. Must be one of: ${validActions.join(", ")}`
+      );
+    }
+
+    const response = await api.post(`/api/servers/${id}/power`, { action });
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "serverPowerAction");
+  }
+}
+
+/**
+ * Renew server, extending its renewal date for coins
+ * @param {number} id - Server ID
+ * @returns {Promise<Object>} New renewal date and remaining coins
+ */
+export async function renewServer(id) {
+  try {
+    const response = await api.post(`/api/servers/${id}/renew`);
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "renewServer");
+  }
+}
+
+// ===========================================
+// STORE OPERATIONS
+// ===========================================
+
+/**
+ * Get items for sale in the store
+ * @returns {Promise<Object>} Active store items
+ */
+export async function getStoreItems() {
+  try {
+    const response = await api.get("/api/store/items");
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "getStoreItems");
+  }
+}
+
+/**
+ * Buy a store item with coins
+ * @param {number} itemId - Store item ID
+ * @param {number} quantity - Units to buy
+ * @returns {Promise<Object>} Granted resources and remaining coins
+ */
+export async function purchaseStoreItem(itemId, quantity = 1) {
+  try {
+    const response = await api.post("/api/store", { itemId, quantity });
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "purchaseStoreItem");
+  }
+}
+
+/**
+ * Get the current user's coin and resource history
+ * @param {Object} params - Query parameters
+ * @param {number} params.page - Page number (default: 1)
+ * @param {number} params.limit - Items per page (default: 20)
+ * @param {string} params.reason - Filter by ledger reason
+ * @returns {Promise<Object>} Ledger entries with pagination
+ */
+export async function getStoreHistory(params = {}) {
+  try {
+    const response = await api.get("/api/store/history", { params });
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "getStoreHistory");
+  }
+}
+
 // ===========================================
 // ADMIN SERVER OPERATIONS
 // ===========================================
@@ -418,10 +782,11 @@ export async function deleteServer(id) {
  * @param {number} params.page - Page number (default: 1)
  * @param {number} params.limit - Items per page (default: 20)
  * @param {string} params.search - Search term for server names or user emails
- * @param {string} params.status - Filter by server status
- * @param {number} params.userId - Filter by user ID
- * @param {number} params.nodeId - Filter by node ID
- * @param {string} params.sortBy - Field to sort by (default: 'createdAt')
+ * @param {string} params.status - Filter by panel status, e.g. 'installing'
+ * @param {number} params.userId - Filter by owner's Pterodactyl user ID
+ * @param {number} params.nodeId - Filter by Pterodactyl node ID
+ * @param {number} params.eggId - Filter by Pterodactyl egg ID
+ * @param {string} params.sortBy - 'createdAt', 'renewDate', 'serverId', 'name' or 'status' (default: 'createdAt')
  * @param {string} params.sortOrder - Sort order 'ASC' or 'DESC' (default: 'DESC')
  * @returns {Promise<Object>} Servers data with pagination
  */
@@ -454,6 +819,20 @@ export async function getServerByIdAdmin(id) {
   }
 }
 
+/**
+ * Get live resource usage of any server (Admin only)
+ * @param {number} id - Server database ID
+ * @returns {Promise<Object>} Power state and resource usage
+ */
+export async function getServerResourcesAdmin(id) {
+  try {
+    const response = await api.get(`/admin/servers/${id}/resources`);
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "getServerResourcesAdmin");
+  }
+}
+
 /**
  * Create a new server for any user (Admin only)
  * @param {Object} serverData - Server configuration
@@ -588,7 +967,7 @@ export async function deleteServerAdmin(id, options = {}) {
 
 /**
  * Send power action to server (Admin)
- * @param {number} serverId - Pterodactyl server ID
+ * @param {number} serverId - Server database ID
  * @param {string} action - Power action ('start', 'stop', 'restart', 'kill')
  * @returns {Promise<Object>} Action result
  */
@@ -603,7 +982,7 @@ export async function sendServerPowerAction(serverId, action) {
       );
     }
 
-    const response = await api.post(`/admin/servers/${serverId}/power`, {
+    const response = await api.post(`/api/admin/servers/${serverId}/power`, {
       action,
     });
     return response.data;
@@ -1219,6 +1598,20 @@ export async function deleteUser(id) {
   }
 }
 
+/**
+ * Log a user out of every session (admin)
+ * @param {number} id - Database ID of the user
+ * @returns {Promise<Object>} Number of sessions revoked
+ */
+export async function revokeUserSessionsAdmin(id) {
+  try {
+    const response = await api.delete(`/api/users/${id}/sessions`);
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "revokeUserSessionsAdmin");
+  }
+}
+
 /**
  * Get user's resources
  * @param {number} id - Database ID of the user
@@ -1594,6 +1987,238 @@ export async function getAdminStats() {
   }
 }
 
+/**
+ * Get all store items, including inactive ones (Admin only)
+ * @returns {Promise<Object>} Store items
+ */
+export async function getStoreItemsAdmin() {
+  try {
+    const response = await api.get("/api/admin/store/items");
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "getStoreItemsAdmin");
+  }
+}
+
+/**
+ * Create a store item (Admin only)
+ * @param {Object} itemData - Name, description, grants, price, stock and limits
+ * @returns {Promise<Object>} Created store item
+ */
+export async function createStoreItem(itemData) {
+  try {
+    const response = await api.post("/api/admin/store/items", itemData);
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "createStoreItem");
+  }
+}
+
+/**
+ * Update a store item (Admin only)
+ * @param {number} id - Store item ID
+ * @param {Object} itemData - Fields to update
+ * @returns {Promise<Object>} Updated store item
+ */
+export async function updateStoreItem(id, itemData) {
+  try {
+    const response = await api.put(`/api/admin/store/items/${id}`, itemData);
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "updateStoreItem");
+  }
+}
+
+/**
+ * Delete a store item (Admin only)
+ * @param {number} id - Store item ID
+ * @returns {Promise<Object>} Deletion result
+ */
+export async function deleteStoreItem(id) {
+  try {
+    const response = await api.delete(`/api/admin/store/items/${id}`);
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "deleteStoreItem");
+  }
+}
+
+/**
+ * Get the coin and resource ledger of all users (Admin only)
+ * @param {Object} params - Query parameters
+ * @param {number} params.page - Page number (default: 1)
+ * @param {number} params.limit - Items per page (default: 20)
+ * @param {number} params.userId - Filter by user ID
+ * @param {number} params.actorId - Filter by the user who made the change
+ * @param {string} params.reason - Filter by ledger reason
+ * @param {string} params.from - Only entries on or after this date
+ * @param {string} params.to - Only entries on or before this date
+ * @returns {Promise<Object>} Ledger entries with pagination
+ */
+export async function getLedgerAdmin(params = {}) {
+  try {
+    const response = await api.get("/api/admin/ledger", { params });
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "getLedgerAdmin");
+  }
+}
+
+/**
+ * Get the dashboard permissions a role can grant (Admin only)
+ * @returns {Promise<Object>} Permission names and descriptions
+ */
+export async function getPermissions() {
+  try {
+    const response = await api.get("/api/admin/permissions");
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "getPermissions");
+  }
+}
+
+/**
+ * Get all roles with their user counts (Admin only)
+ * @returns {Promise<Object>} Roles
+ */
+export async function getRoles() {
+  try {
+    const response = await api.get("/api/admin/roles");
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "getRoles");
+  }
+}
+
+/**
+ * Create a role (Panel admins only)
+ * @param {Object} roleData - Name, description and permission names
+ * @returns {Promise<Object>} Created role
+ */
+export async function createRole(roleData) {
+  try {
+    validateRequired(roleData, ["name"]);
+    const response = await api.post("/api/admin/roles", roleData);
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "createRole");
+  }
+}
+
+/**
+ * Update a role (Panel admins only)
+ * @param {number} id - Role ID
+ * @param {Object} roleData - Fields to update
+ * @returns {Promise<Object>} Updated role
+ */
+export async function updateRole(id, roleData) {
+  try {
+    const response = await api.put(`/api/admin/roles/${id}`, roleData);
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "updateRole");
+  }
+}
+
+/**
+ * Delete a role; its users are left without one (Panel admins only)
+ * @param {number} id - Role ID
+ * @returns {Promise<Object>} Deletion result
+ */
+export async function deleteRole(id) {
+  try {
+    const response = await api.delete(`/api/admin/roles/${id}`);
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "deleteRole");
+  }
+}
+
+/**
+ * Assign a role to a user (Panel admins only)
+ * @param {number} userId - Local user ID
+ * @param {number|null} roleId - Role ID, or null to remove the role
+ * @returns {Promise<Object>} Assignment result
+ */
+export async function assignUserRole(userId, roleId) {
+  try {
+    const response = await api.put(`/api/admin/users/${userId}/role`, {
+      roleId,
+    });
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "assignUserRole");
+  }
+}
+
+/**
+ * Get accounts locked after too many failed logins (Admin only)
+ * @returns {Promise<Object>} Locked users
+ */
+export async function getLockedUsers() {
+  try {
+    const response = await api.get("/api/users/locked");
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "getLockedUsers");
+  }
+}
+
+/**
+ * Lift a login lockout and clear failed attempts (Admin only)
+ * @param {number} id - Local user ID
+ * @returns {Promise<Object>} Unlock result
+ */
+export async function unlockUser(id) {
+  try {
+    const response = await api.post(`/api/users/${id}/unlock`);
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "unlockUser");
+  }
+}
+
+/**
+ * Get every dashboard setting with its value and default (Admin only)
+ * @returns {Promise<Object>} Settings
+ */
+export async function getSettings() {
+  try {
+    const response = await api.get("/api/admin/settings");
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "getSettings");
+  }
+}
+
+/**
+ * Save dashboard settings (Admin only)
+ * @param {Object} settings - Values by key; null restores the default
+ * @returns {Promise<Object>} Updated settings
+ */
+export async function updateSettings(settings) {
+  try {
+    const response = await api.put("/api/admin/settings", { settings });
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "updateSettings");
+  }
+}
+
+/**
+ * Get past setting changes, newest first (Admin only)
+ * @param {Object} params - Query parameters (key, page, limit)
+ * @returns {Promise<Object>} Changes and pagination
+ */
+export async function getSettingsHistory(params = {}) {
+  try {
+    const response = await api.get("/api/admin/settings/history", { params });
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, "getSettingsHistory");
+  }
+}
+
 /**
  * Get system health status
  * @returns {Promise<Object>} System health data
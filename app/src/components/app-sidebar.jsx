@@ -18,6 +18,8 @@ import {
   UserRoundCog,
   ServerCrash,
   Merge,
+  ScrollText,
+  SlidersHorizontal,
 } from "lucide-react";
 import { config, userData } from "@/components/api";
 import { useAuth } from "@/context/AuthProvider";
@@ -55,7 +57,7 @@ function SidebarMenu() {
   const [banner, setBanner] = useState(
     "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRMPvGURvA8mHv-U4JG4IGlveK_l7l2dSfj3teaHlyzCyzD9kbhM6JBtrM&s=10"
   );
-  const [admin, setAdmin] = useState(false);
+  const [permissions, setPermissions] = useState([]);
   const [userDataState, setUserDataState] = useState(null);
   const [profilePicUrl, setProfilePicUrl] = useState(null);
 
@@ -98,7 +100,7 @@ function SidebarMenu() {
     const getUserData = async () => {
       try {
         const data = await userData();
-        setAdmin(data?.user?.root_admin);
+        setPermissions(data?.user?.permissions ?? []);
         setUserDataState(data);
 
         // Generate profile picture URL from email
@@ -127,28 +129,69 @@ function SidebarMenu() {
     { name: "Settings", icon: <Settings size={20} />, link: "/settings" },
   ];
 
-  // Admin menu items
+  // Admin menu items, each shown to users holding its permission
   const adminMenuItems = [
-    { name: "Eggs", icon: <Egg size={20} />, link: "/admin/egg" },
-    { name: "Nodes", icon: <ServerCog size={20} />, link: "/admin/node" },
+    {
+      name: "Eggs",
+      icon: <Egg size={20} />,
+      link: "/admin/egg",
+      permission: "eggs.manage",
+    },
+    {
+      name: "Nodes",
+      icon: <ServerCog size={20} />,
+      link: "/admin/node",
+      permission: "nodes.manage",
+    },
     {
       name: "Products",
       icon: <PackagePlus size={20} />,
       link: "/admin/products",
+      permission: "store.manage",
+    },
+    {
+      name: "Users",
+      icon: <UserRoundCog size={20} />,
+      link: "/admin/user",
+      permission: "users.view",
+    },
+    {
+      name: "Roles",
+      icon: <ShieldUser size={20} />,
+      link: "/admin/roles",
+      permission: "users.view",
     },
-    { name: "Users", icon: <UserRoundCog size={20} />, link: "/admin/user" },
     {
       name: "Resources",
       icon: <StretchHorizontal size={20} />,
       link: "/admin/resources",
+      permission: "users.edit_resources",
     },
     {
       name: "Servers",
       icon: <ServerCrash size={20} />,
       link: "/admin/servers",
+      permission: "servers.view_all",
     },
-    { name: "Purger", icon: <Merge size={20} />, link: "/admin/purger" },
-  ];
+    {
+      name: "Purger",
+      icon: <Merge size={20} />,
+      link: "/admin/purger",
+      permission: "purger.run",
+    },
+    {
+      name: "Ledger",
+      icon: <ScrollText size={20} />,
+      link: "/admin/ledger",
+      permission: "ledger.view",
+    },
+    {
+      name: "Site Settings",
+      icon: <SlidersHorizontal size={20} />,
+      link: "/admin/settings",
+      permission: "settings.manage",
+    },
+  ].filter((item) => permissions.includes(item.permission));
 
   return (
     <div className="flex h-screen z-99999">
@@ -234,7 +277,7 @@ function SidebarMenu() {
                     {item.name}
                   </MenuItem>
                 ))}
-                {admin && (
+                {adminMenuItems.length > 0 && (
                   <>
                     <div className="px-6 py-4 mt-6">
                       <h2 className="text-xs font-semibold text-gray-400 uppercase tracking-wider">
@@ -0,0 +1,297 @@
+import { useState, useEffect, useRef } from "react";
+import { Loader2, ShieldCheck } from "lucide-react";
+import TurnstileWidget from "@/components/turnstile";
+import { getCaptchaConfig, getCaptchaChallenge } from "@/components/api";
+
+const scripts = new Map();
+
+/**
+ * Add a third-party script to the page once, however many widgets use it
+ * @param {string} src
+ * @returns {Promise<void>}
+ */
+function loadScript(src) {
+  if (!scripts.has(src)) {
+    const loading = new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = src;
+      script.async = true;
+      script.onload = () => resolve();
+      script.onerror = () => {
+        scripts.delete(src);
+        reject(new Error(`Failed to load ${src}`));
+      };
+      document.head.appendChild(script);
+    });
+    scripts.set(src, loading);
+  }
+  return scripts.get(src);
+}
+
+const recaptchaReady = () =>
+  new Promise((resolve) =>
+    window.grecaptcha.ready(() => resolve(window.grecaptcha))
+  );
+
+/**
+ * Checkbox widget for APIs shaped like grecaptcha.render, which hCaptcha
+ * copies
+ */
+function ExplicitWidget({ src, getApi, siteKey, onComplete, className }) {
+  const container = useRef(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadScript(src)
+      .then(getApi)
+      .then((captcha) => {
+        if (cancelled || !container.current) return;
+        captcha.render(container.current, {
+          sitekey: siteKey,
+          theme: "dark",
+          callback: (token) => onComplete(true, token),
+          "expired-callback": () => onComplete(false),
+          "error-callback": () => onComplete(false),
+        });
+      })
+      .catch((err) => {
+        console.error("Failed to load captcha:", err);
+        if (!cancelled) setError("Failed to load verification widget");
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [src, siteKey]);
+
+  if (error) {
+    return <div>Error: {error}</div>;
+  }
+
+  return <div ref={container} className={className} />;
+}
+
+export function HCaptchaWidget(props) {
+  return (
+    <ExplicitWidget
+      src="https://js.hcaptcha.com/1/api.js?render=explicit"
+      getApi={() => window.hcaptcha}
+      {...props}
+    />
+  );
+}
+
+export function ReCaptchaWidget(props) {
+  return (
+    <ExplicitWidget
+      src="https://www.google.com/recaptcha/api.js?render=explicit"
+      getApi={recaptchaReady}
+      {...props}
+    />
+  );
+}
+
+/**
+ * reCAPTCHA v3 has nothing to click; it scores the visit in the background.
+ * Tokens expire after two minutes, so a fresh one is fetched regularly.
+ */
+export function ReCaptchaV3Widget({ siteKey, action, onComplete, className }) {
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const refresh = async () => {
+      try {
+        await loadScript(
+          `https://www.google.com/recaptcha/api.js?render=${siteKey}`
+        );
+        const grecaptcha = await recaptchaReady();
+        const token = await grecaptcha.execute(siteKey, { action });
+        if (!cancelled) onComplete(true, token);
+      } catch (err) {
+        console.error("reCAPTCHA error:", err);
+        if (!cancelled) {
+          setError("Failed to load verification");
+          onComplete(false);
+        }
+      }
+    };
+
+    refresh();
+    const timer = setInterval(refresh, 90 * 1000);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [siteKey, action]);
+
+  return (
+    <p className={`text-xs text-gray-400 ${className || ""}`}>
+      {error ? `Error: ${error}` : "Protected by reCAPTCHA"}
+    </p>
+  );
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function leadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+/**
+ * Find a nonce where sha256(challenge + nonce) has `difficulty` leading
+ * zero bits
+ * @param {string} challenge
+ * @param {number} difficulty
+ * @param {Function} isCancelled - Stops the search when it returns true
+ * @returns {Promise<string|null>} - Nonce, or null if cancelled
+ */
+async function solveChallenge(challenge, difficulty, isCancelled) {
+  const encoder = new TextEncoder();
+
+  for (let nonce = 0; !isCancelled(); nonce++) {
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      encoder.encode(`${challenge}${nonce}`)
+    );
+    if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+      return String(nonce);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Self-hosted captcha: the browser does a little hashing work that is cheap
+ * for one sign in but expensive for a bot making thousands
+ */
+export function ProofOfWorkWidget({ onComplete, className }) {
+  const [status, setStatus] = useState("solving");
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const solve = async () => {
+      try {
+        const { challenge, difficulty } = await getCaptchaChallenge();
+        const nonce = await solveChallenge(
+          challenge,
+          difficulty,
+          () => cancelled
+        );
+        if (cancelled) return;
+
+        setStatus("solved");
+        onComplete(true, `${challenge}:${nonce}`);
+      } catch (err) {
+        console.error("Proof of work captcha error:", err);
+        if (!cancelled) {
+          setStatus("error");
+          onComplete(false);
+        }
+      }
+    };
+
+    solve();
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return (
+    <div
+      className={`flex items-center space-x-2 text-sm text-gray-300 ${
+        className || ""
+      }`}
+    >
+      {status === "solving" && (
+        <>
+          <Loader2 className="w-4 h-4 animate-spin" />
+          <span>Checking your browser...</span>
+        </>
+      )}
+      {status === "solved" && (
+        <>
+          <ShieldCheck className="w-4 h-4 text-green-400" />
+          <span>Verified</span>
+        </>
+      )}
+      {status === "error" && <span>Error: Failed to verify your browser</span>}
+    </div>
+  );
+}
+
+const WIDGETS = {
+  turnstile: TurnstileWidget,
+  hcaptcha: HCaptchaWidget,
+  recaptcha: ReCaptchaWidget,
+  recaptcha_v3: ReCaptchaV3Widget,
+  pow: ProofOfWorkWidget,
+};
+
+/**
+ * Shows the widget for the captcha provider the server is configured with.
+ * onComplete(success, token) receives the token to send with the form, and
+ * is called with true straight away when captchas are off.
+ */
+export default function CaptchaWidget({ onComplete, className }) {
+  const [captcha, setCaptcha] = useState();
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadCaptcha = async () => {
+      try {
+        const data = await getCaptchaConfig();
+        if (!data) onComplete(true);
+        setCaptcha(data);
+      } catch (err) {
+        console.error("Failed to fetch captcha config:", err);
+        setError("Failed to load verification widget");
+      }
+    };
+
+    loadCaptcha();
+  }, []);
+
+  if (error) {
+    return <div>Error: {error}</div>;
+  }
+
+  if (captcha === undefined) {
+    return <div>Loading verification...</div>;
+  }
+
+  if (!captcha) {
+    return null;
+  }
+
+  const Widget = WIDGETS[captcha.provider];
+  if (!Widget) {
+    return <div>Error: Unsupported captcha provider {captcha.provider}</div>;
+  }
+
+  return (
+    <Widget
+      siteKey={captcha.siteKey}
+      action={captcha.action}
+      onComplete={onComplete}
+      className={className}
+    />
+  );
+}
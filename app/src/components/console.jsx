@@ -0,0 +1,135 @@
+import { useState, useEffect, useRef } from "react";
+import { io } from "socket.io-client";
+import { Terminal, X, Send, Cpu, MemoryStick } from "lucide-react";
+
+const MAX_LINES = 500;
+
+// Strip ANSI colour codes sent by Wings
+const stripAnsi = (line) =>
+  // eslint-disable-next-line no-control-regex
+  String(line).replace(/\u001b\[[0-9;]*[A-Za-z]/g, "");
+
+export default function ServerConsole({ server, onClose }) {
+  const [lines, setLines] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [status, setStatus] = useState("connecting");
+  const [error, setError] = useState(null);
+  const [command, setCommand] = useState("");
+  const socketRef = useRef(null);
+  const outputRef = useRef(null);
+
+  useEffect(() => {
+    const socket = io("/console", {
+      path: "/api/socket.io",
+      withCredentials: true,
+      auth: { serverId: server.id },
+    });
+    socketRef.current = socket;
+
+    const append = (line) =>
+      setLines((prev) => [...prev, stripAnsi(line)].slice(-MAX_LINES));
+
+    socket.on("connect", () => setError(null));
+    socket.on("console", append);
+    socket.on("stats", (data) => {
+      setStats(data);
+      if (data?.state) setStatus(data.state);
+    });
+    socket.on("status", setStatus);
+    socket.on("console error", setError);
+    socket.on("connect_error", (err) => setError(err.message));
+    socket.on("disconnect", () => setStatus("disconnected"));
+
+    return () => {
+      socket.disconnect();
+      socketRef.current = null;
+    };
+  }, [server.id]);
+
+  // Keep the output scrolled to the latest line
+  useEffect(() => {
+    if (outputRef.current) {
+      outputRef.current.scrollTop = outputRef.current.scrollHeight;
+    }
+  }, [lines]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!command.trim() || !socketRef.current) return;
+    socketRef.current.emit("command", command);
+    setCommand("");
+  };
+
+  const formatMemory = (bytes = 0) => `${(bytes / 1024 / 1024).toFixed(0)} MB`;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-gray-800 rounded-lg p-6 w-full max-w-4xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-3">
+            <Terminal className="w-5 h-5 text-blue-400" />
+            <h3 className="text-xl font-bold">
+              Console: {server.panelData?.name || `Server #${server.serverId}`}
+            </h3>
+            <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-700 text-gray-300 border border-gray-600 capitalize">
+              {status}
+            </span>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-400 hover:text-white hover:bg-gray-700 rounded-lg transition-colors"
+            title="Close console"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        {stats && (
+          <div className="flex space-x-6 text-sm text-gray-300 mb-3">
+            <span className="flex items-center space-x-1">
+              <Cpu className="w-3 h-3 text-gray-400" />
+              <span>{(stats.cpu_absolute || 0).toFixed(1)}%</span>
+            </span>
+            <span className="flex items-center space-x-1">
+              <MemoryStick className="w-3 h-3 text-gray-400" />
+              <span>
+                {formatMemory(stats.memory_bytes)} /{" "}
+                {formatMemory(stats.memory_limit_bytes)}
+              </span>
+            </span>
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-900/20 border border-red-700 rounded-lg p-3 mb-3 text-red-300 text-sm">
+            {error}
+          </div>
+        )}
+
+        <pre
+          ref={outputRef}
+          className="flex-1 min-h-[300px] overflow-y-auto bg-black rounded-lg p-4 text-xs text-gray-200 font-mono whitespace-pre-wrap"
+        >
+          {lines.join("\n")}
+        </pre>
+
+        <form onSubmit={handleSubmit} className="flex space-x-2 mt-3">
+          <input
+            type="text"
+            value={command}
+            onChange={(e) => setCommand(e.target.value)}
+            placeholder="Type a command..."
+            className="flex-1 p-2 bg-gray-700 border border-gray-600 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={!command.trim()}
+            className="flex items-center px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed rounded-lg text-white transition-colors"
+          >
+            <Send className="w-4 h-4" />
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import { ChevronLeft, ChevronRight } from "lucide-react";
+
+const REASON_LABELS = {
+  signup: "Signup",
+  purchase: "Store purchase",
+  admin_grant: "Admin grant",
+  renewal: "Server renewal",
+  refund: "Refund",
+  server_create: "Server created",
+  server_update: "Server resized",
+  adjustment: "Adjustment",
+};
+
+export const LEDGER_REASONS = Object.keys(REASON_LABELS);
+
+export const reasonLabel = (reason) => REASON_LABELS[reason] || reason;
+
+// "+10 coins, -1024 ram" summary of an entry's changes
+const formatChanges = (changes) =>
+  Object.entries(changes)
+    .map(([field, { before, after }]) => {
+      const delta = after - before;
+      return `${delta > 0 ? "+" : ""}${delta} ${field}`;
+    })
+    .join(", ");
+
+export default function LedgerTable({
+  entries,
+  pagination,
+  onPageChange,
+  showUser = false,
+}) {
+  if (entries.length === 0) {
+    return <p className="text-sm text-gray-400">No history yet.</p>;
+  }
+
+  return (
+    <div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-left text-gray-400">
+            <tr>
+              <th className="p-2">Date</th>
+              {showUser && <th className="p-2">User</th>}
+              <th className="p-2">Reason</th>
+              <th className="p-2">Changes</th>
+              <th className="p-2 text-right">Coins</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((entry) => (
+              <tr key={entry.id} className="border-t border-gray-700">
+                <td className="p-2 text-xs text-gray-300 whitespace-nowrap">
+                  {new Date(entry.createdAt).toLocaleString()}
+                </td>
+                {showUser && (
+                  <td className="p-2">
+                    {entry.user?.username || `Resources #${entry.resourcesId}`}
+                    {entry.actorId && entry.actorId !== entry.user?.id && (
+                      <div className="text-xs text-gray-500">
+                        by user #{entry.actorId}
+                      </div>
+                    )}
+                  </td>
+                )}
+                <td className="p-2">
+                  {reasonLabel(entry.reason)}
+                  {entry.description && (
+                    <div className="text-xs text-gray-500">
+                      {entry.description}
+                    </div>
+                  )}
+                </td>
+                <td className="p-2 text-xs">{formatChanges(entry.changes)}</td>
+                <td className="p-2 text-right whitespace-nowrap">
+                  {entry.coinsBefore} → {entry.coinsAfter}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-end space-x-2 mt-3 text-sm">
+          <button
+            onClick={() => onPageChange(pagination.currentPage - 1)}
+            disabled={pagination.currentPage <= 1}
+            className="p-2 rounded-lg hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <span className="text-gray-400">
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <button
+            onClick={() => onPageChange(pagination.currentPage + 1)}
+            disabled={pagination.currentPage >= pagination.totalPages}
+            className="p-2 rounded-lg hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
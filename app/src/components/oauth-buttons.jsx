@@ -0,0 +1,43 @@
+import { useState, useEffect } from "react";
+import { getOAuthProviders } from "@/components/api";
+
+/**
+ * "Continue with ..." links for each enabled social login provider. The
+ * server redirects to the provider and back, so these are plain links.
+ */
+export default function OAuthButtons() {
+  const [providers, setProviders] = useState([]);
+
+  useEffect(() => {
+    const fetchProviders = async () => {
+      try {
+        const data = await getOAuthProviders();
+        setProviders(data.providers);
+      } catch (err) {
+        console.error("Failed to load login providers:", err);
+      }
+    };
+    fetchProviders();
+  }, []);
+
+  if (providers.length === 0) return null;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-3 text-xs text-gray-500">
+        <div className="flex-1 border-t border-gray-700" />
+        or
+        <div className="flex-1 border-t border-gray-700" />
+      </div>
+      {providers.map(({ name, label }) => (
+        <a
+          key={name}
+          href={`/api/auth/oauth/${name}`}
+          className="w-full flex justify-center items-center py-3 px-4 text-sm font-medium rounded-xl text-white bg-gray-800/50 border border-gray-600 hover:bg-gray-700/50 transition-all duration-200"
+        >
+          Continue with {label}
+        </a>
+      ))}
+    </div>
+  );
+}
@@ -10,15 +10,30 @@ import {
   Cpu,
   MemoryStick,
   Zap,
+  Play,
+  Square,
+  RotateCw,
+  Terminal,
+  CalendarClock,
 } from "lucide-react";
 
-export default function Servers({ limit, onEdit, onDelete, EditModal }) {
+export default function Servers({
+  limit,
+  onEdit,
+  onDelete,
+  onPower,
+  onConsole,
+  onRenew,
+  EditModal,
+}) {
   const [servers, setServers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [deletingId, setDeletingId] = useState(null);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(null);
   const [editingServer, setEditingServer] = useState(null);
+  const [poweringId, setPoweringId] = useState(null);
+  const [renewingId, setRenewingId] = useState(null);
 
   useEffect(() => {
     const getServers = async () => {
@@ -114,6 +129,39 @@ export default function Servers({ limit, onEdit, onDelete, EditModal }) {
     setShowDeleteConfirm(null);
   };
 
+  const handleRenew = async (server) => {
+    try {
+      setRenewingId(server.id);
+      const result = await onRenew(server);
+      if (result?.data?.renewDate) {
+        setServers((prev) =>
+          prev.map((s) =>
+            s.id === server.id
+              ? { ...s, renewDate: result.data.renewDate, suspendedAt: null }
+              : s
+          )
+        );
+      }
+    } catch (err) {
+      console.error("Error renewing server:", err);
+      setError(`Failed to renew server: ${err.message}`);
+    } finally {
+      setRenewingId(null);
+    }
+  };
+
+  const handlePower = async (server, action) => {
+    try {
+      setPoweringId(server.id);
+      await onPower(server, action);
+    } catch (err) {
+      console.error("Error sending power action:", err);
+      setError(`Failed to ${action} server: ${err.message}`);
+    } finally {
+      setPoweringId(null);
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center p-8">
@@ -166,6 +214,8 @@ export default function Servers({ limit, onEdit, onDelete, EditModal }) {
           const limits = panel.limits || {};
           const allocations = panel.relationships?.allocations || [];
           const isDeleting = deletingId === server.id;
+          const isPowering = poweringId === server.id;
+          const isRenewing = renewingId === server.id;
           const showConfirm = showDeleteConfirm === server.id;
 
           return (
@@ -212,12 +262,86 @@ export default function Servers({ limit, onEdit, onDelete, EditModal }) {
                         {allocations[0].attributes.port}
                       </span>
                     )}
+                    {server.renewDate && (
+                      <span
+                        className={`text-xs ${
+                          server.suspendedAt ? "text-red-400" : "text-gray-500"
+                        }`}
+                      >
+                        {server.suspendedAt ? "Suspended, renew by" : "Renews"}{" "}
+                        {new Date(server.renewDate).toLocaleDateString()}
+                      </span>
+                    )}
                   </div>
                 </div>
 
                 {/* Action Buttons */}
-                {(onEdit || EditModal || onDelete) && (
+                {(onEdit ||
+                  EditModal ||
+                  onDelete ||
+                  onPower ||
+                  onConsole ||
+                  onRenew) && (
                   <div className="flex space-x-2">
+                    {onRenew && (
+                      <button
+                        onClick={() => handleRenew(server)}
+                        disabled={isDeleting || isRenewing}
+                        className="p-2 text-purple-400 hover:text-purple-300 hover:bg-purple-900/20 rounded-lg transition-colors disabled:opacity-50"
+                        title="Renew server"
+                      >
+                        {isRenewing ? (
+                          <Loader2 className="w-4 h-4 animate-spin" />
+                        ) : (
+                          <CalendarClock className="w-4 h-4" />
+                        )}
+                      </button>
+                    )}
+
+                    {onConsole && (
+                      <button
+                        onClick={() => onConsole(server)}
+                        disabled={isDeleting}
+                        className="p-2 text-gray-300 hover:text-white hover:bg-gray-700 rounded-lg transition-colors disabled:opacity-50"
+                        title="Open console"
+                      >
+                        <Terminal className="w-4 h-4" />
+                      </button>
+                    )}
+
+                    {onPower && (
+                      <>
+                        <button
+                          onClick={() => handlePower(server, "start")}
+                          disabled={isDeleting || isPowering}
+                          className="p-2 text-green-400 hover:text-green-300 hover:bg-green-900/20 rounded-lg transition-colors disabled:opacity-50"
+                          title="Start server"
+                        >
+                          <Play className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handlePower(server, "restart")}
+                          disabled={isDeleting || isPowering}
+                          className="p-2 text-yellow-400 hover:text-yellow-300 hover:bg-yellow-900/20 rounded-lg transition-colors disabled:opacity-50"
+                          title="Restart server"
+                        >
+                          {isPowering ? (
+                            <Loader2 className="w-4 h-4 animate-spin" />
+                          ) : (
+                            <RotateCw className="w-4 h-4" />
+                          )}
+                        </button>
+                        <button
+                          onClick={() => handlePower(server, "stop")}
+                          disabled={isDeleting || isPowering}
+                          className="p-2 text-orange-400 hover:text-orange-300 hover:bg-orange-900/20 rounded-lg transition-colors disabled:opacity-50"
+                          title="Stop server"
+                        >
+                          <Square className="w-4 h-4" />
+                        </button>
+                      </>
+                    )}
+
                     {(onEdit || EditModal) && (
                       <button
                         onClick={() => handleEdit(server)}
@@ -0,0 +1,163 @@
+import { useState, useEffect } from "react";
+import { Loader2, AlertCircle, KeyRound, Copy } from "lucide-react";
+import { setupTwoFactor, enableTwoFactor } from "@/components/api";
+
+const inputClass =
+  "block w-full px-3 py-3 bg-gray-800/50 border border-gray-600 rounded-xl text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200";
+
+/**
+ * Input for a 6-digit authenticator code
+ */
+export function CodeInput({ value, onChange, id = "code", ...props }) {
+  return (
+    <input
+      id={id}
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      maxLength={6}
+      value={value}
+      onChange={(e) => onChange(e.target.value.replace(/\D/g, ""))}
+      className={`${inputClass} tracking-[0.5em] text-center text-lg`}
+      placeholder="000000"
+      {...props}
+    />
+  );
+}
+
+/**
+ * List of freshly generated recovery codes, shown once
+ */
+export function RecoveryCodes({ codes }) {
+  const [copied, setCopied] = useState(false);
+
+  const copy = async () => {
+    await navigator.clipboard.writeText(codes.join("\n"));
+    setCopied(true);
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-300">
+        Save these recovery codes somewhere safe. Each one can be used once to
+        sign in if you lose your authenticator. They will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 bg-gray-800/50 border border-gray-600 rounded-xl p-4 font-mono text-sm text-white">
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <button
+        type="button"
+        onClick={copy}
+        className="flex items-center gap-2 text-sm text-blue-400 hover:text-blue-300"
+      >
+        <Copy className="w-4 h-4" />
+        {copied ? "Copied" : "Copy codes"}
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Enrollment flow: fetch a secret, confirm it with a code
+ * @param {string} preAuthToken - Setup token when enrolling during login
+ * @param {Function} onEnabled - Called with the enable response
+ */
+export function TwoFactorSetup({ preAuthToken, onEnabled }) {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState("");
+  const [error, setError] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    const start = async () => {
+      try {
+        setSetup(await setupTwoFactor(preAuthToken));
+      } catch (err) {
+        setError(err.message || "Failed to start two-factor setup");
+      }
+    };
+    start();
+  }, [preAuthToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setIsLoading(true);
+
+    try {
+      onEnabled(await enableTwoFactor(code, preAuthToken));
+    } catch (err) {
+      setError(err.message || "Failed to enable two-factor authentication");
+      setCode("");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <form className="space-y-5" onSubmit={handleSubmit}>
+      {error && (
+        <div
+          className="bg-red-900/30 border border-red-500/50 text-red-200 px-4 py-3 rounded-xl flex items-start gap-3"
+          role="alert"
+        >
+          <AlertCircle className="w-5 h-5 mt-0.5 flex-shrink-0" />
+          <span className="text-sm">{error}</span>
+        </div>
+      )}
+
+      {!setup ? (
+        !error && (
+          <div className="flex justify-center py-6">
+            <Loader2 className="w-6 h-6 text-gray-400 animate-spin" />
+          </div>
+        )
+      ) : (
+        <>
+          <div className="space-y-2 text-sm text-gray-300">
+            <p>
+              Add this account to your authenticator app by opening the link on
+              your phone or entering the key manually.
+            </p>
+            <a
+              href={setup.otpauthUri}
+              className="flex items-center gap-2 text-blue-400 hover:text-blue-300"
+            >
+              <KeyRound className="w-4 h-4" />
+              Open in authenticator app
+            </a>
+            <code className="block break-all bg-gray-800/50 border border-gray-600 rounded-xl p-3 text-white">
+              {setup.secret}
+            </code>
+          </div>
+
+          <div className="space-y-2">
+            <label
+              htmlFor="setup-code"
+              className="block text-sm font-medium text-gray-300"
+            >
+              Code from the app
+            </label>
+            <CodeInput id="setup-code" value={code} onChange={setCode} />
+          </div>
+
+          <button
+            type="submit"
+            disabled={isLoading || code.length !== 6}
+            className="w-full flex justify-center items-center gap-2 py-3 px-4 text-sm font-medium rounded-xl text-white bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 shadow-lg"
+          >
+            {isLoading ? (
+              <>
+                <Loader2 className="w-4 h-4 animate-spin" />
+                Verifying...
+              </>
+            ) : (
+              "Enable Two-Factor Authentication"
+            )}
+          </button>
+        </>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,60 @@
+import { useState, useEffect } from "react";
+import { MailWarning, Loader2 } from "lucide-react";
+import { userData, resendVerificationEmail } from "@/components/api";
+
+/**
+ * Reminds users who have not verified their email yet, with a button to
+ * send the link again. Renders nothing for verified users.
+ */
+export default function VerifyEmailBanner() {
+  const [user, setUser] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [notice, setNotice] = useState("");
+
+  useEffect(() => {
+    const loadUser = async () => {
+      try {
+        const data = await userData();
+        setUser(data?.user ?? null);
+      } catch (err) {
+        console.error("Failed to load user for verification banner:", err);
+      }
+    };
+
+    loadUser();
+  }, []);
+
+  if (!user || user.emailVerified !== false) {
+    return null;
+  }
+
+  const resend = async () => {
+    setSending(true);
+    try {
+      const response = await resendVerificationEmail();
+      setNotice(response.message);
+    } catch (err) {
+      setNotice(err.message || "Failed to send the verification email");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="m-4 mb-0 p-4 bg-yellow-900/30 border border-yellow-600/50 rounded-lg text-yellow-100 text-sm flex flex-col sm:flex-row sm:items-center gap-3">
+      <MailWarning className="w-5 h-5 flex-shrink-0" />
+      <span className="flex-1">
+        {notice ||
+          `Verify ${user.email} to create servers and use the store. Check your inbox for the link.`}
+      </span>
+      <button
+        onClick={resend}
+        disabled={sending}
+        className="flex items-center gap-2 px-4 py-2 bg-yellow-600 hover:bg-yellow-700 disabled:opacity-50 rounded-lg font-medium transition-colors"
+      >
+        {sending && <Loader2 className="w-4 h-4 animate-spin" />}
+        Resend Email
+      </button>
+    </div>
+  );
+}
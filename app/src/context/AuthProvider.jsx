@@ -240,6 +240,7 @@ export const AuthProvider = ({ children }) => {
             break;
           case 429:
             errorMessage =
+              data?.error ||
               "Too many requests. Please wait a moment and try again.";
             break;
           case 500:
@@ -365,8 +366,38 @@ export const AuthProvider = ({ children }) => {
     return errors;
   }, []);
 
+  // Store the logged in user and enter the dashboard
+  const startSession = useCallback((userData, csrfToken) => {
+    // Store non-sensitive user data
+    cookieUtils.set(
+      "user_data",
+      JSON.stringify({
+        id: userData.id,
+        firstname: userData.firstname,
+        lastname: userData.lastname,
+        username: userData.username,
+        email: userData.email,
+      }),
+      {
+        maxAge: 24 * 60 * 60, // 24 hours
+      }
+    );
+
+    // Store CSRF token if provided
+    if (csrfToken) {
+      cookieUtils.set("csrf_token", csrfToken, {
+        maxAge: 24 * 60 * 60, // 24 hours
+      });
+    }
+
+    setUser(userData);
+    setError(null);
+
+    window.location.pathname = "/";
+  }, []);
+
   // Login function
-  const login = async (email, password) => {
+  const login = async (email, password, captchaToken) => {
     if (!apiRef.current)
       return { success: false, error: "API not initialized" };
 
@@ -407,37 +438,25 @@ export const AuthProvider = ({ children }) => {
       const response = await apiRef.current.post("/api/auth/login", {
         email: email.trim().toLowerCase(),
         password,
+        captchaToken,
       });
 
       if (response.data.success) {
-        const { user: userData } = response.data;
-
-        // Store non-sensitive user data
-        cookieUtils.set(
-          "user_data",
-          JSON.stringify({
-            id: userData.id,
-            firstname: userData.firstname,
-            lastname: userData.lastname,
-            username: userData.username,
-            email: userData.email,
-          }),
-          {
-            maxAge: 24 * 60 * 60, // 24 hours
-          }
-        );
-
-        // Store CSRF token if provided
-        if (response.data.csrfToken) {
-          cookieUtils.set("csrf_token", response.data.csrfToken, {
-            maxAge: 24 * 60 * 60, // 24 hours
-          });
+        // Password accepted, but a second factor (or enrollment) is needed
+        if (
+          response.data.twoFactorRequired ||
+          response.data.twoFactorSetupRequired
+        ) {
+          return {
+            success: true,
+            twoFactorRequired: !!response.data.twoFactorRequired,
+            twoFactorSetupRequired: !!response.data.twoFactorSetupRequired,
+            preAuthToken: response.data.preAuthToken,
+          };
         }
 
-        setUser(userData);
-        setError(null);
-
-        window.location.pathname = "/";
+        const { user: userData } = response.data;
+        startSession(userData, response.data.csrfToken);
 
         return <Navigate to="/" />;
         return { success: true, user: userData };
@@ -458,6 +477,44 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step: submit a TOTP code or recovery code
+  const completeTwoFactorLogin = async (
+    preAuthToken,
+    { code, recoveryCode }
+  ) => {
+    if (!apiRef.current)
+      return { success: false, error: "API not initialized" };
+
+    updateLoadingState("login", true);
+    setError(null);
+
+    try {
+      const response = await apiRef.current.post("/api/auth/login/2fa", {
+        preAuthToken,
+        code,
+        recoveryCode,
+      });
+
+      if (response.data.success) {
+        startSession(response.data.user, response.data.csrfToken);
+        return { success: true, user: response.data.user };
+      }
+
+      const error = {
+        type: AUTH_ERRORS.INVALID_CREDENTIALS,
+        message: response.data.error || "Verification failed",
+      };
+      setError(error);
+      return { success: false, error: error.message };
+    } catch (error) {
+      const authError = handleApiError(error, "Verification failed");
+      setError(authError);
+      return { success: false, error: authError.message };
+    } finally {
+      updateLoadingState("login", false);
+    }
+  };
+
   // Register function
   const register = async (formData) => {
     if (!apiRef.current)
@@ -474,6 +531,7 @@ export const AuthProvider = ({ children }) => {
         email,
         password,
         confirmPassword,
+        captchaToken,
       } = formData;
 
       // Enhanced validation
@@ -538,6 +596,7 @@ export const AuthProvider = ({ children }) => {
         username: username.trim().toLowerCase(),
         email: email.trim().toLowerCase(),
         password,
+        captchaToken,
       });
 
       if (response.data.success) {
@@ -798,6 +857,8 @@ export const AuthProvider = ({ children }) => {
 
       // Methods
       login,
+      completeTwoFactorLogin,
+      startSession,
       register,
       logout,
       updateProfile,
@@ -817,6 +878,8 @@ export const AuthProvider = ({ children }) => {
       loadingStates,
       computedValues,
       login,
+      completeTwoFactorLogin,
+      startSession,
       register,
       logout,
       updateProfile,
@@ -10,8 +10,17 @@ import {
   CheckCircle2,
   Mail,
   Lock,
+  ShieldCheck,
 } from "lucide-react";
-import TurnstileWidget from "@/components/turnstile";
+import CaptchaWidget from "@/components/captcha";
+import OAuthButtons from "@/components/oauth-buttons";
+import {
+  CodeInput,
+  RecoveryCodes,
+  TwoFactorSetup,
+} from "@/components/two-factor";
+
+const captchaError = "Verification failed. Please try again.";
 
 const Login = () => {
   const [email, setEmail] = useState("");
@@ -28,10 +37,37 @@ const Login = () => {
   const [isLocked, setIsLocked] = useState(false);
   const [lockTimer, setLockTimer] = useState(0);
   const [verified, setVerified] = useState(false);
-
-  const { login, isAuthenticated } = useAuth();
+  const [captchaToken, setCaptchaToken] = useState(null);
+  // Bumped to show a fresh captcha, as each token only works once
+  const [captchaKey, setCaptchaKey] = useState(0);
+  // Second login step: { mode: "code" | "setup", preAuthToken }
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [enrollment, setEnrollment] = useState(null);
+
+  const { login, completeTwoFactorLogin, startSession, isAuthenticated } =
+    useAuth();
   const location = useLocation();
 
+  // Social logins come back here with an error or a second-step token in
+  // the URL fragment
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    if (!params.toString()) return;
+
+    window.history.replaceState(null, "", window.location.pathname);
+
+    if (params.get("error")) {
+      setError(params.get("error"));
+    } else if (params.get("token")) {
+      setTwoFactor({
+        mode: params.get("step") === "2fa-setup" ? "setup" : "code",
+        preAuthToken: params.get("token"),
+      });
+    }
+  }, []);
+
   // Redirect if already logged in
   if (isAuthenticated) {
     const from = location.state?.from?.pathname || "/";
@@ -70,12 +106,14 @@ const Login = () => {
     }
   };
 
-  const handleTurnstileComplete = (success) => {
+  const handleCaptchaComplete = (success, token) => {
     setVerified(success);
+    setCaptchaToken(token);
     if (!success) {
-      setError("Verification failed. Please try again.");
+      setError(captchaError);
     } else {
-      setError(null);
+      // Keep a failed login's message when a fresh captcha loads
+      setError((current) => (current === captchaError ? null : current));
     }
   };
   // Account lockout mechanism
@@ -116,9 +154,14 @@ const Login = () => {
     setError("");
 
     try {
-      const result = await login(email, password);
+      const result = await login(email, password, captchaToken);
 
       if (!result.success) {
+        if (captchaToken) {
+          setVerified(false);
+          setCaptchaKey((key) => key + 1);
+        }
+
         const newAttempts = attempts + 1;
         setAttempts(newAttempts);
 
@@ -131,6 +174,14 @@ const Login = () => {
         }
       } else {
         setAttempts(0);
+
+        if (result.twoFactorRequired || result.twoFactorSetupRequired) {
+          setTwoFactor({
+            mode: result.twoFactorRequired ? "code" : "setup",
+            preAuthToken: result.preAuthToken,
+          });
+        }
+
         // Handle remember me functionality
         if (rememberMe) {
           localStorage.setItem("rememberLogin", "true");
@@ -143,6 +194,142 @@ const Login = () => {
     setIsLoading(false);
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError("");
+
+    const result = await completeTwoFactorLogin(
+      twoFactor.preAuthToken,
+      useRecoveryCode ? { recoveryCode: code } : { code }
+    );
+
+    if (!result.success) {
+      setError(result.error);
+      setCode("");
+    }
+
+    setIsLoading(false);
+  };
+
+  const restartLogin = () => {
+    setTwoFactor(null);
+    setEnrollment(null);
+    setCode("");
+    setUseRecoveryCode(false);
+    setError("");
+  };
+
+  const renderTwoFactorStep = () => {
+    if (enrollment) {
+      return (
+        <div className="space-y-6">
+          <RecoveryCodes codes={enrollment.recoveryCodes} />
+          <button
+            type="button"
+            onClick={() => startSession(enrollment.user)}
+            className="w-full py-3 px-4 text-sm font-medium rounded-xl text-white bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 transition-all duration-200 shadow-lg"
+          >
+            Continue to Dashboard
+          </button>
+        </div>
+      );
+    }
+
+    if (twoFactor.mode === "setup") {
+      return (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-300">
+            Administrator accounts must use two-factor authentication. Set it up
+            to finish signing in.
+          </p>
+          <TwoFactorSetup
+            preAuthToken={twoFactor.preAuthToken}
+            onEnabled={setEnrollment}
+          />
+          <button
+            type="button"
+            onClick={restartLogin}
+            className="w-full text-xs text-center text-gray-400 hover:text-white"
+          >
+            Back to sign in
+          </button>
+        </div>
+      );
+    }
+
+    return (
+      <form className="space-y-6" onSubmit={handleTwoFactorSubmit}>
+        {error && (
+          <div
+            className="bg-red-900/30 border border-red-500/50 text-red-200 px-4 py-3 rounded-xl flex items-start gap-3"
+            role="alert"
+          >
+            <AlertCircle className="w-5 h-5 mt-0.5 flex-shrink-0" />
+            <span className="text-sm">{error}</span>
+          </div>
+        )}
+
+        <div className="flex items-center gap-3 text-gray-300">
+          <ShieldCheck className="w-6 h-6 text-blue-400" />
+          <p className="text-sm">
+            {useRecoveryCode
+              ? "Enter one of your recovery codes"
+              : "Enter the code from your authenticator app"}
+          </p>
+        </div>
+
+        {useRecoveryCode ? (
+          <input
+            id="recovery-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            autoComplete="off"
+            className="block w-full px-3 py-3 bg-gray-800/50 border border-gray-600 rounded-xl text-white placeholder-gray-400 font-mono focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+            placeholder="xxxxx-xxxxx"
+          />
+        ) : (
+          <CodeInput value={code} onChange={setCode} autoFocus />
+        )}
+
+        <button
+          type="submit"
+          disabled={isLoading || (!useRecoveryCode && code.length !== 6)}
+          className="w-full flex justify-center items-center gap-2 py-3 px-4 text-sm font-medium rounded-xl text-white bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 shadow-lg"
+        >
+          {isLoading ? (
+            <>
+              <Loader2 className="w-4 h-4 animate-spin" />
+              Verifying...
+            </>
+          ) : (
+            "Verify"
+          )}
+        </button>
+
+        <div className="flex items-center justify-between text-xs">
+          <button
+            type="button"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setCode("");
+            }}
+            className="text-blue-400 hover:text-blue-300"
+          >
+            {useRecoveryCode ? "Use authenticator code" : "Use a recovery code"}
+          </button>
+          <button
+            type="button"
+            onClick={restartLogin}
+            className="text-gray-400 hover:text-white"
+          >
+            Back to sign in
+          </button>
+        </div>
+      </form>
+    );
+  };
+
   // Load saved credentials if remember me was checked
   useEffect(() => {
     const savedRemember = localStorage.getItem("rememberLogin");
@@ -205,159 +392,166 @@ const Login = () => {
 
         {/* Login Form */}
         <div className="bg-gray-900/50 backdrop-blur-xl border border-gray-700/50 rounded-2xl p-6 sm:p-8 shadow-2xl">
-          <form className="space-y-6" onSubmit={handleSubmit}>
-            {/* Error Alert */}
-            {error && (
-              <div
-                className="bg-red-900/30 border border-red-500/50 text-red-200 px-4 py-3 rounded-xl flex items-start gap-3"
-                role="alert"
-              >
-                <AlertCircle className="w-5 h-5 mt-0.5 flex-shrink-0" />
-                <span className="text-sm">{error}</span>
-              </div>
-            )}
-
-            {/* Email Field */}
-            <div className="space-y-2">
-              <label
-                htmlFor="email"
-                className="block text-sm font-medium text-gray-300"
-              >
-                Email Address
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <Mail className="h-5 w-5 text-gray-400" />
+          {twoFactor ? (
+            renderTwoFactorStep()
+          ) : (
+            <form className="space-y-6" onSubmit={handleSubmit}>
+              {/* Error Alert */}
+              {error && (
+                <div
+                  className="bg-red-900/30 border border-red-500/50 text-red-200 px-4 py-3 rounded-xl flex items-start gap-3"
+                  role="alert"
+                >
+                  <AlertCircle className="w-5 h-5 mt-0.5 flex-shrink-0" />
+                  <span className="text-sm">{error}</span>
                 </div>
-                <input
-                  id="email"
-                  type="email"
-                  required
-                  value={email}
-                  onChange={handleEmailChange}
-                  className={`block w-full pl-10 pr-3 py-3 bg-gray-800/50 border rounded-xl text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:border-transparent transition-all duration-200 ${
-                    emailError
-                      ? "border-red-500 focus:ring-red-500"
-                      : email && !emailError
-                      ? "border-green-500 focus:ring-green-500"
-                      : "border-gray-600 focus:ring-blue-500"
-                  }`}
-                  placeholder="Enter your email"
-                />
-                {email && !emailError && (
-                  <div className="absolute inset-y-0 right-0 pr-3 flex items-center">
-                    <CheckCircle2 className="h-5 w-5 text-green-500" />
+              )}
+
+              {/* Email Field */}
+              <div className="space-y-2">
+                <label
+                  htmlFor="email"
+                  className="block text-sm font-medium text-gray-300"
+                >
+                  Email Address
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Mail className="h-5 w-5 text-gray-400" />
                   </div>
+                  <input
+                    id="email"
+                    type="email"
+                    required
+                    value={email}
+                    onChange={handleEmailChange}
+                    className={`block w-full pl-10 pr-3 py-3 bg-gray-800/50 border rounded-xl text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:border-transparent transition-all duration-200 ${
+                      emailError
+                        ? "border-red-500 focus:ring-red-500"
+                        : email && !emailError
+                        ? "border-green-500 focus:ring-green-500"
+                        : "border-gray-600 focus:ring-blue-500"
+                    }`}
+                    placeholder="Enter your email"
+                  />
+                  {email && !emailError && (
+                    <div className="absolute inset-y-0 right-0 pr-3 flex items-center">
+                      <CheckCircle2 className="h-5 w-5 text-green-500" />
+                    </div>
+                  )}
+                </div>
+                {emailError && (
+                  <p className="text-red-400 text-xs mt-1 flex items-center gap-1">
+                    <AlertCircle className="w-3 h-3" />
+                    {emailError}
+                  </p>
                 )}
               </div>
-              {emailError && (
-                <p className="text-red-400 text-xs mt-1 flex items-center gap-1">
-                  <AlertCircle className="w-3 h-3" />
-                  {emailError}
-                </p>
-              )}
-            </div>
 
-            {/* Password Field */}
-            <div className="space-y-2">
-              <label
-                htmlFor="password"
-                className="block text-sm font-medium text-gray-300"
-              >
-                Password
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <Lock className="h-5 w-5 text-gray-400" />
+              {/* Password Field */}
+              <div className="space-y-2">
+                <label
+                  htmlFor="password"
+                  className="block text-sm font-medium text-gray-300"
+                >
+                  Password
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Lock className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="password"
+                    type={showPassword ? "text" : "password"}
+                    required
+                    value={password}
+                    onChange={handlePasswordChange}
+                    className={`block w-full pl-10 pr-10 py-3 bg-gray-800/50 border rounded-xl text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:border-transparent transition-all duration-200 ${
+                      passwordError
+                        ? "border-red-500 focus:ring-red-500"
+                        : password && !passwordError
+                        ? "border-green-500 focus:ring-green-500"
+                        : "border-gray-600 focus:ring-blue-500"
+                    }`}
+                    placeholder="Enter your password"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-400 hover:text-white transition-colors"
+                  >
+                    {showPassword ? (
+                      <EyeOff className="h-5 w-5" />
+                    ) : (
+                      <Eye className="h-5 w-5" />
+                    )}
+                  </button>
                 </div>
-                <input
-                  id="password"
-                  type={showPassword ? "text" : "password"}
-                  required
-                  value={password}
-                  onChange={handlePasswordChange}
-                  className={`block w-full pl-10 pr-10 py-3 bg-gray-800/50 border rounded-xl text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:border-transparent transition-all duration-200 ${
-                    passwordError
-                      ? "border-red-500 focus:ring-red-500"
-                      : password && !passwordError
-                      ? "border-green-500 focus:ring-green-500"
-                      : "border-gray-600 focus:ring-blue-500"
-                  }`}
-                  placeholder="Enter your password"
-                />
-                <button
-                  type="button"
-                  onClick={() => setShowPassword(!showPassword)}
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-400 hover:text-white transition-colors"
+                {passwordError && (
+                  <p className="text-red-400 text-xs mt-1 flex items-center gap-1">
+                    <AlertCircle className="w-3 h-3" />
+                    {passwordError}
+                  </p>
+                )}
+              </div>
+
+              <CaptchaWidget
+                key={captchaKey}
+                onComplete={handleCaptchaComplete}
+                className="w-full items-center"
+              />
+
+              {/* Remember Me & Forgot Password */}
+              <div className="flex items-center justify-between text-sm">
+                <label className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={rememberMe}
+                    onChange={(e) => setRememberMe(e.target.checked)}
+                    className="h-4 w-4 text-blue-600 bg-gray-800 border-gray-600 rounded focus:ring-blue-500 focus:ring-2"
+                  />
+                  <span className="ml-2 text-gray-300">Remember me</span>
+                </label>
+                <Link
+                  to="/auth/forgot-password"
+                  className="text-blue-400 hover:text-blue-300 transition-colors"
                 >
-                  {showPassword ? (
-                    <EyeOff className="h-5 w-5" />
-                  ) : (
-                    <Eye className="h-5 w-5" />
-                  )}
-                </button>
+                  Forgot password?
+                </Link>
               </div>
-              {passwordError && (
-                <p className="text-red-400 text-xs mt-1 flex items-center gap-1">
-                  <AlertCircle className="w-3 h-3" />
-                  {passwordError}
-                </p>
-              )}
-            </div>
-
-            <TurnstileWidget
-              onComplete={handleTurnstileComplete}
-              className="w-full items-center"
-            />
-
-            {/* Remember Me & Forgot Password */}
-            <div className="flex items-center justify-between text-sm">
-              <label className="flex items-center">
-                <input
-                  type="checkbox"
-                  checked={rememberMe}
-                  onChange={(e) => setRememberMe(e.target.checked)}
-                  className="h-4 w-4 text-blue-600 bg-gray-800 border-gray-600 rounded focus:ring-blue-500 focus:ring-2"
-                />
-                <span className="ml-2 text-gray-300">Remember me</span>
-              </label>
+
+              {/* Submit Button */}
+
               <button
-                type="button"
-                className="text-blue-400 hover:text-blue-300 transition-colors"
+                type="submit"
+                disabled={
+                  isLoading ||
+                  isLocked ||
+                  emailError ||
+                  passwordError ||
+                  !verified
+                }
+                className="group relative w-full flex justify-center items-center gap-2 py-3 px-4 border border-transparent text-sm font-medium rounded-xl text-white bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 transform hover:scale-105 disabled:transform-none shadow-lg"
               >
-                Forgot password?
+                {isLoading ? (
+                  <>
+                    <Loader2 className="w-4 h-4 animate-spin" />
+                    Signing in...
+                  </>
+                ) : isLocked ? (
+                  `Locked (${lockTimer}s)`
+                ) : (
+                  "Sign In"
+                )}
               </button>
-            </div>
-
-            {/* Submit Button */}
-
-            <button
-              type="submit"
-              disabled={
-                isLoading ||
-                isLocked ||
-                emailError ||
-                passwordError ||
-                !verified
-              }
-              className="group relative w-full flex justify-center items-center gap-2 py-3 px-4 border border-transparent text-sm font-medium rounded-xl text-white bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 transform hover:scale-105 disabled:transform-none shadow-lg"
-            >
-              {isLoading ? (
-                <>
-                  <Loader2 className="w-4 h-4 animate-spin" />
-                  Signing in...
-                </>
-              ) : isLocked ? (
-                `Locked (${lockTimer}s)`
-              ) : (
-                "Sign In"
-              )}
-            </button>
 
-            <p className="text-xs text-center text-gray-100">
-              New here? <Link to="/auth/register">Register</Link>
-            </p>
-          </form>
+              <OAuthButtons />
+
+              <p className="text-xs text-center text-gray-100">
+                New here? <Link to="/auth/register">Register</Link>
+              </p>
+            </form>
+          )}
         </div>
 
         <div className="text-center">
@@ -13,7 +13,8 @@ import {
   User,
   AtSign,
 } from "lucide-react";
-import TurnstileWidget from "@/components/turnstile";
+import CaptchaWidget from "@/components/captcha";
+import OAuthButtons from "@/components/oauth-buttons";
 
 const Register = () => {
   const [firstName, setFirstName] = useState("");
@@ -42,6 +43,9 @@ const Register = () => {
   const location = useLocation();
 
   const [verified, setVerified] = useState(false);
+  const [captchaToken, setCaptchaToken] = useState(null);
+  // Bumped to show a fresh captcha, as each token only works once
+  const [captchaKey, setCaptchaKey] = useState(0);
 
   // Redirect if already logged in
   if (isAuthenticated) {
@@ -218,10 +222,15 @@ const Register = () => {
         username: username.trim().toLowerCase(),
         password: password,
         confirmPassword: confirmPassword,
+        captchaToken,
       });
 
       if (!result.success) {
         setError(result.error || "Registration failed. Please try again.");
+        if (captchaToken) {
+          setVerified(false);
+          setCaptchaKey((key) => key + 1);
+        }
       }
       // If successful, AuthProvider should handle redirect
     } catch (err) {
@@ -591,7 +600,13 @@ const Register = () => {
               </label>
             </div>
 
-            <TurnstileWidget onComplete={setVerified} />
+            <CaptchaWidget
+              key={captchaKey}
+              onComplete={(success, token) => {
+                setVerified(success);
+                setCaptchaToken(token);
+              }}
+            />
 
             {/* Submit Button */}
 
@@ -626,6 +641,8 @@ const Register = () => {
               )}
             </button>
 
+            <OAuthButtons />
+
             <p className="text-xs text-center text-gray-100">
               Already have an account?{" "}
               <Link
@@ -0,0 +1,178 @@
+import { useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import {
+  Eye,
+  EyeOff,
+  Loader2,
+  AlertCircle,
+  CheckCircle2,
+  Lock,
+} from "lucide-react";
+import { resetPassword } from "@/components/api";
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [showPassword, setShowPassword] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(
+        `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      );
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await resetPassword(token, password);
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.message || "Failed to reset password");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const inputClass =
+    "block w-full pl-10 pr-10 py-3 bg-gray-800/50 border border-gray-600 rounded-xl text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200";
+
+  return (
+    <div className="min-h-screen w-full flex items-center justify-center bg-gradient-to-br from-gray-900 via-black to-gray-900 px-4 py-8">
+      <div className="relative w-full max-w-md space-y-8">
+        <div className="text-center">
+          <h1 className="text-2xl sm:text-3xl font-bold text-white mb-2">
+            Reset Password
+          </h1>
+          <p className="text-gray-400 text-sm sm:text-base">
+            Choose a new password for your account and panel
+          </p>
+        </div>
+
+        <div className="bg-gray-900/50 backdrop-blur-xl border border-gray-700/50 rounded-2xl p-6 sm:p-8 shadow-2xl">
+          {!token ? (
+            <div className="space-y-4 text-center">
+              <p className="text-sm text-red-300">
+                This reset link is missing its token.
+              </p>
+              <Link
+                to="/auth/forgot-password"
+                className="text-sm text-blue-400 hover:text-blue-300"
+              >
+                Request a new link
+              </Link>
+            </div>
+          ) : message ? (
+            <div className="space-y-4">
+              <div className="bg-green-900/30 border border-green-500/50 text-green-200 px-4 py-3 rounded-xl flex items-start gap-3">
+                <CheckCircle2 className="w-5 h-5 mt-0.5 flex-shrink-0" />
+                <span className="text-sm">{message}</span>
+              </div>
+              <Link
+                to="/auth/login"
+                className="block w-full text-center py-3 px-4 text-sm font-medium rounded-xl text-white bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 transition-all duration-200 shadow-lg"
+              >
+                Sign In
+              </Link>
+            </div>
+          ) : (
+            <form className="space-y-6" onSubmit={handleSubmit}>
+              {error && (
+                <div
+                  className="bg-red-900/30 border border-red-500/50 text-red-200 px-4 py-3 rounded-xl flex items-start gap-3"
+                  role="alert"
+                >
+                  <AlertCircle className="w-5 h-5 mt-0.5 flex-shrink-0" />
+                  <span className="text-sm">
+                    {error}{" "}
+                    <Link
+                      to="/auth/forgot-password"
+                      className="underline hover:text-white"
+                    >
+                      Request a new link
+                    </Link>
+                  </span>
+                </div>
+              )}
+
+              {[
+                ["password", "New Password", password, setPassword],
+                [
+                  "confirmPassword",
+                  "Confirm Password",
+                  confirmPassword,
+                  setConfirmPassword,
+                ],
+              ].map(([id, label, value, setValue]) => (
+                <div key={id} className="space-y-2">
+                  <label
+                    htmlFor={id}
+                    className="block text-sm font-medium text-gray-300"
+                  >
+                    {label}
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Lock className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id={id}
+                      type={showPassword ? "text" : "password"}
+                      required
+                      value={value}
+                      onChange={(e) => setValue(e.target.value)}
+                      className={inputClass}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowPassword(!showPassword)}
+                      className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-400 hover:text-white transition-colors"
+                    >
+                      {showPassword ? (
+                        <EyeOff className="h-5 w-5" />
+                      ) : (
+                        <Eye className="h-5 w-5" />
+                      )}
+                    </button>
+                  </div>
+                </div>
+              ))}
+
+              <button
+                type="submit"
+                disabled={isLoading || !password || !confirmPassword}
+                className="w-full flex justify-center items-center gap-2 py-3 px-4 text-sm font-medium rounded-xl text-white bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 shadow-lg"
+              >
+                {isLoading ? (
+                  <>
+                    <Loader2 className="w-4 h-4 animate-spin" />
+                    Resetting...
+                  </>
+                ) : (
+                  "Reset Password"
+                )}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
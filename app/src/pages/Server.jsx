@@ -1,6 +1,13 @@
 import Servers from "@/components/servers";
+import ServerConsole from "@/components/console";
 import { Link } from "react-router-dom";
-import { deleteServer, updateServer, userData } from "@/components/api";
+import {
+  deleteServer,
+  updateServer,
+  userData,
+  serverPowerAction,
+  renewServer,
+} from "@/components/api";
 import { useState, useEffect } from "react";
 
 export default function ServerManager() {
@@ -16,6 +23,7 @@ export default function ServerManager() {
   const [deleteModalOpen, setDeleteModalOpen] = useState(false);
   const [editingServer, setEditingServer] = useState(null);
   const [deletingServer, setDeletingServer] = useState(null);
+  const [consoleServer, setConsoleServer] = useState(null);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState({ type: "", text: "" });
   const [refreshTrigger, setRefreshTrigger] = useState(0);
@@ -134,6 +142,27 @@ export default function ServerManager() {
     }
   };
 
+  const handlePower = async (server, action) => {
+    await serverPowerAction(server.id, action);
+    setMessage({
+      type: "success",
+      text: `Power action '${action}' sent to ${
+        server.panelData?.name || "server"
+      }`,
+    });
+  };
+
+  const handleRenew = async (server) => {
+    const result = await renewServer(server.id);
+    setMessage({
+      type: "success",
+      text: `Server renewed until ${new Date(
+        result.data.renewDate
+      ).toLocaleDateString()} (${result.data.totalCost} coins)`,
+    });
+    return result;
+  };
+
   const closeModal = () => {
     if (loading) return; // Prevent closing during operations
     setEditModalOpen(false);
@@ -209,6 +238,9 @@ export default function ServerManager() {
           EditModal={editModalOpen}
           onEdit={handleEdit}
           onDelete={handleDeleteClick}
+          onPower={handlePower}
+          onConsole={setConsoleServer}
+          onRenew={handleRenew}
           refreshTrigger={refreshTrigger}
         />
       </div>
@@ -355,6 +387,14 @@ export default function ServerManager() {
         </div>
       )}
 
+      {/* Console Modal */}
+      {consoleServer && (
+        <ServerConsole
+          server={consoleServer}
+          onClose={() => setConsoleServer(null)}
+        />
+      )}
+
       {/* Delete Confirmation Modal */}
       {deleteModalOpen && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -0,0 +1,555 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  ShieldCheck,
+  ShieldOff,
+  RefreshCw,
+  Loader2,
+  Monitor,
+  LogOut,
+  KeyRound,
+  Copy,
+  Link2,
+} from "lucide-react";
+import {
+  userData,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  getApiKeys,
+  createApiKey,
+  deleteApiKey,
+  getOAuthProviders,
+} from "@/components/api";
+import { useAuth } from "@/context/AuthProvider";
+import {
+  CodeInput,
+  RecoveryCodes,
+  TwoFactorSetup,
+} from "@/components/two-factor";
+
+function TwoFactorSection() {
+  const [enabled, setEnabled] = useState(null);
+  const [enrolling, setEnrolling] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const data = await userData();
+      setEnabled(Boolean(data?.user?.twoFactorEnabled));
+    } catch (err) {
+      setError(err.message || "Failed to load account");
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    setMessage("");
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || "Request failed");
+    } finally {
+      setCode("");
+      setBusy(false);
+    }
+  };
+
+  const handleEnabled = (response) => {
+    setEnrolling(false);
+    setEnabled(true);
+    setRecoveryCodes(response.recoveryCodes);
+  };
+
+  const handleRegenerate = () =>
+    run(async () => {
+      const response = await regenerateRecoveryCodes(code);
+      setRecoveryCodes(response.recoveryCodes);
+    });
+
+  const handleDisable = () =>
+    run(async () => {
+      const response = await disableTwoFactor(password, { code });
+      setPassword("");
+      setRecoveryCodes(null);
+      setEnabled(false);
+      setMessage(response.message);
+    });
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 space-y-4">
+      <div className="flex items-center space-x-2">
+        {enabled ? (
+          <ShieldCheck className="w-5 h-5 text-green-400" />
+        ) : (
+          <ShieldOff className="w-5 h-5 text-gray-400" />
+        )}
+        <h2 className="text-lg font-semibold">Two-Factor Authentication</h2>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-900/50 border border-red-700 rounded-lg text-sm text-red-200">
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="p-3 bg-green-900/50 border border-green-700 rounded-lg text-sm text-green-200">
+          {message}
+        </div>
+      )}
+
+      {enabled === null ? (
+        <Loader2 className="w-5 h-5 text-gray-400 animate-spin" />
+      ) : recoveryCodes ? (
+        <div className="space-y-4">
+          <RecoveryCodes codes={recoveryCodes} />
+          <button
+            onClick={() => setRecoveryCodes(null)}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg text-sm"
+          >
+            I have saved my codes
+          </button>
+        </div>
+      ) : !enabled ? (
+        enrolling ? (
+          <TwoFactorSetup onEnabled={handleEnabled} />
+        ) : (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-400">
+              Protect your account with a code from an authenticator app when
+              you sign in.
+            </p>
+            <button
+              onClick={() => setEnrolling(true)}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg text-sm"
+            >
+              Set up two-factor authentication
+            </button>
+          </div>
+        )
+      ) : (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-400">
+            Two-factor authentication is on. Enter a current code to generate
+            new recovery codes or, with your password, to turn it off.
+          </p>
+          <div className="max-w-xs">
+            <CodeInput value={code} onChange={setCode} />
+          </div>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password (to disable)"
+            className="block w-full max-w-xs p-2 bg-gray-700 border border-gray-600 rounded-lg text-sm"
+          />
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={handleRegenerate}
+              disabled={busy || code.length !== 6}
+              className="flex items-center space-x-2 px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-sm"
+            >
+              <RefreshCw className="w-4 h-4" />
+              <span>New recovery codes</span>
+            </button>
+            <button
+              onClick={handleDisable}
+              disabled={busy || code.length !== 6 || !password}
+              className="flex items-center space-x-2 px-4 py-2 bg-red-600 hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-sm"
+            >
+              <ShieldOff className="w-4 h-4" />
+              <span>Disable</span>
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function SessionsSection() {
+  const [sessions, setSessions] = useState(null);
+  const [error, setError] = useState("");
+  const { logout } = useAuth();
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const data = await getSessions();
+      setSessions(data.sessions);
+    } catch (err) {
+      setError(err.message || "Failed to load sessions");
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (session) => {
+    setError("");
+    try {
+      await revokeSession(session.id);
+      if (session.current) return logout();
+      loadSessions();
+    } catch (err) {
+      setError(err.message || "Failed to revoke session");
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    if (!confirm("Log out of every device, including this one?")) return;
+
+    setError("");
+    try {
+      await revokeAllSessions();
+      logout();
+    } catch (err) {
+      setError(err.message || "Failed to log out everywhere");
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <Monitor className="w-5 h-5 text-blue-400" />
+          <h2 className="text-lg font-semibold">Active Sessions</h2>
+        </div>
+        <button
+          onClick={handleRevokeAll}
+          className="flex items-center space-x-2 px-3 py-2 bg-red-600 hover:bg-red-700 rounded-lg text-sm"
+        >
+          <LogOut className="w-4 h-4" />
+          <span>Log out everywhere</span>
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-900/50 border border-red-700 rounded-lg text-sm text-red-200">
+          {error}
+        </div>
+      )}
+
+      {!sessions ? (
+        !error && <Loader2 className="w-5 h-5 text-gray-400 animate-spin" />
+      ) : (
+        <ul className="divide-y divide-gray-700">
+          {sessions.map((session) => (
+            <li
+              key={session.id}
+              className="py-3 flex items-center justify-between gap-4"
+            >
+              <div className="min-w-0">
+                <p className="text-sm truncate">
+                  {session.userAgent || "Unknown device"}
+                  {session.current && (
+                    <span className="ml-2 px-2 py-0.5 bg-green-900/50 text-green-300 rounded text-xs">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-400">
+                  {session.ip || "Unknown IP"} · last active{" "}
+                  {new Date(session.lastSeenAt).toLocaleString()}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRevoke(session)}
+                className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm flex-shrink-0"
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const emptyKeyForm = { name: "", scopes: [], expiresInDays: "" };
+
+function ApiKeysSection() {
+  const [apiKeys, setApiKeys] = useState(null);
+  const [scopes, setScopes] = useState([]);
+  const [form, setForm] = useState(emptyKeyForm);
+  const [newKey, setNewKey] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const loadApiKeys = useCallback(async () => {
+    try {
+      const data = await getApiKeys();
+      setApiKeys(data.apiKeys);
+      setScopes(data.scopes);
+    } catch (err) {
+      setError(err.message || "Failed to load API keys");
+    }
+  }, []);
+
+  useEffect(() => {
+    loadApiKeys();
+  }, [loadApiKeys]);
+
+  const toggleScope = (name) =>
+    setForm((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(name)
+        ? prev.scopes.filter((scope) => scope !== name)
+        : [...prev.scopes, name],
+    }));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError("");
+    setIsLoading(true);
+
+    try {
+      const data = await createApiKey({
+        ...form,
+        expiresInDays: form.expiresInDays || null,
+      });
+      setNewKey(data.key);
+      setCopied(false);
+      setForm(emptyKeyForm);
+      loadApiKeys();
+    } catch (err) {
+      setError(err.message || "Failed to create API key");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDelete = async (apiKey) => {
+    if (
+      !confirm(`Delete "${apiKey.name}"? Scripts using it will stop working.`)
+    )
+      return;
+
+    setError("");
+    try {
+      await deleteApiKey(apiKey.id);
+      loadApiKeys();
+    } catch (err) {
+      setError(err.message || "Failed to delete API key");
+    }
+  };
+
+  const copyKey = async () => {
+    await navigator.clipboard.writeText(newKey);
+    setCopied(true);
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 space-y-4">
+      <div className="flex items-center space-x-2">
+        <KeyRound className="w-5 h-5 text-blue-400" />
+        <h2 className="text-lg font-semibold">API Keys</h2>
+      </div>
+      <p className="text-sm text-gray-300">
+        Use a key from scripts by sending it as{" "}
+        <code className="text-blue-300">Authorization: Bearer &lt;key&gt;</code>
+        . Keys can only do what their scopes allow.
+      </p>
+
+      {error && (
+        <div className="p-3 bg-red-900/50 border border-red-700 rounded-lg text-sm text-red-200">
+          {error}
+        </div>
+      )}
+
+      {newKey && (
+        <div className="p-3 bg-green-900/30 border border-green-700 rounded-lg space-y-2">
+          <p className="text-sm text-green-200">
+            Copy your new key now. It will not be shown again.
+          </p>
+          <code className="block break-all font-mono text-sm text-white">
+            {newKey}
+          </code>
+          <button
+            type="button"
+            onClick={copyKey}
+            className="flex items-center gap-2 text-sm text-blue-400 hover:text-blue-300"
+          >
+            <Copy className="w-4 h-4" />
+            {copied ? "Copied" : "Copy key"}
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="space-y-3">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) =>
+              setForm((prev) => ({ ...prev, name: e.target.value }))
+            }
+            placeholder="Key name, e.g. CI deploy"
+            maxLength={100}
+            className="md:col-span-2 p-2 bg-gray-700 border border-gray-600 rounded-lg text-sm"
+            required
+          />
+          <select
+            value={form.expiresInDays}
+            onChange={(e) =>
+              setForm((prev) => ({ ...prev, expiresInDays: e.target.value }))
+            }
+            className="p-2 bg-gray-700 border border-gray-600 rounded-lg text-sm"
+          >
+            <option value="">Never expires</option>
+            <option value="30">Expires in 30 days</option>
+            <option value="90">Expires in 90 days</option>
+            <option value="365">Expires in 1 year</option>
+          </select>
+        </div>
+        <div className="space-y-1">
+          {scopes.map(({ name, description }) => (
+            <label key={name} className="flex items-center space-x-2 text-sm">
+              <input
+                type="checkbox"
+                checked={form.scopes.includes(name)}
+                onChange={() => toggleScope(name)}
+              />
+              <span className="font-mono text-blue-300">{name}</span>
+              <span className="text-gray-400">{description}</span>
+            </label>
+          ))}
+        </div>
+        <button
+          type="submit"
+          disabled={isLoading || !form.name || form.scopes.length === 0}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg text-sm disabled:opacity-50"
+        >
+          Create key
+        </button>
+      </form>
+
+      {!apiKeys
+        ? !error && <Loader2 className="w-5 h-5 text-gray-400 animate-spin" />
+        : apiKeys.length > 0 && (
+            <ul className="divide-y divide-gray-700">
+              {apiKeys.map((apiKey) => (
+                <li
+                  key={apiKey.id}
+                  className="py-3 flex items-center justify-between gap-4"
+                >
+                  <div className="min-w-0">
+                    <p className="text-sm truncate">
+                      {apiKey.name}{" "}
+                      <span className="font-mono text-gray-400">
+                        {apiKey.prefix}…
+                      </span>
+                    </p>
+                    <p className="text-xs text-gray-400">
+                      {apiKey.scopes.join(", ")} ·{" "}
+                      {apiKey.lastUsedAt
+                        ? `last used ${new Date(
+                            apiKey.lastUsedAt
+                          ).toLocaleString()}`
+                        : "never used"}
+                      {apiKey.expiresAt &&
+                        ` · expires ${new Date(
+                          apiKey.expiresAt
+                        ).toLocaleDateString()}`}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleDelete(apiKey)}
+                    className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm flex-shrink-0"
+                  >
+                    Delete
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+    </div>
+  );
+}
+
+function LinkedAccountsSection() {
+  const [providers, setProviders] = useState([]);
+  // The link callback reports back in the URL fragment
+  const [result] = useState(() => {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    return { linked: params.get("linked"), error: params.get("error") };
+  });
+
+  useEffect(() => {
+    if (result.linked || result.error) {
+      window.history.replaceState(null, "", window.location.pathname);
+    }
+
+    const fetchProviders = async () => {
+      try {
+        const data = await getOAuthProviders();
+        setProviders(data.providers);
+      } catch (err) {
+        console.error("Failed to load login providers:", err);
+      }
+    };
+    fetchProviders();
+  }, [result]);
+
+  if (providers.length === 0) return null;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 space-y-4">
+      <div className="flex items-center space-x-2">
+        <Link2 className="w-5 h-5 text-blue-400" />
+        <h2 className="text-lg font-semibold">Linked Accounts</h2>
+      </div>
+      <p className="text-sm text-gray-400">
+        Link an account to sign in with it instead of your password.
+      </p>
+
+      {result.error && (
+        <div className="p-3 bg-red-900/50 border border-red-700 rounded-lg text-sm text-red-200">
+          {result.error}
+        </div>
+      )}
+      {result.linked && (
+        <div className="p-3 bg-green-900/50 border border-green-700 rounded-lg text-sm text-green-200">
+          Your {result.linked} account is now linked
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        {providers.map(({ name, label }) => (
+          <a
+            key={name}
+            href={`/api/auth/oauth/${name}/link`}
+            className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm"
+          >
+            Link {label}
+          </a>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function Settings() {
+  return (
+    <div className="p-6 text-white space-y-6 max-w-3xl mx-auto w-full">
+      <h1 className="text-2xl font-bold">Settings</h1>
+      <TwoFactorSection />
+      <SessionsSection />
+      <ApiKeysSection />
+      <LinkedAccountsSection />
+    </div>
+  );
+}
@@ -1,3 +1,191 @@
+import { useState, useEffect, useCallback } from "react";
+import { History, ShoppingCart, Coins, Package } from "lucide-react";
+import {
+  getStoreHistory,
+  getStoreItems,
+  purchaseStoreItem,
+  userData,
+} from "@/components/api";
+import LedgerTable from "@/components/ledger";
+
+const GRANT_LABELS = {
+  ram: (value) => `${value} MB RAM`,
+  disk: (value) => `${value} MB disk`,
+  cpu: (value) => `${value}% CPU`,
+  allocations: (value) => `${value} allocation${value === 1 ? "" : "s"}`,
+  databases: (value) => `${value} database${value === 1 ? "" : "s"}`,
+  slots: (value) => `${value} server slot${value === 1 ? "" : "s"}`,
+};
+
+function StoreItemCard({ item, coins, onBuy, buying }) {
+  const [quantity, setQuantity] = useState(1);
+  const total = item.price * quantity;
+  const soldOut = item.stock === 0;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-5 border border-gray-700 flex flex-col">
+      <div className="flex items-center space-x-2 mb-2">
+        <Package className="w-5 h-5 text-blue-400" />
+        <h3 className="text-lg font-semibold">{item.name}</h3>
+      </div>
+
+      {item.description && (
+        <p className="text-sm text-gray-400 mb-3">{item.description}</p>
+      )}
+
+      <ul className="text-sm text-gray-300 space-y-1 mb-4 flex-1">
+        {Object.entries(item.grants)
+          .filter(([, value]) => value > 0)
+          .map(([field, value]) => (
+            <li key={field}>+ {GRANT_LABELS[field](value)}</li>
+          ))}
+      </ul>
+
+      <div className="flex items-center justify-between text-xs text-gray-400 mb-3">
+        <span>{item.stock === null ? "In stock" : `${item.stock} left`}</span>
+        {item.perUserLimit && <span>Limit {item.perUserLimit} per user</span>}
+      </div>
+
+      <div className="flex items-center space-x-2">
+        <input
+          type="number"
+          min="1"
+          max={item.stock ?? undefined}
+          value={quantity}
+          onChange={(e) =>
+            setQuantity(Math.max(1, parseInt(e.target.value) || 1))
+          }
+          className="w-20 p-2 bg-gray-700 border border-gray-600 rounded-lg text-sm"
+          disabled={soldOut}
+        />
+        <button
+          onClick={() => onBuy(item, quantity)}
+          disabled={soldOut || buying || total > coins}
+          className="flex-1 flex items-center justify-center space-x-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed rounded-lg text-sm transition-colors"
+        >
+          <ShoppingCart className="w-4 h-4" />
+          <span>{soldOut ? "Sold out" : `Buy for ${total}`}</span>
+        </button>
+      </div>
+    </div>
+  );
+}
+
 export default function Store() {
-  return <h1>Store</h1>;
+  const [items, setItems] = useState([]);
+  const [coins, setCoins] = useState(0);
+  const [history, setHistory] = useState({ entries: [], pagination: null });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [buying, setBuying] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const fetchStore = useCallback(async () => {
+    try {
+      const [itemsResponse, userResponse] = await Promise.all([
+        getStoreItems(),
+        userData(),
+      ]);
+      if (itemsResponse.success) setItems(itemsResponse.data);
+      if (userResponse.success) setCoins(userResponse.resources?.coins || 0);
+    } catch (err) {
+      setError(err.message || "Failed to load store");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      const response = await getStoreHistory({ page });
+      if (response.success) setHistory(response.data);
+    } catch (err) {
+      setError(err.message || "Failed to load history");
+    }
+  }, [page]);
+
+  useEffect(() => {
+    fetchStore();
+  }, [fetchStore]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const handleBuy = async (item, quantity) => {
+    try {
+      setBuying(true);
+      setError(null);
+      setSuccess(null);
+
+      const response = await purchaseStoreItem(item.id, quantity);
+      if (response.success) {
+        setSuccess(response.message);
+        setCoins(response.data.coinsRemaining);
+        await Promise.all([fetchStore(), fetchHistory()]);
+      }
+    } catch (err) {
+      setError(err.message || "Purchase failed");
+    } finally {
+      setBuying(false);
+    }
+  };
+
+  return (
+    <div className="p-6 text-white max-w-5xl mx-auto w-full">
+      <div className="flex items-center justify-between mb-6">
+        <h1 className="text-2xl font-bold">Store</h1>
+        <div className="flex items-center space-x-2 px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg">
+          <Coins className="w-4 h-4 text-yellow-400" />
+          <span className="font-medium">{coins} coins</span>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-900/20 border border-red-700 rounded-lg p-3 mb-4 text-red-300 text-sm">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="bg-green-900/20 border border-green-700 rounded-lg p-3 mb-4 text-green-300 text-sm">
+          {success}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-400 mb-6">Loading store...</p>
+      ) : items.length === 0 ? (
+        <p className="text-sm text-gray-400 mb-6">
+          Nothing is for sale right now.
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-6">
+          {items.map((item) => (
+            <StoreItemCard
+              key={item.id}
+              item={item}
+              coins={coins}
+              onBuy={handleBuy}
+              buying={buying}
+            />
+          ))}
+        </div>
+      )}
+
+      <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+        <div className="flex items-center space-x-2 mb-4">
+          <History className="w-5 h-5 text-blue-400" />
+          <h2 className="text-lg font-semibold">Coin History</h2>
+        </div>
+
+        <LedgerTable
+          entries={history.entries}
+          pagination={history.pagination}
+          onPageChange={setPage}
+        />
+      </div>
+    </div>
+  );
 }
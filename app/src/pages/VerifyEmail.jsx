@@ -0,0 +1,78 @@
+import { useState, useEffect } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { Loader2, AlertCircle, CheckCircle2 } from "lucide-react";
+import { verifyEmail } from "@/components/api";
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+  const [error, setError] = useState(
+    token ? "" : "This verification link is missing its token."
+  );
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    if (!token) return;
+
+    const verify = async () => {
+      try {
+        const response = await verifyEmail(token);
+        setMessage(response.message);
+      } catch (err) {
+        setError(err.message || "Failed to verify your email");
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <div className="min-h-screen w-full flex items-center justify-center bg-gradient-to-br from-gray-900 via-black to-gray-900 px-4 py-8">
+      <div className="relative w-full max-w-md space-y-8">
+        <div className="text-center">
+          <h1 className="text-2xl sm:text-3xl font-bold text-white mb-2">
+            Verify Email
+          </h1>
+          <p className="text-gray-400 text-sm sm:text-base">
+            Confirming the address on your account
+          </p>
+        </div>
+
+        <div className="bg-gray-900/50 backdrop-blur-xl border border-gray-700/50 rounded-2xl p-6 sm:p-8 shadow-2xl space-y-4">
+          {error ? (
+            <div
+              className="bg-red-900/30 border border-red-500/50 text-red-200 px-4 py-3 rounded-xl flex items-start gap-3"
+              role="alert"
+            >
+              <AlertCircle className="w-5 h-5 mt-0.5 flex-shrink-0" />
+              <span className="text-sm">
+                {error} Sign in to request a new link.
+              </span>
+            </div>
+          ) : message ? (
+            <div className="bg-green-900/30 border border-green-500/50 text-green-200 px-4 py-3 rounded-xl flex items-start gap-3">
+              <CheckCircle2 className="w-5 h-5 mt-0.5 flex-shrink-0" />
+              <span className="text-sm">{message}</span>
+            </div>
+          ) : (
+            <div className="flex items-center justify-center gap-2 text-gray-300 text-sm">
+              <Loader2 className="w-4 h-4 animate-spin" />
+              Verifying...
+            </div>
+          )}
+
+          {(error || message) && (
+            <Link
+              to="/"
+              className="block w-full text-center py-3 px-4 text-sm font-medium rounded-xl text-white bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 transition-all duration-200 shadow-lg"
+            >
+              Go to Dashboard
+            </Link>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,152 @@
+import { useState, useEffect } from "react";
+import { ScrollText, Search } from "lucide-react";
+import { getLedgerAdmin } from "@/components/api";
+import LedgerTable, { LEDGER_REASONS, reasonLabel } from "@/components/ledger";
+
+const emptyFilters = { userId: "", actorId: "", reason: "", from: "", to: "" };
+
+export default function Ledger() {
+  const [filters, setFilters] = useState(emptyFilters);
+  const [appliedFilters, setAppliedFilters] = useState(emptyFilters);
+  const [ledger, setLedger] = useState({ entries: [], pagination: null });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchLedger = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        // Only send filters that are set
+        const params = { page };
+        Object.entries(appliedFilters).forEach(([key, value]) => {
+          if (value) params[key] = value;
+        });
+
+        const response = await getLedgerAdmin(params);
+        if (response.success) {
+          setLedger(response.data);
+        }
+      } catch (err) {
+        setError(err.message || "Failed to load ledger");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLedger();
+  }, [page, appliedFilters]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedFilters(filters);
+  };
+
+  const updateFilter = (field, value) =>
+    setFilters((prev) => ({ ...prev, [field]: value }));
+
+  const inputClass =
+    "w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-sm focus:ring-2 focus:ring-blue-500";
+
+  return (
+    <div className="p-6 text-white max-w-6xl mx-auto w-full">
+      <div className="flex items-center space-x-3 mb-6">
+        <ScrollText className="w-8 h-8 text-blue-400" />
+        <div>
+          <h1 className="text-2xl font-bold">Ledger</h1>
+          <p className="text-gray-300 text-sm">
+            Every coin and resource change, with who made it and why
+          </p>
+        </div>
+      </div>
+
+      <form
+        onSubmit={handleSearch}
+        className="bg-gray-800 rounded-lg p-4 mb-6 border border-gray-700 grid grid-cols-2 md:grid-cols-6 gap-3 items-end"
+      >
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">User ID</label>
+          <input
+            type="number"
+            min="1"
+            value={filters.userId}
+            onChange={(e) => updateFilter("userId", e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Actor ID</label>
+          <input
+            type="number"
+            min="1"
+            value={filters.actorId}
+            onChange={(e) => updateFilter("actorId", e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Reason</label>
+          <select
+            value={filters.reason}
+            onChange={(e) => updateFilter("reason", e.target.value)}
+            className={inputClass}
+          >
+            <option value="">All</option>
+            {LEDGER_REASONS.map((reason) => (
+              <option key={reason} value={reason}>
+                {reasonLabel(reason)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">From</label>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => updateFilter("from", e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">To</label>
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => updateFilter("to", e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <button
+          type="submit"
+          className="flex items-center justify-center space-x-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg text-sm transition-colors"
+        >
+          <Search className="w-4 h-4" />
+          <span>Filter</span>
+        </button>
+      </form>
+
+      <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+        {error && (
+          <div className="bg-red-900/20 border border-red-700 rounded-lg p-3 mb-3 text-red-300 text-sm">
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <p className="text-sm text-gray-400">Loading ledger...</p>
+        ) : (
+          <LedgerTable
+            entries={ledger.entries}
+            pagination={ledger.pagination}
+            onPageChange={setPage}
+            showUser
+          />
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,345 @@
+import { useState, useEffect } from "react";
+import { PackagePlus, Plus, Edit, Trash2, X } from "lucide-react";
+import {
+  getStoreItemsAdmin,
+  createStoreItem,
+  updateStoreItem,
+  deleteStoreItem,
+} from "@/components/api";
+
+const GRANT_FIELDS = [
+  { key: "ram", label: "RAM (MB)" },
+  { key: "disk", label: "Disk (MB)" },
+  { key: "cpu", label: "CPU (%)" },
+  { key: "allocations", label: "Allocations" },
+  { key: "databases", label: "Databases" },
+  { key: "slots", label: "Server slots" },
+];
+
+const emptyForm = {
+  name: "",
+  description: "",
+  ram: "",
+  disk: "",
+  cpu: "",
+  allocations: "",
+  databases: "",
+  slots: "",
+  price: "",
+  stock: "",
+  perUserLimit: "",
+  active: true,
+};
+
+// Form values for an existing item; null stock/limit become empty inputs
+const itemToForm = (item) => ({
+  name: item.name,
+  description: item.description || "",
+  ...Object.fromEntries(
+    GRANT_FIELDS.map(({ key }) => [key, item.grants[key] || ""])
+  ),
+  price: item.price,
+  stock: item.stock ?? "",
+  perUserLimit: item.perUserLimit ?? "",
+  active: item.active,
+});
+
+export default function Products() {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [editingItem, setEditingItem] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchItems();
+  }, []);
+
+  const fetchItems = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await getStoreItemsAdmin();
+      if (response.success) {
+        setItems(response.data);
+      }
+    } catch (err) {
+      setError(err.message || "Failed to fetch store items");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreate = () => {
+    setEditingItem(null);
+    setFormData(emptyForm);
+    setShowForm(true);
+  };
+
+  const openEdit = (item) => {
+    setEditingItem(item);
+    setFormData(itemToForm(item));
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingItem(null);
+    setFormData(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setError(null);
+
+      const response = editingItem
+        ? await updateStoreItem(editingItem.id, formData)
+        : await createStoreItem(formData);
+
+      if (response.success) {
+        closeForm();
+        await fetchItems();
+      }
+    } catch (err) {
+      const details = err.details?.details
+        ?.map((detail) => detail.message)
+        .join(", ");
+      setError(details || err.message || "Failed to save store item");
+    }
+  };
+
+  const handleDelete = async (item) => {
+    if (!window.confirm(`Delete "${item.name}" from the store?`)) return;
+
+    try {
+      setError(null);
+      const response = await deleteStoreItem(item.id);
+      if (response.success) {
+        setItems((prev) => prev.filter((i) => i.id !== item.id));
+      }
+    } catch (err) {
+      setError(err.message || "Failed to delete store item");
+    }
+  };
+
+  const updateField = (field, value) =>
+    setFormData((prev) => ({ ...prev, [field]: value }));
+
+  const inputClass =
+    "w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-sm focus:ring-2 focus:ring-blue-500";
+
+  return (
+    <div className="p-6 text-white max-w-6xl mx-auto w-full">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center space-x-3">
+          <PackagePlus className="w-8 h-8 text-blue-400" />
+          <div>
+            <h1 className="text-2xl font-bold">Products</h1>
+            <p className="text-gray-300 text-sm">
+              Resource bundles users can buy with coins
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={openCreate}
+          className="flex items-center space-x-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg text-sm transition-colors"
+        >
+          <Plus className="w-4 h-4" />
+          <span>New Product</span>
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-900/20 border border-red-700 rounded-lg p-3 mb-4 text-red-300 text-sm">
+          {error}
+        </div>
+      )}
+
+      {showForm && (
+        <form
+          onSubmit={handleSubmit}
+          className="bg-gray-800 rounded-lg p-6 mb-6 border border-gray-700"
+        >
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold">
+              {editingItem ? `Edit ${editingItem.name}` : "New Product"}
+            </h2>
+            <button
+              type="button"
+              onClick={closeForm}
+              className="p-2 text-gray-400 hover:text-white hover:bg-gray-700 rounded-lg transition-colors"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Name</label>
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) => updateField("name", e.target.value)}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">
+                Price (coins)
+              </label>
+              <input
+                type="number"
+                min="0"
+                value={formData.price}
+                onChange={(e) => updateField("price", e.target.value)}
+                className={inputClass}
+                required
+              />
+            </div>
+          </div>
+
+          <div className="mb-4">
+            <label className="block text-sm font-medium mb-1">
+              Description
+            </label>
+            <textarea
+              value={formData.description}
+              onChange={(e) => updateField("description", e.target.value)}
+              className={inputClass}
+              rows={2}
+            />
+          </div>
+
+          <h3 className="text-sm font-medium text-gray-300 mb-2">Grants</h3>
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-4">
+            {GRANT_FIELDS.map(({ key, label }) => (
+              <div key={key}>
+                <label className="block text-xs text-gray-400 mb-1">
+                  {label}
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  value={formData[key]}
+                  onChange={(e) => updateField(key, e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4 items-end">
+            <div>
+              <label className="block text-sm font-medium mb-1">Stock</label>
+              <input
+                type="number"
+                min="0"
+                value={formData.stock}
+                onChange={(e) => updateField("stock", e.target.value)}
+                placeholder="Unlimited"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">
+                Limit per user
+              </label>
+              <input
+                type="number"
+                min="1"
+                value={formData.perUserLimit}
+                onChange={(e) => updateField("perUserLimit", e.target.value)}
+                placeholder="Unlimited"
+                className={inputClass}
+              />
+            </div>
+            <label className="flex items-center space-x-2 text-sm pb-2">
+              <input
+                type="checkbox"
+                checked={formData.active}
+                onChange={(e) => updateField("active", e.target.checked)}
+              />
+              <span>For sale</span>
+            </label>
+          </div>
+
+          <button
+            type="submit"
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg text-sm transition-colors"
+          >
+            {editingItem ? "Save Changes" : "Create Product"}
+          </button>
+        </form>
+      )}
+
+      <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+        {loading ? (
+          <p className="text-sm text-gray-400">Loading products...</p>
+        ) : items.length === 0 ? (
+          <p className="text-sm text-gray-400">No products yet.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="text-left text-gray-400">
+              <tr>
+                <th className="p-2">Name</th>
+                <th className="p-2">Grants</th>
+                <th className="p-2">Price</th>
+                <th className="p-2">Stock</th>
+                <th className="p-2">Limit</th>
+                <th className="p-2">Status</th>
+                <th className="p-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((item) => (
+                <tr key={item.id} className="border-t border-gray-700">
+                  <td className="p-2">{item.name}</td>
+                  <td className="p-2 text-xs">
+                    {GRANT_FIELDS.filter(({ key }) => item.grants[key] > 0)
+                      .map(({ key, label }) => `${item.grants[key]} ${label}`)
+                      .join(", ")}
+                  </td>
+                  <td className="p-2">{item.price}</td>
+                  <td className="p-2">{item.stock ?? "∞"}</td>
+                  <td className="p-2">{item.perUserLimit ?? "∞"}</td>
+                  <td className="p-2">
+                    <span
+                      className={`px-2 py-1 rounded-full text-xs ${
+                        item.active
+                          ? "bg-green-900/50 text-green-300"
+                          : "bg-gray-700 text-gray-400"
+                      }`}
+                    >
+                      {item.active ? "For sale" : "Hidden"}
+                    </span>
+                  </td>
+                  <td className="p-2">
+                    <div className="flex justify-end space-x-1">
+                      <button
+                        onClick={() => openEdit(item)}
+                        className="p-2 text-gray-400 hover:text-white hover:bg-gray-700 rounded-lg transition-colors"
+                        title="Edit"
+                      >
+                        <Edit className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(item)}
+                        className="p-2 text-gray-400 hover:text-red-400 hover:bg-gray-700 rounded-lg transition-colors"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
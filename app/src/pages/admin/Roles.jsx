@@ -0,0 +1,290 @@
+import { useState, useEffect } from "react";
+import { ShieldUser, Plus, Edit, Trash2, X } from "lucide-react";
+import {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole,
+} from "@/components/api";
+
+const emptyForm = {
+  name: "",
+  description: "",
+  permissions: [],
+};
+
+export default function Roles() {
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [editingRole, setEditingRole] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchRoles();
+  }, []);
+
+  const fetchRoles = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [rolesResponse, permissionsResponse] = await Promise.all([
+        getRoles(),
+        getPermissions(),
+      ]);
+      if (rolesResponse.success) {
+        setRoles(rolesResponse.data);
+      }
+      if (permissionsResponse.success) {
+        setPermissions(permissionsResponse.data);
+      }
+    } catch (err) {
+      setError(err.message || "Failed to fetch roles");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreate = () => {
+    setEditingRole(null);
+    setFormData(emptyForm);
+    setShowForm(true);
+  };
+
+  const openEdit = (role) => {
+    setEditingRole(role);
+    setFormData({
+      name: role.name,
+      description: role.description || "",
+      permissions: role.permissions,
+    });
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingRole(null);
+    setFormData(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setError(null);
+
+      const response = editingRole
+        ? await updateRole(editingRole.id, formData)
+        : await createRole(formData);
+
+      if (response.success) {
+        closeForm();
+        await fetchRoles();
+      }
+    } catch (err) {
+      const details = err.details?.details
+        ?.map((detail) => detail.message)
+        .join(", ");
+      setError(details || err.message || "Failed to save role");
+    }
+  };
+
+  const handleDelete = async (role) => {
+    const holders = role.userCount
+      ? ` ${role.userCount} user(s) will lose it.`
+      : "";
+    if (!window.confirm(`Delete the "${role.name}" role?${holders}`)) return;
+
+    try {
+      setError(null);
+      const response = await deleteRole(role.id);
+      if (response.success) {
+        setRoles((prev) => prev.filter((r) => r.id !== role.id));
+      }
+    } catch (err) {
+      setError(err.message || "Failed to delete role");
+    }
+  };
+
+  const togglePermission = (name) =>
+    setFormData((prev) => ({
+      ...prev,
+      permissions: prev.permissions.includes(name)
+        ? prev.permissions.filter((p) => p !== name)
+        : [...prev.permissions, name],
+    }));
+
+  const inputClass =
+    "w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-sm focus:ring-2 focus:ring-blue-500";
+
+  return (
+    <div className="p-6 text-white max-w-6xl mx-auto w-full">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center space-x-3">
+          <ShieldUser className="w-8 h-8 text-blue-400" />
+          <div>
+            <h1 className="text-2xl font-bold">Roles</h1>
+            <p className="text-gray-300 text-sm">
+              Dashboard access for staff who are not panel administrators.
+              Assign roles from the Users page.
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={openCreate}
+          className="flex items-center space-x-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg text-sm transition-colors"
+        >
+          <Plus className="w-4 h-4" />
+          <span>New Role</span>
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-900/20 border border-red-700 rounded-lg p-3 mb-4 text-red-300 text-sm">
+          {error}
+        </div>
+      )}
+
+      {showForm && (
+        <form
+          onSubmit={handleSubmit}
+          className="bg-gray-800 rounded-lg p-6 mb-6 border border-gray-700"
+        >
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold">
+              {editingRole ? `Edit ${editingRole.name}` : "New Role"}
+            </h2>
+            <button
+              type="button"
+              onClick={closeForm}
+              className="p-2 text-gray-400 hover:text-white hover:bg-gray-700 rounded-lg transition-colors"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Name</label>
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) =>
+                  setFormData((prev) => ({ ...prev, name: e.target.value }))
+                }
+                className={inputClass}
+                maxLength={50}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">
+                Description
+              </label>
+              <input
+                type="text"
+                value={formData.description}
+                onChange={(e) =>
+                  setFormData((prev) => ({
+                    ...prev,
+                    description: e.target.value,
+                  }))
+                }
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <h3 className="text-sm font-medium text-gray-300 mb-2">
+            Permissions
+          </h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-4">
+            {permissions.map(({ name, description }) => (
+              <label
+                key={name}
+                className="flex items-start space-x-2 text-sm bg-gray-700/50 rounded-lg p-2"
+              >
+                <input
+                  type="checkbox"
+                  className="mt-1"
+                  checked={formData.permissions.includes(name)}
+                  onChange={() => togglePermission(name)}
+                />
+                <span>
+                  <span className="font-mono text-blue-300">{name}</span>
+                  <span className="block text-xs text-gray-400">
+                    {description}
+                  </span>
+                </span>
+              </label>
+            ))}
+          </div>
+
+          <button
+            type="submit"
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg text-sm transition-colors"
+          >
+            {editingRole ? "Save Changes" : "Create Role"}
+          </button>
+        </form>
+      )}
+
+      <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+        {loading ? (
+          <p className="text-sm text-gray-400">Loading roles...</p>
+        ) : roles.length === 0 ? (
+          <p className="text-sm text-gray-400">No roles yet.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="text-left text-gray-400">
+              <tr>
+                <th className="p-2">Name</th>
+                <th className="p-2">Permissions</th>
+                <th className="p-2">Users</th>
+                <th className="p-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {roles.map((role) => (
+                <tr key={role.id} className="border-t border-gray-700">
+                  <td className="p-2">
+                    <div>{role.name}</div>
+                    {role.description && (
+                      <div className="text-xs text-gray-400">
+                        {role.description}
+                      </div>
+                    )}
+                  </td>
+                  <td className="p-2 text-xs font-mono">
+                    {role.permissions.join(", ") || "None"}
+                  </td>
+                  <td className="p-2">{role.userCount}</td>
+                  <td className="p-2">
+                    <div className="flex justify-end space-x-1">
+                      <button
+                        onClick={() => openEdit(role)}
+                        className="p-2 text-gray-400 hover:text-white hover:bg-gray-700 rounded-lg transition-colors"
+                        title="Edit"
+                      >
+                        <Edit className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(role)}
+                        className="p-2 text-gray-400 hover:text-red-400 hover:bg-gray-700 rounded-lg transition-colors"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -71,8 +71,8 @@ export default function AdminServers() {
       console.log("Response structure:", Object.keys(response));
 
       if (response.success) {
-        setServers(response.data?.servers || []);
-        setPagination(response.data?.pagination || {});
+        setServers(response.servers || []);
+        setPagination(response.pagination || {});
       } else {
         throw new Error(response.error || "Failed to fetch servers");
       }
@@ -256,7 +256,7 @@ export default function AdminServers() {
       const response = await getServerByIdAdmin(serverId);
 
       if (response.success) {
-        setViewingServer(response.data);
+        setViewingServer(response.server);
       } else {
         throw new Error(response.error || "Failed to fetch server details");
       }
@@ -402,10 +402,10 @@ export default function AdminServers() {
               className="w-full p-3 bg-gray-700 border border-gray-600 rounded-lg text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             >
               <option value="">All Statuses</option>
-              <option value="online">Online</option>
-              <option value="offline">Offline</option>
-              <option value="starting">Starting</option>
-              <option value="stopping">Stopping</option>
+              <option value="installing">Installing</option>
+              <option value="install_failed">Install failed</option>
+              <option value="suspended">Suspended</option>
+              <option value="restoring_backup">Restoring backup</option>
             </select>
           </div>
           <div>
@@ -771,7 +771,7 @@ export default function AdminServers() {
       <div className="bg-gray-800 rounded-lg shadow-lg p-6">
         <div className="flex justify-between items-center mb-6">
           <h2 className="text-xl font-semibold">
-            Servers ({pagination.totalItems || servers.length})
+            Servers ({pagination.total || servers.length})
           </h2>
           <div className="flex gap-2">
             <button
@@ -918,7 +918,7 @@ export default function AdminServers() {
         )}
 
         {/* Pagination */}
-        {pagination.totalPages > 1 && (
+        {pagination.pages > 1 && (
           <div className="flex justify-between items-center mt-6">
             <div className="flex items-center gap-2">
               <span className="text-gray-400">Show:</span>
@@ -954,15 +954,15 @@ export default function AdminServers() {
 
               <div className="flex gap-1">
                 {Array.from(
-                  { length: Math.min(5, pagination.totalPages) },
+                  { length: Math.min(5, pagination.pages) },
                   (_, i) => {
                     let pageNum;
-                    if (pagination.totalPages <= 5) {
+                    if (pagination.pages <= 5) {
                       pageNum = i + 1;
                     } else if (filters.page <= 3) {
                       pageNum = i + 1;
-                    } else if (filters.page >= pagination.totalPages - 2) {
-                      pageNum = pagination.totalPages - 4 + i;
+                    } else if (filters.page >= pagination.pages - 2) {
+                      pageNum = pagination.pages - 4 + i;
                     } else {
                       pageNum = filters.page - 2 + i;
                     }
@@ -990,7 +990,7 @@ export default function AdminServers() {
                 onClick={() =>
                   setFilters({ ...filters, page: filters.page + 1 })
                 }
-                disabled={filters.page === pagination.totalPages}
+                disabled={filters.page === pagination.pages}
                 className="bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-1 rounded text-sm transition-colors"
               >
                 Next
@@ -1001,9 +1001,9 @@ export default function AdminServers() {
               Showing {(filters.page - 1) * filters.limit + 1} to{" "}
               {Math.min(
                 filters.page * filters.limit,
-                pagination.totalItems || servers.length
+                pagination.total || servers.length
               )}{" "}
-              of {pagination.totalItems || servers.length} entries
+              of {pagination.total || servers.length} entries
             </div>
           </div>
         )}
@@ -0,0 +1,323 @@
+import { useState, useEffect } from "react";
+import {
+  SlidersHorizontal,
+  RotateCcw,
+  Save,
+  ChevronLeft,
+  ChevronRight,
+} from "lucide-react";
+import {
+  getSettings,
+  updateSettings,
+  getSettingsHistory,
+} from "@/components/api";
+
+const groupSettings = (settings) =>
+  settings.reduce((groups, setting) => {
+    (groups[setting.group] ??= []).push(setting);
+    return groups;
+  }, {});
+
+const valuesOf = (settings) =>
+  Object.fromEntries(settings.map(({ key, value }) => [key, value]));
+
+// A null history value means nothing was saved, so the default applied
+const formatValue = (value) =>
+  value === null ? (
+    <span className="text-gray-500 italic">default</span>
+  ) : (
+    String(value)
+  );
+
+export default function Settings() {
+  const [settings, setSettings] = useState([]);
+  const [values, setValues] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [history, setHistory] = useState({ changes: [], pagination: null });
+  const [historyPage, setHistoryPage] = useState(1);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  useEffect(() => {
+    fetchHistory(historyPage);
+  }, [historyPage]);
+
+  const applySettings = (data) => {
+    setSettings(data);
+    setValues(valuesOf(data));
+  };
+
+  const fetchSettings = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await getSettings();
+      if (response.success) {
+        applySettings(response.data);
+      }
+    } catch (err) {
+      setError(err.message || "Failed to fetch settings");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchHistory = async (page) => {
+    try {
+      const response = await getSettingsHistory({ page });
+      if (response.success) {
+        setHistory(response.data);
+      }
+    } catch (err) {
+      console.error("Failed to fetch settings history:", err);
+    }
+  };
+
+  const save = async (changes) => {
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+      const response = await updateSettings(changes);
+      if (response.success) {
+        applySettings(response.data);
+        setSuccess(response.message);
+        if (historyPage === 1) {
+          fetchHistory(1);
+        } else {
+          setHistoryPage(1);
+        }
+      }
+    } catch (err) {
+      setError(err.message || "Failed to save settings");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const changed = Object.fromEntries(
+    settings
+      .filter(({ key, value }) => values[key] !== value)
+      .map(({ key }) => [key, values[key]])
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    save(changed);
+  };
+
+  const setValue = (key, value) =>
+    setValues((prev) => ({ ...prev, [key]: value }));
+
+  const inputClass =
+    "w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-sm focus:ring-2 focus:ring-blue-500";
+
+  const renderInput = (setting) => {
+    const value = values[setting.key];
+
+    if (setting.type === "boolean") {
+      return (
+        <input
+          type="checkbox"
+          checked={Boolean(value)}
+          onChange={(e) => setValue(setting.key, e.target.checked)}
+        />
+      );
+    }
+
+    if (setting.type === "integer") {
+      return (
+        <input
+          type="number"
+          step={1}
+          min={setting.min}
+          max={setting.max}
+          value={value}
+          onChange={(e) =>
+            setValue(
+              setting.key,
+              e.target.value === "" ? "" : parseInt(e.target.value)
+            )
+          }
+          className={inputClass}
+          required
+        />
+      );
+    }
+
+    return (
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => setValue(setting.key, e.target.value)}
+        className={inputClass}
+        maxLength={500}
+      />
+    );
+  };
+
+  return (
+    <div className="p-6 text-white max-w-4xl mx-auto w-full">
+      <div className="flex items-center space-x-3 mb-6">
+        <SlidersHorizontal className="w-8 h-8 text-blue-400" />
+        <div>
+          <h1 className="text-2xl font-bold">Site Settings</h1>
+          <p className="text-gray-300 text-sm">
+            Changes apply immediately. Settings you have not saved here use the
+            value from .env.
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-900/20 border border-red-700 rounded-lg p-3 mb-4 text-red-300 text-sm">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="bg-green-900/20 border border-green-700 rounded-lg p-3 mb-4 text-green-300 text-sm">
+          {success}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-400">Loading settings...</p>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-6">
+          {Object.entries(groupSettings(settings)).map(([group, items]) => (
+            <div
+              key={group}
+              className="bg-gray-800 rounded-lg p-6 border border-gray-700"
+            >
+              <h2 className="text-lg font-semibold mb-4">{group}</h2>
+              <div className="space-y-4">
+                {items.map((setting) => (
+                  <div
+                    key={setting.key}
+                    className="grid grid-cols-1 md:grid-cols-2 gap-2 items-start"
+                  >
+                    <div>
+                      <label className="block text-sm font-medium">
+                        {setting.label}
+                        {setting.public && (
+                          <span className="ml-2 text-xs text-gray-400">
+                            public
+                          </span>
+                        )}
+                      </label>
+                      {setting.description && (
+                        <p className="text-xs text-gray-400">
+                          {setting.description}
+                        </p>
+                      )}
+                      <p className="text-xs text-gray-500 font-mono">
+                        {setting.key}
+                      </p>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      {renderInput(setting)}
+                      {setting.saved && (
+                        <button
+                          type="button"
+                          onClick={() => save({ [setting.key]: null })}
+                          disabled={saving}
+                          className="p-2 text-gray-400 hover:text-white hover:bg-gray-700 rounded-lg transition-colors"
+                          title={`Reset to default (${String(
+                            setting.default
+                          )})`}
+                        >
+                          <RotateCcw className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          <button
+            type="submit"
+            disabled={saving || Object.keys(changed).length === 0}
+            className="flex items-center space-x-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-sm transition-colors"
+          >
+            <Save className="w-4 h-4" />
+            <span>{saving ? "Saving..." : "Save Changes"}</span>
+          </button>
+        </form>
+      )}
+
+      <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 mt-6">
+        <h2 className="text-lg font-semibold mb-4">Change History</h2>
+        {history.changes.length === 0 ? (
+          <p className="text-sm text-gray-400">No changes yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-left text-gray-400">
+                <tr>
+                  <th className="p-2">Date</th>
+                  <th className="p-2">Admin</th>
+                  <th className="p-2">Setting</th>
+                  <th className="p-2">Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.changes.map((change) => (
+                  <tr key={change.id} className="border-t border-gray-700">
+                    <td className="p-2 text-xs text-gray-300 whitespace-nowrap">
+                      {new Date(change.createdAt).toLocaleString()}
+                    </td>
+                    <td className="p-2">
+                      {change.actor?.username ||
+                        (change.actorId ? `User #${change.actorId}` : "-")}
+                    </td>
+                    <td className="p-2">
+                      {change.label}
+                      <div className="text-xs text-gray-500 font-mono">
+                        {change.key}
+                      </div>
+                    </td>
+                    <td className="p-2 text-xs break-all">
+                      {formatValue(change.oldValue)} →{" "}
+                      {formatValue(change.newValue)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {history.pagination && history.pagination.totalPages > 1 && (
+          <div className="flex items-center justify-end space-x-2 mt-3 text-sm">
+            <button
+              onClick={() => setHistoryPage((page) => page - 1)}
+              disabled={historyPage <= 1}
+              className="p-2 rounded-lg hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            <span className="text-gray-400">
+              Page {history.pagination.currentPage} of{" "}
+              {history.pagination.totalPages}
+            </span>
+            <button
+              onClick={() => setHistoryPage((page) => page + 1)}
+              disabled={historyPage >= history.pagination.totalPages}
+              className="p-2 rounded-lg hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronRight className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -4,6 +4,11 @@ import {
   createUser,
   deleteUser,
   updateUser,
+  revokeUserSessionsAdmin,
+  getRoles,
+  assignUserRole,
+  getLockedUsers,
+  unlockUser,
 } from "@/components/api";
 import { config as getConfig } from "@/components/api";
 import { ExternalLink } from "lucide-react";
@@ -51,7 +56,15 @@ const SuccessAlert = ({ message, onDismiss }) => (
 );
 
 // User card component
-const UserCard = ({ user, onEdit, onDelete, config }) => (
+const UserCard = ({
+  user,
+  roles,
+  onEdit,
+  onDelete,
+  onRevokeSessions,
+  onRoleChange,
+  config,
+}) => (
   <div className="bg-gray-700 rounded-lg p-4 border border-gray-600 hover:border-gray-500 transition-colors">
     <div className="flex items-start justify-between mb-3">
       <div className="flex-1">
@@ -79,6 +92,13 @@ const UserCard = ({ user, onEdit, onDelete, config }) => (
         >
           Edit
         </button>
+        <button
+          onClick={() => onRevokeSessions(user.id)}
+          className="bg-yellow-600 hover:bg-yellow-700 px-3 py-1 rounded text-sm transition-colors focus:outline-none focus:ring-2 focus:ring-yellow-500"
+          aria-label={`Log out ${user.firstName} ${user.lastName} everywhere`}
+        >
+          Log out
+        </button>
         <button
           onClick={() => onDelete(user.id)}
           className="bg-red-600 hover:bg-red-700 px-3 py-1 rounded text-sm transition-colors focus:outline-none focus:ring-2 focus:ring-red-500"
@@ -94,6 +114,27 @@ const UserCard = ({ user, onEdit, onDelete, config }) => (
         <span className="font-medium">Pterodactyl ID:</span>{" "}
         {user.ptero_id || "Not assigned"}
       </p>
+      <label className="flex items-center gap-2 text-sm text-gray-300">
+        <span className="font-medium">Role:</span>
+        <select
+          value={user.roleId ?? ""}
+          onChange={(e) =>
+            onRoleChange(
+              user.id,
+              e.target.value ? Number(e.target.value) : null
+            )
+          }
+          className="bg-gray-800 border border-gray-600 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          aria-label={`Role of ${user.firstName} ${user.lastName}`}
+        >
+          <option value="">None</option>
+          {roles.map((role) => (
+            <option key={role.id} value={role.id}>
+              {role.name}
+            </option>
+          ))}
+        </select>
+      </label>
       {user.resources && (
         <p className="text-sm text-green-400">
           <span className="font-medium">Resources:</span> Assigned
@@ -151,6 +192,8 @@ export default function User() {
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [editingUser, setEditingUser] = useState(null);
   const [config, setConfig] = useState(null);
+  const [roles, setRoles] = useState([]);
+  const [lockedUsers, setLockedUsers] = useState([]);
   const [formData, setFormData] = useState({
     firstName: "",
     lastName: "",
@@ -182,6 +225,18 @@ export default function User() {
     handleConfig();
   }, []);
 
+  useEffect(() => {
+    const fetchRoles = async () => {
+      try {
+        const response = await getRoles();
+        setRoles(response.data || []);
+      } catch (err) {
+        console.error("Error fetching roles:", err);
+      }
+    };
+    fetchRoles();
+  }, []);
+
   const fetchAllUsers = useCallback(async () => {
     try {
       console.log("Starting to fetch users...");
@@ -210,9 +265,19 @@ export default function User() {
     }
   }, []);
 
+  const fetchLockedUsers = useCallback(async () => {
+    try {
+      const response = await getLockedUsers();
+      setLockedUsers(response.data || []);
+    } catch (err) {
+      console.error("Error fetching locked users:", err);
+    }
+  }, []);
+
   useEffect(() => {
     fetchAllUsers();
-  }, [fetchAllUsers]);
+    fetchLockedUsers();
+  }, [fetchAllUsers, fetchLockedUsers]);
 
   const resetForm = useCallback(() => {
     setFormData({
@@ -304,6 +369,66 @@ export default function User() {
     }
   };
 
+  const handleRevokeSessions = async (userId) => {
+    const user = users.find((u) => u.id === userId);
+    if (
+      !confirm(
+        `Log ${user?.firstName} ${user?.lastName} out of every device? They will need to sign in again.`
+      )
+    )
+      return;
+
+    try {
+      setError(null);
+      const response = await revokeUserSessionsAdmin(userId);
+
+      if (response.success) {
+        setSuccess(response.message);
+      } else {
+        setError(response.error || "Failed to revoke sessions");
+      }
+    } catch (err) {
+      console.error("Revoke sessions error:", err);
+      setError(err.message || "Failed to revoke sessions");
+    }
+  };
+
+  const handleRoleChange = async (userId, roleId) => {
+    try {
+      setError(null);
+      const response = await assignUserRole(userId, roleId);
+
+      if (response.success) {
+        setUsers((prev) =>
+          prev.map((user) => (user.id === userId ? { ...user, roleId } : user))
+        );
+        setSuccess(response.message);
+      } else {
+        setError(response.error || "Failed to change role");
+      }
+    } catch (err) {
+      console.error("Change role error:", err);
+      setError(err.message || "Failed to change role");
+    }
+  };
+
+  const handleUnlock = async (user) => {
+    try {
+      setError(null);
+      const response = await unlockUser(user.id);
+
+      if (response.success) {
+        setLockedUsers((prev) => prev.filter((u) => u.id !== user.id));
+        setSuccess(response.message);
+      } else {
+        setError(response.error || "Failed to unlock user");
+      }
+    } catch (err) {
+      console.error("Unlock user error:", err);
+      setError(err.message || "Failed to unlock user");
+    }
+  };
+
   const startEdit = (user) => {
     setEditingUser(user);
     setFormData({
@@ -462,6 +587,40 @@ export default function User() {
         </div>
       )}
 
+      {/* Locked Accounts */}
+      {lockedUsers.length > 0 && (
+        <div className="bg-gray-800 rounded-lg shadow-lg p-6 mb-6 border border-yellow-700">
+          <h2 className="text-xl font-semibold mb-1">
+            Locked Accounts ({lockedUsers.length})
+          </h2>
+          <p className="text-gray-400 text-sm mb-4">
+            Locked after too many failed logins. Locks expire on their own.
+          </p>
+          <div className="space-y-2">
+            {lockedUsers.map((user) => (
+              <div
+                key={user.id}
+                className="flex items-center justify-between bg-gray-700 rounded-lg p-3"
+              >
+                <div className="text-sm">
+                  <div className="font-medium">{user.username}</div>
+                  <div className="text-gray-400">
+                    {user.email} &middot; {user.failedLogins} failed attempts
+                    &middot; until {new Date(user.lockedUntil).toLocaleString()}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleUnlock(user)}
+                  className="bg-yellow-600 hover:bg-yellow-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+                >
+                  Unlock
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Users List */}
       <div className="bg-gray-800 rounded-lg shadow-lg p-6">
         <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
@@ -505,8 +664,11 @@ export default function User() {
               <UserCard
                 key={user.id}
                 user={user}
+                roles={roles}
                 onEdit={startEdit}
                 onDelete={handleDeleteUser}
+                onRevokeSessions={handleRevokeSessions}
+                onRoleChange={handleRoleChange}
                 config={config}
               />
             ))}
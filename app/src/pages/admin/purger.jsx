@@ -7,23 +7,37 @@ import {
   CheckCircle,
   XCircle,
   Shield,
+  Eye,
 } from "lucide-react";
 
 // API functions
 const purgerAPI = {
-  startPurge: async (keywords, batchSize = 5) => {
-    const response = await fetch("/api/admin/purger/", {
-      method: "DELETE",
+  previewPurge: async (criteria, batchSize = 5) => {
+    const response = await fetch("/api/admin/purger/preview", {
+      method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ keywords, batch_size: batchSize }),
+      body: JSON.stringify({ ...criteria, batch_size: batchSize }),
     });
     return response.json();
   },
 
+  confirmPreview: async (previewId) => {
+    const response = await fetch(
+      `/api/admin/purger/preview/${previewId}/confirm`,
+      { method: "POST" }
+    );
+    return response.json();
+  },
+
   getJobStatus: async (jobId) => {
     const response = await fetch(`/api/admin/purger/status/${jobId}`);
     return response.json();
   },
+
+  listJobs: async (limit = 1) => {
+    const response = await fetch(`/api/admin/purger/jobs?limit=${limit}`);
+    return response.json();
+  },
 };
 
 // Simple Alert component
@@ -84,10 +98,26 @@ const Progress = ({ current, total, label }) => {
   );
 };
 
+const emptyCriteria = {
+  keywords: "",
+  excludeOwners: "",
+  nodeId: "",
+  createdBefore: "",
+  renewOverdue: false,
+  offlineDays: "",
+};
+
+const hasCriteria = (criteria) =>
+  Object.values(criteria).some((value) =>
+    typeof value === "string" ? value.trim() !== "" : value
+  );
+
 export default function ServerPurger() {
-  const [keywords, setKeywords] = useState("");
+  const [criteria, setCriteria] = useState(emptyCriteria);
   const [batchSize, setBatchSize] = useState(5);
   const [isRunning, setIsRunning] = useState(false);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [preview, setPreview] = useState(null);
   const [currentJob, setCurrentJob] = useState(null);
   const [error, setError] = useState("");
   const [success, setSuccess] = useState("");
@@ -107,6 +137,24 @@ export default function ServerPurger() {
     }
   }, [success]);
 
+  // Pick up a job that is still running, e.g. after a page reload
+  useEffect(() => {
+    const loadActiveJob = async () => {
+      try {
+        const response = await purgerAPI.listJobs();
+        const [job] = response.success ? response.jobs : [];
+        if (job && (job.status === "started" || job.status === "processing")) {
+          setCurrentJob(job);
+          setIsRunning(true);
+        }
+      } catch (err) {
+        console.error("Error loading purge jobs:", err);
+      }
+    };
+
+    loadActiveJob();
+  }, []);
+
   // Poll job status
   useEffect(() => {
     let interval;
@@ -122,7 +170,7 @@ export default function ServerPurger() {
 
             if (response.job.status === "completed") {
               setSuccess(
-                `✅ Purge completed! Deleted ${response.job.progress.deleted} servers (preserved servers with keyword "${keywords}").`
+                `✅ Purge completed! Deleted ${response.job.progress.deleted} servers.`
               );
               setIsRunning(false);
             } else if (response.job.status === "failed") {
@@ -139,21 +187,50 @@ export default function ServerPurger() {
     return () => {
       if (interval) clearInterval(interval);
     };
-  }, [currentJob, keywords]);
+  }, [currentJob]);
+
+  const updateCriteria = (field, value) => {
+    setCriteria((prev) => ({ ...prev, [field]: value }));
+    // Any change invalidates the previewed snapshot
+    setPreview(null);
+  };
 
-  const startPurge = async () => {
-    if (!keywords.trim()) {
-      setError("Please enter a keyword to protect servers");
+  const runPreview = async () => {
+    if (!hasCriteria(criteria)) {
+      setError("Please set at least one purge criterion");
       return;
     }
 
+    setIsPreviewing(true);
+    setError("");
+    setSuccess("");
+    setPreview(null);
+
+    try {
+      const response = await purgerAPI.previewPurge(criteria, batchSize);
+
+      if (response.success) {
+        setPreview(response);
+      } else {
+        setError(response.error || "Failed to preview purge");
+      }
+    } catch (err) {
+      setError(`Network error: ${err.message}`);
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const confirmPurge = async () => {
+    if (!preview) return;
+
     setIsRunning(true);
     setError("");
     setSuccess("");
     setCurrentJob(null);
 
     try {
-      const response = await purgerAPI.startPurge(keywords, batchSize);
+      const response = await purgerAPI.confirmPreview(preview.preview_id);
 
       if (response.success) {
         setCurrentJob({
@@ -168,8 +245,9 @@ export default function ServerPurger() {
           started_at: new Date().toISOString(),
         });
         setSuccess(
-          `🚀 Purge started! Protecting servers with "${keywords}" keyword.`
+          `🚀 Purge started! Deleting ${response.total_servers} previewed servers.`
         );
+        setPreview(null);
       } else {
         setError(response.error || "Failed to start purge");
         setIsRunning(false);
@@ -202,7 +280,7 @@ export default function ServerPurger() {
           <div>
             <h1 className="text-2xl font-bold">Server Purger</h1>
             <p className="text-gray-300 text-sm">
-              Delete servers that DON'T contain specific keywords
+              Preview and delete servers matching your criteria
             </p>
           </div>
         </div>
@@ -212,14 +290,15 @@ export default function ServerPurger() {
             <strong>How it works:</strong>
             <ul className="text-sm mt-2 space-y-1">
               <li>
-                • Servers WITH your keyword ={" "}
-                <strong className="text-green-400">PROTECTED</strong> (kept
-                safe)
+                • Servers matching <strong>every</strong> filter ={" "}
+                <strong className="text-red-400">DELETED</strong> (removed)
               </li>
               <li>
-                • Servers WITHOUT your keyword ={" "}
-                <strong className="text-red-400">DELETED</strong> (removed)
+                • Servers with a keyword or an excluded owner ={" "}
+                <strong className="text-green-400">PROTECTED</strong> (kept
+                safe)
               </li>
+              <li>• Nothing is deleted until you confirm the preview</li>
             </ul>
           </div>
         </Alert>
@@ -243,26 +322,97 @@ export default function ServerPurger() {
         <h2 className="text-lg font-semibold mb-4">Purge Settings</h2>
 
         <div className="space-y-4">
-          {/* Protection Keyword */}
+          {/* Protection Keywords */}
+          <div>
+            <label className="block text-sm font-medium mb-2">
+              🛡️ Protection Keywords
+            </label>
+            <input
+              type="text"
+              value={criteria.keywords}
+              onChange={(e) => updateCriteria("keywords", e.target.value)}
+              placeholder="e.g., important, production, keep"
+              className="w-full p-3 bg-gray-700 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500"
+              disabled={isRunning}
+            />
+            <p className="text-xs text-gray-400 mt-1">
+              Comma separated. Servers containing any keyword will be{" "}
+              <strong className="text-green-400">preserved</strong>.
+            </p>
+          </div>
+
+          {/* Owner Exclusions */}
           <div>
             <label className="block text-sm font-medium mb-2">
-              🛡️ Protection Keyword <span className="text-red-400">*</span>
+              🛡️ Excluded Owners
             </label>
             <input
               type="text"
-              value={keywords}
-              onChange={(e) => setKeywords(e.target.value)}
-              placeholder="e.g., 'important', 'production', 'keep'"
+              value={criteria.excludeOwners}
+              onChange={(e) => updateCriteria("excludeOwners", e.target.value)}
+              placeholder="e.g., 1, 42"
               className="w-full p-3 bg-gray-700 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500"
               disabled={isRunning}
             />
             <p className="text-xs text-gray-400 mt-1">
-              Servers containing this keyword will be{" "}
-              <strong className="text-green-400">preserved</strong>. All others
-              will be deleted.
+              Comma separated Pterodactyl user IDs whose servers are always kept
             </p>
           </div>
 
+          {/* Filters */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-2">Node ID</label>
+              <input
+                type="number"
+                min="1"
+                value={criteria.nodeId}
+                onChange={(e) => updateCriteria("nodeId", e.target.value)}
+                placeholder="Any node"
+                className="w-full p-3 bg-gray-700 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500"
+                disabled={isRunning}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-2">
+                Created Before
+              </label>
+              <input
+                type="date"
+                value={criteria.createdBefore}
+                onChange={(e) =>
+                  updateCriteria("createdBefore", e.target.value)
+                }
+                className="w-full p-3 bg-gray-700 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500"
+                disabled={isRunning}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-2">
+                Offline For (days)
+              </label>
+              <input
+                type="number"
+                min="0"
+                value={criteria.offlineDays}
+                onChange={(e) => updateCriteria("offlineDays", e.target.value)}
+                placeholder="Any state"
+                className="w-full p-3 bg-gray-700 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500"
+                disabled={isRunning}
+              />
+            </div>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={criteria.renewOverdue}
+              onChange={(e) => updateCriteria("renewOverdue", e.target.checked)}
+              disabled={isRunning}
+            />
+            Only servers past their renewal date
+          </label>
+
           {/* Batch Size */}
           <div>
             <label className="block text-sm font-medium mb-2">Batch Size</label>
@@ -282,27 +432,112 @@ export default function ServerPurger() {
             </p>
           </div>
 
-          {/* Start Button */}
+          {/* Preview Button */}
           <button
-            onClick={startPurge}
-            disabled={isRunning || !keywords.trim()}
-            className="flex items-center gap-2 bg-red-600 hover:bg-red-700 disabled:bg-gray-600 disabled:cursor-not-allowed px-6 py-3 rounded-lg font-medium transition-colors w-full justify-center"
+            onClick={runPreview}
+            disabled={isRunning || isPreviewing || !hasCriteria(criteria)}
+            className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed px-6 py-3 rounded-lg font-medium transition-colors w-full justify-center"
           >
-            {isRunning ? (
+            {isPreviewing ? (
               <>
                 <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-                Processing...
+                Checking servers...
               </>
             ) : (
               <>
-                <Play className="h-4 w-4" />
-                Start Purge (Protect "{keywords}")
+                <Eye className="h-4 w-4" />
+                Preview Purge
               </>
             )}
           </button>
         </div>
       </div>
 
+      {/* Preview */}
+      {preview && (
+        <div className="bg-gray-800 rounded-lg p-6 mb-6 border border-gray-700">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">
+              Preview: {preview.servers.length} of {preview.scanned} servers
+              will be deleted
+            </h3>
+            <span className="text-xs text-gray-400">
+              Expires {new Date(preview.expires_at).toLocaleTimeString()}
+            </span>
+          </div>
+
+          {preview.servers.length === 0 ? (
+            <p className="text-sm text-gray-400">
+              No servers match these criteria.
+            </p>
+          ) : (
+            <div className="overflow-x-auto max-h-96 mb-4">
+              <table className="w-full text-sm">
+                <thead className="text-left text-gray-400">
+                  <tr>
+                    <th className="p-2">Server</th>
+                    <th className="p-2">Owner</th>
+                    <th className="p-2">Node</th>
+                    <th className="p-2">Limits</th>
+                    <th className="p-2">Created</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.servers.map((server) => (
+                    <tr key={server.id} className="border-t border-gray-700">
+                      <td className="p-2">
+                        {server.name}
+                        <div className="text-xs text-gray-500">
+                          #{server.serverId}
+                          {server.state && ` · ${server.state}`}
+                        </div>
+                      </td>
+                      <td className="p-2">
+                        {server.owner.username || "Unknown"}
+                        <div className="text-xs text-gray-500">
+                          {server.owner.email ||
+                            `Ptero #${server.owner.pteroId}`}
+                        </div>
+                      </td>
+                      <td className="p-2">{server.node}</td>
+                      <td className="p-2 text-xs">
+                        {server.limits?.memory} MB RAM · {server.limits?.disk}{" "}
+                        MB disk · {server.limits?.cpu}% CPU
+                      </td>
+                      <td className="p-2 text-xs">
+                        {server.created_at
+                          ? new Date(server.created_at).toLocaleDateString()
+                          : "-"}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {preview.servers.length > 0 && (
+            <button
+              onClick={confirmPurge}
+              disabled={isRunning}
+              className="flex items-center gap-2 bg-red-600 hover:bg-red-700 disabled:bg-gray-600 disabled:cursor-not-allowed px-6 py-3 rounded-lg font-medium transition-colors w-full justify-center"
+            >
+              {isRunning ? (
+                <>
+                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                  Processing...
+                </>
+              ) : (
+                <>
+                  <Play className="h-4 w-4" />
+                  Delete {preview.servers.length} Servers
+                </>
+              )}
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Job Status */}
       {currentJob && (
         <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
@@ -399,7 +634,8 @@ export default function ServerPurger() {
 
         <div className="text-sm text-gray-300 space-y-2">
           <div>
-            <strong>Example:</strong> If you enter "prod" as the keyword:
+            <strong>Example:</strong> Keywords "prod, keep" with "Offline For"
+            set to 30:
           </div>
           <ul className="ml-4 space-y-1">
             <li>
@@ -407,22 +643,23 @@ export default function ServerPurger() {
               (contains "prod")
             </li>
             <li>
-              ✅ "production-db" → <span className="text-green-400">KEPT</span>{" "}
-              (contains "prod")
+              ✅ "test-server", running yesterday →{" "}
+              <span className="text-green-400">KEPT</span> (not offline long
+              enough)
             </li>
             <li>
-              ❌ "test-server" → <span className="text-red-400">DELETED</span>{" "}
-              (doesn't contain "prod")
-            </li>
-            <li>
-              ❌ "demo-app" → <span className="text-red-400">DELETED</span>{" "}
-              (doesn't contain "prod")
+              ❌ "demo-app", offline for 2 months →{" "}
+              <span className="text-red-400">DELETED</span>
             </li>
           </ul>
+          <div>
+            Only the servers listed in the preview are deleted, even if more
+            servers match by the time you confirm.
+          </div>
 
           <div className="mt-4 p-3 bg-yellow-900 border border-yellow-700 rounded-lg">
             <strong>⚠️ Warning:</strong> This action cannot be undone. Make sure
-            your keyword correctly identifies the servers you want to keep!
+            you review the preview before confirming!
           </div>
         </div>
       </div>
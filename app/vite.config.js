@@ -8,7 +8,11 @@ export default defineConfig({
   plugins: [react(), tailwindcss()],
   server: {
     proxy: {
-      "/api": "https://yvmp72-3000.csb.app",
+      "/api": {
+        target: "https://yvmp72-3000.csb.app",
+        changeOrigin: true,
+        ws: true,
+      },
     },
   },
   resolve: {
@@ -1,85 +1,45 @@
 import { Router } from "express";
-import { verifyToken } from "./auth.js";
-import axios from "axios";
-import Servers from "../model/Servers.js";
+import { verifyToken, requirePermission } from "./auth.js";
+import Servers, {
+  getDefaultLimits,
+  nextRenewalDate,
+} from "../model/Servers.js";
 import User from "../model/User.js";
 import Resources from "../model/resources.js";
 import Node from "../model/Node.js";
+import Egg from "../model/Egg.js";
 import { Op } from "sequelize";
+import {
+  POWER_ACTIONS,
+  deleteServerFromPanel,
+  fetchServerFromPanel,
+  fetchServerResources,
+  formatResourceData,
+  sendPowerAction,
+} from "./server.js";
+import panel from "./pterodactyl.js";
+import {
+  forgetPanelServer,
+  getPanelServer,
+  getPanelServers,
+} from "./panelState.js";
 
 const router = Router();
 
-// Constants
-const POWER_ACTIONS = ["start", "stop", "restart", "kill"];
-const DEFAULT_LIMITS = {
-  swap: 0,
-  io: 500,
-  backups: 0,
-};
-
-// Create axios instance with default config
-const panelAPI = axios.create({
-  baseURL: process.env.panel_url,
-  headers: {
-    Authorization: `Bearer ${process.env.panel_key}`,
-    "Content-Type": "application/json",
-    Accept: "application/json",
-  },
-  timeout: 30000, // 30 second timeout
-});
-
-// Add request/response interceptors for better error handling
-panelAPI.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    console.error("Pterodactyl API Error:", {
-      status: error.response?.status,
-      data: error.response?.data,
-      url: error.config?.url,
-      method: error.config?.method,
-    });
-    return Promise.reject(error);
-  }
-);
-
-// Middleware to verify admin access
-const verifyAdmin = (req, res, next) => {
-  if (!req.user.root_admin) {
-    return res.status(403).json({
-      success: false,
-      error: "Access denied: Administrator privileges required",
-    });
-  }
-  next();
-};
+const canViewAll = requirePermission("servers.view_all");
+const canManage = requirePermission("servers.manage");
+const canDelete = requirePermission("servers.delete");
 
 /**
  * Find egg by ID across all nests
  */
 async function findEggById(eggId) {
   try {
-    const nests = await panelAPI.get("/api/application/nests");
-
-    for (const nest of nests.data.data) {
-      const nestId = nest.attributes.id;
-
-      try {
-        const eggs = await panelAPI.get(
-          `/api/application/nests/${nestId}/eggs?include=variables`
-        );
-
-        const match = eggs.data.data.find((e) => e.attributes.id == eggId);
-        if (match) {
-          console.log(`Found egg ${eggId} in nest ${nestId}`);
-          return match.attributes;
-        }
-      } catch (error) {
-        console.warn(`Failed to fetch eggs for nest ${nestId}:`, error.message);
-        continue;
-      }
+    const egg = await panel.findEgg(eggId);
+    if (!egg) {
+      throw new Error(`Egg with ID ${eggId} not found in any nest`);
     }
-
-    throw new Error(`Egg with ID ${eggId} not found in any nest`);
+    return egg;
   } catch (error) {
     console.error("Error finding egg:", error.message);
     throw new Error("Failed to locate egg configuration");
@@ -91,20 +51,13 @@ async function findEggById(eggId) {
  */
 async function getUnassignedAllocation(nodeId) {
   try {
-    const response = await panelAPI.get(
-      `/api/application/nodes/${nodeId}/allocations`
-    );
-
-    const allocations = response.data.data;
-    const unassigned = allocations.find(
-      (alloc) => alloc.attributes.assigned === false
-    );
+    const unassigned = await panel.findFreeAllocation(nodeId);
 
     if (!unassigned) {
       throw new Error(`No unassigned allocations available for node ${nodeId}`);
     }
 
-    return unassigned.attributes.id;
+    return unassigned.id;
   } catch (error) {
     console.error(
       `Failed to get unassigned allocation for node ${nodeId}:`,
@@ -114,46 +67,6 @@ async function getUnassignedAllocation(nodeId) {
   }
 }
 
-/**
- * Fetch server details from Pterodactyl panel
- */
-async function fetchServerFromPanel(serverId) {
-  try {
-    const response = await panelAPI.get(
-      `/api/application/servers/${serverId}?include=allocations,variables`
-    );
-    return response.data;
-  } catch (error) {
-    if (error.response?.status === 404) {
-      console.warn(`Server ${serverId} not found in panel`);
-    } else {
-      console.error(
-        `Error fetching server ${serverId} from panel:`,
-        error.message
-      );
-    }
-    return null;
-  }
-}
-
-/**
- * Fetch server resource usage
- */
-async function fetchServerResources(serverId) {
-  try {
-    const response = await panelAPI.get(
-      `/api/client/servers/${serverId}/resources`
-    );
-    return response.data;
-  } catch (error) {
-    console.error(
-      `Error fetching server ${serverId} resources:`,
-      error.message
-    );
-    return null;
-  }
-}
-
 /**
  * Process server data for admin response
  */
@@ -163,7 +76,10 @@ function processAdminServerData(dbServer, serverData, resourceData, userData) {
     id: dbServer.id,
     owner: dbServer.owner,
     serverId: dbServer.serverId,
+    nodeId: dbServer.nodeId,
+    eggId: dbServer.eggId,
     renewDate: dbServer.renewDate, // Fixed: was 'renewal', should be 'renewDate'
+    suspendedAt: dbServer.suspendedAt,
     createdAt: dbServer.createdAt,
     updatedAt: dbServer.updatedAt,
 
@@ -199,18 +115,68 @@ function processAdminServerData(dbServer, serverData, resourceData, userData) {
       : null,
 
     // Resource usage
-    resources: resourceData
-      ? {
-          current_state: resourceData.attributes.current_state,
-          is_suspended: resourceData.attributes.is_suspended,
-          resources: resourceData.attributes.resources,
-        }
-      : null,
+    resources: formatResourceData(resourceData),
   };
 }
 
+/**
+ * Fill in the owner, node and egg of servers saved without them, using
+ * panel data. Links to users, nodes or eggs the dashboard does not know
+ * stay empty and are tried again on the next run. Stops at the first
+ * panel failure other than a missing server.
+ * @returns {Promise<Object>} - Counts of checked, updated and missing servers
+ */
+export async function backfillServerLinks() {
+  const summary = { checked: 0, updated: 0, missing: 0 };
+  const dbServers = await Servers.findAll({
+    where: {
+      [Op.or]: [{ owner: null }, { nodeId: null }, { eggId: null }],
+    },
+    order: [["id", "ASC"]],
+  });
+
+  for (const dbServer of dbServers) {
+    const serverData = await getPanelServer(dbServer.serverId);
+    summary.checked++;
+    if (!serverData) {
+      summary.missing++;
+      continue;
+    }
+
+    const { attributes } = serverData;
+
+    const [owner, node, egg] = await Promise.all([
+      dbServer.owner === null &&
+        User.findOne({ where: { ptero_id: attributes.user } }),
+      dbServer.nodeId === null &&
+        Node.findOne({ where: { nodeId: attributes.node } }),
+      dbServer.eggId === null &&
+        Egg.findOne({ where: { eggId: attributes.egg } }),
+    ]);
+    if (owner) dbServer.owner = owner.ptero_id;
+    if (node) dbServer.nodeId = node.nodeId;
+    if (egg) dbServer.eggId = egg.eggId;
+
+    if (dbServer.changed()) {
+      await dbServer.save();
+      summary.updated++;
+    }
+  }
+
+  return summary;
+}
+
+// Sort keys for the admin list; name and status come from the panel cache
+const SORT_KEYS = {
+  createdAt: ({ dbServer }) => dbServer.createdAt.getTime(),
+  renewDate: ({ dbServer }) => dbServer.renewDate.getTime(),
+  serverId: ({ dbServer }) => dbServer.serverId,
+  name: ({ serverData }) => serverData?.attributes.name.toLowerCase() ?? "",
+  status: ({ serverData }) => serverData?.attributes.status ?? "",
+};
+
 // GET /admin/servers - Get all servers with pagination and filtering
-router.get("/admin/servers", verifyToken, verifyAdmin, async (req, res) => {
+router.get("/admin/servers", verifyToken, canViewAll, async (req, res) => {
   try {
     const {
       page = 1,
@@ -219,97 +185,84 @@ router.get("/admin/servers", verifyToken, verifyAdmin, async (req, res) => {
       status,
       userId,
       nodeId,
+      eggId,
       sortBy = "createdAt",
       sortOrder = "DESC",
     } = req.query;
 
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-    const whereClause = {};
-    const includeClause = [
-      {
-        model: User,
-        as: "userInfo",
-        attributes: ["id", "email", "username", "resourcesId"],
-        required: false, // LEFT JOIN to include servers even if user doesn't exist
-      },
-    ];
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.max(parseInt(limit) || 20, 1);
+    const sortKey = SORT_KEYS[sortBy] || SORT_KEYS.createdAt;
+    const direction = String(sortOrder).toUpperCase() === "ASC" ? 1 : -1;
 
-    // Apply filters
+    const whereClause = {};
     if (userId) {
       whereClause.owner = userId;
     }
-
-    if (search) {
-      // Search in server names via panel API would be complex
-      // For now, search by server ID or user email
-      if (/^\d+$/.test(search)) {
-        whereClause.serverId = search;
-      } else {
-        includeClause[0].where = {
-          email: { [Op.iLike]: `%${search}%` },
-        };
-      }
+    if (nodeId) {
+      whereClause.nodeId = nodeId;
+    }
+    if (eggId) {
+      whereClause.eggId = eggId;
     }
 
-    // Get servers from database with pagination
-    const { count, rows: dbServers } = await Servers.findAndCountAll({
+    // Search, status and sorting use panel data, so every matching server
+    // is loaded and the page is cut afterwards
+    const dbServers = await Servers.findAll({
       where: whereClause,
-      include: includeClause,
-      limit: parseInt(limit),
-      offset,
-      order: [[sortBy, sortOrder.toUpperCase()]],
+      include: [
+        {
+          model: User,
+          as: "userInfo",
+          attributes: ["id", "email", "username", "resourcesId"],
+          required: false, // LEFT JOIN to include servers even if user doesn't exist
+        },
+      ],
     });
-
-    // Fetch detailed information from Pterodactyl panel
-    const serversWithDetails = await Promise.allSettled(
-      dbServers.map(async (dbServer) => {
-        const [serverData, resourceData] = await Promise.allSettled([
-          fetchServerFromPanel(dbServer.serverId),
-          fetchServerResources(dbServer.serverId),
-        ]);
-
-        return processAdminServerData(
-          dbServer,
-          serverData.status === "fulfilled" ? serverData.value : null,
-          resourceData.status === "fulfilled" ? resourceData.value : null,
-          dbServer.userInfo
-        );
-      })
+    const panelServers = await getPanelServers(
+      dbServers.map((dbServer) => dbServer.serverId)
     );
 
-    // Process results
-    const servers = [];
-    const errors = [];
-
-    serversWithDetails.forEach((result, index) => {
-      if (result.status === "fulfilled") {
-        const server = result.value;
-
-        // Apply panel-based filters
-        if (status && server.panelData?.status !== status) {
-          return;
-        }
-        if (nodeId && server.panelData?.node !== parseInt(nodeId)) {
-          return;
-        }
+    // Search by server ID, owner email or server name
+    const term = search?.trim().toLowerCase();
+    const matches = ({ dbServer, serverData }) =>
+      String(dbServer.serverId) === term ||
+      dbServer.userInfo?.email.toLowerCase().includes(term) ||
+      serverData?.attributes.name.toLowerCase().includes(term);
+
+    const rows = dbServers
+      .map((dbServer) => ({
+        dbServer,
+        serverData: panelServers.get(dbServer.serverId),
+      }))
+      .filter((row) => !status || row.serverData?.attributes.status === status)
+      .filter((row) => !term || matches(row))
+      .sort((a, b) => {
+        const [x, y] = [sortKey(a), sortKey(b)];
+        return (x < y ? -1 : x > y ? 1 : 0) * direction;
+      });
 
-        servers.push(server);
-      } else {
-        errors.push({
-          serverId: dbServers[index].serverId,
-          error: result.reason?.message || "Unknown error",
-        });
-      }
-    });
+    // Live usage is loaded per server from GET /admin/servers/:id/resources
+    const servers = rows
+      .slice((pageNumber - 1) * pageSize, pageNumber * pageSize)
+      .map(({ dbServer, serverData }) =>
+        processAdminServerData(dbServer, serverData, null, dbServer.userInfo)
+      );
+    const errors = servers
+      .filter((server) => !server.panelData)
+      .map((server) => ({
+        serverId: server.serverId,
+        error: "Server not available from the panel",
+      }));
 
     res.json({
       success: true,
       servers,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: count,
-        pages: Math.ceil(count / parseInt(limit)),
+        page: pageNumber,
+        limit: pageSize,
+        total: rows.length,
+        pages: Math.ceil(rows.length / pageSize),
       },
       ...(errors.length > 0 && {
         warnings: `Failed to fetch panel data for ${errors.length} server(s)`,
@@ -326,7 +279,7 @@ router.get("/admin/servers", verifyToken, verifyAdmin, async (req, res) => {
 });
 
 // GET /admin/servers/:id - Get specific server details
-router.get("/admin/servers/:id", verifyToken, verifyAdmin, async (req, res) => {
+router.get("/admin/servers/:id", verifyToken, canViewAll, async (req, res) => {
   try {
     const { id: serverId } = req.params;
 
@@ -402,8 +355,54 @@ router.get("/admin/servers/:id", verifyToken, verifyAdmin, async (req, res) => {
   }
 });
 
+// GET /admin/servers/:id/resources - Live resource usage of any server
+router.get(
+  "/admin/servers/:id/resources",
+  verifyToken,
+  canViewAll,
+  async (req, res) => {
+    try {
+      const { id: serverId } = req.params;
+
+      if (!/^\d+$/.test(serverId)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid server ID format",
+        });
+      }
+
+      const dbServer = await Servers.findByPk(serverId);
+      if (!dbServer) {
+        return res.status(404).json({
+          success: false,
+          error: "Server not found",
+        });
+      }
+
+      const resourceData = await fetchServerResources(dbServer.serverId);
+      if (!resourceData) {
+        return res.status(502).json({
+          success: false,
+          error: "Could not load resource usage from the panel",
+        });
+      }
+
+      res.json({
+        success: true,
+        resources: formatResourceData(resourceData),
+      });
+    } catch (error) {
+      console.error("Error in admin server resources route:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch server resources",
+      });
+    }
+  }
+);
+
 // POST /admin/servers - Create server for any user
-router.post("/admin/servers", verifyToken, verifyAdmin, async (req, res) => {
+router.post("/admin/servers", verifyToken, canManage, async (req, res) => {
   try {
     const {
       userId,
@@ -458,7 +457,7 @@ router.post("/admin/servers", verifyToken, verifyAdmin, async (req, res) => {
       });
     }
 
-    if (!targetUser.pteroId) {
+    if (!targetUser.ptero_id) {
       return res.status(400).json({
         success: false,
         error: "Target user does not have Pterodactyl access",
@@ -541,9 +540,10 @@ router.post("/admin/servers", verifyToken, verifyAdmin, async (req, res) => {
     }
 
     // Get egg info and allocation
-    const [eggInfo, allocId] = await Promise.all([
+    const [eggInfo, allocId, localEgg] = await Promise.all([
       findEggById(eggId),
       getUnassignedAllocation(nodeId),
+      Egg.findOne({ where: { eggId } }),
     ]);
 
     // Build environment variables
@@ -556,25 +556,26 @@ router.post("/admin/servers", verifyToken, verifyAdmin, async (req, res) => {
     }
 
     // Prepare server creation data
+    const defaultLimits = getDefaultLimits();
     const serverData = {
       name: name.trim(),
       description: description.trim(),
-      user: parseInt(targetUser.pteroId),
+      user: parseInt(targetUser.ptero_id),
       egg: parseInt(eggId),
       docker_image: eggInfo.docker_image,
       startup: eggInfo.startup,
       environment,
       limits: {
         memory: parseInt(ram),
-        swap: DEFAULT_LIMITS.swap,
+        swap: defaultLimits.swap,
         disk: parseInt(disk),
-        io: DEFAULT_LIMITS.io,
+        io: defaultLimits.io,
         cpu: parseInt(cpu),
       },
       feature_limits: {
         databases: parseInt(databases),
         allocations: parseInt(allocations),
-        backups: DEFAULT_LIMITS.backups,
+        backups: defaultLimits.backups,
       },
       allocation: {
         default: parseInt(allocId),
@@ -582,12 +583,7 @@ router.post("/admin/servers", verifyToken, verifyAdmin, async (req, res) => {
     };
 
     // Create server via Pterodactyl API
-    const pterodactylResponse = await panelAPI.post(
-      "/api/application/servers",
-      serverData
-    );
-
-    const createdServer = pterodactylResponse.data;
+    const createdServer = await panel.createServer(serverData);
 
     // Deduct resources if not skipped and user has resources
     if (!skipResourceCheck && targetUser.resources) {
@@ -598,15 +594,24 @@ router.post("/admin/servers", verifyToken, verifyAdmin, async (req, res) => {
       resources.allocations -= parseInt(allocations);
       resources.databases -= parseInt(databases);
       resources.slots -= 1;
-      await resources.save();
+      await resources.save({
+        ledger: {
+          reason: "server_create",
+          actorId: req.user.userId,
+          description: `Server ${createdServer.attributes.id} created by admin`,
+        },
+      });
     }
 
     // Store server info in database
     const serverRecord = await Servers.create({
-      owner: targetUser.pteroId,
+      owner: targetUser.ptero_id,
+      nodeId: nodeExists.nodeId,
+      // Eggs not listed on the dashboard are left unlinked
+      eggId: localEgg?.eggId ?? null,
       allocationId: allocId,
       serverId: createdServer.attributes.id,
-      renewDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days from now
+      renewDate: nextRenewalDate(),
     });
 
     res.status(201).json({
@@ -629,11 +634,11 @@ router.post("/admin/servers", verifyToken, verifyAdmin, async (req, res) => {
   } catch (error) {
     console.error("Error creating server:", error);
 
-    if (error.response?.status === 422) {
+    if (error.statusCode === 422) {
       return res.status(400).json({
         success: false,
         error: "Invalid server configuration",
-        details: error.response.data.errors || error.response.data,
+        details: error.details,
       });
     }
 
@@ -644,8 +649,27 @@ router.post("/admin/servers", verifyToken, verifyAdmin, async (req, res) => {
   }
 });
 
+// POST /admin/servers/backfill - Link servers to their owner, node and egg
+router.post(
+  "/admin/servers/backfill",
+  verifyToken,
+  canManage,
+  async (req, res) => {
+    try {
+      const summary = await backfillServerLinks();
+      res.json({ success: true, ...summary });
+    } catch (error) {
+      console.error("Error backfilling server links:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to backfill server links",
+      });
+    }
+  }
+);
+
 // PUT /admin/servers/:id - Update any server
-router.put("/admin/servers/:id", verifyToken, verifyAdmin, async (req, res) => {
+router.put("/admin/servers/:id", verifyToken, canManage, async (req, res) => {
   try {
     const { id: serverId } = req.params;
     const {
@@ -706,7 +730,9 @@ router.put("/admin/servers/:id", verifyToken, verifyAdmin, async (req, res) => {
     }
 
     // Get current server limits
-    const currentServerData = await fetchServerFromPanel(dbServer.serverId);
+    const currentServerData = await fetchServerFromPanel(dbServer.serverId, {
+      fresh: true,
+    });
     if (!currentServerData) {
       return res.status(500).json({
         success: false,
@@ -822,7 +848,13 @@ router.put("/admin/servers/:id", verifyToken, verifyAdmin, async (req, res) => {
       resources.cpu -= differences.cpu;
       resources.databases -= differences.databases;
       resources.allocations -= differences.allocations;
-      await resources.save();
+      await resources.save({
+        ledger: {
+          reason: "server_update",
+          actorId: req.user.userId,
+          description: `Server ${dbServer.serverId} resized by admin`,
+        },
+      });
     }
 
     // Prepare update requests
@@ -830,27 +862,25 @@ router.put("/admin/servers/:id", verifyToken, verifyAdmin, async (req, res) => {
 
     // Update build configuration
     if (hasResourceChanges) {
+      const defaultLimits = getDefaultLimits();
       const buildUpdate = {
         allocation: dbServer.allocationId,
         limits: {
           memory: newLimits.memory,
-          swap: DEFAULT_LIMITS.swap,
+          swap: defaultLimits.swap,
           disk: newLimits.disk,
-          io: DEFAULT_LIMITS.io,
+          io: defaultLimits.io,
           cpu: newLimits.cpu,
         },
         feature_limits: {
           databases: newLimits.databases,
           allocations: newLimits.allocations,
-          backups: DEFAULT_LIMITS.backups,
+          backups: defaultLimits.backups,
         },
       };
 
       updatePromises.push(
-        panelAPI.patch(
-          `/api/application/servers/${dbServer.serverId}/build`,
-          buildUpdate
-        )
+        panel.updateServerBuild(dbServer.serverId, buildUpdate)
       );
     }
 
@@ -869,16 +899,14 @@ router.put("/admin/servers/:id", verifyToken, verifyAdmin, async (req, res) => {
         detailsUpdate.description = description.trim();
 
       updatePromises.push(
-        panelAPI.patch(
-          `/api/application/servers/${dbServer.serverId}/details`,
-          detailsUpdate
-        )
+        panel.updateServerDetails(dbServer.serverId, detailsUpdate)
       );
     }
 
     // Execute updates
     if (updatePromises.length > 0) {
       const results = await Promise.allSettled(updatePromises);
+      forgetPanelServer(dbServer.serverId);
       const failures = results.filter((result) => result.status === "rejected");
 
       if (failures.length > 0) {
@@ -896,7 +924,13 @@ router.put("/admin/servers/:id", verifyToken, verifyAdmin, async (req, res) => {
           resources.cpu += differences.cpu;
           resources.databases += differences.databases;
           resources.allocations += differences.allocations;
-          await resources.save();
+          await resources.save({
+            ledger: {
+              reason: "refund",
+              actorId: req.user.userId,
+              description: `Server ${dbServer.serverId} resize failed`,
+            },
+          });
         }
 
         throw failures[0].reason;
@@ -910,11 +944,11 @@ router.put("/admin/servers/:id", verifyToken, verifyAdmin, async (req, res) => {
   } catch (error) {
     console.error("Error updating server:", error);
 
-    if (error.response?.status === 422) {
+    if (error.statusCode === 422) {
       return res.status(400).json({
         success: false,
         error: "Invalid server configuration",
-        details: error.response.data.errors || error.response.data,
+        details: error.details,
       });
     }
 
@@ -929,7 +963,7 @@ router.put("/admin/servers/:id", verifyToken, verifyAdmin, async (req, res) => {
 router.delete(
   "/admin/servers/:id",
   verifyToken,
-  verifyAdmin,
+  canDelete,
   async (req, res) => {
     try {
       const { id: serverId } = req.params;
@@ -969,7 +1003,9 @@ router.delete(
       }
 
       // Get current server limits to restore resources
-      const currentServerData = await fetchServerFromPanel(dbServer.serverId);
+      const currentServerData = await fetchServerFromPanel(dbServer.serverId, {
+        fresh: true,
+      });
       let currentLimits = null;
 
       if (currentServerData) {
@@ -982,19 +1018,7 @@ router.delete(
         };
       }
 
-      try {
-        // Delete server from Pterodactyl panel
-        await panelAPI.delete(`/api/application/servers/${dbServer.serverId}`);
-        console.log(`Server ${dbServer.serverId} deleted from panel`);
-      } catch (error) {
-        if (error.response?.status === 404) {
-          console.warn(
-            `Server ${dbServer.serverId} was already deleted from panel`
-          );
-        } else {
-          throw error;
-        }
-      }
+      await deleteServerFromPanel(dbServer.serverId);
 
       // Restore resources if requested and possible
       if (restoreResources && currentLimits && dbServer.userInfo?.resources) {
@@ -1005,7 +1029,13 @@ router.delete(
         resources.databases += currentLimits.databases;
         resources.allocations += currentLimits.allocations;
         resources.slots += 1;
-        await resources.save();
+        await resources.save({
+          ledger: {
+            reason: "refund",
+            actorId: req.user.userId,
+            description: `Server ${dbServer.serverId} deleted by admin`,
+          },
+        });
         console.log(`Resources restored for user ${dbServer.userInfo.email}`);
       }
 
@@ -1021,7 +1051,7 @@ router.delete(
     } catch (error) {
       console.error("Error deleting server:", error);
 
-      if (error.response?.status === 404) {
+      if (error.statusCode === 404) {
         // If server doesn't exist in panel, still remove from database
         await Servers.destroy({ where: { id: serverId } });
         return res.json({
@@ -1039,4 +1069,74 @@ router.delete(
   }
 );
 
+// POST /admin/servers/:id/power - Control power state of any server
+router.post(
+  "/admin/servers/:id/power",
+  verifyToken,
+  canManage,
+  async (req, res) => {
+    try {
+      const { id: serverId } = req.params;
+      const { action } = req.body;
+
+      if (!/^\d+$/.test(serverId)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid server ID format",
+        });
+      }
+
+      if (!POWER_ACTIONS.includes(action)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid power action. Must be one of: ${POWER_ACTIONS.join(
+            ", "
+          )}`,
+        });
+      }
+
+      const dbServer = await Servers.findOne({ where: { id: serverId } });
+
+      if (!dbServer) {
+        return res.status(404).json({
+          success: false,
+          error: "Server not found",
+        });
+      }
+
+      await sendPowerAction(dbServer.serverId, action);
+
+      console.log(
+        `Admin ${req.user.email} sent '${action}' to server ${dbServer.serverId}`
+      );
+
+      res.json({
+        success: true,
+        message: `Power action '${action}' sent successfully`,
+      });
+    } catch (error) {
+      console.error("Error sending power action:", error);
+
+      if (error.statusCode === 404) {
+        return res.status(404).json({
+          success: false,
+          error: "Server not found in panel",
+        });
+      }
+
+      if (error.statusCode === 409) {
+        return res.status(409).json({
+          success: false,
+          error: "Server is suspended or still installing",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Failed to send power action",
+      });
+    }
+  }
+);
+
 export default router;
@@ -1,22 +1,39 @@
 import { Router } from "express";
+import { createHash, randomBytes, randomInt } from "node:crypto";
 import bcrypt from "bcrypt";
-import axios from "axios";
 import jwt from "jsonwebtoken";
 import { Op } from "sequelize";
 import User from "../model/User.js";
 import Resources from "../model/resources.js";
+import PasswordReset from "../model/PasswordReset.js";
+import Session from "../model/Session.js";
+import ApiKey, { API_KEY_SCOPES, apiKeyScopes } from "../model/ApiKey.js";
+import OAuthAccount from "../model/OAuthAccount.js";
+import Role, { PERMISSION_NAMES, rolePermissions } from "../model/Role.js";
+import { sendMail } from "./mail.js";
+import { generateSecret, otpauthUri, verifyCode } from "./totp.js";
+import { TtlCache } from "./cache.js";
+import { getOAuthProvider, listOAuthProviders } from "./oauth.js";
+import { captchaRequired, verifyCaptcha } from "./captcha.js";
+import { AttemptThrottle, backoffDelay, formatWait } from "./throttle.js";
+import panel, { PterodactylError } from "./pterodactyl.js";
 
 const router = Router();
 
 // Configuration
 const config = {
   secretKey: process.env.SECRET_KEY,
-  panelUrl: process.env.panel_url,
-  panelKey: process.env.panel_key,
   nodeEnv: process.env.NODE_ENV,
   saltRounds: 12,
   tokenExpiry: "24h",
   cookieMaxAge: 24 * 60 * 60 * 1000,
+  preAuthExpiry: "5m",
+  // Only write a session's last-seen time this often
+  lastSeenInterval: 60 * 1000,
+  recoveryCodeCount: 10,
+  apiKeyPrefix: "nxd_",
+  oauthStateExpiry: 10 * 60 * 1000,
+  maxApiKeys: 25,
 };
 
 // Validation schemas
@@ -32,11 +49,12 @@ class AuthError extends Error {
   }
 }
 
-class PterodactylError extends Error {
-  constructor(message, statusCode = 500) {
-    super(message);
-    this.statusCode = statusCode;
-    this.name = "PterodactylError";
+// Too many attempts; retryAfter is in milliseconds
+class ThrottleError extends AuthError {
+  constructor(message, retryAfter) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+    this.name = "ThrottleError";
   }
 }
 
@@ -47,12 +65,14 @@ const validateInput = {
   required: (...fields) => fields.every((field) => field && field.trim()),
 };
 
-const createToken = (user, pteroUser = null) => {
+const createToken = (user, pteroUser = null, sid = null) => {
   const payload = {
     userId: user.id,
+    sid,
     email: user.email,
     pteroId: user.ptero_id,
     resourcesId: user.resourcesId,
+    tokenVersion: user.tokenVersion ?? 0,
   };
 
   if (pteroUser?.attributes?.root_admin !== undefined) {
@@ -71,6 +91,67 @@ const setAuthCookie = (res, token) => {
   });
 };
 
+/**
+ * Persist a new session for this request and issue its cookie
+ * @param {Object} req - Express request, for the device and IP
+ * @param {Object} res - Express response
+ * @param {Object} user - User record
+ * @param {Object} pteroUser - Panel user, for the root_admin claim
+ * @returns {Promise<Object>} - Session record
+ */
+const startSession = async (req, res, user, pteroUser = null) => {
+  // Expired sessions are never shown again, so drop them as we go
+  await Session.destroy({
+    where: { userId: user.id, expiresAt: { [Op.lt]: new Date() } },
+  });
+
+  const session = await Session.create({
+    userId: user.id,
+    sid: randomBytes(24).toString("hex"),
+    userAgent: req.get("user-agent")?.slice(0, 255) || null,
+    ip: req.ip || null,
+    expiresAt: new Date(Date.now() + config.cookieMaxAge),
+  });
+
+  setAuthCookie(res, createToken(user, pteroUser, session.sid));
+  return session;
+};
+
+/**
+ * Revoke a user's active sessions
+ * @param {number} userId - User ID
+ * @param {Object} where - Extra conditions, e.g. a single session id
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export const revokeUserSessions = async (userId, where = {}) => {
+  const [count] = await Session.update(
+    { revokedAt: new Date() },
+    { where: { userId, revokedAt: null, ...where } }
+  );
+  return count;
+};
+
+const formatSession = (session, currentSid) => ({
+  id: session.id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  current: session.sid === currentSid,
+});
+
+const formatApiKey = (apiKey) => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKeyScopes(apiKey),
+  createdAt: apiKey.createdAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  expiresAt: apiKey.expiresAt,
+});
+
 const formatUserResponse = (user, pteroUser = null) => ({
   id: user.id,
   firstname: user.firstName,
@@ -78,61 +159,116 @@ const formatUserResponse = (user, pteroUser = null) => ({
   username: user.username,
   email: user.email,
   ptero_id: user.ptero_id,
+  twoFactorEnabled: Boolean(user.twoFactorEnabled),
+  emailVerified: Boolean(user.emailVerified),
   ...(pteroUser && { root_admin: pteroUser?.attributes?.root_admin }),
 });
 
-// Pterodactyl API service
-class PterodactylService {
-  constructor() {
-    this.baseURL = config.panelUrl;
-    this.headers = {
-      Authorization: `Bearer ${config.panelKey}`,
-      Accept: "application/json",
-      "Content-Type": "application/json",
-    };
-  }
+/**
+ * Whether root_admin accounts must use two-factor authentication
+ * @returns {boolean}
+ */
+const adminTwoFactorRequired = () => process.env.require_admin_2fa === "true";
+
+/**
+ * Whether new registrations must verify their email before creating
+ * servers or buying from the store
+ * @returns {boolean}
+ */
+const emailVerificationRequired = () =>
+  process.env.require_email_verification === "true";
+
+/**
+ * Create the short-lived token that stands in for a session between the
+ * password step and the second factor
+ * @param {Object} user - User record
+ * @param {string} purpose - "2fa" to submit a code, "2fa-setup" to enroll
+ * @param {Object} pteroUser - Panel user, for the root_admin claim
+ * @returns {string} - Signed JWT
+ */
+const createPreAuthToken = (user, purpose, pteroUser) =>
+  jwt.sign(
+    {
+      userId: user.id,
+      purpose,
+      tokenVersion: user.tokenVersion ?? 0,
+      root_admin: Boolean(pteroUser?.attributes?.root_admin),
+    },
+    config.secretKey,
+    { expiresIn: config.preAuthExpiry }
+  );
 
+/**
+ * Outages and rate limits already read well and carry the right status;
+ * anything else is replaced by `message` so panel internals stay hidden
+ * @param {PterodactylError} error
+ * @param {string} message
+ * @returns {PterodactylError}
+ */
+const panelFailure = (error, message) =>
+  error.statusCode >= 500 || error.statusCode === 429
+    ? error
+    : new PterodactylError(message);
+
+// Panel user lookups for sign-in and account changes
+class PterodactylService {
   async getUser(pteroId) {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/api/application/users/${pteroId}`,
-        {
-          headers: this.headers,
-        }
-      );
-      return response.data;
+      const pteroUser = await panel.getUser(pteroId);
+      rememberAdminStatus(pteroId, pteroUser?.attributes?.root_admin);
+      return pteroUser;
     } catch (error) {
-      if (error.response?.status === 404) {
+      if (error.statusCode === 404) {
         throw new PterodactylError("User not found in panel", 404);
       }
-      throw new PterodactylError("Failed to fetch user from panel");
+      throw panelFailure(error, "Failed to fetch user from panel");
     }
   }
 
   async findUserByEmail(email) {
     try {
-      const response = await axios.get(
-        `${
-          this.baseURL
-        }/api/application/users?filter[email]=${encodeURIComponent(email)}`,
-        { headers: this.headers }
-      );
-      return response.data.data.length > 0 ? response.data.data[0] : null;
+      return await panel.findUserByEmail(email);
     } catch (error) {
-      throw new PterodactylError("Failed to search user in panel");
+      throw panelFailure(error, "Failed to search user in panel");
     }
   }
 
   async createUser(userData) {
     try {
-      const response = await axios.post(
-        `${this.baseURL}/api/application/users`,
-        userData,
-        { headers: this.headers }
-      );
-      return response.data;
+      return await panel.createUser(userData);
+    } catch (error) {
+      throw panelFailure(error, "Failed to create user in panel");
+    }
+  }
+
+  async updateUser(pteroId, changes) {
+    // The panel requires every identity field on update, so merge into the current ones
+    const { attributes } = await this.getUser(pteroId);
+    try {
+      return await panel.updateUser(pteroId, {
+        email: attributes.email,
+        username: attributes.username,
+        first_name: attributes.first_name,
+        last_name: attributes.last_name,
+        ...changes,
+      });
+    } catch (error) {
+      if (error.statusCode === 422) {
+        throw new PterodactylError(
+          "Panel rejected the update, the email or username may be taken",
+          409
+        );
+      }
+      throw panelFailure(error, "Failed to update user in panel");
+    }
+  }
+
+  async deleteUser(pteroId) {
+    try {
+      await panel.deleteUser(pteroId);
     } catch (error) {
-      throw new PterodactylError("Failed to create user in panel");
+      if (error.statusCode === 404) return;
+      throw panelFailure(error, "Failed to delete user from panel");
     }
   }
 
@@ -158,8 +294,243 @@ class PterodactylService {
 
 const pteroService = new PterodactylService();
 
+// Panel root_admin flags by panel user ID, so admin checks see privilege
+// changes made in the panel without a request to it on every call
+const adminStatusCache = new TtlCache(30 * 1000);
+
+const adminCacheTtl = () =>
+  (parseInt(process.env.admin_cache_seconds) || 30) * 1000;
+
+function rememberAdminStatus(pteroId, rootAdmin) {
+  adminStatusCache.set(String(pteroId), Boolean(rootAdmin), adminCacheTtl());
+}
+
+/**
+ * Drop a cached admin flag, e.g. after changing it through the API
+ * @param {number} pteroId - Panel user ID
+ */
+export const forgetAdminStatus = (pteroId) =>
+  adminStatusCache.delete(String(pteroId));
+
+/**
+ * Whether a panel user is currently a root admin
+ * @param {number} pteroId - Panel user ID
+ * @returns {Promise<boolean>}
+ * @throws {PterodactylError} - If the panel cannot be reached
+ */
+export const isPanelAdmin = async (pteroId) => {
+  const cached = adminStatusCache.get(String(pteroId));
+  if (cached !== undefined) return cached;
+
+  try {
+    const pteroUser = await pteroService.getUser(pteroId);
+    return Boolean(pteroUser?.attributes?.root_admin);
+  } catch (error) {
+    // Deleted from the panel: certainly not an admin any more
+    if (error.statusCode === 404) {
+      rememberAdminStatus(pteroId, false);
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Whether a token's user is a root admin now, falling back to the token's
+ * claim while the panel cannot be reached
+ * @param {Object} decoded - Decoded session token
+ * @returns {Promise<boolean>}
+ */
+const isAdminOrClaimed = async (decoded) => {
+  try {
+    return await isPanelAdmin(decoded.pteroId);
+  } catch (error) {
+    console.error("Failed to check admin status:", error.message);
+    return Boolean(decoded.root_admin);
+  }
+};
+
 // Middleware
-export const verifyToken = (req, res, next) => {
+export const decodeToken = (token) => jwt.verify(token, config.secretKey);
+
+/**
+ * Decode a token and check its session is still active
+ * @param {string} token - JWT from the auth cookie
+ * @param {Object} context
+ * @param {string} context.ip - Client IP, recorded as the session's last IP
+ * @returns {Promise<Object>} - Decoded token payload
+ * @throws {Error} - If the token is invalid, expired or revoked
+ */
+export const authenticateToken = async (token, { ip } = {}) => {
+  const decoded = decodeToken(token);
+
+  // Pre-auth tokens only unlock the second login step
+  if (decoded.purpose) {
+    throw new AuthError("Invalid session token", 401);
+  }
+
+  const user = await User.findByPk(decoded.userId, {
+    attributes: ["id", "tokenVersion", "twoFactorEnabled", "emailVerified"],
+  });
+  if (!user || user.tokenVersion !== (decoded.tokenVersion ?? 0)) {
+    throw new AuthError("Session has been revoked", 401);
+  }
+
+  const session =
+    decoded.sid &&
+    (await Session.findOne({
+      where: { sid: decoded.sid, userId: decoded.userId },
+    }));
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    throw new AuthError("Session has been revoked", 401);
+  }
+
+  if (Date.now() - session.lastSeenAt > config.lastSeenInterval) {
+    await session.update({ lastSeenAt: new Date(), ...(ip && { ip }) });
+  }
+
+  // Asks the panel, as the token's root_admin claim dates from the login
+  if (
+    adminTwoFactorRequired() &&
+    !user.twoFactorEnabled &&
+    (await isAdminOrClaimed(decoded))
+  ) {
+    throw new AuthError("Two-factor authentication is required", 401);
+  }
+
+  return {
+    ...decoded,
+    twoFactorEnabled: user.twoFactorEnabled,
+    emailVerified: user.emailVerified,
+  };
+};
+
+/**
+ * Resolve the user behind a pre-auth token
+ * @param {string} token - Pre-auth JWT from the request body
+ * @param {string} purpose - Purpose the token must have been issued for
+ * @returns {Promise<Object>} - User record
+ * @throws {AuthError} - If the token is invalid, expired or stale
+ */
+const verifyPreAuthToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = decodeToken(token);
+  } catch (error) {
+    throw new AuthError("Login expired, please sign in again", 401);
+  }
+
+  if (decoded.purpose !== purpose) {
+    throw new AuthError("Invalid login token", 401);
+  }
+
+  const user = await User.findByPk(decoded.userId);
+  if (!user || user.tokenVersion !== (decoded.tokenVersion ?? 0)) {
+    throw new AuthError("Login expired, please sign in again", 401);
+  }
+
+  return user;
+};
+
+const hashApiKey = (key) => createHash("sha256").update(key).digest("hex");
+
+/**
+ * Resolve the user behind a personal API key, in the same shape as a decoded
+ * session token plus the key's id, name and scopes
+ * @param {string} key - Full API key from the Authorization header
+ * @param {Object} options
+ * @param {string} options.ip - Client IP, recorded as the key's last use
+ * @returns {Promise<Object>} - Key owner
+ * @throws {AuthError} - If the key is unknown or expired
+ */
+const authenticateApiKey = async (key, { ip } = {}) => {
+  const apiKey = await ApiKey.findOne({
+    where: { keyHash: hashApiKey(key) },
+    include: [
+      {
+        model: User,
+        as: "user",
+        attributes: [
+          "id",
+          "email",
+          "ptero_id",
+          "resourcesId",
+          "tokenVersion",
+          "twoFactorEnabled",
+          "emailVerified",
+        ],
+      },
+    ],
+  });
+  if (!apiKey?.user || (apiKey.expiresAt && apiKey.expiresAt < new Date())) {
+    throw new AuthError("Invalid or expired API key", 401);
+  }
+
+  if (
+    !apiKey.lastUsedAt ||
+    Date.now() - apiKey.lastUsedAt > config.lastSeenInterval
+  ) {
+    await apiKey.update({ lastUsedAt: new Date(), lastUsedIp: ip || null });
+  }
+
+  const { user } = apiKey;
+  return {
+    userId: user.id,
+    email: user.email,
+    pteroId: user.ptero_id,
+    resourcesId: user.resourcesId,
+    tokenVersion: user.tokenVersion,
+    twoFactorEnabled: user.twoFactorEnabled,
+    emailVerified: user.emailVerified,
+    apiKey: { id: apiKey.id, name: apiKey.name, scopes: apiKeyScopes(apiKey) },
+  };
+};
+
+/**
+ * Let personal API keys holding `scope` use a route. Must run before
+ * verifyToken; routes without it only accept login sessions.
+ * @param {string} scope - Name from API_KEY_SCOPES in model/ApiKey.js
+ * @returns {Function} - Express middleware
+ */
+export const allowApiKey = (scope) => (req, res, next) => {
+  req.apiKeyScope = scope;
+  next();
+};
+
+const verifyApiKey = async (req, res, next, key) => {
+  try {
+    req.user = await authenticateApiKey(key, { ip: req.ip });
+  } catch (err) {
+    return res.status(401).json({
+      success: false,
+      error: "Invalid or expired API key",
+    });
+  }
+
+  if (!req.apiKeyScope) {
+    return res.status(403).json({
+      success: false,
+      error: "This endpoint does not accept API keys",
+    });
+  }
+
+  if (!req.user.apiKey.scopes.includes(req.apiKeyScope)) {
+    return res.status(403).json({
+      success: false,
+      error: `API key is missing the ${req.apiKeyScope} scope`,
+    });
+  }
+
+  next();
+};
+
+export const verifyToken = async (req, res, next) => {
+  // Scripts send a personal API key as a bearer token instead of the cookie
+  const [scheme, bearer] = (req.get("authorization") || "").split(" ");
+  if (scheme === "Bearer" && bearer?.startsWith(config.apiKeyPrefix)) {
+    return verifyApiKey(req, res, next, bearer);
+  }
+
   const token = req?.cookies.auth_token;
 
   if (!token) {
@@ -170,15 +541,132 @@ export const verifyToken = (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, config.secretKey);
-    req.user = decoded;
-    next();
+    req.user = await authenticateToken(token, { ip: req.ip });
   } catch (err) {
     return res?.status(401).json({
       success: false,
       error: "Invalid or expired token",
     });
   }
+
+  next();
+};
+
+/**
+ * Allow only current panel root admins. Must run after verifyToken; the
+ * JWT's root_admin claim is replaced with the panel's current answer.
+ */
+export const verifyAdmin = async (req, res, next) => {
+  try {
+    req.user.root_admin = await isPanelAdmin(req.user.pteroId);
+  } catch (error) {
+    console.error("Failed to check admin status:", error.message);
+    return res.status(503).json({
+      success: false,
+      error: "Could not verify administrator privileges",
+    });
+  }
+
+  if (!req.user.root_admin) {
+    return res.status(403).json({
+      success: false,
+      error: "Access denied: Administrator privileges required",
+    });
+  }
+
+  if (adminTwoFactorRequired() && !req.user.twoFactorEnabled) {
+    return res.status(403).json({
+      success: false,
+      error: "Two-factor authentication is required for admin accounts",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Work out what a user may do: panel root admins hold every permission,
+ * everyone else what their dashboard role grants
+ * @param {Object} user - Decoded token from verifyToken
+ * @returns {Promise<{rootAdmin: boolean, role: string|null, permissions: string[]}>}
+ * @throws {PterodactylError} - If the panel cannot be reached
+ */
+export const resolvePermissions = async (user) => {
+  const dbUser = await User.findByPk(user.userId, {
+    attributes: ["id", "roleId"],
+    include: [{ model: Role, as: "role" }],
+  });
+  const role = dbUser?.role?.name ?? null;
+
+  if (await isPanelAdmin(user.pteroId)) {
+    return { rootAdmin: true, role, permissions: PERMISSION_NAMES };
+  }
+
+  return {
+    rootAdmin: false,
+    role,
+    permissions: rolePermissions(dbUser?.role),
+  };
+};
+
+/**
+ * Allow only users holding every listed permission. Must run after
+ * verifyToken; sets req.user.permissions and a fresh req.user.root_admin.
+ * @param {...string} permissions - Names from PERMISSIONS in model/Role.js
+ * @returns {Function} - Express middleware
+ */
+export const requirePermission =
+  (...permissions) =>
+  async (req, res, next) => {
+    let access;
+    try {
+      access = await resolvePermissions(req.user);
+    } catch (error) {
+      console.error("Failed to check permissions:", error.message);
+      return res.status(503).json({
+        success: false,
+        error: "Could not verify permissions",
+      });
+    }
+
+    req.user.root_admin = access.rootAdmin;
+    req.user.permissions = access.permissions;
+
+    const missing = permissions.filter((p) => !access.permissions.includes(p));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: `Access denied: requires ${missing.join(", ")}`,
+      });
+    }
+
+    if (
+      access.rootAdmin &&
+      adminTwoFactorRequired() &&
+      !req.user.twoFactorEnabled
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: "Two-factor authentication is required for admin accounts",
+      });
+    }
+
+    next();
+  };
+
+/**
+ * Refuse users who have not verified their email yet, while verification is
+ * required. Must run after verifyToken.
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (emailVerificationRequired() && req.user.emailVerified === false) {
+    return res.status(403).json({
+      success: false,
+      error: "Please verify your email address first",
+    });
+  }
+
+  next();
 };
 
 // Error handling middleware
@@ -188,12 +676,219 @@ const handleError = (res, error) => {
   const statusCode = error.statusCode || 500;
   const message = error.statusCode ? error.message : "Internal server error";
 
+  if (error.retryAfter) {
+    res.set("Retry-After", String(Math.ceil(error.retryAfter / 1000)));
+  }
+
   res.status(statusCode).json({
     success: false,
     error: message,
   });
 };
 
+const hashRecoveryCode = (code) =>
+  createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {{codes: string[], hashes: string[]}} - Plain codes for the user
+ * and the hashes to store
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: config.recoveryCodeCount }, () => {
+    const hex = randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Check a TOTP code or recovery code for a user with 2FA enabled. A
+ * matching code is used up: its time step or recovery code cannot be
+ * accepted again.
+ * @param {Object} user - User record
+ * @param {Object} factor
+ * @param {string} factor.code - Code from the authenticator app
+ * @param {string} factor.recoveryCode - One of the user's recovery codes
+ * @returns {Promise<void>}
+ * @throws {AuthError} - If no code is given or it does not match
+ */
+const consumeSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(user.totpSecret, code, {
+      lastStep: user.totpLastStep,
+    });
+
+    // Conditional update so two requests with the same code cannot both pass
+    const [accepted] = step
+      ? await User.update(
+          { totpLastStep: step },
+          {
+            where: {
+              id: user.id,
+              [Op.or]: [
+                { totpLastStep: null },
+                { totpLastStep: { [Op.lt]: step } },
+              ],
+            },
+          }
+        )
+      : [0];
+
+    if (!accepted) {
+      throw new AuthError("Invalid two-factor code", 401);
+    }
+    return;
+  }
+
+  if (recoveryCode) {
+    const hashes = JSON.parse(user.recoveryCodes || "[]");
+    const hash = hashRecoveryCode(recoveryCode);
+    if (!hashes.includes(hash)) {
+      throw new AuthError("Invalid recovery code", 401);
+    }
+
+    const remaining = hashes.filter((stored) => stored !== hash);
+    const [accepted] = await User.update(
+      { recoveryCodes: JSON.stringify(remaining) },
+      { where: { id: user.id, recoveryCodes: user.recoveryCodes } }
+    );
+    if (!accepted) {
+      throw new AuthError("Invalid recovery code", 401);
+    }
+    return;
+  }
+
+  throw new AuthError("Please provide a two-factor code or recovery code");
+};
+
+// Failed logins per client IP, across all accounts
+const loginThrottle = new AttemptThrottle({
+  freeAttempts: 10,
+  baseDelayMs: 1000,
+  maxDelayMs: 15 * 60 * 1000,
+  windowMs: 60 * 60 * 1000,
+});
+
+// Registration attempts per client IP
+const registerThrottle = new AttemptThrottle({
+  freeAttempts: 5,
+  baseDelayMs: 30 * 1000,
+  maxDelayMs: 60 * 60 * 1000,
+  windowMs: 24 * 60 * 60 * 1000,
+});
+
+// Backoff per account, stored on the user so admins can see and lift it
+const accountLockout = () => ({
+  freeAttempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 60 * 1000,
+  maxFailures: parseInt(process.env.login_max_failures) || 10,
+  lockoutMs: (parseInt(process.env.login_lockout_minutes) || 15) * 60 * 1000,
+});
+
+/**
+ * Refuse the request while its key, usually the client IP, is backing off
+ * @param {AttemptThrottle} throttle
+ * @param {string} key
+ * @throws {ThrottleError}
+ */
+const assertNotThrottled = (throttle, key) => {
+  const wait = throttle.retryAfter(key);
+  if (wait > 0) {
+    throw new ThrottleError(
+      `Too many attempts, try again in ${formatWait(wait)}`,
+      wait
+    );
+  }
+};
+
+/**
+ * Refuse logins to an account that is backing off or locked out
+ * @param {Object} user - User record
+ * @throws {ThrottleError}
+ */
+const assertAccountUnlocked = (user) => {
+  const wait = user.lockedUntil ? user.lockedUntil - Date.now() : 0;
+  if (wait > 0) {
+    throw new ThrottleError(
+      `Too many failed sign in attempts for this account, try again in ${formatWait(
+        wait
+      )}`,
+      wait
+    );
+  }
+};
+
+/**
+ * Count a wrong password or second factor against the account: back off
+ * exponentially, and lock it once it reaches login_max_failures
+ * @param {Object} user - User record
+ * @returns {Promise<void>}
+ */
+const recordLoginFailure = async (user) => {
+  await user.increment("failedLogins");
+  await user.reload({ attributes: ["id", "failedLogins"] });
+
+  const options = accountLockout();
+  const delay =
+    user.failedLogins >= options.maxFailures
+      ? options.lockoutMs
+      : backoffDelay(user.failedLogins, options);
+
+  if (delay > 0) {
+    await user.update({ lockedUntil: new Date(Date.now() + delay) });
+  }
+};
+
+/**
+ * Require a valid captcha token in the body when a site key is configured
+ * @param {Object} req - Express request
+ * @returns {Promise<void>}
+ * @throws {AuthError}
+ */
+const assertCaptcha = async (req) => {
+  if (!captchaRequired()) return;
+
+  let valid;
+  try {
+    valid = await verifyCaptcha(req.body.captchaToken, req.ip);
+  } catch (error) {
+    console.error("Captcha verification error:", error.message);
+    throw new AuthError("Could not verify the captcha, please try again", 503);
+  }
+
+  if (!valid) {
+    throw new AuthError("Captcha verification failed, please try again");
+  }
+};
+
+/**
+ * Start a session and send the login response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User record
+ * @param {Object} pteroUser - Panel user, for the root_admin claim
+ * @param {Object} extra - Additional response fields
+ */
+const completeLogin = async (req, res, user, pteroUser, extra = {}) => {
+  if (user.failedLogins || user.lockedUntil) {
+    await user.update({ failedLogins: 0, lockedUntil: null });
+  }
+
+  await startSession(req, res, user, pteroUser);
+
+  res.json({
+    success: true,
+    message: "Login successful",
+    user: formatUserResponse(user, pteroUser),
+    ...extra,
+  });
+};
+
 // Route handlers
 router.post("/login", async (req, res) => {
   try {
@@ -203,26 +898,75 @@ router.post("/login", async (req, res) => {
       throw new AuthError("Please provide all credentials");
     }
 
+    assertNotThrottled(loginThrottle, req.ip);
+    await assertCaptcha(req);
+
     const user = await User.findOne({ where: { email } });
     if (!user) {
+      loginThrottle.fail(req.ip);
       throw new AuthError("Invalid credentials", 401);
     }
 
+    assertAccountUnlocked(user);
+
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      loginThrottle.fail(req.ip);
+      await recordLoginFailure(user);
       throw new AuthError("Invalid credentials", 401);
     }
 
     const pteroUser = await pteroService.getOrCreateUser(user);
-    const token = createToken(user, pteroUser);
 
-    setAuthCookie(res, token);
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        preAuthToken: createPreAuthToken(user, "2fa", pteroUser),
+      });
+    }
 
-    res.json({
-      success: true,
-      message: "Login successful",
-      user: formatUserResponse(user, pteroUser),
-    });
+    if (adminTwoFactorRequired() && pteroUser?.attributes?.root_admin) {
+      return res.json({
+        success: true,
+        twoFactorSetupRequired: true,
+        preAuthToken: createPreAuthToken(user, "2fa-setup", pteroUser),
+      });
+    }
+
+    await completeLogin(req, res, user, pteroUser);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { preAuthToken, code, recoveryCode } = req.body;
+
+    if (!validateInput.required(preAuthToken)) {
+      throw new AuthError("Login expired, please sign in again", 401);
+    }
+
+    assertNotThrottled(loginThrottle, req.ip);
+
+    const user = await verifyPreAuthToken(preAuthToken, "2fa");
+    if (!user.twoFactorEnabled) {
+      throw new AuthError("Login expired, please sign in again", 401);
+    }
+
+    assertAccountUnlocked(user);
+
+    try {
+      await consumeSecondFactor(user, { code, recoveryCode });
+    } catch (error) {
+      loginThrottle.fail(req.ip);
+      await recordLoginFailure(user);
+      throw error;
+    }
+
+    const pteroUser = await pteroService.getOrCreateUser(user);
+    await completeLogin(req, res, user, pteroUser);
   } catch (error) {
     handleError(res, error);
   }
@@ -232,6 +976,11 @@ router.post("/register", async (req, res) => {
   try {
     const { firstname, lastname, username, email, password } = req.body;
 
+    // Every attempt counts, so one client cannot mass-create accounts
+    assertNotThrottled(registerThrottle, req.ip);
+    registerThrottle.fail(req.ip);
+    await assertCaptcha(req);
+
     // Input validation
     if (
       !validateInput.required(firstname, lastname, username, email, password)
@@ -285,10 +1034,14 @@ router.post("/register", async (req, res) => {
       email,
       password: hashedPassword,
       ptero_id: pteroUserId,
+      emailVerified: !emailVerificationRequired(),
     });
 
-    const token = createToken(newUser, { data: pteroUser });
-    setAuthCookie(res, token);
+    if (!newUser.emailVerified) {
+      await sendVerificationMail(newUser);
+    }
+
+    await startSession(req, res, newUser, { data: pteroUser });
 
     res.status(201).json({
       success: true,
@@ -300,17 +1053,303 @@ router.post("/register", async (req, res) => {
   }
 });
 
-router.get("/me", verifyToken, async (req, res) => {
-  try {
-    const user = await User.findByPk(req.user.userId, {
-      attributes: [
-        "id",
-        "firstName",
+/**
+ * Pick a free username from a provider profile. Usernames must be 3-30
+ * letters and digits.
+ * @param {Object} profile - OAuthProfile from control/oauth.js
+ * @returns {Promise<string>}
+ */
+const uniqueUsername = async (profile) => {
+  const base = (profile.username || profile.email.split("@")[0])
+    .replace(/[^a-zA-Z0-9]/g, "")
+    .slice(0, 24)
+    .padEnd(3, "0");
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const candidate = attempt ? `${base}${randomInt(100000)}` : base;
+    if (!(await User.findOne({ where: { username: candidate } }))) {
+      return candidate;
+    }
+  }
+
+  throw new AuthError(
+    "Could not pick a username, please register instead",
+    409
+  );
+};
+
+// Names must be 2-50 characters
+const profileName = (name, fallback) => {
+  const trimmed = (name || "").trim().slice(0, 50);
+  return trimmed.length >= 2 ? trimmed : fallback;
+};
+
+/**
+ * Find the user behind a provider login. Unknown logins are linked to the
+ * user with the same email, or to a new user with a panel account, but only
+ * when the provider has verified that email. A user who never verified the
+ * address may not own it, so they have to link the provider themselves.
+ * @param {Object} provider - OAuth2Provider from control/oauth.js
+ * @param {Object} profile - OAuthProfile from the provider
+ * @returns {Promise<Object>} - User record
+ */
+const findOrCreateOAuthUser = async (provider, profile) => {
+  const linked = await OAuthAccount.findOne({
+    where: { provider: provider.name, subject: profile.id },
+    include: [{ model: User, as: "user" }],
+  });
+  if (linked?.user) {
+    return linked.user;
+  }
+
+  if (!profile.email || !profile.emailVerified) {
+    throw new AuthError(
+      `Your ${provider.label} account has no verified email address`,
+      403
+    );
+  }
+
+  let user = await User.findOne({ where: { email: profile.email } });
+
+  if (!user) {
+    const username = await uniqueUsername(profile);
+    const firstName = profileName(profile.firstName, username);
+    const lastName = profileName(profile.lastName, "User");
+
+    let pteroUser = await pteroService.findUserByEmail(profile.email);
+    if (!pteroUser) {
+      pteroUser = await pteroService.createUser({
+        email: profile.email,
+        username,
+        first_name: firstName,
+        last_name: lastName,
+      });
+    }
+
+    // No usable password; "forgot password" can set one later
+    const password = await bcrypt.hash(
+      randomBytes(32).toString("hex"),
+      config.saltRounds
+    );
+
+    user = await User.create({
+      firstName,
+      lastName,
+      username,
+      email: profile.email,
+      password,
+      ptero_id: pteroUser.attributes?.id || pteroUser.id,
+    });
+  } else if (!user.emailVerified || !user.emailVerifiedAt) {
+    throw new AuthError(
+      `An account already uses this email. Sign in with your password and link ${provider.label} from Settings`,
+      409
+    );
+  }
+
+  await OAuthAccount.create({
+    userId: user.id,
+    provider: provider.name,
+    subject: profile.id,
+    email: profile.email,
+  });
+
+  return user;
+};
+
+/**
+ * Link a provider login to a signed-in user
+ * @param {Object} provider - OAuth2Provider from control/oauth.js
+ * @param {Object} profile - OAuthProfile from the provider
+ * @param {number} userId - User who started the link
+ * @returns {Promise<void>}
+ */
+const linkOAuthAccount = async (provider, profile, userId) => {
+  const linked = await OAuthAccount.findOne({
+    where: { provider: provider.name, subject: profile.id },
+  });
+  if (linked) {
+    if (linked.userId === userId) return;
+    throw new AuthError(
+      `This ${provider.label} account is linked to another user`,
+      409
+    );
+  }
+
+  await OAuthAccount.create({
+    userId,
+    provider: provider.name,
+    subject: profile.id,
+    email: profile.email,
+  });
+};
+
+const oauthRedirectUri = (provider) =>
+  `${process.env.app_url}/api/auth/oauth/${provider.name}/callback`;
+
+// Hand the result of a provider login to the login page; the fragment keeps
+// tokens out of server logs
+const redirectToLogin = (res, params) =>
+  res.redirect(
+    `${process.env.app_url}/auth/login#${new URLSearchParams(params)}`
+  );
+
+// Hand the result of linking a provider to the settings page
+const redirectToSettings = (res, params) =>
+  res.redirect(
+    `${process.env.app_url}/settings#${new URLSearchParams(params)}`
+  );
+
+router.get("/oauth/providers", (req, res) => {
+  res.json({
+    success: true,
+    providers: listOAuthProviders().map(({ name, label }) => ({
+      name,
+      label,
+    })),
+  });
+});
+
+/**
+ * Send the browser to a provider's login page
+ * @param {Object} req
+ * @param {Object} res
+ * @param {number|null} linkUserId - Signed-in user linking the provider
+ * account, or null for a login
+ */
+const startOAuth = async (req, res, linkUserId = null) => {
+  const redirect = linkUserId ? redirectToSettings : redirectToLogin;
+
+  try {
+    const provider = getOAuthProvider(req.params.provider);
+    if (!provider) {
+      throw new AuthError("Unknown login provider", 404);
+    }
+
+    // The callback is a cross-site request without the auth cookie, so the
+    // user linking the account travels in the signed state
+    const state = randomBytes(16).toString("hex");
+    const stateToken = jwt.sign(
+      { purpose: "oauth-state", state, provider: provider.name, linkUserId },
+      config.secretKey,
+      { expiresIn: config.oauthStateExpiry / 1000 }
+    );
+
+    // Lax, as the provider sends the browser back with a cross-site redirect
+    res.cookie("oauth_state", stateToken, {
+      httpOnly: true,
+      secure: config.nodeEnv === "production",
+      sameSite: "lax",
+      maxAge: config.oauthStateExpiry,
+    });
+
+    res.redirect(
+      await provider.authorizationUrl(state, oauthRedirectUri(provider))
+    );
+  } catch (error) {
+    if (!error.statusCode) console.error("OAuth start error:", error);
+    redirect(res, {
+      error: error.statusCode ? error.message : "Sign in failed, please retry",
+    });
+  }
+};
+
+router.get("/oauth/:provider", (req, res) => startOAuth(req, res));
+
+// Link a provider account to the signed-in user, whatever its email
+router.get("/oauth/:provider/link", verifyToken, (req, res) =>
+  startOAuth(req, res, req.user.userId)
+);
+
+router.get("/oauth/:provider/callback", async (req, res) => {
+  res.clearCookie("oauth_state");
+  let redirect = redirectToLogin;
+
+  try {
+    const provider = getOAuthProvider(req.params.provider);
+    if (!provider) {
+      throw new AuthError("Unknown login provider", 404);
+    }
+
+    if (req.query.error) {
+      throw new AuthError(`${provider.label} sign in was cancelled`);
+    }
+
+    let expected = null;
+    try {
+      expected = decodeToken(req.cookies?.oauth_state);
+    } catch (error) {
+      // Missing or expired, handled below
+    }
+
+    if (
+      expected?.purpose !== "oauth-state" ||
+      expected.provider !== provider.name ||
+      expected.state !== req.query.state
+    ) {
+      throw new AuthError("Sign in expired, please try again");
+    }
+    if (expected.linkUserId) redirect = redirectToSettings;
+
+    let profile;
+    try {
+      profile = await provider.getProfile(
+        String(req.query.code),
+        oauthRedirectUri(provider)
+      );
+    } catch (error) {
+      console.error(`${provider.name} profile error:`, error.message);
+      throw new AuthError(`Could not sign in with ${provider.label}`, 502);
+    }
+
+    if (expected.linkUserId) {
+      await linkOAuthAccount(provider, profile, expected.linkUserId);
+      return redirectToSettings(res, { linked: provider.label });
+    }
+
+    const user = await findOrCreateOAuthUser(provider, profile);
+    const pteroUser = await pteroService.getOrCreateUser(user);
+
+    // Same second step as a password login
+    if (user.twoFactorEnabled) {
+      return redirectToLogin(res, {
+        step: "2fa",
+        token: createPreAuthToken(user, "2fa", pteroUser),
+      });
+    }
+
+    if (adminTwoFactorRequired() && pteroUser?.attributes?.root_admin) {
+      return redirectToLogin(res, {
+        step: "2fa-setup",
+        token: createPreAuthToken(user, "2fa-setup", pteroUser),
+      });
+    }
+
+    await startSession(req, res, user, pteroUser);
+    res.redirect(`${process.env.app_url}/`);
+  } catch (error) {
+    if (!error.statusCode) console.error("OAuth callback error:", error);
+    redirect(res, {
+      error: error.statusCode ? error.message : "Sign in failed, please retry",
+    });
+  }
+});
+
+const readAccount = allowApiKey("account.read");
+
+router.get("/me", readAccount, verifyToken, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.userId, {
+      attributes: [
+        "id",
+        "firstName",
         "lastName",
         "username",
         "email",
         "ptero_id",
         "resourcesId",
+        "twoFactorEnabled",
+        "emailVerified",
       ],
     });
 
@@ -332,11 +1371,16 @@ router.get("/me", verifyToken, async (req, res) => {
       await user.save();
     }
 
+    // The panel lookup above refreshed the cached admin flag
+    const { role, permissions } = await resolvePermissions(req.user);
+
     res.json({
       success: true,
       user: {
         ...formatUserResponse(user, pteroUser),
         resourcesId: user.resourcesId,
+        role,
+        permissions,
       },
       resources: userResources,
     });
@@ -345,7 +1389,834 @@ router.get("/me", verifyToken, async (req, res) => {
   }
 });
 
-router.post("/logout", (req, res) => {
+/**
+ * Revoke every session of a user and start a fresh one for this request
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User record
+ * @param {Object} pteroUser - Panel user, for the root_admin claim
+ * @returns {Promise<void>}
+ */
+const rotateSessions = async (req, res, user, pteroUser) => {
+  await user.increment("tokenVersion");
+  await user.reload();
+  await revokeUserSessions(user.id);
+  await startSession(req, res, user, pteroUser);
+};
+
+router.put("/profile", verifyToken, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+      throw new AuthError("User not found", 404);
+    }
+
+    const { firstname, lastname, username, email } = req.body;
+    const changes = {};
+
+    if (firstname !== undefined) changes.firstName = String(firstname).trim();
+    if (lastname !== undefined) changes.lastName = String(lastname).trim();
+    if (username !== undefined) changes.username = String(username).trim();
+    if (email !== undefined) changes.email = String(email).trim();
+
+    if (Object.values(changes).some((value) => !value)) {
+      throw new AuthError("Profile fields cannot be empty");
+    }
+
+    if (changes.email && !validateInput.email(changes.email)) {
+      throw new AuthError("Please provide a valid email address");
+    }
+
+    // Only keep fields that actually change
+    for (const field of Object.keys(changes)) {
+      if (changes[field] === user[field]) delete changes[field];
+    }
+
+    if (Object.keys(changes).length === 0) {
+      throw new AuthError("No profile changes provided");
+    }
+
+    if (changes.email || changes.username) {
+      const conflicts = [];
+      if (changes.email) conflicts.push({ email: changes.email });
+      if (changes.username) conflicts.push({ username: changes.username });
+
+      const existingUser = await User.findOne({
+        where: { [Op.or]: conflicts, id: { [Op.ne]: user.id } },
+      });
+
+      if (existingUser) {
+        throw new AuthError(
+          existingUser.email === changes.email
+            ? "Email already registered"
+            : "Username already taken",
+          409
+        );
+      }
+    }
+
+    // A new address needs verifying like a registration's, else anyone
+    // could switch to an address they don't own
+    const verifyNewEmail =
+      Boolean(changes.email) && emailVerificationRequired();
+
+    // Validate locally before touching the panel
+    user.set({ ...changes, ...(verifyNewEmail && { emailVerified: false }) });
+    await user.validate();
+
+    const pteroUser = await pteroService.updateUser(user.ptero_id, {
+      ...(changes.email && { email: changes.email }),
+      ...(changes.username && { username: changes.username }),
+      ...(changes.firstName && { first_name: changes.firstName }),
+      ...(changes.lastName && { last_name: changes.lastName }),
+    });
+
+    await user.save();
+
+    if (verifyNewEmail) {
+      await sendVerificationMail(user);
+    }
+
+    if (changes.email) {
+      await rotateSessions(req, res, user, pteroUser);
+    }
+
+    res.json({
+      success: true,
+      message: "Profile updated successfully",
+      user: formatUserResponse(user, pteroUser),
+    });
+  } catch (error) {
+    if (error.name === "SequelizeValidationError") {
+      return handleError(
+        res,
+        new AuthError(error.errors.map((err) => err.message).join(", "))
+      );
+    }
+    handleError(res, error);
+  }
+});
+
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!validateInput.required(currentPassword, newPassword)) {
+      throw new AuthError("Please provide your current and new password");
+    }
+
+    if (!validateInput.password(newPassword)) {
+      throw new AuthError(
+        `Password must be at least ${passwordMinLength} characters long`
+      );
+    }
+
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+      throw new AuthError("User not found", 404);
+    }
+
+    const isPasswordValid = await bcrypt.compare(
+      currentPassword,
+      user.password
+    );
+    if (!isPasswordValid) {
+      throw new AuthError("Current password is incorrect", 401);
+    }
+
+    // Keep the panel login in sync before committing the local change
+    const pteroUser = await pteroService.updateUser(user.ptero_id, {
+      password: newPassword,
+    });
+
+    await user.update({
+      password: await bcrypt.hash(newPassword, config.saltRounds),
+    });
+    await rotateSessions(req, res, user, pteroUser);
+
+    res.json({
+      success: true,
+      message: "Password changed successfully",
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+router.post("/change-password", verifyToken, changePassword);
+router.put("/change-password", verifyToken, changePassword);
+
+const hashResetToken = (token) =>
+  createHash("sha256").update(token).digest("hex");
+
+// Reset requests per client IP, and per address whether or not it has an
+// account, so nobody can flood an inbox or keep replacing its reset link
+const resetIpThrottle = new AttemptThrottle({
+  freeAttempts: 10,
+  baseDelayMs: 30 * 1000,
+  maxDelayMs: 60 * 60 * 1000,
+  windowMs: 24 * 60 * 60 * 1000,
+});
+const resetEmailThrottle = new AttemptThrottle({
+  freeAttempts: 3,
+  baseDelayMs: 60 * 1000,
+  maxDelayMs: 60 * 60 * 1000,
+  windowMs: 24 * 60 * 60 * 1000,
+});
+
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    assertNotThrottled(resetIpThrottle, req.ip);
+    resetIpThrottle.fail(req.ip);
+
+    if (!validateInput.required(email) || !validateInput.email(email)) {
+      throw new AuthError("Please provide a valid email address");
+    }
+
+    const emailKey = email.toLowerCase();
+    assertNotThrottled(resetEmailThrottle, emailKey);
+    resetEmailThrottle.fail(emailKey);
+
+    // Same response whether or not the account exists
+    const response = {
+      success: true,
+      message:
+        "If an account exists for that email, a reset link has been sent",
+    };
+
+    const user = await User.findOne({ where: { email } });
+    if (!user) {
+      return res.json(response);
+    }
+
+    // Only the latest link works
+    await PasswordReset.destroy({ where: { userId: user.id, usedAt: null } });
+
+    const token = randomBytes(32).toString("hex");
+    const minutes = parseInt(process.env.password_reset_minutes) || 60;
+
+    await PasswordReset.create({
+      userId: user.id,
+      tokenHash: hashResetToken(token),
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+    });
+
+    const link = `${process.env.app_url}/auth/reset-password?token=${token}`;
+
+    // A mail failure must not reveal that the account exists
+    try {
+      await sendMail({
+        to: user.email,
+        subject: `Reset your ${process.env.app_name || "dashboard"} password`,
+        text:
+          `Hi ${user.firstName},\n\n` +
+          `Use the link below to set a new password. It expires in ${minutes} minutes.\n\n` +
+          `${link}\n\n` +
+          "If you did not ask for this, you can ignore this email.",
+      });
+    } catch (error) {
+      console.error(
+        `Failed to send password reset mail to user ${user.id}:`,
+        error
+      );
+    }
+
+    res.json(response);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!validateInput.required(token, password)) {
+      throw new AuthError("Please provide the reset token and a new password");
+    }
+
+    if (!validateInput.password(password)) {
+      throw new AuthError(
+        `Password must be at least ${passwordMinLength} characters long`
+      );
+    }
+
+    const reset = await PasswordReset.findOne({
+      where: {
+        tokenHash: hashResetToken(token),
+        usedAt: null,
+        expiresAt: { [Op.gt]: new Date() },
+      },
+    });
+
+    if (!reset) {
+      throw new AuthError("Reset link is invalid or has expired");
+    }
+
+    const user = await User.findByPk(reset.userId);
+    if (!user) {
+      throw new AuthError("Reset link is invalid or has expired");
+    }
+
+    // Claim the token first so a second request with it fails
+    const [claimed] = await PasswordReset.update(
+      { usedAt: new Date() },
+      { where: { id: reset.id, usedAt: null } }
+    );
+    if (!claimed) {
+      throw new AuthError("Reset link is invalid or has expired");
+    }
+
+    try {
+      await pteroService.updateUser(user.ptero_id, { password });
+    } catch (error) {
+      // Let the user retry with the same link
+      await PasswordReset.update({ usedAt: null }, { where: { id: reset.id } });
+      throw error;
+    }
+
+    await user.update({
+      password: await bcrypt.hash(password, config.saltRounds),
+    });
+    await user.increment("tokenVersion");
+    await revokeUserSessions(user.id);
+
+    res.json({
+      success: true,
+      message: "Password has been reset, you can now log in",
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+/**
+ * Create the signed link token that verifies a user's email. It names the
+ * address, so it stops working if the email changes.
+ * @param {Object} user - User record
+ * @returns {string} - Signed JWT
+ */
+const createEmailVerificationToken = (user) =>
+  jwt.sign(
+    { userId: user.id, email: user.email, purpose: "verify-email" },
+    config.secretKey,
+    { expiresIn: `${emailVerificationHours()}h` }
+  );
+
+const emailVerificationHours = () =>
+  parseInt(process.env.email_verification_hours) || 24;
+
+/**
+ * Mail the user a link to verify their email. A mail failure is logged, the
+ * user can ask for the mail again.
+ * @param {Object} user - User record
+ * @returns {Promise<void>}
+ */
+const sendVerificationMail = async (user) => {
+  const token = createEmailVerificationToken(user);
+  const link = `${process.env.app_url}/auth/verify-email?token=${token}`;
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: `Verify your ${process.env.app_name || "dashboard"} email`,
+      text:
+        `Hi ${user.firstName},\n\n` +
+        `Use the link below to verify your email address. It expires in ${emailVerificationHours()} hours.\n\n` +
+        `${link}\n\n` +
+        "If you did not create an account, you can ignore this email.",
+    });
+  } catch (error) {
+    console.error(
+      `Failed to send verification mail to user ${user.id}:`,
+      error
+    );
+  }
+};
+
+// Verification mails per user; each resend doubles the wait for the next
+const verificationMailThrottle = new AttemptThrottle({
+  freeAttempts: 1,
+  baseDelayMs: 60 * 1000,
+  maxDelayMs: 60 * 60 * 1000,
+  windowMs: 24 * 60 * 60 * 1000,
+});
+
+router.post("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!validateInput.required(token)) {
+      throw new AuthError("Please provide the verification token");
+    }
+
+    let decoded;
+    try {
+      decoded = decodeToken(token);
+    } catch (error) {
+      throw new AuthError("Verification link is invalid or has expired");
+    }
+
+    const user =
+      decoded.purpose === "verify-email" &&
+      (await User.findByPk(decoded.userId));
+    if (!user || user.email !== decoded.email) {
+      throw new AuthError("Verification link is invalid or has expired");
+    }
+
+    if (!user.emailVerified) {
+      await user.update({ emailVerified: true });
+    }
+
+    res.json({
+      success: true,
+      message: "Your email address has been verified",
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.post("/verify-email/resend", verifyToken, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+      throw new AuthError("User not found", 404);
+    }
+
+    if (user.emailVerified) {
+      throw new AuthError("Your email address is already verified");
+    }
+
+    const key = String(user.id);
+    assertNotThrottled(verificationMailThrottle, key);
+    verificationMailThrottle.fail(key);
+
+    await sendVerificationMail(user);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${user.email}`,
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+let unverifiedPurgeTimer = null;
+
+/**
+ * Delete accounts still unverified unverified_purge_days after registering,
+ * along with their panel user. Panel admins are never purged, and an
+ * account whose panel user cannot be deleted is kept for the next run.
+ * @returns {Promise<Object>} - Counts of purged and failed accounts
+ */
+export async function purgeUnverifiedUsers() {
+  const stats = { purged: 0, failed: 0 };
+  // 0 turns purging off
+  const days = Number(process.env.unverified_purge_days ?? 7);
+
+  if (!emailVerificationRequired() || !(days > 0)) return stats;
+
+  try {
+    const stale = await User.findAll({
+      where: {
+        emailVerified: false,
+        // Accounts that changed to an unverified address are kept
+        emailVerifiedAt: null,
+        createdAt: {
+          [Op.lt]: new Date(Date.now() - days * 24 * 60 * 60 * 1000),
+        },
+      },
+    });
+
+    for (const user of stale) {
+      try {
+        if (await isPanelAdmin(user.ptero_id)) {
+          console.warn(`Not purging unverified panel admin ${user.email}`);
+          continue;
+        }
+
+        await pteroService.deleteUser(user.ptero_id);
+        await user.destroy({ force: true });
+        stats.purged++;
+      } catch (error) {
+        console.error(
+          `Failed to purge unverified user ${user.id}:`,
+          error.message
+        );
+        stats.failed++;
+      }
+    }
+
+    if (stats.purged || stats.failed) {
+      console.log(
+        `Unverified account purge: ${stats.purged} purged, ${stats.failed} failed`
+      );
+    }
+  } catch (error) {
+    console.error("Unverified account purge error:", error);
+  }
+
+  return stats;
+}
+
+/**
+ * Purge unverified accounts hourly while verification is required
+ */
+export function startUnverifiedUserPurge() {
+  if (!emailVerificationRequired() || unverifiedPurgeTimer) return;
+
+  unverifiedPurgeTimer = setInterval(purgeUnverifiedUsers, 60 * 60 * 1000);
+  purgeUnverifiedUsers();
+}
+
+/**
+ * Resolve the user for enrollment: either the logged in user, or an admin
+ * who must enroll before their first login (a "2fa-setup" pre-auth token)
+ * @param {Object} req - Express request
+ * @returns {Promise<{user: Object, setupLogin: boolean}>}
+ * @throws {AuthError} - If neither a session nor a setup token is valid
+ */
+const resolveEnrollingUser = async (req) => {
+  if (req.body?.preAuthToken) {
+    const user = await verifyPreAuthToken(req.body.preAuthToken, "2fa-setup");
+    return { user, setupLogin: true };
+  }
+
+  const token = req.cookies?.auth_token;
+  if (!token) {
+    throw new AuthError("Access token required", 401);
+  }
+
+  let decoded;
+  try {
+    decoded = await authenticateToken(token);
+  } catch (error) {
+    throw new AuthError("Invalid or expired token", 401);
+  }
+
+  const user = await User.findByPk(decoded.userId);
+  if (!user) {
+    throw new AuthError("User not found", 404);
+  }
+
+  return { user, setupLogin: false };
+};
+
+router.post("/2fa/setup", async (req, res) => {
+  try {
+    const { user } = await resolveEnrollingUser(req);
+
+    if (user.twoFactorEnabled) {
+      throw new AuthError("Two-factor authentication is already enabled", 409);
+    }
+
+    // Not enforced until confirmed with a code in /2fa/enable
+    const secret = generateSecret();
+    await user.update({ totpSecret: secret, totpLastStep: null });
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri: otpauthUri(
+        secret,
+        user.email,
+        process.env.app_name || "Nexodactyl"
+      ),
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.post("/2fa/enable", async (req, res) => {
+  try {
+    const { user, setupLogin } = await resolveEnrollingUser(req);
+
+    if (user.twoFactorEnabled) {
+      throw new AuthError("Two-factor authentication is already enabled", 409);
+    }
+
+    if (!user.totpSecret) {
+      throw new AuthError("Start two-factor setup first");
+    }
+
+    const step = verifyCode(user.totpSecret, req.body.code);
+    if (!step) {
+      throw new AuthError("Invalid two-factor code", 401);
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await user.update({
+      twoFactorEnabled: true,
+      totpLastStep: step,
+      recoveryCodes: JSON.stringify(hashes),
+    });
+
+    if (setupLogin) {
+      const pteroUser = await pteroService.getOrCreateUser(user);
+      return await completeLogin(req, res, user, pteroUser, {
+        recoveryCodes: codes,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.post("/2fa/disable", verifyToken, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (adminTwoFactorRequired()) {
+      let rootAdmin;
+      try {
+        rootAdmin = await isPanelAdmin(req.user.pteroId);
+      } catch (error) {
+        console.error("Failed to check admin status:", error.message);
+        throw new AuthError("Could not verify administrator privileges", 503);
+      }
+
+      if (rootAdmin) {
+        throw new AuthError(
+          "Two-factor authentication is required for admin accounts",
+          403
+        );
+      }
+    }
+
+    if (!validateInput.required(password)) {
+      throw new AuthError("Please provide your password");
+    }
+
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+      throw new AuthError("User not found", 404);
+    }
+
+    if (!user.twoFactorEnabled) {
+      throw new AuthError("Two-factor authentication is not enabled");
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      throw new AuthError("Password is incorrect", 401);
+    }
+
+    await consumeSecondFactor(user, { code, recoveryCode });
+
+    await user.update({
+      twoFactorEnabled: false,
+      totpSecret: null,
+      totpLastStep: null,
+      recoveryCodes: null,
+    });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.post("/2fa/recovery-codes", verifyToken, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+      throw new AuthError("User not found", 404);
+    }
+
+    if (!user.twoFactorEnabled) {
+      throw new AuthError("Two-factor authentication is not enabled");
+    }
+
+    await consumeSecondFactor(user, { code: req.body.code });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await user.update({ recoveryCodes: JSON.stringify(hashes) });
+
+    res.json({
+      success: true,
+      message: "New recovery codes generated, the old ones no longer work",
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.get("/sessions", verifyToken, async (req, res) => {
+  try {
+    const sessions = await Session.findAll({
+      where: {
+        userId: req.user.userId,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() },
+      },
+      order: [["lastSeenAt", "DESC"]],
+    });
+
+    res.json({
+      success: true,
+      sessions: sessions.map((session) => formatSession(session, req.user.sid)),
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Log out everywhere, including this device
+router.delete("/sessions", verifyToken, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.userId);
+    res.clearCookie("auth_token");
+
+    res.json({
+      success: true,
+      message: "Logged out of all sessions",
+      revoked,
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.delete("/sessions/:id", verifyToken, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      where: { id: req.params.id, userId: req.user.userId, revokedAt: null },
+    });
+    if (!session) {
+      throw new AuthError("Session not found", 404);
+    }
+
+    await revokeUserSessions(req.user.userId, { id: session.id });
+    if (session.sid === req.user.sid) {
+      res.clearCookie("auth_token");
+    }
+
+    res.json({
+      success: true,
+      message: "Session revoked",
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// API keys can only be managed from a login session, never with another key
+router.get("/api-keys", verifyToken, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.findAll({
+      where: { userId: req.user.userId },
+      order: [["createdAt", "DESC"]],
+    });
+
+    res.json({
+      success: true,
+      apiKeys: apiKeys.map(formatApiKey),
+      scopes: Object.entries(API_KEY_SCOPES).map(([name, description]) => ({
+        name,
+        description,
+      })),
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.post("/api-keys", verifyToken, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (
+      !validateInput.required(name) ||
+      !Array.isArray(scopes) ||
+      scopes.length === 0
+    ) {
+      throw new AuthError("Please provide a name and at least one scope");
+    }
+
+    const unknown = scopes.filter((scope) => !API_KEY_SCOPES[scope]);
+    if (unknown.length > 0) {
+      throw new AuthError(`Unknown scopes: ${unknown.join(", ")}`);
+    }
+
+    const days = expiresInDays ? parseInt(expiresInDays) : null;
+    if (days !== null && !(days > 0)) {
+      throw new AuthError("Expiry must be a positive number of days");
+    }
+
+    const count = await ApiKey.count({ where: { userId: req.user.userId } });
+    if (count >= config.maxApiKeys) {
+      throw new AuthError(
+        `You can have at most ${config.maxApiKeys} API keys, delete one first`
+      );
+    }
+
+    const key = config.apiKeyPrefix + randomBytes(24).toString("hex");
+    const apiKey = await ApiKey.create({
+      userId: req.user.userId,
+      name: name.trim().slice(0, 100),
+      prefix: key.slice(0, 12),
+      keyHash: hashApiKey(key),
+      scopes: JSON.stringify([...new Set(scopes)]),
+      expiresAt: days
+        ? new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+        : null,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "API key created, copy it now as it will not be shown again",
+      key,
+      apiKey: formatApiKey(apiKey),
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.delete("/api-keys/:id", verifyToken, async (req, res) => {
+  try {
+    const deleted = await ApiKey.destroy({
+      where: { id: req.params.id, userId: req.user.userId },
+    });
+    if (!deleted) {
+      throw new AuthError("API key not found", 404);
+    }
+
+    res.json({
+      success: true,
+      message: "API key deleted",
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.post("/logout", async (req, res) => {
+  // Revoke this session server-side too, so a copied cookie stops working
+  try {
+    const decoded = decodeToken(req.cookies?.auth_token);
+    if (decoded.sid && !decoded.purpose) {
+      await revokeUserSessions(decoded.userId, { sid: decoded.sid });
+    }
+  } catch (error) {
+    // Invalid or missing token, nothing to revoke
+  }
+
   res.clearCookie("auth_token");
   res.json({
     success: true,
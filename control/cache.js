@@ -0,0 +1,95 @@
+/**
+ * In-memory map whose entries expire after a fixed time. Expired entries
+ * are dropped when read and by a periodic sweep, and the oldest entries are
+ * evicted beyond `maxSize`, so keys that are never read again (one-off IPs,
+ * used captcha challenges) cannot grow the map without bound.
+ */
+export class TtlCache {
+  /**
+   * @param {number} ttlMs - Default lifetime of an entry in milliseconds
+   * @param {Object} options
+   * @param {number} options.maxSize - Most entries kept
+   * @param {number} options.sweepMs - How often expired entries are dropped
+   */
+  constructor(ttlMs, { maxSize = Infinity, sweepMs = ttlMs } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxSize = maxSize;
+    this.entries = new Map();
+
+    // Unref'd so a cache never keeps the process alive
+    this.sweepTimer = setInterval(() => this.prune(), sweepMs);
+    this.sweepTimer.unref();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * @param {*} key
+   * @returns {*} - The cached value, or undefined if missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * @param {*} key
+   * @param {*} value
+   * @param {number} ttlMs - Lifetime of this entry, defaults to the cache's
+   */
+  set(key, value, ttlMs = this.ttlMs) {
+    // Re-inserted so the Map's order stays oldest write first
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    if (this.entries.size > this.maxSize) {
+      this.prune();
+      for (const oldest of this.entries.keys()) {
+        if (this.entries.size <= this.maxSize) break;
+        this.entries.delete(oldest);
+      }
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Drop every expired entry
+   * @returns {number} - Number of entries dropped
+   */
+  prune() {
+    const now = Date.now();
+    let dropped = 0;
+
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        dropped++;
+      }
+    }
+
+    return dropped;
+  }
+
+  /**
+   * Stop the sweep, for caches that are discarded before the process exits
+   */
+  close() {
+    clearInterval(this.sweepTimer);
+  }
+}
@@ -0,0 +1,274 @@
+import axios from "axios";
+import jwt from "jsonwebtoken";
+import { createHash, randomBytes } from "node:crypto";
+import { TtlCache } from "./cache.js";
+
+/**
+ * A captcha service. The widget in the browser produces a token, and
+ * verify checks it when the login or registration form is submitted.
+ */
+export class CaptchaProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Id the frontend picks its widget by
+   * @param {string} options.siteKey - Public key for the widget, if any
+   */
+  constructor({ name, siteKey = null }) {
+    this.name = name;
+    this.siteKey = siteKey;
+  }
+
+  /**
+   * @param {string} token - Token from the widget
+   * @param {string} ip - Client IP
+   * @returns {Promise<boolean>} - Whether the token is valid
+   * @throws {Error} - If the provider cannot be reached
+   */
+  async verify(token, ip) {
+    throw new Error(`${this.name} does not implement verify`);
+  }
+
+  /**
+   * What the widget needs to render; never includes secrets
+   * @returns {Object}
+   */
+  publicConfig() {
+    return { provider: this.name, siteKey: this.siteKey };
+  }
+}
+
+/**
+ * Providers with a siteverify endpoint taking secret, response and remoteip:
+ * Turnstile, hCaptcha and reCAPTCHA
+ */
+export class SiteverifyProvider extends CaptchaProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {string} options.siteKey
+   * @param {string} options.secret
+   * @param {string} options.verifyUrl - Overridable, e.g. for a local fake
+   */
+  constructor({ name, siteKey, secret, verifyUrl }) {
+    super({ name, siteKey });
+    this.secret = secret;
+    this.verifyUrl = verifyUrl;
+  }
+
+  async verify(token, ip) {
+    if (!token) return false;
+
+    const params = new URLSearchParams({
+      secret: this.secret,
+      response: token,
+    });
+    if (ip) params.append("remoteip", ip);
+
+    const response = await axios.post(this.verifyUrl, params);
+    return this.accept(response.data ?? {});
+  }
+
+  /**
+   * @param {Object} result - Siteverify response body
+   * @returns {boolean}
+   */
+  accept(result) {
+    return result.success === true;
+  }
+}
+
+/**
+ * reCAPTCHA v3 has no challenge; it scores each request instead, so tokens
+ * below minScore or made for another action are refused
+ */
+export class ReCaptchaV3Provider extends SiteverifyProvider {
+  constructor({ minScore = 0.5, action = "login", ...options }) {
+    super({ name: "recaptcha_v3", ...options });
+    this.minScore = minScore;
+    this.action = action;
+  }
+
+  accept(result) {
+    return (
+      result.success === true &&
+      result.action === this.action &&
+      result.score >= this.minScore
+    );
+  }
+
+  publicConfig() {
+    return { ...super.publicConfig(), action: this.action };
+  }
+}
+
+/**
+ * Self-hosted challenge with no third party. The server hands out a signed
+ * challenge and the browser searches for a nonce where
+ * sha256(challenge + nonce) starts with `difficulty` zero bits. The token
+ * is "<challenge>:<nonce>" and each challenge is accepted once.
+ */
+export class ProofOfWorkProvider extends CaptchaProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.secret - Key challenges are signed with
+   * @param {number} options.difficulty - Leading zero bits required
+   * @param {number} options.expiresInMs - How long a challenge is valid
+   */
+  constructor({ secret, difficulty = 16, expiresInMs = 5 * 60 * 1000 }) {
+    super({ name: "pow" });
+    this.secret = secret;
+    this.difficulty = difficulty;
+    this.expiresInMs = expiresInMs;
+    // Salts of accepted challenges, swept once the challenge has expired
+    // and can no longer be replayed anyway
+    this.used = new TtlCache(expiresInMs);
+  }
+
+  /**
+   * @returns {{challenge: string, difficulty: number}}
+   */
+  createChallenge() {
+    const challenge = jwt.sign(
+      {
+        purpose: "captcha",
+        salt: randomBytes(16).toString("hex"),
+        difficulty: this.difficulty,
+      },
+      this.secret,
+      { expiresIn: Math.floor(this.expiresInMs / 1000) }
+    );
+    return { challenge, difficulty: this.difficulty };
+  }
+
+  async verify(token, ip) {
+    const separator = token?.lastIndexOf(":") ?? -1;
+    if (separator < 0) return false;
+
+    const challenge = token.slice(0, separator);
+    const nonce = token.slice(separator + 1);
+
+    let payload;
+    try {
+      payload = jwt.verify(challenge, this.secret);
+    } catch {
+      return false;
+    }
+
+    if (payload.purpose !== "captcha" || this.used.get(payload.salt)) {
+      return false;
+    }
+
+    const hash = createHash("sha256").update(`${challenge}${nonce}`).digest();
+    if (leadingZeroBits(hash) < payload.difficulty) return false;
+
+    this.used.set(payload.salt, true);
+    return true;
+  }
+}
+
+/**
+ * @param {Buffer} bytes
+ * @returns {number}
+ */
+function leadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+const VERIFY_URLS = {
+  turnstile: "https://challenges.cloudflare.com/turnstile/v0/siteverify",
+  hcaptcha: "https://api.hcaptcha.com/siteverify",
+  recaptcha: "https://www.google.com/recaptcha/api/siteverify",
+  recaptcha_v3: "https://www.google.com/recaptcha/api/siteverify",
+};
+
+export const CAPTCHA_PROVIDERS = [...Object.keys(VERIFY_URLS), "pow"];
+
+/**
+ * Build the provider chosen by captcha_provider. Without it, Turnstile is
+ * used when a site key is set, as before providers were configurable.
+ * @param {Object} env - Defaults to process.env
+ * @returns {CaptchaProvider|null} - Null when captchas are off
+ */
+export function createCaptchaProvider(env = process.env) {
+  const name = env.captcha_provider || (env.site_key ? "turnstile" : "none");
+
+  if (name === "none") return null;
+
+  if (name === "pow") {
+    return new ProofOfWorkProvider({
+      secret: env.SECRET_KEY,
+      difficulty: parseInt(env.captcha_pow_difficulty) || undefined,
+    });
+  }
+
+  if (!VERIFY_URLS[name]) {
+    throw new Error(
+      `Unknown captcha_provider "${name}", use one of: none, ${CAPTCHA_PROVIDERS.join(
+        ", "
+      )}`
+    );
+  }
+
+  const options = {
+    name,
+    siteKey: env.site_key,
+    secret: env.site_secret,
+    verifyUrl: env.captcha_verify_url || VERIFY_URLS[name],
+  };
+
+  if (name === "recaptcha_v3") {
+    return new ReCaptchaV3Provider({
+      ...options,
+      minScore: parseFloat(env.recaptcha_min_score) || undefined,
+    });
+  }
+
+  return new SiteverifyProvider(options);
+}
+
+let provider;
+
+/**
+ * Replace the active provider, e.g. with a fake verifier in tests
+ * @param {CaptchaProvider|null} next - Null turns captchas off
+ */
+export function setCaptchaProvider(next) {
+  provider = next;
+}
+
+/**
+ * @returns {CaptchaProvider|null} - The active provider, null when off
+ */
+export function getCaptchaProvider() {
+  if (provider === undefined) {
+    provider = createCaptchaProvider();
+  }
+  return provider;
+}
+
+/**
+ * Logins and registrations need a captcha token once a provider is active
+ * @returns {boolean}
+ */
+export const captchaRequired = () => Boolean(getCaptchaProvider());
+
+/**
+ * Check a token with the active provider. Tokens are single use.
+ * @param {string} token - Token from the widget
+ * @param {string} ip - Client IP
+ * @returns {Promise<boolean>} - Whether the token is valid
+ * @throws {Error} - If the provider cannot be reached
+ */
+export async function verifyCaptcha(token, ip) {
+  const active = getCaptchaProvider();
+  if (!active) return true;
+  return active.verify(token, ip);
+}
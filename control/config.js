@@ -1,57 +1,50 @@
 import { Router } from "express";
-import axios from "axios";
+import { getCaptchaProvider, verifyCaptcha } from "./captcha.js";
+import { publicSettings } from "../model/Setting.js";
 
 const router = Router();
 
+// Only settings declared public in model/Setting.js, never raw env vars
 router.get("/config", (req, res) => {
-  // Create a copy of process.env instead of modifying the original
-  const config = { ...process.env };
-
-  // Now delete from the copy, not the original
-  delete config.panel_key;
-  delete config.webhook;
-  delete config.sk_privkey;
-  delete config.secret_key;
-  delete config.LS_COLORS;
-  delete config.password;
-  delete config.PATH;
-  delete config.site_secret;
+  const config = {
+    ...publicSettings(),
+    panel_url: process.env.panel_url,
+    site_key: getCaptchaProvider()?.siteKey ?? null,
+  };
 
   res.json({ success: true, config });
 });
-const TURNSTILE_SECRET = process.env.site_secret; // From Cloudflare
 
-router.post("/verify-turnstile", async (req, res) => {
-  const { token } = req.body;
+// Which captcha widget to show, or null when captchas are off
+router.get("/captcha", (req, res) => {
+  const provider = getCaptchaProvider();
+  res.json({ success: true, captcha: provider?.publicConfig() ?? null });
+});
 
-  //console.log(token);
+// A fresh challenge for the self-hosted proof-of-work captcha
+router.get("/captcha/challenge", (req, res) => {
+  const provider = getCaptchaProvider();
 
-  if (!token) {
-    return res.status(400).json({ success: false, message: "Missing token" });
+  if (!provider?.createChallenge) {
+    return res.status(404).json({
+      success: false,
+      message: "The active captcha does not use challenges",
+    });
   }
 
-  try {
-    const ip =
-      req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
-
-    let formData = new FormData();
-    formData.append("secret", TURNSTILE_SECRET);
-    formData.append("response", token);
-    formData.append("remoteip", ip);
+  res.json({ success: true, ...provider.createChallenge() });
+});
 
-    const response = await axios.post(
-      "https://challenges.cloudflare.com/turnstile/v0/siteverify",
-      formData,
-      {
-        headers: {
-          "Content-Type": "multipart/form-data",
-        },
-      }
-    );
+// Kept for older clients; login and registration verify their own token
+router.post(["/verify-captcha", "/verify-turnstile"], async (req, res) => {
+  const { token } = req.body;
 
-    //console.log(response.data);
+  if (!token) {
+    return res.status(400).json({ success: false, message: "Missing token" });
+  }
 
-    const { success } = response.data;
+  try {
+    const success = await verifyCaptcha(token, req.ip);
     if (success) {
       res.json({ success: true, message: "Verification passed" });
     } else {
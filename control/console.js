@@ -0,0 +1,291 @@
+import { EventEmitter } from "node:events";
+import WebSocket from "ws";
+import cookieParser from "cookie-parser";
+import Servers from "../model/Servers.js";
+import { authenticateToken, resolvePermissions } from "./auth.js";
+import { fetchWebsocketCredentials } from "./server.js";
+
+// Constants
+const NAMESPACE = "/console";
+const MAX_COMMAND_LENGTH = 1024;
+
+/**
+ * Connection to a single server's Wings console websocket
+ *
+ * Emits "console", "stats", "status", "error" and "close" events, and
+ * nothing once closed.
+ */
+export class WingsConsole extends EventEmitter {
+  /**
+   * @param {number|string} serverId - The Pterodactyl server ID
+   * @param {Object} options
+   * @param {Function} options.fetchCredentials - Resolves { token, socket } for the server
+   * @param {string} options.origin - Origin header Wings expects (the panel URL)
+   */
+  constructor(
+    serverId,
+    {
+      fetchCredentials = fetchWebsocketCredentials,
+      origin = process.env.panel_url,
+    } = {}
+  ) {
+    super();
+    this.serverId = serverId;
+    this.fetchCredentials = fetchCredentials;
+    this.origin = origin;
+    this.ws = null;
+    this.closed = false;
+    this.authenticated = false;
+    // Rejects the connect() waiting for the socket to open
+    this.rejectConnect = null;
+  }
+
+  /**
+   * Open the websocket and authenticate against Wings
+   * @returns {Promise<void>} - Resolves once the socket is open
+   * @throws {Error} - If the socket fails or the console is closed first
+   */
+  async connect() {
+    const { token, socket } = await this.fetchCredentials(this.serverId);
+
+    if (this.closed) throw new Error("Console closed");
+
+    this.ws = new WebSocket(socket, { origin: this.origin });
+
+    this.ws.on("message", (raw) =>
+      this.handleMessage(raw).catch((error) => this.emit("error", error))
+    );
+    this.ws.on("error", (error) => this.emit("error", error));
+    this.ws.on("close", () => {
+      if (!this.closed) {
+        this.emit("close");
+        this.closed = true;
+      }
+    });
+
+    try {
+      await new Promise((resolve, reject) => {
+        this.rejectConnect = reject;
+        this.ws.once("open", resolve);
+        this.ws.once("error", reject);
+      });
+    } finally {
+      this.rejectConnect = null;
+    }
+
+    this.send("auth", token);
+  }
+
+  /**
+   * Dispatch a Wings event to the matching console event
+   * @param {Buffer|string} raw - Raw websocket frame
+   */
+  async handleMessage(raw) {
+    if (this.closed) return;
+
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return;
+    }
+
+    const [arg] = message.args || [];
+
+    switch (message.event) {
+      case "auth success":
+        // Wings confirms every re-auth too; only replay history once
+        if (!this.authenticated) {
+          this.authenticated = true;
+          this.send("send logs");
+          this.send("send stats");
+        }
+        break;
+      case "console output":
+      case "install output":
+        this.emit("console", arg);
+        break;
+      case "daemon message":
+        this.emit("console", `[daemon] ${arg}`);
+        break;
+      case "stats":
+        try {
+          this.emit("stats", JSON.parse(arg));
+        } catch (error) {
+          console.warn(`Malformed stats from server ${this.serverId}`);
+        }
+        break;
+      case "status":
+        this.emit("status", arg);
+        break;
+      case "token expiring":
+      case "token expired":
+        await this.reauthenticate();
+        break;
+      case "daemon error":
+      case "jwt error":
+        this.emit("error", new Error(arg || message.event));
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Fetch a fresh token and re-authenticate the open socket
+   */
+  async reauthenticate() {
+    try {
+      const { token } = await this.fetchCredentials(this.serverId);
+      this.send("auth", token);
+    } catch (error) {
+      this.emit("error", error);
+    }
+  }
+
+  /**
+   * Drop events once closed, so a late frame or token refresh cannot reach
+   * listeners that are gone (an "error" without one would throw)
+   */
+  emit(event, ...args) {
+    if (this.closed) return false;
+    return super.emit(event, ...args);
+  }
+
+  /**
+   * Send an event to Wings
+   * @param {string} event - Wings event name
+   * @param {...string} args - Event arguments
+   */
+  send(event, ...args) {
+    if (this.ws?.readyState !== WebSocket.OPEN) return;
+    this.ws.send(JSON.stringify({ event, args }));
+  }
+
+  /**
+   * Run a console command on the server
+   * @param {string} command - Command line to send
+   */
+  sendCommand(command) {
+    this.send("send command", command);
+  }
+
+  close() {
+    this.closed = true;
+    this.rejectConnect?.(new Error("Console closed"));
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.on("error", () => {}); // ignore errors from a socket we are abandoning
+      this.ws.close();
+    }
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * Authenticate a socket from the auth_token cookie and check it owns the
+ * requested server (root admins can open any server)
+ */
+async function authenticateSocket(socket, next) {
+  try {
+    const token = socket.request.cookies?.auth_token;
+    if (!token) {
+      return next(new Error("Access token required"));
+    }
+
+    let user;
+    try {
+      user = await authenticateToken(token, {
+        ip: socket.handshake.address,
+      });
+    } catch (error) {
+      return next(new Error("Invalid or expired token"));
+    }
+
+    const serverId = String(socket.handshake.auth?.serverId ?? "");
+    if (!/^\d+$/.test(serverId)) {
+      return next(new Error("Invalid server ID format"));
+    }
+
+    const where = { id: serverId };
+    // Ask the panel (cached) and the user's role rather than trusting the
+    // login-time claim
+    const { permissions } = await resolvePermissions(user);
+    if (!permissions.includes("servers.manage")) {
+      where.owner = user.pteroId;
+    }
+
+    const dbServer = await Servers.findOne({ where });
+    if (!dbServer) {
+      return next(
+        new Error("Server not found or you don't have permission to access it")
+      );
+    }
+
+    socket.data.user = user;
+    socket.data.server = dbServer;
+    next();
+  } catch (error) {
+    console.error("Console authentication error:", error);
+    next(new Error("Internal server error"));
+  }
+}
+
+/**
+ * Register the /console namespace on a socket.io server
+ * @param {import("socket.io").Server} io - The socket.io server
+ * @param {Object} options - Passed through to WingsConsole
+ * @returns {import("socket.io").Namespace} - The console namespace
+ */
+export function registerConsole(io, options = {}) {
+  io.engine.use(cookieParser());
+
+  const namespace = io.of(NAMESPACE);
+  namespace.use(authenticateSocket);
+
+  namespace.on("connection", async (socket) => {
+    const { server, user } = socket.data;
+    const wings = new WingsConsole(server.serverId, options);
+
+    wings.on("console", (line) => socket.emit("console", line));
+    wings.on("stats", (stats) => socket.emit("stats", stats));
+    wings.on("status", (status) => socket.emit("status", status));
+    wings.on("error", (error) => {
+      console.error(
+        `Console error for server ${server.serverId}:`,
+        error.message
+      );
+      socket.emit("console error", "Console connection error");
+    });
+    wings.on("close", () => socket.disconnect(true));
+
+    socket.on("command", (command) => {
+      if (typeof command !== "string" || !command.trim()) return;
+      if (command.length > MAX_COMMAND_LENGTH) {
+        return socket.emit("console error", "Command too long");
+      }
+      console.log(
+        `User ${user.email} ran command on server ${server.serverId}: ${command}`
+      );
+      wings.sendCommand(command);
+    });
+
+    socket.on("disconnect", () => wings.close());
+
+    try {
+      await wings.connect();
+    } catch (error) {
+      // Closed by the client leaving before the console opened
+      if (socket.disconnected) return;
+
+      console.error(
+        `Failed to open console for server ${server.serverId}:`,
+        error.message
+      );
+      socket.emit("console error", "Failed to connect to server console");
+      socket.disconnect(true);
+    }
+  });
+
+  return namespace;
+}
@@ -1,10 +1,12 @@
 import express from "express";
 import Egg from "../model/Egg.js"; // Adjust path as needed
-import { verifyToken } from "./auth.js";
+import { verifyToken, requirePermission } from "./auth.js";
 import {Op} from "sequelize"
 
 const router = express.Router();
 
+const canManage = requirePermission("eggs.manage");
+
 // Helper function to format responses
 const formatResponse = (success, data = null, error = null) => {
   const response = { success };
@@ -66,9 +68,7 @@ router.get("/pterodactyl/:eggId", async (req, res) => {
 });
 
 // POST /api/eggs - Create new egg
-router.post("/", verifyToken, async (req, res) => {
-  if (!req.user.root_admin)
-    return res.json({ success: false, error: "unauthorized" });
+router.post("/", verifyToken, canManage, async (req, res) => {
   try {
     const { eggId, name, description, img } = req.body;
 
@@ -125,10 +125,7 @@ router.post("/", verifyToken, async (req, res) => {
 });
 
 // PUT /api/eggs/:id - Update egg by ID
-router.put("/:id", verifyToken, async (req, res) => {
-  if (!req.user.root_admin)
-    return res.json({ success: false, error: "unauthorized" });
-
+router.put("/:id", verifyToken, canManage, async (req, res) => {
   try {
     const { eggId, name, description, img } = req.body;
 
@@ -194,10 +191,7 @@ router.put("/:id", verifyToken, async (req, res) => {
 });
 
 // PATCH /api/eggs/:id - Partial update egg by ID
-router.patch("/:id", verifyToken, async (req, res) => {
-  if (!req.user.root_admin)
-    return res.json({ success: false, error: "unauthorized" });
-
+router.patch("/:id", verifyToken, canManage, async (req, res) => {
   try {
     const egg = await Egg.findByPk(req.params.id);
     if (!egg) {
@@ -273,10 +267,7 @@ router.patch("/:id", verifyToken, async (req, res) => {
 });
 
 // DELETE /api/eggs/:id - Delete egg by ID
-router.delete("/:id", verifyToken, async (req, res) => {
-  if (!req.user.root_admin)
-    return res.json({ success: false, error: "unauthorized" });
-
+router.delete("/:id", verifyToken, canManage, async (req, res) => {
   try {
     const egg = await Egg.findByPk(req.params.id);
     if (!egg) {
@@ -298,10 +289,7 @@ router.delete("/:id", verifyToken, async (req, res) => {
 });
 
 // DELETE /api/eggs/pterodactyl/:eggId - Delete egg by Pterodactyl egg ID
-router.delete("/pterodactyl/:eggId", verifyToken, async (req, res) => {
-  if (!req.user.root_admin)
-    return res.json({ success: false, error: "unauthorized" });
-
+router.delete("/pterodactyl/:eggId", verifyToken, canManage, async (req, res) => {
   try {
     const egg = await Egg.findOne({
       where: { eggId: req.params.eggId },
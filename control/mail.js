@@ -0,0 +1,123 @@
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import nodemailer from "nodemailer";
+
+/**
+ * Sends mail through an SMTP server
+ */
+export class SmtpTransport {
+  /**
+   * @param {Object} options - nodemailer SMTP options
+   */
+  constructor(options) {
+    this.transporter = nodemailer.createTransport(options);
+  }
+
+  async send(message) {
+    await this.transporter.sendMail(message);
+  }
+}
+
+/**
+ * Writes each mail to a JSON file in `directory`, or logs it to the
+ * console when no directory is set. Meant for development.
+ */
+export class FileTransport {
+  /**
+   * @param {string|null} directory - Where to write mails
+   */
+  constructor(directory = null) {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    if (!this.directory) {
+      console.log(
+        `Mail to ${message.to}: ${message.subject}\n${message.text || ""}`
+      );
+      return;
+    }
+
+    await mkdir(this.directory, { recursive: true });
+    const file = path.join(
+      this.directory,
+      `${Date.now()}-${message.to.replace(/[^\w.@-]/g, "_")}.json`
+    );
+    await writeFile(file, JSON.stringify(message, null, 2));
+  }
+}
+
+/**
+ * Keeps sent mail in memory so tests can inspect it
+ */
+export class MemoryTransport {
+  constructor() {
+    this.messages = [];
+  }
+
+  async send(message) {
+    this.messages.push(message);
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+/**
+ * Create the transport selected by the mail_transport env var
+ * @param {string} name - "smtp", "file", "console" or "memory"
+ * @returns {Object} - Transport with an async send(message) method
+ */
+export function createMailTransport(name = process.env.mail_transport) {
+  switch (name) {
+    case "smtp":
+      return new SmtpTransport({
+        host: process.env.smtp_host,
+        port: parseInt(process.env.smtp_port) || 587,
+        secure: process.env.smtp_secure === "true",
+        auth: process.env.smtp_user
+          ? { user: process.env.smtp_user, pass: process.env.smtp_pass }
+          : undefined,
+      });
+    case "file":
+      return new FileTransport(process.env.mail_dir || "mail");
+    case "memory":
+      return new MemoryTransport();
+    case "console":
+    default:
+      return new FileTransport();
+  }
+}
+
+let transport = null;
+
+/**
+ * Replace the active transport, e.g. with a MemoryTransport in tests
+ * @param {Object} newTransport - Transport with an async send(message) method
+ */
+export function setMailTransport(newTransport) {
+  transport = newTransport;
+}
+
+/**
+ * Send a mail through the active transport
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} message.html - Optional HTML body
+ * @returns {Promise<void>}
+ */
+export async function sendMail(message) {
+  if (!transport) {
+    transport = createMailTransport();
+  }
+
+  await transport.send({
+    from:
+      process.env.mail_from ||
+      `${process.env.app_name || "Nexodactyl"} <noreply@localhost>`,
+    ...message,
+  });
+}
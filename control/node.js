@@ -1,10 +1,12 @@
 import express from "express";
 import { Op } from "sequelize";
 import Node from "../model/Node.js"; // Adjust path as needed
-import { verifyToken } from "./auth.js";
+import { verifyToken, requirePermission } from "./auth.js";
 
 const router = express.Router();
 
+const canManage = requirePermission("nodes.manage");
+
 // Helper function to format responses
 const formatResponse = (success, data = null, error = null) => {
   const response = { success };
@@ -68,10 +70,7 @@ router.get("/pterodactyl/:nodeId", async (req, res) => {
 });
 
 // POST /api/nodes - Create new node
-router.post("/", verifyToken, async (req, res) => {
-  if (!req.user.root_admin)
-    return res.json({ success: false, error: "unauthorized" });
-
+router.post("/", verifyToken, canManage, async (req, res) => {
   try {
     const { nodeId, location, name } = req.body;
 
@@ -129,10 +128,7 @@ router.post("/", verifyToken, async (req, res) => {
 });
 
 // PUT /api/nodes/:id - Update node by ID
-router.put("/:id", verifyToken, async (req, res) => {
-  if (!req.user.root_admin)
-    return res.json({ success: false, error: "unauthorized" });
-
+router.put("/:id", verifyToken, canManage, async (req, res) => {
   try {
     const { nodeId, location, name } = req.body;
 
@@ -199,10 +195,7 @@ router.put("/:id", verifyToken, async (req, res) => {
 });
 
 // PATCH /api/nodes/:id - Partial update node by ID
-router.patch("/:id", verifyToken, async (req, res) => {
-  if (!req.user.root_admin)
-    return res.json({ success: false, error: "unauthorized" });
-
+router.patch("/:id", verifyToken, canManage, async (req, res) => {
   try {
     const node = await Node.findByPk(req.params.id);
     if (!node) {
@@ -280,10 +273,7 @@ router.patch("/:id", verifyToken, async (req, res) => {
 });
 
 // DELETE /api/nodes/:id - Delete node by ID
-router.delete("/:id", verifyToken, async (req, res) => {
-  if (!req.user.root_admin)
-    return res.json({ success: false, error: "unauthorized" });
-
+router.delete("/:id", verifyToken, canManage, async (req, res) => {
   try {
     const node = await Node.findByPk(req.params.id);
     if (!node) {
@@ -307,35 +297,37 @@ router.delete("/:id", verifyToken, async (req, res) => {
 });
 
 // DELETE /api/nodes/pterodactyl/:nodeId - Delete node by Pterodactyl node ID
-router.delete("/pterodactyl/:nodeId", verifyToken, async (req, res) => {
-  if (!req.user.root_admin)
-    return res.json({ success: false, error: "unauthorized" });
+router.delete(
+  "/pterodactyl/:nodeId",
+  verifyToken,
+  canManage,
+  async (req, res) => {
+    try {
+      const node = await Node.findOne({
+        where: { nodeId: req.params.nodeId },
+      });
 
-  try {
-    const node = await Node.findOne({
-      where: { nodeId: req.params.nodeId },
-    });
+      if (!node) {
+        return res
+          .status(404)
+          .json(formatResponse(false, null, "Pterodactyl node not found"));
+      }
 
-    if (!node) {
-      return res
-        .status(404)
-        .json(formatResponse(false, null, "Pterodactyl node not found"));
+      await node.destroy();
+
+      res.json(
+        formatResponse(true, {
+          message: "Pterodactyl node deleted successfully",
+          deletedNode: node,
+        })
+      );
+    } catch (error) {
+      console.error("Error deleting pterodactyl node:", error);
+      res
+        .status(500)
+        .json(formatResponse(false, null, "Failed to delete pterodactyl node"));
     }
-
-    await node.destroy();
-
-    res.json(
-      formatResponse(true, {
-        message: "Pterodactyl node deleted successfully",
-        deletedNode: node,
-      })
-    );
-  } catch (error) {
-    console.error("Error deleting pterodactyl node:", error);
-    res
-      .status(500)
-      .json(formatResponse(false, null, "Failed to delete pterodactyl node"));
   }
-});
+);
 
 export default router;
@@ -0,0 +1,330 @@
+import axios from "axios";
+
+/**
+ * Normalized profile every provider returns
+ * @typedef {Object} OAuthProfile
+ * @property {string} id - Stable user id at the provider
+ * @property {string|null} email
+ * @property {boolean} emailVerified - Whether the provider verified the email
+ * @property {string|null} username - Preferred username, if any
+ * @property {string|null} firstName
+ * @property {string|null} lastName
+ */
+
+/**
+ * Authorization code flow against a plain OAuth2 provider. Subclasses
+ * implement fetchProfile for their user endpoint.
+ */
+export class OAuth2Provider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Id used in the login URL
+   * @param {string} options.label - Name shown on the login button
+   * @param {string} options.clientId
+   * @param {string} options.clientSecret
+   * @param {string} options.authorizeUrl
+   * @param {string} options.tokenUrl
+   * @param {string} options.scope - Space separated scopes
+   */
+  constructor({
+    name,
+    label,
+    clientId,
+    clientSecret,
+    authorizeUrl,
+    tokenUrl,
+    scope,
+  }) {
+    this.name = name;
+    this.label = label;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.authorizeUrl = authorizeUrl;
+    this.tokenUrl = tokenUrl;
+    this.scope = scope;
+  }
+
+  /**
+   * @param {string} state - Value the callback must echo back
+   * @param {string} redirectUri - Our callback URL
+   * @returns {Promise<string>} - URL to send the browser to
+   */
+  async authorizationUrl(state, redirectUri) {
+    const url = new URL(this.authorizeUrl);
+    url.search = new URLSearchParams({
+      response_type: "code",
+      client_id: this.clientId,
+      redirect_uri: redirectUri,
+      scope: this.scope,
+      state,
+    });
+    return url.toString();
+  }
+
+  /**
+   * Trade the callback's code for an access token
+   * @param {string} code
+   * @param {string} redirectUri - Must match the one used to authorize
+   * @returns {Promise<string>} - Access token
+   */
+  async exchangeCode(code, redirectUri) {
+    const response = await axios.post(
+      this.tokenUrl,
+      new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: redirectUri,
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+      }),
+      { headers: { Accept: "application/json" } }
+    );
+
+    if (!response.data?.access_token) {
+      throw new Error(
+        response.data?.error_description ||
+          response.data?.error ||
+          "No access token in provider response"
+      );
+    }
+
+    return response.data.access_token;
+  }
+
+  /**
+   * @param {string} accessToken
+   * @returns {Promise<OAuthProfile>}
+   */
+  async fetchProfile(accessToken) {
+    throw new Error(`${this.name} does not implement fetchProfile`);
+  }
+
+  /**
+   * Finish the flow: exchange the code and load the user's profile
+   * @param {string} code
+   * @param {string} redirectUri
+   * @returns {Promise<OAuthProfile>}
+   */
+  async getProfile(code, redirectUri) {
+    const accessToken = await this.exchangeCode(code, redirectUri);
+    return this.fetchProfile(accessToken);
+  }
+}
+
+export class DiscordProvider extends OAuth2Provider {
+  constructor({ clientId, clientSecret }) {
+    super({
+      name: "discord",
+      label: "Discord",
+      clientId,
+      clientSecret,
+      authorizeUrl: "https://discord.com/oauth2/authorize",
+      tokenUrl: "https://discord.com/api/oauth2/token",
+      scope: "identify email",
+    });
+  }
+
+  async fetchProfile(accessToken) {
+    const { data } = await axios.get("https://discord.com/api/users/@me", {
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+
+    return {
+      id: data.id,
+      email: data.email ?? null,
+      emailVerified: Boolean(data.verified),
+      username: data.username,
+      firstName: data.global_name || data.username,
+      lastName: null,
+    };
+  }
+}
+
+export class GitHubProvider extends OAuth2Provider {
+  constructor({ clientId, clientSecret }) {
+    super({
+      name: "github",
+      label: "GitHub",
+      clientId,
+      clientSecret,
+      authorizeUrl: "https://github.com/login/oauth/authorize",
+      tokenUrl: "https://github.com/login/oauth/access_token",
+      scope: "read:user user:email",
+    });
+  }
+
+  async fetchProfile(accessToken) {
+    const headers = {
+      Authorization: `Bearer ${accessToken}`,
+      Accept: "application/vnd.github+json",
+    };
+    const [{ data: user }, { data: emails }] = await Promise.all([
+      axios.get("https://api.github.com/user", { headers }),
+      axios.get("https://api.github.com/user/emails", { headers }),
+    ]);
+
+    // The profile email may be hidden, so use the primary address instead
+    const primary = emails.find((email) => email.primary) || null;
+    const [firstName, ...rest] = (user.name || "").split(" ");
+
+    return {
+      id: String(user.id),
+      email: primary?.email ?? null,
+      emailVerified: Boolean(primary?.verified),
+      username: user.login,
+      firstName: firstName || user.login,
+      lastName: rest.join(" ") || null,
+    };
+  }
+}
+
+/**
+ * Any OpenID Connect issuer. Endpoints come from the issuer's discovery
+ * document and the profile from its userinfo endpoint.
+ */
+export class OidcProvider extends OAuth2Provider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {string} options.label
+   * @param {string} options.issuer - Issuer URL, without the well-known path
+   * @param {string} options.clientId
+   * @param {string} options.clientSecret
+   * @param {string} options.scope - Defaults to "openid email profile"
+   */
+  constructor({
+    name,
+    label,
+    issuer,
+    clientId,
+    clientSecret,
+    scope = "openid email profile",
+  }) {
+    super({ name, label, clientId, clientSecret, scope });
+    this.issuer = issuer.replace(/\/$/, "");
+    this.discovery = null;
+  }
+
+  async discover() {
+    if (!this.discovery) {
+      const { data } = await axios.get(
+        `${this.issuer}/.well-known/openid-configuration`
+      );
+      this.discovery = data;
+      this.authorizeUrl = data.authorization_endpoint;
+      this.tokenUrl = data.token_endpoint;
+    }
+    return this.discovery;
+  }
+
+  async authorizationUrl(state, redirectUri) {
+    await this.discover();
+    return super.authorizationUrl(state, redirectUri);
+  }
+
+  async exchangeCode(code, redirectUri) {
+    await this.discover();
+    return super.exchangeCode(code, redirectUri);
+  }
+
+  async fetchProfile(accessToken) {
+    const { userinfo_endpoint } = await this.discover();
+    const { data } = await axios.get(userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+
+    return {
+      id: data.sub,
+      email: data.email ?? null,
+      emailVerified: data.email_verified === true,
+      username: data.preferred_username || data.nickname || null,
+      firstName: data.given_name || data.name || null,
+      lastName: data.family_name || null,
+    };
+  }
+}
+
+/**
+ * Build the providers configured through oauth_* env vars. A provider is
+ * enabled when its client id is set.
+ * @param {Object} env - Defaults to process.env
+ * @returns {Map<string, OAuth2Provider>} - Providers by name
+ */
+export function createOAuthProviders(env = process.env) {
+  const providers = new Map();
+  const add = (provider) => providers.set(provider.name, provider);
+
+  if (env.oauth_discord_client_id) {
+    add(
+      new DiscordProvider({
+        clientId: env.oauth_discord_client_id,
+        clientSecret: env.oauth_discord_client_secret,
+      })
+    );
+  }
+
+  if (env.oauth_github_client_id) {
+    add(
+      new GitHubProvider({
+        clientId: env.oauth_github_client_id,
+        clientSecret: env.oauth_github_client_secret,
+      })
+    );
+  }
+
+  if (env.oauth_google_client_id) {
+    add(
+      new OidcProvider({
+        name: "google",
+        label: "Google",
+        issuer: "https://accounts.google.com",
+        clientId: env.oauth_google_client_id,
+        clientSecret: env.oauth_google_client_secret,
+      })
+    );
+  }
+
+  if (env.oauth_oidc_client_id && env.oauth_oidc_issuer) {
+    add(
+      new OidcProvider({
+        name: "oidc",
+        label: env.oauth_oidc_label || "Single Sign-On",
+        issuer: env.oauth_oidc_issuer,
+        clientId: env.oauth_oidc_client_id,
+        clientSecret: env.oauth_oidc_client_secret,
+      })
+    );
+  }
+
+  return providers;
+}
+
+let providers = null;
+
+/**
+ * Add or replace a provider, e.g. a custom one or a mock in tests
+ * @param {OAuth2Provider} provider
+ */
+export function registerOAuthProvider(provider) {
+  listOAuthProviders();
+  providers.set(provider.name, provider);
+}
+
+/**
+ * @param {string} name
+ * @returns {OAuth2Provider|undefined}
+ */
+export function getOAuthProvider(name) {
+  listOAuthProviders();
+  return providers.get(name);
+}
+
+/**
+ * @returns {OAuth2Provider[]} - Enabled providers
+ */
+export function listOAuthProviders() {
+  if (!providers) {
+    providers = createOAuthProviders();
+  }
+  return [...providers.values()];
+}
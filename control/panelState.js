@@ -0,0 +1,188 @@
+import panel from "./pterodactyl.js";
+import { TtlCache } from "./cache.js";
+
+/**
+ * Local copy of panel server attributes, so server listings need no panel
+ * request per server. A poller reloads every server from the panel's list
+ * endpoint; our own writes drop the entries they change. Live resource
+ * stats are only fetched when asked for, and kept briefly.
+ */
+
+const SERVER_INCLUDE = "allocations,variables";
+const STATS_TTL_MS = 10 * 1000;
+
+const pollSeconds = () => parseInt(process.env.panel_state_poll_seconds) || 60;
+
+// Entries survive a couple of failed polls, then reads go to the panel again
+const servers = new TtlCache(pollSeconds() * 3 * 1000);
+const stats = new TtlCache(STATS_TTL_MS);
+
+let lastRefreshAt = null;
+let refreshing = null;
+let pollTimer = null;
+
+// Bumped by every forget; a fetch notes the count when it starts
+let forgetCount = 0;
+// Count at each server's latest forget, kept while any fetch is in flight
+const forgottenAt = new Map();
+let fetchesInFlight = 0;
+
+/**
+ * Fetch from the panel and cache the result, except for servers forgotten
+ * while the request was in flight: the panel may have answered before our
+ * write, and caching that answer would undo the forget
+ * @param {Function} request - Resolves with the panel's answer
+ * @param {Function} store - Called with the answer and isCurrent(serverId)
+ * @returns {Promise<*>} - The panel's answer
+ */
+async function fetchUnlessForgotten(request, store) {
+  const startedAt = forgetCount;
+  fetchesInFlight++;
+
+  try {
+    const result = await request();
+    store(result, (serverId) => !(forgottenAt.get(serverId) > startedAt));
+    return result;
+  } finally {
+    if (--fetchesInFlight === 0) forgottenAt.clear();
+  }
+}
+
+/**
+ * Reload every server from the panel. Concurrent calls share one reload.
+ * @returns {Promise<void>}
+ */
+export function refreshPanelState() {
+  if (!refreshing) {
+    refreshing = fetchUnlessForgotten(
+      () => panel.listAllServers({ include: SERVER_INCLUDE }),
+      (list, isCurrent) => {
+        // Replaced in one go so servers deleted on the panel disappear
+        servers.clear();
+        for (const server of list) {
+          if (isCurrent(server.attributes.id)) {
+            servers.set(server.attributes.id, server);
+          }
+        }
+        lastRefreshAt = new Date();
+      }
+    ).finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+}
+
+/**
+ * Drop cached data for a server after we change it on the panel
+ * @param {number|string} serverId - Panel server ID
+ */
+export function forgetPanelServer(serverId) {
+  const key = Number(serverId);
+  servers.delete(key);
+  stats.delete(key);
+
+  forgetCount++;
+  if (fetchesInFlight > 0) forgottenAt.set(key, forgetCount);
+}
+
+/**
+ * A server's panel attributes, from the cache when present
+ * @param {number|string} serverId - Panel server ID
+ * @param {Object} options
+ * @param {boolean} options.fresh - Skip the cache, e.g. before resizing
+ * @returns {Promise<Object|null>} - Panel server, or null if it is gone
+ * @throws {PterodactylError} - If the panel fails
+ */
+export async function getPanelServer(serverId, { fresh = false } = {}) {
+  const key = Number(serverId);
+  if (!fresh) {
+    const cached = servers.get(key);
+    if (cached) return cached;
+  }
+
+  try {
+    return await fetchUnlessForgotten(
+      () => panel.getServer(key, { include: SERVER_INCLUDE }),
+      (server, isCurrent) => {
+        if (isCurrent(key)) servers.set(key, server);
+      }
+    );
+  } catch (error) {
+    if (error.statusCode === 404) {
+      forgetPanelServer(key);
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Panel attributes of many servers. Waits for the first full reload so a
+ * cold cache costs one list request instead of one request per server.
+ * @param {Array<number>} serverIds - Panel server IDs
+ * @returns {Promise<Map>} - Panel server, or null if gone or unavailable,
+ * by server ID
+ */
+export async function getPanelServers(serverIds) {
+  if (!lastRefreshAt) {
+    await refreshPanelState().catch((error) =>
+      console.error("Failed to load panel servers:", error.message)
+    );
+  }
+
+  const entries = await Promise.all(
+    serverIds.map(async (serverId) => {
+      try {
+        return [serverId, await getPanelServer(serverId)];
+      } catch (error) {
+        console.error(
+          `Error fetching server ${serverId} from panel:`,
+          error.message
+        );
+        return [serverId, null];
+      }
+    })
+  );
+  return new Map(entries);
+}
+
+/**
+ * Live resource usage, cached for a few seconds
+ * @param {number|string} serverId - Panel server ID
+ * @returns {Promise<Object|null>} - Resource data, or null if the server is
+ * gone from the panel
+ * @throws {PterodactylError} - If the panel fails
+ */
+export async function getServerStats(serverId) {
+  const key = Number(serverId);
+  const cached = stats.get(key);
+  if (cached) return cached;
+
+  // The client API knows servers by identifier, not by ID
+  const server = await getPanelServer(key);
+  if (!server) return null;
+
+  return fetchUnlessForgotten(
+    () => panel.getServerResources(server.attributes.identifier),
+    (resources, isCurrent) => {
+      if (isCurrent(key)) stats.set(key, resources);
+    }
+  );
+}
+
+/**
+ * Start reloading panel servers every panel_state_poll_seconds
+ */
+export function startPanelStatePoller() {
+  if (pollTimer) return;
+
+  const poll = () =>
+    refreshPanelState().catch((error) =>
+      console.error("Failed to refresh panel servers:", error.message)
+    );
+
+  pollTimer = setInterval(poll, pollSeconds() * 1000);
+  poll();
+  console.log(`Panel state poller started, running every ${pollSeconds()}s`);
+}
@@ -0,0 +1,602 @@
+import axios from "axios";
+
+// Methods that are safe to send again when the panel fails mid-request
+const IDEMPOTENT_METHODS = ["get", "head", "put", "patch", "delete"];
+
+/**
+ * A failed panel request. statusCode is what the dashboard should answer
+ * with; status is the panel's own HTTP status, or null if it never answered.
+ */
+export class PterodactylError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} statusCode
+   * @param {Object} options
+   * @param {number} options.status - Panel HTTP status
+   * @param {Array|Object} options.details - Panel validation errors
+   * @param {number} options.retryAfter - Milliseconds until a retry may work
+   */
+  constructor(
+    message,
+    statusCode = 500,
+    { status = null, details = null, retryAfter = null } = {}
+  ) {
+    super(message);
+    this.statusCode = statusCode;
+    this.status = status;
+    this.details = details;
+    this.retryAfter = retryAfter;
+    this.name = "PterodactylError";
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Milliseconds the panel asked us to wait, from Retry-After or
+ * X-RateLimit-Reset
+ * @param {Object} headers - Response headers
+ * @returns {number|null} - null when the panel sent neither
+ */
+function rateLimitDelay(headers = {}) {
+  const retryAfter = headers["retry-after"];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isNaN(seconds)
+      ? Date.parse(retryAfter) - Date.now()
+      : seconds * 1000;
+    return Number.isNaN(ms) ? null : Math.max(ms, 0);
+  }
+
+  const reset = Number(headers["x-ratelimit-reset"]);
+  if (reset) return Math.max(reset * 1000 - Date.now(), 0);
+
+  return null;
+}
+
+/**
+ * Whether a failure means the panel itself is down rather than the request
+ * being wrong; these count towards the circuit breaker
+ * @param {Object} error - axios error
+ * @returns {boolean}
+ */
+const isOutage = (error) => !error.response || error.response.status >= 500;
+
+/**
+ * Map an axios error to a PterodactylError
+ * @param {Object} error - axios error
+ * @returns {PterodactylError}
+ */
+function toPterodactylError(error) {
+  const response = error.response;
+
+  if (!response) {
+    return error.code === "ECONNABORTED" || error.code === "ETIMEDOUT"
+      ? new PterodactylError("Panel did not respond in time", 504)
+      : new PterodactylError("Panel is unreachable", 503);
+  }
+
+  const { status, data, headers } = response;
+  const details = data?.errors ?? null;
+
+  if (status === 429) {
+    return new PterodactylError(
+      "Panel rate limit reached, try again later",
+      429,
+      {
+        status,
+        retryAfter: rateLimitDelay(headers),
+      }
+    );
+  }
+
+  // A rejected key is our misconfiguration, not the user's lack of access
+  if (status === 401 || status === 403) {
+    return new PterodactylError("Panel rejected the API key", 502, { status });
+  }
+
+  if (status >= 500) {
+    return new PterodactylError(`Panel error (${status})`, 502, {
+      status,
+      details,
+    });
+  }
+
+  return new PterodactylError(
+    details?.[0]?.detail || `Panel request failed (${status})`,
+    status,
+    { status, details }
+  );
+}
+
+/**
+ * Talks to the panel's application API, and to its client API for power
+ * signals, resource usage and console access. Requests are retried with
+ * backoff on rate limits and panel errors, and once the panel has failed
+ * `breakerThreshold` times in a row further requests fail fast for
+ * `breakerCooldown` ms before a single request is let through to probe it.
+ */
+export class PterodactylClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseURL - Panel URL
+   * @param {string} options.applicationKey - Application API key
+   * @param {string} options.clientKey - Client API key, for /api/client
+   * @param {number} options.timeout - Per-attempt timeout in ms
+   * @param {number} options.maxRetries - Retries after the first attempt
+   * @param {number} options.retryDelay - First backoff delay in ms
+   * @param {number} options.maxRetryDelay - Longest wait before a retry
+   * @param {number} options.breakerThreshold - Failures that open the circuit
+   * @param {number} options.breakerCooldown - How long it stays open in ms
+   */
+  constructor({
+    baseURL,
+    applicationKey,
+    clientKey = applicationKey,
+    timeout = 30000,
+    maxRetries = 3,
+    retryDelay = 500,
+    maxRetryDelay = 10000,
+    breakerThreshold = 5,
+    breakerCooldown = 30000,
+  }) {
+    const instance = (key) =>
+      axios.create({
+        baseURL,
+        headers: {
+          Authorization: `Bearer ${key}`,
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        timeout,
+      });
+
+    this.http = {
+      application: instance(applicationKey),
+      client: instance(clientKey),
+    };
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.breakerThreshold = breakerThreshold;
+    this.breakerCooldown = breakerCooldown;
+
+    this.failures = 0;
+    this.openUntil = 0;
+    this.probing = false;
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Point both APIs at another panel, e.g. the mock panel
+   * @param {string} baseURL
+   */
+  setBaseURL(baseURL) {
+    this.http.application.defaults.baseURL = baseURL;
+    this.http.client.defaults.baseURL = baseURL;
+  }
+
+  /**
+   * Send a request, retrying where safe
+   * @param {string} api - "application" or "client"
+   * @param {string} method - HTTP method
+   * @param {string} url - Path below the panel URL
+   * @param {Object} options
+   * @param {Object} options.data - Request body
+   * @param {Object} options.params - Query parameters
+   * @returns {Promise<Object>} - Response body
+   * @throws {PterodactylError}
+   */
+  async request(api, method, url, { data, params } = {}) {
+    this.enterCircuit();
+
+    for (let attempt = 0; ; attempt++) {
+      const pause = this.pausedUntil - Date.now();
+      if (pause > 0) await sleep(pause);
+
+      try {
+        const response = await this.http[api].request({
+          method,
+          url,
+          data,
+          params,
+        });
+        this.recordSuccess();
+        return response.data;
+      } catch (error) {
+        const delay = this.retryDelayFor(error, method, attempt);
+        if (delay !== null) {
+          await sleep(delay);
+          continue;
+        }
+
+        if (isOutage(error)) {
+          this.recordFailure();
+        } else {
+          this.recordSuccess();
+        }
+
+        console.error("Pterodactyl API Error:", {
+          status: error.response?.status,
+          data: error.response?.data,
+          url,
+          method,
+          attempts: attempt + 1,
+        });
+        throw toPterodactylError(error);
+      }
+    }
+  }
+
+  /**
+   * How long to wait before retrying a failed attempt
+   * @param {Object} error - axios error
+   * @param {string} method - HTTP method
+   * @param {number} attempt - Attempts made so far, minus one
+   * @returns {number|null} - Delay in ms, or null to give up
+   */
+  retryDelayFor(error, method, attempt) {
+    if (attempt >= this.maxRetries) return null;
+
+    const backoff = Math.min(
+      this.retryDelay * 2 ** attempt,
+      this.maxRetryDelay
+    );
+    const status = error.response?.status;
+
+    // A rate-limited request was never run, so any method may be retried
+    if (status === 429) {
+      const delay = rateLimitDelay(error.response.headers) ?? backoff;
+      if (delay > this.maxRetryDelay) return null;
+
+      // Hold back every other request until the limit resets too
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+      return delay;
+    }
+
+    if (isOutage(error) && IDEMPOTENT_METHODS.includes(method)) {
+      return backoff;
+    }
+
+    return null;
+  }
+
+  /**
+   * Fail fast while the circuit is open; after the cooldown let one
+   * request through to see whether the panel is back
+   * @throws {PterodactylError}
+   */
+  enterCircuit() {
+    if (this.failures < this.breakerThreshold) return;
+
+    if (Date.now() < this.openUntil || this.probing) {
+      throw new PterodactylError(
+        "Panel is unavailable, try again shortly",
+        503,
+        {
+          retryAfter: Math.max(this.openUntil - Date.now(), 0),
+        }
+      );
+    }
+
+    this.probing = true;
+  }
+
+  recordSuccess() {
+    if (this.failures >= this.breakerThreshold) {
+      console.log("Panel is reachable again");
+    }
+    this.failures = 0;
+    this.probing = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.probing = false;
+
+    if (this.failures >= this.breakerThreshold) {
+      this.openUntil = Date.now() + this.breakerCooldown;
+      console.error(
+        `Panel failed ${this.failures} times in a row, pausing requests for ${
+          this.breakerCooldown / 1000
+        }s`
+      );
+    }
+  }
+
+  /**
+   * Fetch every page of a paginated application API list
+   * @param {string} url
+   * @param {Object} params - Extra query parameters
+   * @returns {Promise<Array>} - Items from all pages
+   */
+  async listAll(url, params = {}) {
+    const items = [];
+
+    for (let page = 1; ; page++) {
+      const body = await this.request("application", "get", url, {
+        params: { ...params, page, per_page: 100 },
+      });
+      items.push(...body.data);
+
+      const pagination = body.meta?.pagination;
+      if (!pagination || pagination.current_page >= pagination.total_pages) {
+        return items;
+      }
+    }
+  }
+
+  // ===== USERS =====
+
+  /**
+   * @param {Object} options
+   * @param {number} options.page
+   * @param {number} options.perPage
+   * @returns {Promise<Object>} - One page of users with pagination meta
+   */
+  listUsers({ page = 1, perPage = 50 } = {}) {
+    return this.request("application", "get", "/api/application/users", {
+      params: { page, per_page: perPage },
+    });
+  }
+
+  /**
+   * @returns {Promise<Array>} - Every panel user
+   */
+  listAllUsers() {
+    return this.listAll("/api/application/users");
+  }
+
+  /**
+   * @param {number|string} userId - Panel user ID
+   * @param {Object} options
+   * @param {string} options.include - e.g. "servers"
+   * @returns {Promise<Object>}
+   */
+  getUser(userId, { include } = {}) {
+    return this.request(
+      "application",
+      "get",
+      `/api/application/users/${userId}`,
+      { params: include ? { include } : undefined }
+    );
+  }
+
+  /**
+   * @param {string} email
+   * @returns {Promise<Object|null>} - The panel user, or null if none
+   */
+  async findUserByEmail(email) {
+    const body = await this.request(
+      "application",
+      "get",
+      "/api/application/users",
+      { params: { "filter[email]": email } }
+    );
+    return body.data[0] ?? null;
+  }
+
+  createUser(data) {
+    return this.request("application", "post", "/api/application/users", {
+      data,
+    });
+  }
+
+  updateUser(userId, data) {
+    return this.request(
+      "application",
+      "patch",
+      `/api/application/users/${userId}`,
+      { data }
+    );
+  }
+
+  deleteUser(userId) {
+    return this.request(
+      "application",
+      "delete",
+      `/api/application/users/${userId}`
+    );
+  }
+
+  // ===== SERVERS =====
+
+  /**
+   * @param {Object} options
+   * @param {string} options.include - e.g. "allocations,variables"
+   * @returns {Promise<Array>} - Every panel server
+   */
+  listAllServers({ include } = {}) {
+    return this.listAll(
+      "/api/application/servers",
+      include ? { include } : undefined
+    );
+  }
+
+  /**
+   * @param {number|string} serverId - Panel server ID
+   * @param {Object} options
+   * @param {string} options.include - e.g. "allocations,variables"
+   * @returns {Promise<Object>}
+   */
+  getServer(serverId, { include } = {}) {
+    return this.request(
+      "application",
+      "get",
+      `/api/application/servers/${serverId}`,
+      { params: include ? { include } : undefined }
+    );
+  }
+
+  createServer(data) {
+    return this.request("application", "post", "/api/application/servers", {
+      data,
+    });
+  }
+
+  updateServerBuild(serverId, build) {
+    return this.request(
+      "application",
+      "patch",
+      `/api/application/servers/${serverId}/build`,
+      { data: build }
+    );
+  }
+
+  updateServerDetails(serverId, details) {
+    return this.request(
+      "application",
+      "patch",
+      `/api/application/servers/${serverId}/details`,
+      { data: details }
+    );
+  }
+
+  /**
+   * @param {number|string} serverId
+   * @param {boolean} suspended - Whether the server should be suspended
+   */
+  setServerSuspended(serverId, suspended) {
+    return this.request(
+      "application",
+      "post",
+      `/api/application/servers/${serverId}/${
+        suspended ? "suspend" : "unsuspend"
+      }`
+    );
+  }
+
+  deleteServer(serverId) {
+    return this.request(
+      "application",
+      "delete",
+      `/api/application/servers/${serverId}`
+    );
+  }
+
+  // Client API calls take the server's short identifier
+
+  getServerResources(identifier) {
+    return this.request(
+      "client",
+      "get",
+      `/api/client/servers/${identifier}/resources`
+    );
+  }
+
+  /**
+   * @param {string} identifier
+   * @param {string} signal - start, stop, restart or kill
+   */
+  sendPowerSignal(identifier, signal) {
+    return this.request(
+      "client",
+      "post",
+      `/api/client/servers/${identifier}/power`,
+      { data: { signal } }
+    );
+  }
+
+  /**
+   * @param {string} identifier
+   * @returns {Promise<{token: string, socket: string}>}
+   */
+  async getWebsocket(identifier) {
+    const body = await this.request(
+      "client",
+      "get",
+      `/api/client/servers/${identifier}/websocket`
+    );
+    return body.data;
+  }
+
+  // ===== NODES AND ALLOCATIONS =====
+
+  listNodes() {
+    return this.listAll("/api/application/nodes");
+  }
+
+  getNode(nodeId) {
+    return this.request(
+      "application",
+      "get",
+      `/api/application/nodes/${nodeId}`
+    );
+  }
+
+  listAllocations(nodeId) {
+    return this.listAll(`/api/application/nodes/${nodeId}/allocations`);
+  }
+
+  /**
+   * @param {number|string} nodeId
+   * @returns {Promise<Object|null>} - A free allocation's attributes, or null
+   */
+  async findFreeAllocation(nodeId) {
+    const allocations = await this.listAllocations(nodeId);
+    return (
+      allocations.find((alloc) => alloc.attributes.assigned === false)
+        ?.attributes ?? null
+    );
+  }
+
+  // ===== NESTS AND EGGS =====
+
+  listNests() {
+    return this.listAll("/api/application/nests");
+  }
+
+  /**
+   * @param {number|string} nestId
+   * @param {Object} options
+   * @param {string} options.include - e.g. "variables"
+   * @returns {Promise<Array>}
+   */
+  listEggs(nestId, { include } = {}) {
+    return this.listAll(
+      `/api/application/nests/${nestId}/eggs`,
+      include ? { include } : {}
+    );
+  }
+
+  /**
+   * Look an egg up in every nest, since the API only lists eggs per nest
+   * @param {number|string} eggId
+   * @returns {Promise<Object|null>} - Egg attributes with its variables
+   */
+  async findEgg(eggId) {
+    for (const nest of await this.listNests()) {
+      const eggs = await this.listEggs(nest.attributes.id, {
+        include: "variables",
+      });
+      const match = eggs.find((egg) => egg.attributes.id == eggId);
+      if (match) return match.attributes;
+    }
+    return null;
+  }
+}
+
+/**
+ * Build the client from env
+ * @param {Object} env - Usually process.env
+ * @returns {PterodactylClient}
+ */
+export function createPanelClient(env) {
+  const retries = parseInt(env.panel_max_retries);
+
+  return new PterodactylClient({
+    baseURL: env.panel_url,
+    applicationKey: env.panel_key,
+    clientKey: env.panel_client_key || env.panel_key,
+    timeout: (parseInt(env.panel_timeout_seconds) || 30) * 1000,
+    maxRetries: Number.isNaN(retries) ? 3 : Math.max(retries, 0),
+    breakerThreshold: parseInt(env.panel_breaker_threshold) || 5,
+    breakerCooldown:
+      (parseInt(env.panel_breaker_cooldown_seconds) || 30) * 1000,
+  });
+}
+
+// Shared by every module that talks to the panel
+const panel = createPanelClient(process.env);
+
+export default panel;
@@ -1,124 +1,572 @@
 import { Socket } from "socket.io";
 import { Router } from "express";
-import User from "../model/User.js";
+import { randomUUID } from "node:crypto";
+import { Op } from "sequelize";
 import Server from "../model/Servers.js";
-import Resources from "../model/resources.js";
-import axios from "axios";
-import { verifyToken } from "./auth.js";
-import { getServerLimits, fetchServerFromPanel } from "./server.js";
+import User from "../model/User.js";
+import PurgeJob from "../model/PurgeJob.js";
+import { verifyToken, requirePermission } from "./auth.js";
+import { fetchServerState, releaseServer } from "./server.js";
+import panel from "./pterodactyl.js";
 
 const router = Router();
 
-router.use(verifyToken);
-router.use((req, res, next) => {
-  if (!req.user.root_admin)
-    return res.json({ success: false, error: "unauthorized access" });
-  next();
-});
+// Constants
+const DEFAULT_BATCH_SIZE = parseInt(process.env.purge_batch_size) || 5;
+const MAX_BATCH_SIZE = 50;
+const PREVIEW_TTL = 30 * 60 * 1000; // previews can be confirmed for 30 minutes
+const DAY = 24 * 60 * 60 * 1000;
 
-const pteroConn = axios.create({
-  baseURL: process.env.panel_url,
-  headers: {
-    Accept: "application/json",
-    "Content-Type": "application/json", // Fixed: was "Content-Length"
-    Authorization: `Bearer ${process.env.panel_key}`,
-  },
-  timeout: 30000,
-});
+class PurgeError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.statusCode = statusCode;
+    this.name = "PurgeError";
+  }
+}
 
-router.delete("/purger/", async (req, res) => {
+// Jobs running in this process, so a job is never picked up twice
+const runningJobs = new Set();
+
+// Mounted under /api/admin, so scope the guard to the purger routes and let
+// other /admin routers apply their own permissions
+router.use("/purger", verifyToken, requirePermission("purger.run"));
+
+/**
+ * Format a job for the admin purger page
+ * @param {Object} job - PurgeJob record
+ * @returns {Object} - Job status with progress counters
+ */
+function formatJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    keywords: job.keywords,
+    criteria: job.criteria ? JSON.parse(job.criteria) : null,
+    batch_size: job.batch_size,
+    progress: {
+      processed: job.processed_count,
+      deleted: job.deleted_count,
+      failed: job.failed_count,
+      total: job.total_servers,
+    },
+    estimated_matches: job.estimated_matches,
+    error: job.error_message,
+    started_at: job.created_at,
+    completed_at: job.completed_at,
+  };
+}
+
+/**
+ * Normalize purge criteria from a request body
+ *
+ * Servers matching every filter (nodeId, createdBefore, renewOverdue,
+ * offlineDays) are purged unless protected by keywords or excludeOwners.
+ * @param {Object} body - Request body
+ * @returns {Object} - Normalized criteria
+ * @throws {PurgeError} - If a value is invalid or no criterion is given
+ */
+export function parseCriteria(body = {}) {
+  const toList = (value) =>
+    (Array.isArray(value) ? value : String(value ?? "").split(","))
+      .map((item) => String(item).trim())
+      .filter(Boolean);
+
+  const criteria = {
+    keywords: toList(body.keywords),
+    excludeOwners: toList(body.excludeOwners).map((owner) => {
+      if (!/^\d+$/.test(owner)) {
+        throw new PurgeError("excludeOwners must be Pterodactyl user IDs");
+      }
+      return parseInt(owner);
+    }),
+    nodeId: null,
+    createdBefore: null,
+    renewOverdue: body.renewOverdue === true || body.renewOverdue === "true",
+    offlineDays: null,
+  };
+
+  if (body.nodeId !== undefined && body.nodeId !== null && body.nodeId !== "") {
+    if (!/^\d+$/.test(String(body.nodeId))) {
+      throw new PurgeError("nodeId must be a node ID");
+    }
+    criteria.nodeId = parseInt(body.nodeId);
+  }
+
+  if (body.createdBefore) {
+    const date = new Date(body.createdBefore);
+    if (isNaN(date.getTime())) {
+      throw new PurgeError("createdBefore must be a valid date");
+    }
+    criteria.createdBefore = date.toISOString();
+  }
+
+  if (
+    body.offlineDays !== undefined &&
+    body.offlineDays !== null &&
+    body.offlineDays !== ""
+  ) {
+    if (!/^\d+$/.test(String(body.offlineDays))) {
+      throw new PurgeError("offlineDays must be a non-negative integer");
+    }
+    criteria.offlineDays = parseInt(body.offlineDays);
+  }
+
+  const hasCriterion =
+    criteria.keywords.length > 0 ||
+    criteria.excludeOwners.length > 0 ||
+    criteria.nodeId !== null ||
+    criteria.createdBefore !== null ||
+    criteria.renewOverdue ||
+    criteria.offlineDays !== null;
+
+  if (!hasCriterion) {
+    throw new PurgeError("At least one purge criterion is required");
+  }
+
+  return criteria;
+}
+
+/**
+ * Check a server against purge criteria without changing anything
+ * @param {Object} dbServer - Database server record
+ * @param {Object} criteria - Normalized criteria
+ * @returns {Promise<Object|null>} - Preview entry, or null if the server is kept
+ */
+async function evaluateServer(dbServer, criteria) {
+  const now = Date.now();
+
+  if (criteria.excludeOwners.includes(dbServer.owner)) return null;
+  if (criteria.renewOverdue && !(dbServer.renewDate < new Date(now)))
+    return null;
+
+  // An unreachable panel fails the server rather than silently keeping it
+  let panelServer;
   try {
-    const { keywords } = req.body;
-    
-    // Validate input
-    if (!keywords || typeof keywords !== 'string') {
-      return res.json({ success: false, error: "Keywords parameter is required and must be a string" });
+    panelServer = await panel.getServer(dbServer.serverId);
+  } catch (error) {
+    // Can't check the name of a server the panel doesn't know, leave it alone
+    if (error.statusCode === 404) return null;
+    throw error;
+  }
+
+  const attributes = panelServer.attributes;
+
+  // Skip servers that contain the keywords (don't delete them)
+  if (criteria.keywords.some((keyword) => attributes.name.includes(keyword))) {
+    return null;
+  }
+
+  if (criteria.nodeId !== null && attributes.node !== criteria.nodeId) {
+    return null;
+  }
+
+  if (
+    criteria.createdBefore &&
+    new Date(attributes.created_at || dbServer.createdAt) >=
+      new Date(criteria.createdBefore)
+  ) {
+    return null;
+  }
+
+  let state = null;
+  if (criteria.offlineDays !== null) {
+    state = await fetchServerState(attributes.identifier);
+    if (state !== "offline") return null;
+
+    // Servers never seen running are offline since we first saw them; a
+    // server we have never seen is not known to be offline at all
+    const offlineSince = dbServer.lastOnlineAt || dbServer.firstSeenAt;
+    if (
+      !offlineSince ||
+      new Date(offlineSince).getTime() > now - criteria.offlineDays * DAY
+    ) {
+      return null;
     }
+  }
 
-    // Get all servers from database
-    const servers = await Server.findAll();
-    
-    // Fetch server details from panel for each server
-    const serverDetails = [];
-    for (const server of servers) {
-      try {
-        const panelServer = await fetchServerFromPanel(server.serverId);
-        if (panelServer) {
-          serverDetails.push(panelServer);
-        }
-      } catch (error) {
-        console.error(`Failed to fetch server ${server.serverId}:`, error.message);
+  const owner = await User.findOne({
+    where: { ptero_id: dbServer.owner },
+    attributes: ["id", "email", "username"],
+  });
+
+  return {
+    id: dbServer.id,
+    serverId: dbServer.serverId,
+    name: attributes.name,
+    owner: {
+      pteroId: dbServer.owner,
+      id: owner?.id ?? null,
+      email: owner?.email ?? null,
+      username: owner?.username ?? null,
+    },
+    node: attributes.node,
+    limits: attributes.limits,
+    feature_limits: attributes.feature_limits,
+    created_at: attributes.created_at,
+    renewDate: dbServer.renewDate,
+    lastOnlineAt: dbServer.lastOnlineAt,
+    state,
+  };
+}
+
+/**
+ * Evaluate servers in batches, in parallel within a batch
+ * @param {Array<Object>} dbServers - Database server records
+ * @param {Object} criteria - Normalized criteria
+ * @param {number} batchSize - Servers evaluated at once
+ * @returns {Promise<Array<Object>>} - Preview entries of matched servers
+ */
+async function previewServers(dbServers, criteria, batchSize) {
+  const matches = [];
+
+  for (let i = 0; i < dbServers.length; i += batchSize) {
+    const batch = dbServers.slice(i, i + batchSize);
+    const results = await Promise.allSettled(
+      batch.map((dbServer) => evaluateServer(dbServer, criteria))
+    );
+
+    results.forEach((result, index) => {
+      if (result.status === "fulfilled") {
+        if (result.value) matches.push(result.value);
+      } else {
+        console.error(
+          `Failed to evaluate server ${batch[index].serverId}:`,
+          result.reason?.message
+        );
       }
-    }
+    });
+  }
 
-    const serversToDelete = [];
-    
-    // Process each server
-    for (const server of serverDetails) {
-      try {
-        // Skip servers that contain the keywords (don't delete them)
-        if (server.attributes.name.includes(keywords)) {
-          continue;
-        }
+  return matches;
+}
+
+/**
+ * Purge a single server if it still matches
+ * @param {Object} dbServer - Database server record
+ * @param {Object} criteria - Normalized criteria
+ * @param {Object} job - PurgeJob the server is purged by
+ * @returns {Promise<boolean>} - Whether the server was deleted
+ */
+async function purgeServer(dbServer, criteria, job) {
+  if (!(await evaluateServer(dbServer, criteria))) return false;
 
-        // Get server limits/resources
-        const userResources = await getServerLimits(server.attributes.id);
-        
-        // Find associated resource record
-        const resource = await Resources.findOne({
-          where: { serverId: server.attributes.id }
-        });
-
-        // Add to deletion list
-        serversToDelete.push({
-          server: server,
-          resources: userResources,
-          resourceRecord: resource
-        });
-
-      } catch (error) {
-        console.error(`Error processing server ${server.attributes.id}:`, error.message);
+  await releaseServer(dbServer, {
+    actorId: job.user_id,
+    description: `Server ${dbServer.serverId} purged by job ${job.id}`,
+  });
+  return true;
+}
+
+/**
+ * Parse a job's batch size from a request body
+ * @param {*} value - batch_size from the request
+ * @returns {number} - Batch size clamped to 1..MAX_BATCH_SIZE
+ */
+const parseBatchSize = (value) =>
+  Math.min(Math.max(parseInt(value) || DEFAULT_BATCH_SIZE, 1), MAX_BATCH_SIZE);
+
+/**
+ * Run a purge job batch by batch, persisting progress after every batch
+ * @param {string} jobId - PurgeJob ID
+ * @returns {Promise<void>}
+ */
+export async function runPurgeJob(jobId) {
+  if (runningJobs.has(jobId)) return;
+  runningJobs.add(jobId);
+
+  try {
+    const job = await PurgeJob.findByPk(jobId);
+    if (!job) return;
+
+    await job.update({ status: "processing" });
+
+    // A confirmed preview deletes at most its snapshot. Every server is
+    // checked against the criteria again as the job reaches it, since it
+    // may have been renewed, started or renamed since the preview.
+    const snapshot = job.server_ids ? JSON.parse(job.server_ids) : null;
+    const criteria =
+      JSON.parse(job.criteria || "null") ||
+      parseCriteria({ keywords: job.keywords });
+
+    while (true) {
+      const where = { id: { [Op.gt]: job.last_server_id } };
+      if (snapshot) {
+        where.id[Op.in] = snapshot;
       }
-    }
 
-    // Actually delete the servers (uncomment and modify as needed)
-    const deletedServers = [];
-    for (const item of serversToDelete) {
-      try {
-        // Delete from panel
-        await pteroConn.delete(`/api/application/servers/${item.server.attributes.id}`);
-        
-        // Delete from database
-        await Server.destroy({
-          where: { serverId: item.server.attributes.id }
-        });
-        
-        // Delete resource record if exists
-        if (item.resourceRecord) {
-          await Resources.destroy({
-            where: { serverId: item.server.attributes.id }
-          });
+      const batch = await Server.findAll({
+        where,
+        order: [["id", "ASC"]],
+        limit: job.batch_size,
+      });
+
+      if (batch.length === 0) break;
+
+      const results = await Promise.allSettled(
+        batch.map((dbServer) => purgeServer(dbServer, criteria, job))
+      );
+
+      let deleted = 0;
+      let failed = 0;
+      results.forEach((result, index) => {
+        if (result.status === "fulfilled") {
+          if (result.value) deleted++;
+        } else {
+          failed++;
+          console.error(
+            `Failed to purge server ${batch[index].serverId}:`,
+            result.reason?.message
+          );
         }
-        
-        deletedServers.push(item.server.attributes.name);
-      } catch (error) {
-        console.error(`Failed to delete server ${item.server.attributes.id}:`, error.message);
-      }
+      });
+
+      const processed = job.processed_count + batch.length;
+      const matched = job.deleted_count + job.failed_count + deleted + failed;
+
+      await job.update({
+        last_server_id: batch[batch.length - 1].id,
+        processed_count: processed,
+        deleted_count: job.deleted_count + deleted,
+        failed_count: job.failed_count + failed,
+        estimated_matches: Math.round(
+          (matched / processed) * Math.max(job.total_servers, processed)
+        ),
+      });
+    }
+
+    await job.update({ status: "completed", completed_at: new Date() });
+    console.log(
+      `Purge job ${job.id} completed: ${job.deleted_count} deleted, ${job.failed_count} failed`
+    );
+  } catch (error) {
+    console.error(`Purge job ${jobId} failed:`, error);
+    try {
+      await PurgeJob.update(
+        {
+          status: "failed",
+          error_message: error.message,
+          completed_at: new Date(),
+        },
+        { where: { id: jobId } }
+      );
+    } catch (updateError) {
+      console.error(
+        `Failed to mark purge job ${jobId} as failed:`,
+        updateError
+      );
     }
+  } finally {
+    runningJobs.delete(jobId);
+  }
+}
+
+/**
+ * Delete previews nobody confirmed in time
+ * @returns {Promise<number>} - Previews deleted
+ */
+function deleteStalePreviews() {
+  return PurgeJob.destroy({
+    where: {
+      status: "preview",
+      created_at: { [Op.lt]: new Date(Date.now() - PREVIEW_TTL) },
+    },
+  });
+}
+
+/**
+ * Resume jobs left unfinished by a previous dashboard process
+ * @returns {Promise<void>}
+ */
+export async function resumePurgeJobs() {
+  try {
+    const jobs = await PurgeJob.findAll({
+      where: { status: { [Op.in]: ["started", "processing"] } },
+    });
+
+    for (const job of jobs) {
+      console.log(`Resuming purge job ${job.id}`);
+      runPurgeJob(job.id);
+    }
+
+    await deleteStalePreviews();
+  } catch (error) {
+    console.error("Failed to resume purge jobs:", error);
+  }
+}
+
+// DELETE /admin/purger - Start a background purge job
+router.delete("/purger/", async (req, res) => {
+  try {
+    const criteria = parseCriteria(req.body);
+
+    const job = await PurgeJob.create({
+      id: randomUUID(),
+      user_id: req.user.userId,
+      keywords: criteria.keywords.join(","),
+      criteria: JSON.stringify(criteria),
+      batch_size: parseBatchSize(req.body.batch_size),
+      total_servers: await Server.count(),
+    });
+
+    console.log(
+      `Admin ${req.user.email} started purge job ${job.id} with criteria`,
+      criteria
+    );
 
-    res.json({ 
-      success: true, 
-      message: `Purge completed. Deleted ${deletedServers.length} servers.`,
-      deletedServers: deletedServers
+    // Runs in the background; progress is polled through /purger/status
+    runPurgeJob(job.id);
+
+    res.status(202).json({
+      success: true,
+      message: "Purge job started",
+      job_id: job.id,
+      total_servers: job.total_servers,
+    });
+  } catch (error) {
+    if (error instanceof PurgeError) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, error: error.message });
+    }
+
+    console.error("Purger error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error during purge operation",
+    });
+  }
+});
+
+// POST /admin/purger/preview - Dry run: list the servers a purge would delete
+router.post("/purger/preview", async (req, res) => {
+  try {
+    const criteria = parseCriteria(req.body);
+    const batchSize = parseBatchSize(req.body.batch_size);
+
+    await deleteStalePreviews();
+
+    const dbServers = await Server.findAll({ order: [["id", "ASC"]] });
+    const matches = await previewServers(dbServers, criteria, batchSize);
+
+    // Keep the snapshot so the admin can confirm exactly this list
+    const job = await PurgeJob.create({
+      id: randomUUID(),
+      user_id: req.user.userId,
+      keywords: criteria.keywords.join(","),
+      criteria: JSON.stringify(criteria),
+      server_ids: JSON.stringify(matches.map((server) => server.id)),
+      batch_size: batchSize,
+      status: "preview",
+      total_servers: matches.length,
+      estimated_matches: matches.length,
+    });
+
+    res.json({
+      success: true,
+      preview_id: job.id,
+      expires_at: new Date(job.created_at.getTime() + PREVIEW_TTL),
+      criteria,
+      scanned: dbServers.length,
+      servers: matches,
+    });
+  } catch (error) {
+    if (error instanceof PurgeError) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, error: error.message });
+    }
+
+    console.error("Purger preview error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error during purge preview",
+    });
+  }
+});
+
+// POST /admin/purger/preview/:previewId/confirm - Delete a previewed snapshot
+router.post("/purger/preview/:previewId/confirm", async (req, res) => {
+  try {
+    const job = await PurgeJob.findByPk(req.params.previewId);
+
+    if (!job || job.status !== "preview") {
+      return res.status(404).json({
+        success: false,
+        error: "Preview not found or already confirmed",
+      });
+    }
+
+    if (Date.now() - job.created_at.getTime() > PREVIEW_TTL) {
+      await job.destroy();
+      return res.status(410).json({
+        success: false,
+        error: "Preview expired, run a new preview",
+      });
+    }
+
+    await job.update({ status: "started", created_at: new Date() });
+
+    console.log(
+      `Admin ${req.user.email} confirmed purge preview ${job.id} (${job.total_servers} servers)`
+    );
+
+    runPurgeJob(job.id);
+
+    res.status(202).json({
+      success: true,
+      message: "Purge job started",
+      job_id: job.id,
+      total_servers: job.total_servers,
+    });
+  } catch (error) {
+    console.error("Purger confirm error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error during purge operation",
+    });
+  }
+});
+
+// GET /admin/purger/status/:jobId - Get purge job progress
+router.get("/purger/status/:jobId", async (req, res) => {
+  try {
+    const job = await PurgeJob.findByPk(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "Purge job not found",
+      });
+    }
+
+    res.json({ success: true, job: formatJob(job) });
+  } catch (error) {
+    console.error("Purger status error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch purge job status",
+    });
+  }
+});
+
+// GET /admin/purger/jobs - List recent purge jobs
+router.get("/purger/jobs", async (req, res) => {
+  try {
+    const jobs = await PurgeJob.findAll({
+      where: { status: { [Op.ne]: "preview" } },
+      order: [["created_at", "DESC"]],
+      limit: parseInt(req.query.limit) || 20,
     });
 
+    res.json({ success: true, jobs: jobs.map(formatJob) });
   } catch (error) {
-    console.error('Purger error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: "Internal server error during purge operation" 
+    console.error("Purger jobs error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch purge jobs",
     });
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
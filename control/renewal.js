@@ -0,0 +1,284 @@
+import { Router } from "express";
+import { Op } from "sequelize";
+import { verifyToken } from "./auth.js";
+import Servers, {
+  getRenewalConfig,
+  nextRenewalDate,
+} from "../model/Servers.js";
+import Resources from "../model/resources.js";
+import LedgerEntry from "../model/LedgerEntry.js";
+import { isSettingSaved, saveSettings } from "../model/Setting.js";
+import { setServerSuspended, releaseServer } from "./server.js";
+
+const router = Router();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let sweepTimer = null;
+let sweeping = false;
+
+/**
+ * Give every active server due within the next period a full period from
+ * now. Run when renewals are turned on: dates that passed while they were
+ * off, and servers from before renewals existed (dated at creation), would
+ * otherwise all be suspended by the next sweep.
+ * @returns {Promise<number>} - Number of servers moved
+ */
+export async function startRenewalClock() {
+  const renewDate = nextRenewalDate();
+  const [moved] = await Servers.update(
+    { renewDate },
+    { where: { renewDate: { [Op.lt]: renewDate }, suspendedAt: null } }
+  );
+
+  if (moved > 0) {
+    console.log(
+      `Renewals turned on: ${moved} servers now renew by ${renewDate.toISOString()}`
+    );
+  }
+  return moved;
+}
+
+/**
+ * Lift the suspension of a server whose renewal has been paid
+ * @param {Object} dbServer - Database server record
+ * @returns {Promise<boolean>} - Whether the panel lifted it
+ */
+async function unsuspendRenewedServer(dbServer) {
+  try {
+    await setServerSuspended(dbServer.serverId, false);
+    await dbServer.update({ suspendedAt: null });
+    return true;
+  } catch (error) {
+    console.error(
+      `Failed to unsuspend renewed server ${dbServer.serverId}:`,
+      error.message
+    );
+    return false;
+  }
+}
+
+/**
+ * Suspend servers past their renewal date, lift the suspension of renewed
+ * servers the panel failed to unsuspend, and delete servers that stayed
+ * suspended for longer than the grace period
+ * @returns {Promise<Object>} - Counts of suspended, unsuspended, deleted and
+ * failed servers
+ */
+export async function sweepExpiredServers() {
+  const stats = { suspended: 0, unsuspended: 0, deleted: 0, failed: 0 };
+
+  if (sweeping || !getRenewalConfig().enabled) return stats;
+  sweeping = true;
+
+  try {
+    // Turned on by the env var rather than in the settings: start the clock
+    // once and save the setting so restarts don't start it again
+    if (!isSettingSaved("renewal_enabled")) {
+      await startRenewalClock();
+      await saveSettings({ renewal_enabled: true });
+    }
+
+    const { graceDays } = getRenewalConfig();
+    const now = new Date();
+
+    const overdue = await Servers.findAll({
+      where: { renewDate: { [Op.lt]: now }, suspendedAt: null },
+    });
+
+    for (const dbServer of overdue) {
+      try {
+        await setServerSuspended(dbServer.serverId, true);
+        await dbServer.update({ suspendedAt: now });
+        stats.suspended++;
+      } catch (error) {
+        console.error(
+          `Failed to suspend overdue server ${dbServer.serverId}:`,
+          error.message
+        );
+        stats.failed++;
+      }
+    }
+
+    const renewed = await Servers.findAll({
+      where: { renewDate: { [Op.gte]: now }, suspendedAt: { [Op.ne]: null } },
+    });
+
+    for (const dbServer of renewed) {
+      if (await unsuspendRenewedServer(dbServer)) {
+        stats.unsuspended++;
+      } else {
+        stats.failed++;
+      }
+    }
+
+    const expired = await Servers.findAll({
+      where: {
+        renewDate: { [Op.lt]: now },
+        suspendedAt: { [Op.lt]: new Date(now.getTime() - graceDays * DAY) },
+      },
+    });
+
+    for (const dbServer of expired) {
+      try {
+        await releaseServer(dbServer, {
+          description: `Server ${dbServer.serverId} expired`,
+        });
+        stats.deleted++;
+      } catch (error) {
+        console.error(
+          `Failed to delete expired server ${dbServer.serverId}:`,
+          error.message
+        );
+        stats.failed++;
+      }
+    }
+
+    if (stats.suspended || stats.unsuspended || stats.deleted || stats.failed) {
+      console.log(
+        `Renewal sweep: ${stats.suspended} suspended, ${stats.unsuspended} unsuspended, ${stats.deleted} deleted, ${stats.failed} failed`
+      );
+    }
+  } catch (error) {
+    console.error("Renewal sweep error:", error);
+  } finally {
+    sweeping = false;
+  }
+
+  return stats;
+}
+
+/**
+ * Start the background renewal sweeper. It runs while renewals are off too
+ * and skips its work, so turning them on in the settings needs no restart.
+ */
+export function startRenewalSweeper() {
+  const { sweepMinutes } = getRenewalConfig();
+
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(sweepExpiredServers, sweepMinutes * 60 * 1000);
+  sweepExpiredServers();
+  console.log(`Renewal sweeper started, running every ${sweepMinutes} min`);
+}
+
+// POST /servers/:id/renew - Extend a server's renewal date for coins
+router.post("/servers/:id/renew", verifyToken, async (req, res) => {
+  try {
+    const { resourcesId, pteroId } = req.user;
+    const { id: serverId } = req.params;
+    const { enabled, cost } = getRenewalConfig();
+
+    if (!enabled) {
+      return res.status(400).json({
+        success: false,
+        error: "Server renewal is not enabled",
+      });
+    }
+
+    if (!/^\d+$/.test(serverId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid server ID format",
+      });
+    }
+
+    const dbServer = await Servers.findOne({
+      where: { id: serverId, owner: pteroId },
+    });
+
+    if (!dbServer) {
+      return res.status(404).json({
+        success: false,
+        error: "Server not found or you don't have permission to renew it",
+      });
+    }
+
+    const resources = await Resources.findByPk(resourcesId);
+    if (!resources) {
+      return res.status(404).json({
+        success: false,
+        error: "User resources not found",
+      });
+    }
+
+    // Charged and extended in one transaction. The panel is only asked to
+    // lift a suspension once both are committed, so a failed commit never
+    // leaves a server running that nobody paid for.
+    const renewDate = await Resources.sequelize.transaction(
+      async (transaction) => {
+        // Charge only while the balance still covers the cost, so parallel
+        // renewals cannot spend the same coins twice
+        const [charged] = await Resources.update(
+          { coins: Resources.sequelize.literal(`coins - ${Number(cost)}`) },
+          {
+            where: { id: resourcesId, coins: { [Op.gte]: cost } },
+            transaction,
+          }
+        );
+        if (charged === 0) return null;
+
+        await resources.reload({ transaction });
+        const coins = {
+          before: resources.coins + cost,
+          after: resources.coins,
+        };
+        await LedgerEntry.create(
+          {
+            resourcesId,
+            actorId: req.user.userId,
+            reason: "renewal",
+            description: `Server ${dbServer.serverId} renewed`,
+            coinsBefore: coins.before,
+            coinsAfter: coins.after,
+            changes: JSON.stringify({ coins }),
+          },
+          { transaction }
+        );
+
+        // Read the date again after charging, so parallel renewals of the
+        // same server each extend it
+        await dbServer.reload({ transaction });
+
+        // Renewing early extends from the current due date, not from today
+        const now = new Date();
+        const base = dbServer.renewDate > now ? dbServer.renewDate : now;
+        const next = nextRenewalDate(base);
+
+        await dbServer.update({ renewDate: next }, { transaction });
+        return next;
+      }
+    );
+
+    if (!renewDate) {
+      return res.status(400).json({
+        success: false,
+        error: "Insufficient coins",
+      });
+    }
+
+    // The renewal is paid for either way; the sweeper retries a failure
+    const unsuspended =
+      !dbServer.suspendedAt || (await unsuspendRenewedServer(dbServer));
+
+    res.json({
+      success: true,
+      message: unsuspended
+        ? "Server renewed successfully"
+        : "Server renewed, it will be unsuspended shortly",
+      data: {
+        renewDate,
+        coinsRemaining: resources.coins,
+        totalCost: cost,
+      },
+    });
+  } catch (error) {
+    console.error("Error renewing server:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to renew server",
+    });
+  }
+});
+
+export default router;
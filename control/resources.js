@@ -1,22 +1,13 @@
 import { Router } from "express";
 import Resources from "../model/resources.js";
-import { verifyToken } from "./auth.js";
+import { verifyToken, requirePermission } from "./auth.js";
 
 const router = Router();
 
-// Middleware to check admin access
-const requireAdmin = (req, res, next) => {
-  if (!req.user || !req.user.root_admin) {
-    return res.status(403).json({
-      success: false,
-      message: "Access denied. Admin privileges required."
-    });
-  }
-  next();
-};
+const canEdit = requirePermission("users.edit_resources");
 
 // GET /resources - Get all resources (Admin only)
-router.get("/", verifyToken, requireAdmin, async (req, res) => {
+router.get("/", verifyToken, canEdit, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -50,7 +41,7 @@ router.get("/", verifyToken, requireAdmin, async (req, res) => {
 });
 
 // GET /resources/:id - Get single resource by ID (Admin only)
-router.get("/:id", verifyToken, requireAdmin, async (req, res) => {
+router.get("/:id", verifyToken, canEdit, async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -77,7 +68,7 @@ router.get("/:id", verifyToken, requireAdmin, async (req, res) => {
 });
 
 // POST /resources - Create new resource (Admin only)
-router.post("/", verifyToken, requireAdmin, async (req, res) => {
+router.post("/", verifyToken, canEdit, async (req, res) => {
   try {
     const {
       ram,
@@ -100,7 +91,9 @@ router.post("/", verifyToken, requireAdmin, async (req, res) => {
     if (slots !== undefined) resourceData.slots = parseInt(slots);
     if (coins !== undefined) resourceData.coins = parseInt(coins);
 
-    const newResource = await Resources.create(resourceData);
+    const newResource = await Resources.create(resourceData, {
+      ledger: { reason: "admin_grant", actorId: req.user.userId }
+    });
 
     res.status(201).json({
       success: true,
@@ -128,7 +121,7 @@ router.post("/", verifyToken, requireAdmin, async (req, res) => {
 });
 
 // PUT /resources/:id - Update resource (Admin only)
-router.put("/:id", verifyToken, requireAdmin, async (req, res) => {
+router.put("/:id", verifyToken, canEdit, async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -161,7 +154,9 @@ router.put("/:id", verifyToken, requireAdmin, async (req, res) => {
     if (slots !== undefined) updateData.slots = parseInt(slots);
     if (coins !== undefined) updateData.coins = parseInt(coins);
 
-    await resource.update(updateData);
+    await resource.update(updateData, {
+      ledger: { reason: "admin_grant", actorId: req.user.userId }
+    });
 
     res.json({
       success: true,
@@ -189,7 +184,7 @@ router.put("/:id", verifyToken, requireAdmin, async (req, res) => {
 });
 
 // PATCH /resources/:id - Partial update resource (Admin only)
-router.patch("/:id", verifyToken, requireAdmin, async (req, res) => {
+router.patch("/:id", verifyToken, canEdit, async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
@@ -213,7 +208,9 @@ router.patch("/:id", verifyToken, requireAdmin, async (req, res) => {
       }
     });
 
-    await resource.update(updateData);
+    await resource.update(updateData, {
+      ledger: { reason: "admin_grant", actorId: req.user.userId }
+    });
 
     res.json({
       success: true,
@@ -241,7 +238,7 @@ router.patch("/:id", verifyToken, requireAdmin, async (req, res) => {
 });
 
 // DELETE /resources/:id - Delete resource (Admin only)
-router.delete("/:id", verifyToken, requireAdmin, async (req, res) => {
+router.delete("/:id", verifyToken, canEdit, async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -270,7 +267,7 @@ router.delete("/:id", verifyToken, requireAdmin, async (req, res) => {
 });
 
 // GET /resources/stats - Get resource statistics (Admin only)
-router.get("/stats/summary", verifyToken, requireAdmin, async (req, res) => {
+router.get("/stats/summary", verifyToken, canEdit, async (req, res) => {
   try {
     const totalResources = await Resources.count();
     
@@ -0,0 +1,314 @@
+import { Router } from "express";
+import Role, {
+  PERMISSIONS,
+  PERMISSION_NAMES,
+  rolePermissions,
+} from "../model/Role.js";
+import User from "../model/User.js";
+import { verifyToken, verifyAdmin, requirePermission } from "./auth.js";
+
+const router = Router();
+
+// Roles created on first start; admins can edit or delete them afterwards
+const DEFAULT_ROLES = [
+  {
+    name: "support",
+    description: "Look up users and servers",
+    permissions: ["servers.view_all", "users.view", "ledger.view"],
+  },
+  {
+    name: "moderator",
+    description: "Manage users and their servers",
+    permissions: [
+      "servers.view_all",
+      "servers.manage",
+      "servers.delete",
+      "users.view",
+      "users.edit",
+    ],
+  },
+  {
+    name: "billing",
+    description: "Manage the store and user balances",
+    permissions: [
+      "users.view",
+      "users.edit_resources",
+      "store.manage",
+      "ledger.view",
+    ],
+  },
+  {
+    name: "admin",
+    description: "Every dashboard permission",
+    permissions: PERMISSION_NAMES,
+  },
+];
+
+class RoleError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.statusCode = statusCode;
+    this.name = "RoleError";
+  }
+}
+
+const formatRole = (role, userCount) => ({
+  id: role.id,
+  name: role.name,
+  description: role.description,
+  permissions: rolePermissions(role),
+  ...(userCount !== undefined && { userCount }),
+});
+
+/**
+ * Pick the editable role fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Role attributes
+ */
+function pickRoleData(body) {
+  const data = {};
+
+  if (body.name !== undefined) data.name = String(body.name).trim();
+  if (body.description !== undefined) {
+    data.description = body.description ? String(body.description) : null;
+  }
+  if (body.permissions !== undefined) {
+    if (!Array.isArray(body.permissions)) {
+      throw new RoleError("Permissions must be a list");
+    }
+    data.permissions = JSON.stringify([...new Set(body.permissions)]);
+  }
+
+  return data;
+}
+
+/**
+ * Send a role error or Sequelize validation error response
+ * @param {Object} res - Express response
+ * @param {Error} error - Caught error
+ * @returns {boolean} - Whether a response was sent
+ */
+function sendRoleError(res, error) {
+  if (error instanceof RoleError) {
+    res.status(error.statusCode).json({ success: false, error: error.message });
+    return true;
+  }
+
+  if (error.name === "SequelizeUniqueConstraintError") {
+    res.status(409).json({ success: false, error: "Role name already exists" });
+    return true;
+  }
+
+  if (error.name === "SequelizeValidationError") {
+    res.status(400).json({
+      success: false,
+      error: "Validation error",
+      details: error.errors.map((err) => ({
+        field: err.path,
+        message: err.message,
+      })),
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Create the default roles when none exist yet
+ * @returns {Promise<void>}
+ */
+export async function seedRoles() {
+  try {
+    if ((await Role.count()) > 0) return;
+
+    await Role.bulkCreate(
+      DEFAULT_ROLES.map((role) => ({
+        ...role,
+        permissions: JSON.stringify(role.permissions),
+      }))
+    );
+    console.log("Seeded default roles");
+  } catch (error) {
+    console.error("Error seeding roles:", error);
+  }
+}
+
+// GET /admin/permissions - Permission catalog for the role editor
+router.get(
+  "/admin/permissions",
+  verifyToken,
+  requirePermission("users.view"),
+  (req, res) => {
+    res.json({
+      success: true,
+      data: Object.entries(PERMISSIONS).map(([name, description]) => ({
+        name,
+        description,
+      })),
+    });
+  }
+);
+
+// GET /admin/roles - List roles with how many users hold each
+router.get(
+  "/admin/roles",
+  verifyToken,
+  requirePermission("users.view"),
+  async (req, res) => {
+    try {
+      const [roles, counts] = await Promise.all([
+        Role.findAll({ order: [["name", "ASC"]] }),
+        User.count({ group: ["roleId"] }),
+      ]);
+
+      const countByRole = Object.fromEntries(
+        counts.map(({ roleId, count }) => [roleId, count])
+      );
+
+      res.json({
+        success: true,
+        data: roles.map((role) => formatRole(role, countByRole[role.id] ?? 0)),
+      });
+    } catch (error) {
+      console.error("List roles error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+// Changing roles or who holds them is reserved for panel root admins, so
+// staff cannot grant themselves more access
+
+// POST /admin/roles - Create a role
+router.post("/admin/roles", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const role = await Role.create(pickRoleData(req.body));
+
+    console.log(`Admin ${req.user.email} created role ${role.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Role created successfully",
+      data: formatRole(role),
+    });
+  } catch (error) {
+    if (sendRoleError(res, error)) return;
+
+    console.error("Create role error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
+// PUT /admin/roles/:id - Update a role
+router.put("/admin/roles/:id", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const role = await Role.findByPk(req.params.id);
+    if (!role) {
+      throw new RoleError("Role not found", 404);
+    }
+
+    await role.update(pickRoleData(req.body));
+
+    res.json({
+      success: true,
+      message: "Role updated successfully",
+      data: formatRole(role),
+    });
+  } catch (error) {
+    if (sendRoleError(res, error)) return;
+
+    console.error("Update role error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
+// DELETE /admin/roles/:id - Delete a role; its users lose their role
+router.delete(
+  "/admin/roles/:id",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    try {
+      const role = await Role.findByPk(req.params.id);
+      if (!role) {
+        throw new RoleError("Role not found", 404);
+      }
+
+      await User.update({ roleId: null }, { where: { roleId: role.id } });
+      await role.destroy();
+
+      console.log(`Admin ${req.user.email} deleted role ${role.name}`);
+
+      res.json({
+        success: true,
+        message: "Role deleted successfully",
+      });
+    } catch (error) {
+      if (sendRoleError(res, error)) return;
+
+      console.error("Delete role error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+// PUT /admin/users/:id/role - Assign a role, or remove it with roleId null
+router.put(
+  "/admin/users/:id/role",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    try {
+      const user = await User.findByPk(req.params.id);
+      if (!user) {
+        throw new RoleError("User not found", 404);
+      }
+
+      const { roleId } = req.body;
+      let role = null;
+      if (roleId !== null && roleId !== undefined && roleId !== "") {
+        role = await Role.findByPk(roleId);
+        if (!role) {
+          throw new RoleError("Role not found", 404);
+        }
+      }
+
+      await user.update({ roleId: role?.id ?? null });
+
+      console.log(
+        `Admin ${req.user.email} set role of user ${user.id} to ${
+          role?.name ?? "none"
+        }`
+      );
+
+      res.json({
+        success: true,
+        message: role ? `Assigned role ${role.name}` : "Role removed",
+        data: { userId: user.id, role: role ? formatRole(role) : null },
+      });
+    } catch (error) {
+      if (sendRoleError(res, error)) return;
+
+      console.error("Assign role error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+export default router;
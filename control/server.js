@@ -1,45 +1,36 @@
 import { Router } from "express";
-import { verifyToken } from "./auth.js";
-import axios from "axios";
-import Servers from "../model/Servers.js";
+import { verifyToken, allowApiKey, requireVerifiedEmail } from "./auth.js";
+import Servers, {
+  getDefaultLimits,
+  nextRenewalDate,
+} from "../model/Servers.js";
 import User from "../model/User.js";
 import Resources from "../model/resources.js";
 import Node from "../model/Node.js";
+import Egg from "../model/Egg.js";
+import panel, { PterodactylError } from "./pterodactyl.js";
+import {
+  forgetPanelServer,
+  getPanelServer,
+  getPanelServers,
+  getServerStats,
+} from "./panelState.js";
 
 const router = Router();
 
+// These routes also accept personal API keys holding the matching scope
+const readScope = allowApiKey("servers.read");
+const writeScope = allowApiKey("servers.write");
+
+// Creating servers needs a verified email while verification is required
+const verified = requireVerifiedEmail;
+
 // Constants for better maintainability
-//const POWER_ACTIONS = ["start", "stop", "restart", "kill"];
-const DEFAULT_LIMITS = {
-  swap: 0,
-  io: 500,
-  backups: 0,
-};
-
-// Create axios instance with default config
-const panelAPI = axios.create({
-  baseURL: process.env.panel_url,
-  headers: {
-    Authorization: `Bearer ${process.env.panel_key}`,
-    "Content-Type": "application/json",
-    Accept: "application/json",
-  },
-  timeout: 30000, // 30 second timeout
-});
+export const POWER_ACTIONS = ["start", "stop", "restart", "kill"];
+// Servers whose state is fetched at once by the activity poller
+const ACTIVITY_BATCH_SIZE = 10;
 
-// Add request/response interceptors for better error handling
-panelAPI.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    console.error("Pterodactyl API Error:", {
-      status: error.response?.status,
-      data: error.response?.data,
-      url: error.config?.url,
-      method: error.config?.method,
-    });
-    return Promise.reject(error);
-  }
-);
+let activityTimer = null;
 
 /**
  * Find egg by ID across all nests
@@ -49,28 +40,11 @@ panelAPI.interceptors.response.use(
  */
 async function findEggById(eggId) {
   try {
-    const nests = await panelAPI.get("/api/application/nests");
-
-    for (const nest of nests.data.data) {
-      const nestId = nest.attributes.id;
-
-      try {
-        const eggs = await panelAPI.get(
-          `/api/application/nests/${nestId}/eggs?include=variables`
-        );
-
-        const match = eggs.data.data.find((e) => e.attributes.id == eggId);
-        if (match) {
-          console.log(`Found egg ${eggId} in nest ${nestId}`);
-          return match.attributes;
-        }
-      } catch (error) {
-        console.warn(`Failed to fetch eggs for nest ${nestId}:`, error.message);
-        continue; // Continue to next nest
-      }
+    const egg = await panel.findEgg(eggId);
+    if (!egg) {
+      throw new Error(`Egg with ID ${eggId} not found in any nest`);
     }
-
-    throw new Error(`Egg with ID ${eggId} not found in any nest`);
+    return egg;
   } catch (error) {
     console.error("Error finding egg:", error.message);
     throw new Error("Failed to locate egg configuration");
@@ -85,23 +59,16 @@ async function findEggById(eggId) {
  */
 async function getUnassignedAllocation(nodeId) {
   try {
-    const response = await panelAPI.get(
-      `/api/application/nodes/${nodeId}/allocations`
-    );
-
-    const allocations = response.data.data;
-    const unassigned = allocations.find(
-      (alloc) => alloc.attributes.assigned === false
-    );
+    const unassigned = await panel.findFreeAllocation(nodeId);
 
     if (!unassigned) {
       throw new Error(`No unassigned allocations available for node ${nodeId}`);
     }
 
     console.log(
-      `Found unassigned allocation ${unassigned.attributes.id} for node ${nodeId}`
+      `Found unassigned allocation ${unassigned.id} for node ${nodeId}`
     );
-    return unassigned.attributes.id;
+    return unassigned.id;
   } catch (error) {
     console.error(
       `Failed to get unassigned allocation for node ${nodeId}:`,
@@ -112,40 +79,36 @@ async function getUnassignedAllocation(nodeId) {
 }
 
 /**
- * Fetch server details from Pterodactyl panel
+ * Fetch server details from Pterodactyl panel, cached by panelState.js
  * @param {number|string} serverId - The server ID
+ * @param {Object} options
+ * @param {boolean} options.fresh - Skip the cache
  * @returns {Promise<Object|null>} - Server data or null if failed
  */
-export async function fetchServerFromPanel(serverId) {
+export async function fetchServerFromPanel(serverId, { fresh = false } = {}) {
   try {
-    const response = await panelAPI.get(
-      `/api/application/servers/${serverId}?include=allocations,variables`
-    );
-    return response.data;
-  } catch (error) {
-    if (error.response?.status === 404) {
+    const serverData = await getPanelServer(serverId, { fresh });
+    if (!serverData) {
       console.warn(`Server ${serverId} not found in panel`);
-    } else {
-      console.error(
-        `Error fetching server ${serverId} from panel:`,
-        error.message
-      );
     }
+    return serverData;
+  } catch (error) {
+    console.error(
+      `Error fetching server ${serverId} from panel:`,
+      error.message
+    );
     return null;
   }
 }
 
 /**
- * Fetch server resource usage
+ * Fetch live server resource usage
  * @param {number|string} serverId - The server ID
  * @returns {Promise<Object|null>} - Resource data or null if failed
  */
-async function fetchServerResources(serverId) {
+export async function fetchServerResources(serverId) {
   try {
-    const response = await panelAPI.get(
-      `/api/client/servers/${serverId}/resources`
-    );
-    return response.data;
+    return await getServerStats(serverId);
   } catch (error) {
     console.error(
       `Error fetching server ${serverId} resources:`,
@@ -155,13 +118,97 @@ async function fetchServerResources(serverId) {
   }
 }
 
+/**
+ * Fetch a server's live power state through the panel's client API
+ * @param {string} identifier - The server's short panel identifier
+ * @returns {Promise<string|null>} - current_state or null if failed
+ */
+export async function fetchServerState(identifier) {
+  try {
+    const resources = await panel.getServerResources(identifier);
+    return resources.attributes.current_state;
+  } catch (error) {
+    console.error(`Error fetching server ${identifier} state:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Record a server's power state, for the purger's offline filter
+ * @param {Object} dbServer - Database server record
+ * @param {Object} resourceData - Resource usage data
+ * @returns {Promise<void>}
+ */
+async function recordServerActivity(dbServer, resourceData) {
+  const state = resourceData?.attributes?.current_state;
+  if (!state) return;
+
+  const now = new Date();
+  const changes = {};
+  if (!dbServer.firstSeenAt) changes.firstSeenAt = now;
+  if (state !== "offline") changes.lastOnlineAt = now;
+  if (Object.keys(changes).length === 0) return;
+
+  try {
+    await dbServer.update(changes);
+  } catch (error) {
+    console.warn(
+      `Failed to record activity for server ${dbServer.serverId}:`,
+      error.message
+    );
+  }
+}
+
+/**
+ * Record the power state of every server, so the offline filter does not
+ * depend on owners opening their server pages
+ * @returns {Promise<number>} - Servers whose state was seen
+ */
+export async function pollServerActivity() {
+  const dbServers = await Servers.findAll();
+  let seen = 0;
+
+  for (let i = 0; i < dbServers.length; i += ACTIVITY_BATCH_SIZE) {
+    const batch = dbServers.slice(i, i + ACTIVITY_BATCH_SIZE);
+    await Promise.all(
+      batch.map(async (dbServer) => {
+        const resourceData = await fetchServerResources(dbServer.serverId);
+        if (!resourceData) return;
+
+        seen++;
+        await recordServerActivity(dbServer, resourceData);
+      })
+    );
+  }
+
+  return seen;
+}
+
+/**
+ * Start recording server power states every server_activity_poll_minutes
+ */
+export function startServerActivityPoller() {
+  if (activityTimer) return;
+
+  const minutes = parseInt(process.env.server_activity_poll_minutes) || 5;
+  const poll = () =>
+    pollServerActivity().catch((error) =>
+      console.error("Failed to poll server activity:", error.message)
+    );
+
+  activityTimer = setInterval(poll, minutes * 60 * 1000);
+  poll();
+  console.log(`Server activity poller started, running every ${minutes} min`);
+}
+
 /**
  * Get server limits from panel
  * @param {number|string} serverId - The server ID
  * @returns {Promise<Object|null>} - Server limits or null if failed
  */
 export async function getServerLimits(serverId) {
-  const serverData = await fetchServerFromPanel(serverId);
+  // Resource refunds depend on these, so never use cached limits
+  const serverData = await fetchServerFromPanel(serverId, { fresh: true });
   if (!serverData) return null;
 
   return {
@@ -173,6 +220,105 @@ export async function getServerLimits(serverId) {
   };
 }
 
+/**
+ * Send a power signal to a server through the panel's client API
+ * @param {number|string} serverId - The Pterodactyl server ID
+ * @param {string} action - One of POWER_ACTIONS
+ * @returns {Promise<void>}
+ * @throws {Error} - If the server is missing from the panel or the signal fails
+ */
+export async function sendPowerAction(serverId, action) {
+  const serverData = await fetchServerFromPanel(serverId);
+  if (!serverData) {
+    throw new PterodactylError(`Server ${serverId} not found in panel`, 404);
+  }
+
+  await panel.sendPowerSignal(serverData.attributes.identifier, action);
+  forgetPanelServer(serverId);
+}
+
+/**
+ * Suspend or unsuspend a server in the panel
+ * @param {number|string} serverId - The Pterodactyl server ID
+ * @param {boolean} suspended - Whether the server should be suspended
+ * @returns {Promise<void>}
+ */
+export async function setServerSuspended(serverId, suspended) {
+  await panel.setServerSuspended(serverId, suspended);
+  forgetPanelServer(serverId);
+}
+
+/**
+ * Delete a server from the panel, treating an already-deleted server as success
+ * @param {number|string} serverId - The Pterodactyl server ID
+ * @returns {Promise<void>}
+ */
+export async function deleteServerFromPanel(serverId) {
+  try {
+    await panel.deleteServer(serverId);
+    console.log(`Server ${serverId} deleted from panel`);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      console.warn(`Server ${serverId} was already deleted from panel`);
+      return;
+    }
+    throw error;
+  } finally {
+    forgetPanelServer(serverId);
+  }
+}
+
+/**
+ * Delete a server from the panel and database, giving its resources back
+ * to the owner
+ * @param {Object} dbServer - Database server record
+ * @param {Object} ledger - Ledger details for the refund (actorId, description)
+ * @returns {Promise<void>}
+ */
+export async function releaseServer(dbServer, ledger = {}) {
+  const currentLimits = await getServerLimits(dbServer.serverId);
+
+  await deleteServerFromPanel(dbServer.serverId);
+
+  const owner = await User.findOne({ where: { ptero_id: dbServer.owner } });
+  if (currentLimits && owner?.resourcesId) {
+    const resources = await Resources.findByPk(owner.resourcesId);
+    if (resources) {
+      resources.ram += currentLimits.memory;
+      resources.disk += currentLimits.disk;
+      resources.cpu += currentLimits.cpu;
+      resources.databases += currentLimits.databases;
+      resources.allocations += currentLimits.allocations;
+      resources.slots += 1;
+      await resources.save({
+        ledger: {
+          reason: "refund",
+          description: `Server ${dbServer.serverId} deleted`,
+          ...ledger,
+        },
+      });
+      console.log(`Resources restored for user ${owner.email}`);
+    }
+  }
+
+  await dbServer.destroy();
+}
+
+/**
+ * Fetch Wings websocket credentials for a server through the panel's client API
+ * @param {number|string} serverId - The Pterodactyl server ID
+ * @returns {Promise<{token: string, socket: string}>} - JWT and websocket URL
+ * @throws {Error} - If the server is missing from the panel or the request fails
+ */
+export async function fetchWebsocketCredentials(serverId) {
+  const serverData = await fetchServerFromPanel(serverId);
+  if (!serverData) {
+    throw new PterodactylError(`Server ${serverId} not found in panel`, 404);
+  }
+
+  return panel.getWebsocket(serverData.attributes.identifier);
+}
+
 /**
  * Validate resource requirements against available resources
  * @param {Object} required - Required resources
@@ -216,6 +362,21 @@ function validateResourceAvailability(required, available) {
   return errors;
 }
 
+/**
+ * Format live resource usage for responses
+ * @param {Object|null} resourceData - Resource usage data
+ * @returns {Object|null} - Power state and usage, or null
+ */
+export function formatResourceData(resourceData) {
+  if (!resourceData) return null;
+
+  return {
+    current_state: resourceData.attributes.current_state,
+    is_suspended: resourceData.attributes.is_suspended,
+    resources: resourceData.attributes.resources,
+  };
+}
+
 /**
  * Process server data for response
  * @param {Object} dbServer - Database server record
@@ -229,7 +390,10 @@ function processServerData(dbServer, serverData, resourceData) {
     id: dbServer.id,
     owner: dbServer.owner,
     serverId: dbServer.serverId,
-    renewal: dbServer.renewal,
+    nodeId: dbServer.nodeId,
+    eggId: dbServer.eggId,
+    renewDate: dbServer.renewDate,
+    suspendedAt: dbServer.suspendedAt,
 
     // Panel info (if available)
     panelData: serverData
@@ -252,18 +416,12 @@ function processServerData(dbServer, serverData, resourceData) {
       : null,
 
     // Resource usage (if available)
-    resources: resourceData
-      ? {
-          current_state: resourceData.attributes.current_state,
-          is_suspended: resourceData.attributes.is_suspended,
-          resources: resourceData.attributes.resources,
-        }
-      : null,
+    resources: formatResourceData(resourceData),
   };
 }
 
 // GET /servers - Fetch all user's servers
-router.get("/servers", verifyToken, async (req, res) => {
+router.get("/servers", readScope, verifyToken, async (req, res) => {
   try {
     const { resourcesId, pteroId } = req.user;
 
@@ -288,36 +446,21 @@ router.get("/servers", verifyToken, async (req, res) => {
       });
     }
 
-    // Fetch detailed information from Pterodactyl panel for each server
-    const serversWithDetails = await Promise.allSettled(
-      dbServers.map(async (dbServer) => {
-        const [serverData, resourceData] = await Promise.allSettled([
-          fetchServerFromPanel(dbServer.serverId),
-          fetchServerResources(dbServer.serverId),
-        ]);
-
-        return processServerData(
-          dbServer,
-          serverData.status === "fulfilled" ? serverData.value : null,
-          resourceData.status === "fulfilled" ? resourceData.value : null
-        );
-      })
+    // Panel details come from the cache; live usage is loaded per server
+    // from GET /servers/:id/resources
+    const panelServers = await getPanelServers(
+      dbServers.map((dbServer) => dbServer.serverId)
     );
 
-    // Process results and separate successful from failed fetches
-    const servers = [];
-    const errors = [];
-
-    serversWithDetails.forEach((result, index) => {
-      if (result.status === "fulfilled") {
-        servers.push(result.value);
-      } else {
-        errors.push({
-          serverId: dbServers[index].serverId,
-          error: result.reason?.message || "Unknown error",
-        });
-      }
-    });
+    const servers = dbServers.map((dbServer) =>
+      processServerData(dbServer, panelServers.get(dbServer.serverId), null)
+    );
+    const errors = dbServers
+      .filter((dbServer) => !panelServers.get(dbServer.serverId))
+      .map((dbServer) => ({
+        serverId: dbServer.serverId,
+        error: "Server not available from the panel",
+      }));
 
     return res.json({
       success: true,
@@ -340,7 +483,7 @@ router.get("/servers", verifyToken, async (req, res) => {
 });
 
 // GET /servers/:id - Fetch specific server
-router.get("/servers/:id", verifyToken, async (req, res) => {
+router.get("/servers/:id", readScope, verifyToken, async (req, res) => {
   try {
     const { resourcesId, pteroId } = req.user;
     const { id: serverId } = req.params;
@@ -381,6 +524,10 @@ router.get("/servers/:id", verifyToken, async (req, res) => {
       fetchServerResources(dbServer.serverId),
     ]);
 
+    if (resourceData.status === "fulfilled") {
+      recordServerActivity(dbServer, resourceData.value);
+    }
+
     const serverDetails = processServerData(
       dbServer,
       serverData.status === "fulfilled" ? serverData.value : null,
@@ -400,8 +547,58 @@ router.get("/servers/:id", verifyToken, async (req, res) => {
   }
 });
 
+// GET /servers/:id/resources - Live resource usage of a server
+router.get(
+  "/servers/:id/resources",
+  readScope,
+  verifyToken,
+  async (req, res) => {
+    try {
+      const { pteroId } = req.user;
+      const { id: serverId } = req.params;
+
+      if (!/^\d+$/.test(serverId)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid server ID format",
+        });
+      }
+
+      const dbServer = await Servers.findOne({
+        where: { id: serverId, owner: pteroId },
+      });
+      if (!dbServer) {
+        return res.status(404).json({
+          success: false,
+          error: "Server not found or you don't have permission to access it",
+        });
+      }
+
+      const resourceData = await fetchServerResources(dbServer.serverId);
+      if (!resourceData) {
+        return res.status(502).json({
+          success: false,
+          error: "Could not load resource usage from the panel",
+        });
+      }
+
+      recordServerActivity(dbServer, resourceData);
+      res.json({
+        success: true,
+        resources: formatResourceData(resourceData),
+      });
+    } catch (error) {
+      console.error("Error in /servers/:id/resources route:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch server resources",
+      });
+    }
+  }
+);
+
 // POST /servers - Create new server
-router.post("/servers", verifyToken, async (req, res) => {
+router.post("/servers", writeScope, verifyToken, verified, async (req, res) => {
   try {
     const { resourcesId, pteroId } = req.user;
     const {
@@ -492,9 +689,10 @@ router.post("/servers", verifyToken, async (req, res) => {
     }
 
     // Get egg info and allocation concurrently
-    const [eggInfo, allocId] = await Promise.all([
+    const [eggInfo, allocId, localEgg] = await Promise.all([
       findEggById(eggId),
       getUnassignedAllocation(nodeId),
+      Egg.findOne({ where: { eggId } }),
     ]);
 
     // Build environment variables from egg configuration
@@ -507,6 +705,7 @@ router.post("/servers", verifyToken, async (req, res) => {
     }
 
     // Prepare server creation data
+    const defaultLimits = getDefaultLimits();
     const serverData = {
       name: name.trim(),
       description: description.trim(),
@@ -517,15 +716,15 @@ router.post("/servers", verifyToken, async (req, res) => {
       environment,
       limits: {
         memory: parseInt(ram),
-        swap: DEFAULT_LIMITS.swap,
+        swap: defaultLimits.swap,
         disk: parseInt(disk),
-        io: DEFAULT_LIMITS.io,
+        io: defaultLimits.io,
         cpu: parseInt(cpu),
       },
       feature_limits: {
         databases: parseInt(databases),
         allocations: parseInt(allocations),
-        backups: DEFAULT_LIMITS.backups,
+        backups: defaultLimits.backups,
       },
       allocation: {
         default: parseInt(allocId),
@@ -538,12 +737,7 @@ router.post("/servers", verifyToken, async (req, res) => {
     );
 
     // Create server via Pterodactyl API
-    const pterodactylResponse = await panelAPI.post(
-      "/api/application/servers",
-      serverData
-    );
-
-    const createdServer = pterodactylResponse.data;
+    const createdServer = await panel.createServer(serverData);
     console.log("Server created successfully:", createdServer.attributes.id);
 
     // Deduct resources after successful server creation
@@ -553,13 +747,23 @@ router.post("/servers", verifyToken, async (req, res) => {
     resources.allocations -= required.allocations;
     resources.databases -= required.databases;
     resources.slots -= 1;
-    await resources.save();
+    await resources.save({
+      ledger: {
+        reason: "server_create",
+        actorId: req.user.userId,
+        description: `Server ${createdServer.attributes.id} created`,
+      },
+    });
 
     // Store server info in database
     const serverRecord = await Servers.create({
       owner: pteroId,
+      nodeId: nodeExists.nodeId,
+      // Eggs not listed on the dashboard are left unlinked
+      eggId: localEgg?.eggId ?? null,
       allocationId: allocId,
       serverId: createdServer.attributes.id,
+      renewDate: nextRenewalDate(),
     });
 
     res.status(201).json({
@@ -578,19 +782,19 @@ router.post("/servers", verifyToken, async (req, res) => {
     console.error("Error creating server:", error);
 
     // Handle specific Pterodactyl API errors
-    if (error.response?.status === 422) {
+    if (error.statusCode === 422) {
       return res.status(400).json({
         success: false,
         error: "Invalid server configuration",
-        details: error.response.data.errors || error.response.data,
+        details: error.details,
       });
     }
 
-    if (error.response?.status === 400) {
+    if (error.statusCode === 400) {
       return res.status(400).json({
         success: false,
         error: "Bad request to Pterodactyl panel",
-        message: error.response.data?.message || "Invalid request parameters",
+        message: error.message,
       });
     }
 
@@ -604,7 +808,7 @@ router.post("/servers", verifyToken, async (req, res) => {
 });
 
 // PUT /servers/:id - Update server (FIXED)
-router.put("/servers/:id", verifyToken, async (req, res) => {
+router.put("/servers/:id", writeScope, verifyToken, async (req, res) => {
   try {
     const { resourcesId, pteroId } = req.user;
     const { id: serverId } = req.params;
@@ -740,7 +944,13 @@ router.put("/servers/:id", verifyToken, async (req, res) => {
       resources.cpu -= differences.cpu;
       resources.databases -= differences.databases;
       resources.allocations -= differences.allocations;
-      await resources.save();
+      await resources.save({
+        ledger: {
+          reason: "server_update",
+          actorId: req.user.userId,
+          description: `Server ${dbServer.serverId} resized`,
+        },
+      });
 
       console.log("Updated user resources");
     }
@@ -756,19 +966,20 @@ router.put("/servers/:id", verifyToken, async (req, res) => {
       databases !== undefined ||
       allocations !== undefined
     ) {
+      const defaultLimits = getDefaultLimits();
       const buildUpdate = {
         allocation: dbServer.allocationId,
         limits: {
           memory: newLimits.memory,
-          swap: DEFAULT_LIMITS.swap,
+          swap: defaultLimits.swap,
           disk: newLimits.disk,
-          io: DEFAULT_LIMITS.io,
+          io: defaultLimits.io,
           cpu: newLimits.cpu,
         },
         feature_limits: {
           databases: newLimits.databases,
           allocations: newLimits.allocations,
-          backups: DEFAULT_LIMITS.backups,
+          backups: defaultLimits.backups,
         },
       };
 
@@ -778,10 +989,7 @@ router.put("/servers/:id", verifyToken, async (req, res) => {
       );
 
       updatePromises.push(
-        panelAPI.patch(
-          `/api/application/servers/${dbServer.serverId}/build`,
-          buildUpdate
-        )
+        panel.updateServerBuild(dbServer.serverId, buildUpdate)
       );
     }
 
@@ -803,16 +1011,14 @@ router.put("/servers/:id", verifyToken, async (req, res) => {
       console.log("Sending details update:", detailsUpdate);
 
       updatePromises.push(
-        panelAPI.patch(
-          `/api/application/servers/${dbServer.serverId}/details`,
-          detailsUpdate
-        )
+        panel.updateServerDetails(dbServer.serverId, detailsUpdate)
       );
     }
 
     // Execute all updates
     if (updatePromises.length > 0) {
       const results = await Promise.allSettled(updatePromises);
+      forgetPanelServer(dbServer.serverId);
 
       // Check for any failures
       const failures = results.filter((result) => result.status === "rejected");
@@ -827,7 +1033,13 @@ router.put("/servers/:id", verifyToken, async (req, res) => {
             resources.cpu += differences.cpu;
             resources.databases += differences.databases;
             resources.allocations += differences.allocations;
-            await resources.save();
+            await resources.save({
+              ledger: {
+                reason: "refund",
+                actorId: req.user.userId,
+                description: `Server ${dbServer.serverId} resize failed`,
+              },
+            });
             console.log("Rolled back resource changes due to API failure");
           }
         }
@@ -845,15 +1057,15 @@ router.put("/servers/:id", verifyToken, async (req, res) => {
   } catch (error) {
     console.error("Error updating server:", error);
 
-    if (error.response?.status === 422) {
+    if (error.statusCode === 422) {
       return res.status(400).json({
         success: false,
         error: "Invalid server configuration",
-        details: error.response.data.errors || error.response.data,
+        details: error.details,
       });
     }
 
-    if (error.response?.status === 404) {
+    if (error.statusCode === 404) {
       return res.status(404).json({
         success: false,
         error: "Server not found in panel",
@@ -869,7 +1081,7 @@ router.put("/servers/:id", verifyToken, async (req, res) => {
 });
 
 // DELETE /servers/:id - Delete server
-router.delete("/servers/:id", verifyToken, async (req, res) => {
+router.delete("/servers/:id", writeScope, verifyToken, async (req, res) => {
   try {
     const { resourcesId, pteroId } = req.user;
     const { id: serverId } = req.params;
@@ -899,16 +1111,18 @@ router.delete("/servers/:id", verifyToken, async (req, res) => {
 
     try {
       // Delete server from Pterodactyl panel
-      await panelAPI.delete(`/api/application/servers/${dbServer.serverId}`);
+      await panel.deleteServer(dbServer.serverId);
       console.log(`Server ${dbServer.serverId} deleted from panel`);
     } catch (error) {
-      if (error.response?.status === 404) {
+      if (error.statusCode === 404) {
         console.warn(
           `Server ${dbServer.serverId} was already deleted from panel`
         );
       } else {
         throw error; // Re-throw if it's not a 404
       }
+    } finally {
+      forgetPanelServer(dbServer.serverId);
     }
 
     // Restore resources to user if we successfully got the limits
@@ -921,7 +1135,13 @@ router.delete("/servers/:id", verifyToken, async (req, res) => {
         resources.databases += currentLimits.databases;
         resources.allocations += currentLimits.allocations;
         resources.slots += 1;
-        await resources.save();
+        await resources.save({
+          ledger: {
+            reason: "refund",
+            actorId: req.user.userId,
+            description: `Server ${dbServer.serverId} deleted`,
+          },
+        });
         console.log(`Resources restored for user ${pteroId}`);
       }
     }
@@ -937,7 +1157,7 @@ router.delete("/servers/:id", verifyToken, async (req, res) => {
     console.error("Error deleting server:", error);
 
     // If there was an error but the server doesn't exist on panel, clean up database
-    if (error.response?.status === 404) {
+    if (error.statusCode === 404) {
       await Servers.destroy({
         where: { id: serverId, owner: pteroId },
       });
@@ -956,5 +1176,68 @@ router.delete("/servers/:id", verifyToken, async (req, res) => {
 });
 
 // POST /servers/:id/power - Control server power state
+router.post("/servers/:id/power", writeScope, verifyToken, async (req, res) => {
+  try {
+    const { pteroId } = req.user;
+    const { id: serverId } = req.params;
+    const { action } = req.body;
+
+    if (!/^\d+$/.test(serverId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid server ID format",
+      });
+    }
+
+    if (!POWER_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid power action. Must be one of: ${POWER_ACTIONS.join(
+          ", "
+        )}`,
+      });
+    }
+
+    // Find server in database
+    const dbServer = await Servers.findOne({
+      where: { id: serverId, owner: pteroId },
+    });
+
+    if (!dbServer) {
+      return res.status(404).json({
+        success: false,
+        error: "Server not found or you don't have permission to control it",
+      });
+    }
+
+    await sendPowerAction(dbServer.serverId, action);
+
+    res.json({
+      success: true,
+      message: `Power action '${action}' sent successfully`,
+    });
+  } catch (error) {
+    console.error("Error sending power action:", error);
+
+    if (error.statusCode === 404) {
+      return res.status(404).json({
+        success: false,
+        error: "Server not found in panel",
+      });
+    }
+
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        error: "Server is suspended or still installing",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to send power action",
+    });
+  }
+});
 
 export default router;
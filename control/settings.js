@@ -0,0 +1,169 @@
+import { Router } from "express";
+import {
+  SETTINGS,
+  SETTING_KEYS,
+  getSetting,
+  isSettingSaved,
+  saveSettings,
+  settingDefault,
+  validateSetting,
+} from "../model/Setting.js";
+import SettingChange, { formatSettingChange } from "../model/SettingChange.js";
+import User from "../model/User.js";
+import { verifyToken, requirePermission } from "./auth.js";
+import { startRenewalClock } from "./renewal.js";
+
+const router = Router();
+
+const manageSettings = requirePermission("settings.manage");
+
+const MAX_HISTORY_LIMIT = 100;
+
+class SettingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.statusCode = statusCode;
+    this.name = "SettingError";
+  }
+}
+
+const formatSetting = (key) => ({
+  key,
+  ...SETTINGS[key],
+  default: settingDefault(key),
+  value: getSetting(key),
+  saved: isSettingSaved(key),
+});
+
+// GET /admin/settings - Every setting with its current value and default
+router.get("/admin/settings", verifyToken, manageSettings, (req, res) => {
+  res.json({
+    success: true,
+    data: SETTING_KEYS.map(formatSetting),
+  });
+});
+
+// PUT /admin/settings - Change settings; a null value restores the default
+router.put("/admin/settings", verifyToken, manageSettings, async (req, res) => {
+  try {
+    const changes = req.body?.settings;
+    if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+      throw new SettingError("Settings must be an object of values by key");
+    }
+
+    const errors = Object.entries(changes)
+      .map(([key, value]) =>
+        value === null && SETTINGS[key] ? null : validateSetting(key, value)
+      )
+      .filter(Boolean);
+
+    if (errors.length > 0) {
+      throw new SettingError(errors.join(", "));
+    }
+
+    const renewalsWereEnabled = getSetting("renewal_enabled");
+    const changed = await saveSettings(changes, {
+      actorId: req.user.userId,
+    });
+
+    if (!renewalsWereEnabled && getSetting("renewal_enabled")) {
+      await startRenewalClock();
+    }
+
+    if (changed.length > 0) {
+      console.log(
+        `Admin ${req.user.email} changed settings: ${changed.join(", ")}`
+      );
+    }
+
+    res.json({
+      success: true,
+      message: "Settings saved",
+      data: SETTING_KEYS.map(formatSetting),
+    });
+  } catch (error) {
+    if (error instanceof SettingError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error("Update settings error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
+// GET /admin/settings/history - Past changes, newest first, filterable by key
+router.get(
+  "/admin/settings/history",
+  verifyToken,
+  manageSettings,
+  async (req, res) => {
+    try {
+      const { key } = req.query;
+      if (key !== undefined && !SETTINGS[key]) {
+        return res.status(400).json({
+          success: false,
+          error: "Unknown setting",
+        });
+      }
+
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit) || 20, 1),
+        MAX_HISTORY_LIMIT
+      );
+
+      const { count, rows } = await SettingChange.findAndCountAll({
+        where: key ? { key } : {},
+        order: [
+          ["createdAt", "DESC"],
+          ["id", "DESC"],
+        ],
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      // Attach the admin who made each change
+      const actors = await User.findAll({
+        where: { id: [...new Set(rows.map((row) => row.actorId))] },
+        attributes: ["id", "username", "email"],
+      });
+      const actorById = new Map(actors.map((u) => [u.id, u]));
+
+      res.json({
+        success: true,
+        data: {
+          changes: rows.map((row) => {
+            const actor = actorById.get(row.actorId);
+            return {
+              ...formatSettingChange(row),
+              label: SETTINGS[row.key]?.label ?? row.key,
+              actor: actor
+                ? { id: actor.id, username: actor.username, email: actor.email }
+                : null,
+            };
+          }),
+          pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(count / limit),
+            totalItems: count,
+            itemsPerPage: limit,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Settings history error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+export default router;
@@ -1,84 +1,531 @@
 import Resources from "../model/resources.js";
-import { verifyToken } from "./auth.js";
+import User from "../model/User.js";
+import StoreItem, { GRANT_FIELDS, itemGrants } from "../model/StoreItem.js";
+import LedgerEntry, {
+  LEDGER_REASONS,
+  formatLedgerEntry,
+} from "../model/LedgerEntry.js";
+import {
+  verifyToken,
+  requirePermission,
+  requireVerifiedEmail,
+} from "./auth.js";
 import { Router } from "express";
+import { Op, Transaction } from "sequelize";
 
 const router = Router();
 
-router.post("/store", verifyToken, async (req, res) => {
+const manageStore = requirePermission("store.manage");
+const viewLedger = requirePermission("ledger.view");
+
+const MAX_HISTORY_LIMIT = 100;
+const MAX_QUANTITY = 100;
+
+class StoreError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.statusCode = statusCode;
+    this.name = "StoreError";
+  }
+}
+
+/**
+ * Page through ledger entries, newest first
+ * @param {Object} where - Sequelize where clause
+ * @param {Object} query - Request query with page and limit
+ * @returns {Promise<Object>} - Formatted entries and pagination
+ */
+async function findLedgerPage(where, query) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || 20, 1),
+    MAX_HISTORY_LIMIT
+  );
+
+  const { count, rows } = await LedgerEntry.findAndCountAll({
+    where,
+    order: [
+      ["createdAt", "DESC"],
+      ["id", "DESC"],
+    ],
+    limit,
+    offset: (page - 1) * limit,
+  });
+
+  return {
+    entries: rows.map(formatLedgerEntry),
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(count / limit),
+      totalItems: count,
+      itemsPerPage: limit,
+    },
+  };
+}
+
+/**
+ * Build a ledger where clause from shared query filters
+ * @param {Object} query - Request query (reason, from, to)
+ * @returns {Object|null} - Where clause, or null if a filter is invalid
+ */
+function ledgerFilters(query) {
+  const where = {};
+
+  if (query.reason) {
+    if (!LEDGER_REASONS.includes(query.reason)) return null;
+    where.reason = query.reason;
+  }
+
+  if (query.from || query.to) {
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) return null;
+
+    // A plain date includes the whole day
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+      to.setUTCHours(23, 59, 59, 999);
+    }
+
+    where.createdAt = {};
+    if (from) where.createdAt[Op.gte] = from;
+    if (to) where.createdAt[Op.lte] = to;
+  }
+
+  return where;
+}
+
+/**
+ * Pick editable store item fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Item fields present in the body
+ */
+function pickItemData(body) {
+  const data = {};
+
+  if (body.name !== undefined) data.name = String(body.name).trim();
+  if (body.description !== undefined) {
+    data.description = body.description ? String(body.description) : null;
+  }
+  if (body.active !== undefined) {
+    data.active = body.active === true || body.active === "true";
+  }
+
+  for (const field of [...GRANT_FIELDS, "price"]) {
+    if (body[field] !== undefined) data[field] = parseInt(body[field]) || 0;
+  }
+
+  // Empty stock or limit means unlimited
+  for (const field of ["stock", "perUserLimit"]) {
+    if (body[field] !== undefined) {
+      data[field] =
+        body[field] === null || body[field] === ""
+          ? null
+          : parseInt(body[field]);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Format a store item for API responses
+ * @param {Object} item - StoreItem record
+ * @returns {Object} - Public item data
+ */
+const formatStoreItem = (item) => ({
+  id: item.id,
+  name: item.name,
+  description: item.description,
+  grants: itemGrants(item),
+  price: item.price,
+  stock: item.stock,
+  perUserLimit: item.perUserLimit,
+  active: item.active,
+});
+
+/**
+ * Send a store error or Sequelize validation error response
+ * @param {Object} res - Express response
+ * @param {Error} error - Caught error
+ * @returns {boolean} - Whether a response was sent
+ */
+function sendItemError(res, error) {
+  if (error instanceof StoreError) {
+    res.status(error.statusCode).json({ success: false, error: error.message });
+    return true;
+  }
+
+  if (error.name === "SequelizeValidationError") {
+    res.status(400).json({
+      success: false,
+      error: "Validation error",
+      details: error.errors.map((err) => ({
+        field: err.path,
+        message: err.message,
+      })),
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Seed the catalog from the legacy per-unit env prices when it is empty,
+ * so existing installs keep selling the same resources
+ * @returns {Promise<void>}
+ */
+export async function seedStoreItems() {
   try {
-    const { resourcesId } = req.user;
-    const { item, quantity } = req.body; // Fixed typo: 'quentity' -> 'quantity'
+    if ((await StoreItem.count()) > 0) return;
 
-    // Input validation
-    if (!item || !quantity || quantity <= 0) {
-      return res.status(400).json({
+    const price = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+    await StoreItem.bulkCreate([
+      { name: "1 GB RAM", ram: 1024, price: price("ramperprice", 10) },
+      { name: "1 CPU core", cpu: 100, price: price("cpuperprice", 15) },
+      { name: "1 GB disk", disk: 1024, price: price("diskperprice", 5) },
+      { name: "Allocation", allocations: 1, price: price("allocperprice", 5) },
+      { name: "Database", databases: 1, price: price("dbperprice", 5) },
+      { name: "Server slot", slots: 1, price: price("slotsperprice", 5) },
+    ]);
+    console.log("Seeded store catalog from env prices");
+  } catch (error) {
+    console.error("Error seeding store catalog:", error);
+  }
+}
+
+// GET /store/items - List items for sale
+router.get("/store/items", async (req, res) => {
+  try {
+    const items = await StoreItem.findAll({
+      where: { active: true },
+      order: [
+        ["price", "ASC"],
+        ["id", "ASC"],
+      ],
+    });
+
+    res.json({
+      success: true,
+      data: items.map(formatStoreItem),
+    });
+  } catch (error) {
+    console.error("Store items error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
+// POST /store - Buy a store item
+router.post("/store", verifyToken, requireVerifiedEmail, async (req, res) => {
+  const { resourcesId, userId } = req.user;
+  const { itemId } = req.body;
+  const quantity = parseInt(req.body.quantity);
+
+  // Input validation
+  if (!/^\d+$/.test(String(itemId ?? ""))) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid item",
+    });
+  }
+
+  if (!quantity || quantity <= 0 || quantity > MAX_QUANTITY) {
+    return res.status(400).json({
+      success: false,
+      error: `Quantity must be between 1 and ${MAX_QUANTITY}`,
+    });
+  }
+
+  // Parallel purchases must not read the same balance, stock or purchase
+  // count: the item and buyer rows stay locked until commit. SQLite has no
+  // row locks, so its transaction takes the write lock up front instead.
+  const transaction = await StoreItem.sequelize.transaction({
+    type: Transaction.TYPES.IMMEDIATE,
+  });
+
+  try {
+    const item = await StoreItem.findByPk(itemId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!item || !item.active) {
+      throw new StoreError("Item not available", 404);
+    }
+
+    const resources = await Resources.findByPk(resourcesId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!resources) {
+      throw new StoreError("Resources not found", 404);
+    }
+
+    if (item.stock !== null && item.stock < quantity) {
+      throw new StoreError(
+        item.stock === 0 ? "Item is out of stock" : `Only ${item.stock} left`
+      );
+    }
+
+    if (item.perUserLimit !== null) {
+      const purchased =
+        (await LedgerEntry.sum("quantity", {
+          where: { resourcesId, storeItemId: item.id, reason: "purchase" },
+          transaction,
+        })) || 0;
+
+      if (purchased + quantity > item.perUserLimit) {
+        throw new StoreError(
+          `Purchase limit reached: ${item.perUserLimit} per user, ${purchased} already bought`
+        );
+      }
+    }
+
+    const total = item.price * quantity;
+
+    // Check if user can afford the purchase
+    if (total > (resources.coins || 0)) {
+      throw new StoreError("Insufficient coins");
+    }
+
+    const grants = itemGrants(item, quantity);
+    const updates = { coins: resources.coins - total };
+    for (const field of GRANT_FIELDS) {
+      updates[field] = resources[field] + grants[field];
+    }
+
+    await resources.update(updates, {
+      transaction,
+      ledger: {
+        reason: "purchase",
+        actorId: userId,
+        description: `Purchased ${quantity}x ${item.name}`,
+        storeItemId: item.id,
+        quantity,
+      },
+    });
+
+    if (item.stock !== null) {
+      await item.update({ stock: item.stock - quantity }, { transaction });
+    }
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      message: `Successfully purchased ${quantity}x ${item.name}`,
+      data: {
+        coinsRemaining: resources.coins,
+        granted: grants,
+        totalCost: total,
+      },
+    });
+  } catch (error) {
+    await transaction.rollback();
+
+    if (sendItemError(res, error)) return;
+
+    console.error("Store purchase error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
+// GET /admin/store/items - List all items, including inactive ones
+router.get("/admin/store/items", verifyToken, manageStore, async (req, res) => {
+  try {
+    const items = await StoreItem.findAll({ order: [["id", "ASC"]] });
+
+    res.json({
+      success: true,
+      data: items.map(formatStoreItem),
+    });
+  } catch (error) {
+    console.error("Admin store items error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
+// POST /admin/store/items - Create an item
+router.post(
+  "/admin/store/items",
+  verifyToken,
+  manageStore,
+  async (req, res) => {
+    try {
+      const item = await StoreItem.create(pickItemData(req.body));
+
+      console.log(`Admin ${req.user.email} created store item ${item.id}`);
+
+      res.status(201).json({
+        success: true,
+        message: "Store item created successfully",
+        data: formatStoreItem(item),
+      });
+    } catch (error) {
+      if (sendItemError(res, error)) return;
+
+      console.error("Create store item error:", error);
+      res.status(500).json({
         success: false,
-        error: "Invalid item or quantity",
+        error: "Internal server error",
       });
     }
+  }
+);
 
-    // Find user's resources (added await for async operation)
-    const resources = await Resources.findByPk(resourcesId);
+// PUT /admin/store/items/:id - Update an item
+router.put(
+  "/admin/store/items/:id",
+  verifyToken,
+  manageStore,
+  async (req, res) => {
+    try {
+      const item = await StoreItem.findByPk(req.params.id);
+      if (!item) {
+        throw new StoreError("Store item not found", 404);
+      }
 
-    if (!resources) {
-      return res.status(404).json({
+      await item.update(pickItemData(req.body));
+
+      res.json({
+        success: true,
+        message: "Store item updated successfully",
+        data: formatStoreItem(item),
+      });
+    } catch (error) {
+      if (sendItemError(res, error)) return;
+
+      console.error("Update store item error:", error);
+      res.status(500).json({
         success: false,
-        error: "Resources not found",
+        error: "Internal server error",
       });
     }
+  }
+);
+
+// DELETE /admin/store/items/:id - Delete an item
+router.delete(
+  "/admin/store/items/:id",
+  verifyToken,
+  manageStore,
+  async (req, res) => {
+    try {
+      const item = await StoreItem.findByPk(req.params.id);
+      if (!item) {
+        throw new StoreError("Store item not found", 404);
+      }
+
+      // Past purchases keep pointing at the id through the ledger
+      await item.destroy();
+
+      console.log(`Admin ${req.user.email} deleted store item ${item.id}`);
+
+      res.json({
+        success: true,
+        message: "Store item deleted successfully",
+      });
+    } catch (error) {
+      if (sendItemError(res, error)) return;
 
-    // Define item prices (could be moved to a config file or database)
-    const itemPrices = {
-      ram: parseInt(process.env.ramperprice) || 10,
-      cpu: parseInt(process.env.cpuperprice) || 15,
-      disk: parseInt(process.env.diskperprice) || 5,
-      allocations: parseInt(process.env.allocperprice) || 5,
-      databases: parseInt(process.env.dbperprice) || 5,
-      slots: parseInt(process.env.slotsperprice) || 5,
-    };
+      console.error("Delete store item error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+);
 
-    // Check if item exists
-    if (!itemPrices[item]) {
+// GET /store/history - Coin and resource history of the current user
+router.get("/store/history", verifyToken, async (req, res) => {
+  try {
+    const where = ledgerFilters(req.query);
+    if (!where) {
       return res.status(400).json({
         success: false,
-        error: "Item not available",
+        error: "Invalid history filter",
       });
     }
 
-    const itemPrice = itemPrices[item];
-    const total = itemPrice * quantity;
+    where.resourcesId = req.user.resourcesId;
 
-    // Check if user can afford the purchase
-    if (total > resources.coins) {
+    res.json({
+      success: true,
+      data: await findLedgerPage(where, req.query),
+    });
+  } catch (error) {
+    console.error("Store history error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
+// GET /admin/ledger - Ledger of all users, filterable by user, actor and reason
+router.get("/admin/ledger", verifyToken, viewLedger, async (req, res) => {
+  try {
+    const where = ledgerFilters(req.query);
+    const ids = ["userId", "resourcesId", "actorId"];
+    if (
+      !where ||
+      ids.some((id) => req.query[id] && !/^\d+$/.test(req.query[id]))
+    ) {
       return res.status(400).json({
         success: false,
-        error: "Insufficient coins",
+        error: "Invalid ledger filter",
       });
     }
 
-    // Update user's resources
-    const updatedCoins = resources.coins - total;
-    const currentItemAmount = resources[item] || 0;
-    const newItemAmount = currentItemAmount + quantity;
+    if (req.query.actorId) where.actorId = parseInt(req.query.actorId);
+    if (req.query.resourcesId) {
+      where.resourcesId = parseInt(req.query.resourcesId);
+    }
+
+    if (req.query.userId) {
+      const user = await User.findByPk(req.query.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: "User not found",
+        });
+      }
+      where.resourcesId = user.resourcesId;
+    }
 
-    // Update the database
-    await resources.update({
-      coins: updatedCoins,
-      [item]: newItemAmount,
-    });
+    const data = await findLedgerPage(where, req.query);
 
-    // Return success response
-    res.json({
-      success: true,
-      message: `Successfully purchased ${quantity} ${item}(s)`,
-      data: {
-        coinsRemaining: updatedCoins,
-        [item]: newItemAmount,
-        totalCost: total,
+    // Attach the owning user to each entry for the admin table
+    const owners = await User.findAll({
+      where: {
+        resourcesId: [...new Set(data.entries.map((e) => e.resourcesId))],
       },
+      attributes: ["id", "username", "email", "resourcesId"],
+    });
+    const ownerByResources = new Map(owners.map((u) => [u.resourcesId, u]));
+    data.entries = data.entries.map((entry) => {
+      const owner = ownerByResources.get(entry.resourcesId);
+      return {
+        ...entry,
+        user: owner
+          ? { id: owner.id, username: owner.username, email: owner.email }
+          : null,
+      };
     });
+
+    res.json({ success: true, data });
   } catch (error) {
-    console.error("Store purchase error:", error);
+    console.error("Admin ledger error:", error);
     res.status(500).json({
       success: false,
       error: "Internal server error",
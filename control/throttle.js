@@ -0,0 +1,89 @@
+import { TtlCache } from "./cache.js";
+
+/**
+ * How long to wait after `failures` failed attempts in a row: nothing for
+ * the first `freeAttempts`, then doubling from `baseDelayMs` up to
+ * `maxDelayMs`
+ * @param {number} failures
+ * @param {Object} options
+ * @param {number} options.freeAttempts
+ * @param {number} options.baseDelayMs
+ * @param {number} options.maxDelayMs
+ * @returns {number} - Delay in milliseconds
+ */
+export function backoffDelay(
+  failures,
+  { freeAttempts, baseDelayMs, maxDelayMs }
+) {
+  if (failures < freeAttempts) return 0;
+  return Math.min(baseDelayMs * 2 ** (failures - freeAttempts), maxDelayMs);
+}
+
+// Swept at least this often, so long windows don't hold stale keys for long
+const MAX_SWEEP_MS = 10 * 60 * 1000;
+
+/**
+ * In-memory failure counter per key, e.g. a client IP, with exponential
+ * backoff. A key is forgotten `windowMs` after its last failure, and the
+ * least recently failed keys beyond `maxKeys`.
+ */
+export class AttemptThrottle {
+  /**
+   * @param {Object} options
+   * @param {number} options.freeAttempts - Failures allowed without delay
+   * @param {number} options.baseDelayMs - First delay
+   * @param {number} options.maxDelayMs - Longest delay
+   * @param {number} options.windowMs - How long failures are remembered
+   * @param {number} options.maxKeys - Most keys remembered at once
+   */
+  constructor({
+    freeAttempts,
+    baseDelayMs,
+    maxDelayMs,
+    windowMs,
+    maxKeys = 100000,
+  }) {
+    this.options = { freeAttempts, baseDelayMs, maxDelayMs };
+    this.attempts = new TtlCache(windowMs, {
+      maxSize: maxKeys,
+      sweepMs: Math.min(windowMs, MAX_SWEEP_MS),
+    });
+  }
+
+  /**
+   * @param {string} key
+   * @returns {number} - Milliseconds until the key may try again, 0 if now
+   */
+  retryAfter(key) {
+    const entry = this.attempts.get(key);
+    return entry ? Math.max(0, entry.retryAt - Date.now()) : 0;
+  }
+
+  /**
+   * Record a failure
+   * @param {string} key
+   * @returns {number} - Milliseconds until the key may try again
+   */
+  fail(key) {
+    const failures = (this.attempts.get(key)?.failures ?? 0) + 1;
+    const delay = backoffDelay(failures, this.options);
+    this.attempts.set(key, { failures, retryAt: Date.now() + delay });
+    return delay;
+  }
+
+  reset(key) {
+    this.attempts.delete(key);
+  }
+}
+
+/**
+ * Human readable wait, e.g. "30 seconds" or "15 minutes"
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+}
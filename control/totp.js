@@ -0,0 +1,135 @@
+import { createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+
+// RFC 6238 defaults, the ones authenticator apps assume
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encode bytes as unpadded base32, the format authenticator apps expect
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Decoded bytes
+ */
+export function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} - Base32 secret (160 bits)
+ */
+export const generateSecret = () => base32Encode(randomBytes(20));
+
+/**
+ * Time step number for a point in time
+ * @param {number} time - Unix time in milliseconds
+ * @returns {number} - Step counter
+ */
+export const timeStep = (time = Date.now()) =>
+  Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Compute the code for a given step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Step counter
+ * @returns {string} - Zero-padded code
+ */
+export function generateCode(secret, step = timeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/**
+ * Check a code against the current step and its neighbours
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options
+ * @param {number} options.window - Steps of clock drift allowed either way
+ * @param {number|null} options.lastStep - Last accepted step, to reject replays
+ * @returns {number|null} - The matching step, or null if the code is invalid
+ */
+export function verifyCode(secret, code, { window = 1, lastStep = null } = {}) {
+  const normalized = String(code ?? "").replace(/\s/g, "");
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+  const current = timeStep();
+  for (let step = current - window; step <= current + window; step++) {
+    if (lastStep !== null && step <= lastStep) continue;
+
+    const expected = Buffer.from(generateCode(secret, step));
+    if (timingSafeEqual(expected, Buffer.from(normalized))) return step;
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI authenticator apps import (usually as a QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account label, e.g. the user's email
+ * @param {string} issuer - Service name shown in the app
+ * @returns {string} - otpauth URI
+ */
+export function otpauthUri(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+}
@@ -1,54 +1,87 @@
 import { Router } from "express";
-import { verifyToken } from "./auth.js";
-import axios from "axios";
+import {
+  verifyToken,
+  requirePermission,
+  resolvePermissions,
+  revokeUserSessions,
+  forgetAdminStatus,
+} from "./auth.js";
 import User from "../model/User.js";
 import Resources from "../model/resources.js";
 import bcrypt from "bcrypt";
 import { Op } from "sequelize";
+import panel, { PterodactylError } from "./pterodactyl.js";
 
 const router = Router();
 
-const admin = (req, res, next) => {
-  if (!req.user.root_admin) {
-    return res.status(403).json({ success: false, error: "UNAUTHORIZED" });
+router.use("/users", verifyToken);
+
+const viewUsers = requirePermission("users.view");
+const editUsers = requirePermission("users.edit");
+const deleteUsers = requirePermission("users.delete");
+
+// Staff with users.edit must not be able to grant panel admin
+const guardAdminFlag = (req, res, next) => {
+  if (req.body?.root_admin !== undefined && !req.user.root_admin) {
+    return res.status(403).json({
+      success: false,
+      error: "Only panel administrators can change admin status",
+    });
   }
   next();
 };
 
-router.use(verifyToken);
-router.use(admin);
+// Staff may only manage users holding no more permissions than they do;
+// panel root admins can only be managed by other root admins
+const guardTargetUser = async (req, res, next) => {
+  if (req.user.root_admin) return next();
 
-const config = {
-  panelUrl: process.env.panel_url,
-  panelKey: process.env.panel_key,
-  secretKey: process.env.SECRET_KEY,
-};
+  try {
+    const target = await User.findByPk(req.params.id, {
+      attributes: ["id", "ptero_id"],
+    });
+    // Unknown users are answered by the route
+    if (!target) return next();
 
-// Axios instance for Pterodactyl API
-const pterodactylAPI = axios.create({
-  baseURL: `${config.panelUrl}/api/application`,
-  headers: {
-    Authorization: `Bearer ${config.panelKey}`,
-    "Content-Type": "application/json",
-    Accept: "Application/json",
-  },
-});
+    const access = await resolvePermissions({
+      userId: target.id,
+      pteroId: target.ptero_id,
+    });
+    const outranked =
+      access.rootAdmin ||
+      access.permissions.some(
+        (permission) => !req.user.permissions.includes(permission)
+      );
+
+    if (outranked) {
+      return res.status(403).json({
+        success: false,
+        error: "You cannot manage users with more permissions than you",
+      });
+    }
+  } catch (error) {
+    console.error("Failed to check target permissions:", error.message);
+    return res.status(503).json({
+      success: false,
+      error: "Could not verify permissions",
+    });
+  }
+
+  next();
+};
 
 // Helper function for error handling
 const handleError = (res, error, defaultMessage = "Internal server error") => {
-  console.error("API Error:", error.response?.data || error.message);
-  const status = error.response?.status || 500;
-  const message =
-    error.response?.data?.errors?.[0]?.detail ||
-    error.message ||
-    defaultMessage;
+  console.error("API Error:", error.details || error.message);
+  const status = error instanceof PterodactylError ? error.statusCode : 500;
+  const message = error.message || defaultMessage;
   return res.status(status).json({ success: false, error: message });
 };
 
 // ===== USER MANAGEMENT =====
 
 // Get user statistics (MOVED BEFORE parameterized routes)
-router.get("/users/stats", async (req, res) => {
+router.get("/users/stats", viewUsers, async (req, res) => {
   try {
     const totalUsers = await User.count();
     const usersWithResources = await User.count({
@@ -84,7 +117,7 @@ router.get("/users/stats", async (req, res) => {
 });
 
 // Search users in local database (MOVED BEFORE parameterized routes)
-router.get("/users/search/:query", async (req, res) => {
+router.get("/users/search/:query", viewUsers, async (req, res) => {
   try {
     const { query } = req.params;
     const { page = 1, limit = 50 } = req.query;
@@ -128,25 +161,10 @@ router.get("/users/search/:query", async (req, res) => {
 });
 
 // Sync local users with Pterodactyl (MOVED BEFORE parameterized routes)
-router.post("/users/sync", async (req, res) => {
+router.post("/users/sync", editUsers, async (req, res) => {
   try {
-    let page = 1;
-    let allPteroUsers = [];
-    let hasMorePages = true;
-
     // Fetch all users from Pterodactyl
-    while (hasMorePages) {
-      const response = await pterodactylAPI.get("/users", {
-        params: { page, per_page: 100 },
-      });
-
-      allPteroUsers = allPteroUsers.concat(response.data.data);
-
-      hasMorePages =
-        response.data.meta.pagination.current_page <
-        response.data.meta.pagination.total_pages;
-      page++;
-    }
+    const allPteroUsers = await panel.listAllUsers();
 
     let syncedCount = 0;
     let createdCount = 0;
@@ -225,7 +243,7 @@ router.post("/users/sync", async (req, res) => {
 });
 
 // Get user by Pterodactyl ID (MOVED BEFORE /users/:id)
-router.get("/users/ptero/:pteroId", async (req, res) => {
+router.get("/users/ptero/:pteroId", viewUsers, async (req, res) => {
   try {
     const user = await User.findOne({
       where: { ptero_id: req.params.pteroId },
@@ -250,8 +268,26 @@ router.get("/users/ptero/:pteroId", async (req, res) => {
   }
 });
 
+// List accounts refusing logins after failed attempts (before /users/:id)
+router.get("/users/locked", viewUsers, async (req, res) => {
+  try {
+    const users = await User.findAll({
+      where: { lockedUntil: { [Op.gt]: new Date() } },
+      attributes: ["id", "username", "email", "failedLogins", "lockedUntil"],
+      order: [["lockedUntil", "DESC"]],
+    });
+
+    res.json({
+      success: true,
+      data: users,
+    });
+  } catch (error) {
+    handleError(res, error, "Failed to fetch locked accounts");
+  }
+});
+
 // Get all users (local database with Pterodactyl sync)
-router.get("/users", async (req, res) => {
+router.get("/users", viewUsers, async (req, res) => {
   try {
     const { page = 1, limit = 50, include_resources = false } = req.query;
     const offset = (page - 1) * limit;
@@ -291,7 +327,7 @@ router.get("/users", async (req, res) => {
 });
 
 // Get specific user by ID (local database) - NOW CORRECTLY POSITIONED
-router.get("/users/:id", async (req, res) => {
+router.get("/users/:id", viewUsers, async (req, res) => {
   try {
     const user = await User.findByPk(req.params.id, {
       include: [
@@ -312,8 +348,7 @@ router.get("/users/:id", async (req, res) => {
     // Also fetch from Pterodactyl for comparison
     let pterodactylUser = null;
     try {
-      const response = await pterodactylAPI.get(`/users/${user.ptero_id}`);
-      pterodactylUser = response.data;
+      pterodactylUser = await panel.getUser(user.ptero_id);
     } catch (pteroError) {
       console.warn(
         `Failed to fetch Pterodactyl user ${user.ptero_id}:`,
@@ -334,7 +369,7 @@ router.get("/users/:id", async (req, res) => {
 });
 
 // Get user's servers from Pterodactyl
-router.get("/users/:id/servers", async (req, res) => {
+router.get("/users/:id/servers", viewUsers, async (req, res) => {
   try {
     const user = await User.findByPk(req.params.id);
 
@@ -345,10 +380,10 @@ router.get("/users/:id/servers", async (req, res) => {
       });
     }
 
-    const response = await pterodactylAPI.get(
-      `/users/${user.ptero_id}?include=servers`
-    );
-    const servers = response.data.attributes.relationships?.servers?.data || [];
+    const pteroUser = await panel.getUser(user.ptero_id, {
+      include: "servers",
+    });
+    const servers = pteroUser.attributes.relationships?.servers?.data || [];
 
     res.json({ success: true, data: servers });
   } catch (error) {
@@ -357,7 +392,7 @@ router.get("/users/:id/servers", async (req, res) => {
 });
 
 // Create new user (both local and Pterodactyl)
-router.post("/users", async (req, res) => {
+router.post("/users", editUsers, guardAdminFlag, async (req, res) => {
   const transaction = await User.sequelize.transaction();
 
   try {
@@ -406,17 +441,14 @@ router.post("/users", async (req, res) => {
     let pterodactylUserId = null;
 
     try {
-      pterodactylResponse = await pterodactylAPI.post(
-        "/users",
-        pterodactylUserData
-      );
-      pterodactylUserId = pterodactylResponse.data.attributes.id;
+      pterodactylResponse = await panel.createUser(pterodactylUserData);
+      pterodactylUserId = pterodactylResponse.attributes.id;
     } catch (pterodactylError) {
       await transaction.rollback();
       return res.status(500).json({
         success: false,
         error: "Failed to create user in Pterodactyl panel",
-        details: pterodactylError.response?.data || pterodactylError.message,
+        details: pterodactylError.details || pterodactylError.message,
       });
     }
 
@@ -452,7 +484,7 @@ router.post("/users", async (req, res) => {
       success: true,
       data: {
         localUser: createdUser,
-        pterodactylUser: pterodactylResponse.data,
+        pterodactylUser: pterodactylResponse,
       },
     });
   } catch (error) {
@@ -461,7 +493,7 @@ router.post("/users", async (req, res) => {
     // If Pterodactyl user was created but local creation failed, attempt cleanup
     if (pterodactylUserId) {
       try {
-        await pterodactylAPI.delete(`/users/${pterodactylUserId}`);
+        await panel.deleteUser(pterodactylUserId);
       } catch (cleanupError) {
         console.error("Failed to cleanup Pterodactyl user:", cleanupError);
         // You might want to log this for manual cleanup or implement a retry mechanism
@@ -485,130 +517,198 @@ router.post("/users", async (req, res) => {
 });
 
 // Update user (both local and Pterodactyl)
-router.put("/users/:id", async (req, res) => {
-  const transaction = await User.sequelize.transaction();
+router.put(
+  "/users/:id",
+  editUsers,
+  guardTargetUser,
+  guardAdminFlag,
+  async (req, res) => {
+    const transaction = await User.sequelize.transaction();
 
-  try {
-    const user = await User.findByPk(req.params.id, { transaction });
+    try {
+      const user = await User.findByPk(req.params.id, { transaction });
 
-    if (!user) {
-      await transaction.rollback();
-      return res.status(404).json({
-        success: false,
-        error: "User not found",
+      if (!user) {
+        await transaction.rollback();
+        return res.status(404).json({
+          success: false,
+          error: "User not found",
+        });
+      }
+
+      const allowedLocalFields = [
+        "email",
+        "username",
+        "firstName",
+        "lastName",
+        "password",
+      ];
+      const allowedPteroFields = [
+        "email",
+        "username",
+        "first_name",
+        "last_name",
+        "password",
+        "root_admin",
+        "language",
+      ];
+
+      const localUpdateData = {};
+      const pteroUpdateData = {};
+
+      // Prepare update data for both systems
+      Object.keys(req.body).forEach((key) => {
+        if (allowedLocalFields.includes(key) && req.body[key] !== undefined) {
+          localUpdateData[key] = req.body[key];
+        }
+
+        // Map local fields to Pterodactyl fields
+        if (key === "firstName" && req.body[key] !== undefined) {
+          pteroUpdateData.first_name = req.body[key];
+        } else if (key === "lastName" && req.body[key] !== undefined) {
+          pteroUpdateData.last_name = req.body[key];
+        } else if (
+          allowedPteroFields.includes(key) &&
+          req.body[key] !== undefined
+        ) {
+          pteroUpdateData[key] = req.body[key];
+        }
       });
-    }
 
-    const allowedLocalFields = [
-      "email",
-      "username",
-      "firstName",
-      "lastName",
-      "password",
-    ];
-    const allowedPteroFields = [
-      "email",
-      "username",
-      "first_name",
-      "last_name",
-      "password",
-      "root_admin",
-      "language",
-    ];
-
-    const localUpdateData = {};
-    const pteroUpdateData = {};
-
-    // Prepare update data for both systems
-    Object.keys(req.body).forEach((key) => {
-      if (allowedLocalFields.includes(key) && req.body[key] !== undefined) {
-        localUpdateData[key] = req.body[key];
+      if (
+        Object.keys(localUpdateData).length === 0 &&
+        Object.keys(pteroUpdateData).length === 0
+      ) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          error: "No valid fields provided for update",
+        });
       }
 
-      // Map local fields to Pterodactyl fields
-      if (key === "firstName" && req.body[key] !== undefined) {
-        pteroUpdateData.first_name = req.body[key];
-      } else if (key === "lastName" && req.body[key] !== undefined) {
-        pteroUpdateData.last_name = req.body[key];
-      } else if (
-        allowedPteroFields.includes(key) &&
-        req.body[key] !== undefined
-      ) {
-        pteroUpdateData[key] = req.body[key];
+      // Hash password if provided
+      if (localUpdateData.password) {
+        localUpdateData.password = await bcrypt.hash(
+          localUpdateData.password,
+          12
+        );
       }
-    });
 
-    if (
-      Object.keys(localUpdateData).length === 0 &&
-      Object.keys(pteroUpdateData).length === 0
-    ) {
-      await transaction.rollback();
-      return res.status(400).json({
-        success: false,
-        error: "No valid fields provided for update",
-      });
-    }
+      // Update Pterodactyl user first
+      let pterodactylResponse = null;
+      if (Object.keys(pteroUpdateData).length > 0) {
+        pterodactylResponse = await panel.updateUser(
+          user.ptero_id,
+          pteroUpdateData
+        );
 
-    // Hash password if provided
-    if (localUpdateData.password) {
-      localUpdateData.password = await bcrypt.hash(
-        localUpdateData.password,
-        12
-      );
-    }
+        if (pteroUpdateData.root_admin !== undefined) {
+          forgetAdminStatus(user.ptero_id);
+        }
+      }
 
-    // Update Pterodactyl user first
-    let pterodactylResponse = null;
-    if (Object.keys(pteroUpdateData).length > 0) {
-      pterodactylResponse = await pterodactylAPI.patch(
-        `/users/${user.ptero_id}`,
-        pteroUpdateData
-      );
-    }
+      // Update local user
+      if (Object.keys(localUpdateData).length > 0) {
+        await user.update(localUpdateData, { transaction });
+      }
 
-    // Update local user
-    if (Object.keys(localUpdateData).length > 0) {
-      await user.update(localUpdateData, { transaction });
-    }
+      await transaction.commit();
 
-    await transaction.commit();
+      // Fetch updated user with resources
+      const updatedUser = await User.findByPk(req.params.id, {
+        include: [
+          {
+            model: Resources,
+            as: "resources",
+          },
+        ],
+      });
 
-    // Fetch updated user with resources
-    const updatedUser = await User.findByPk(req.params.id, {
-      include: [
-        {
-          model: Resources,
-          as: "resources",
+      res.json({
+        success: true,
+        data: {
+          localUser: updatedUser,
+          pterodactylUser: pterodactylResponse,
         },
-      ],
-    });
+      });
+    } catch (error) {
+      await transaction.rollback();
 
-    res.json({
-      success: true,
-      data: {
-        localUser: updatedUser,
-        pterodactylUser: pterodactylResponse?.data || null,
-      },
-    });
-  } catch (error) {
-    await transaction.rollback();
+      if (
+        error.name === "SequelizeValidationError" ||
+        error.name === "SequelizeUniqueConstraintError"
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: error.errors.map((e) => e.message).join(", "),
+        });
+      }
 
-    if (
-      error.name === "SequelizeValidationError" ||
-      error.name === "SequelizeUniqueConstraintError"
-    ) {
-      return res.status(400).json({
-        success: false,
-        error: error.errors.map((e) => e.message).join(", "),
+      handleError(res, error, "Failed to update user");
+    }
+  }
+);
+
+// Log a user out of every device, e.g. after revoking their panel admin flag
+router.delete(
+  "/users/:id/sessions",
+  editUsers,
+  guardTargetUser,
+  async (req, res) => {
+    try {
+      const user = await User.findByPk(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: "User not found",
+        });
+      }
+
+      const revoked = await revokeUserSessions(user.id);
+
+      res.json({
+        success: true,
+        message: `Revoked ${revoked} session${revoked === 1 ? "" : "s"}`,
+        revoked,
       });
+    } catch (error) {
+      handleError(res, error, "Failed to revoke sessions");
     }
+  }
+);
+
+// Clear a user's failed login attempts and lift any lockout
+router.post(
+  "/users/:id/unlock",
+  editUsers,
+  guardTargetUser,
+  async (req, res) => {
+    try {
+      const user = await User.findByPk(req.params.id);
 
-    handleError(res, error, "Failed to update user");
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: "User not found",
+        });
+      }
+
+      await user.update({ failedLogins: 0, lockedUntil: null });
+      console.log(`Admin ${req.user.email} unlocked user ${user.id}`);
+
+      res.json({
+        success: true,
+        message: `Unlocked ${user.username}`,
+      });
+    } catch (error) {
+      handleError(res, error, "Failed to unlock user");
+    }
   }
-});
+);
 
 // Delete user (both local and Pterodactyl) - FIXED TRANSACTION USAGE
-router.delete("/users/:id", async (req, res) => {
+router.delete("/users/:id", deleteUsers, guardTargetUser, async (req, res) => {
   try {
     const user = await User.findByPk(req.params.id);
 
@@ -621,7 +721,7 @@ router.delete("/users/:id", async (req, res) => {
 
     // Delete from Pterodactyl first
     try {
-      await pterodactylAPI.delete(`/users/${user.ptero_id}`);
+      await panel.deleteUser(user.ptero_id);
     } catch (pteroError) {
       console.warn(
         `Failed to delete Pterodactyl user ${user.ptero_id}:`,
@@ -1,15 +1,9 @@
 "use strict";
 
 // dependencies
-import express from "express";
 import { config } from "dotenv";
-import axios from "axios";
-import cors from "cors";
 import "./model/db.js";
-import bodyParser from "body-parser";
-import cookieParser from "cookie-parser";
 import fs from "node:fs";
-import morgan from "morgan";
 
 // logo ascii
 let banner;
@@ -32,69 +26,45 @@ fs.watchFile(".env", () => {
 });
 
 // controller import
-import configRoute from "./control/config.js";
-import AuthRoute from "./control/auth.js";
-import { syncDatabase } from "./model/db.js";
-import serverRoute from "./control/server.js";
-import nodeCrudRoute from "./control/node.js";
-import eggCrudRoute from "./control/egg.js";
-import userCrudRoute from "./control/user.js";
-import resourcesCrud from "./control/resources.js";
-import adminServer from "./control/adminServer.js";
-import purger from "./control/purger.js";
-import store from "./control/store.js";
+import { createApp } from "./app.js";
+import { startUnverifiedUserPurge } from "./control/auth.js";
+import { checkMigrations } from "./model/migrator.js";
+import { backfillServerLinks } from "./control/adminServer.js";
+import { resumePurgeJobs } from "./control/purger.js";
+import { seedStoreItems } from "./control/store.js";
+import { startRenewalSweeper } from "./control/renewal.js";
+import { seedRoles } from "./control/roles.js";
+import { loadSettings } from "./model/Setting.js";
+import panel from "./control/pterodactyl.js";
+import { startPanelStatePoller } from "./control/panelState.js";
+import { startServerActivityPoller } from "./control/server.js";
+import { MockPanel } from "./mock/panel.js";
 
-// app conf
-const app = express();
+// app conf, routes and console socket; see app.js
+const { httpServer } = createApp();
 
-app.use(express.json());
-app.use(
-  cors({
-    origin: "*",
-    credentials: true,
-  })
-);
-app.use(bodyParser.urlencoded());
-app.use(cookieParser());
-app.use(morgan());
-
-// logger
-/*app.use((req, res, next) => {
-  console.log(req.url);
-  next();
-});*/
-
-// router setup
-app.use("/api", configRoute);
-app.use("/api/auth", AuthRoute);
-app.use("/api", serverRoute);
-app.use("/api/nodes", nodeCrudRoute);
-app.use("/api/eggs", eggCrudRoute);
-app.use("/api/resources", resourcesCrud);
-app.use("/api", userCrudRoute);
-app.use("/api/", adminServer);
-app.use("/api/admin", purger);
-app.use("/api", store);
+// mock_panel=true runs against an in-process fake panel, for offline work
+const useMockPanel = process.env.mock_panel === "true";
 
 // panel connection test
-if (!process.env.panel_url || !process.env.panel_key) {
+let panelReady;
+if (!useMockPanel && (!process.env.panel_url || !process.env.panel_key)) {
   console.error("Please provide the panel details");
   process.exit(1);
 } else {
-  console.log("checking panel connection, url ", process.env.panel_url);
-  (async () => {
-    try {
-      const response = await axios.get(
-        process.env.panel_url + "/api/application/users",
-        {
-          headers: {
-            // Fixed: lowercase 'headers'
-            Accept: "application/json",
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${process.env.panel_key}`,
-          },
-        }
+  panelReady = (async () => {
+    if (useMockPanel) {
+      const mockPanel = new MockPanel().seed();
+      process.env.panel_url = await mockPanel.listen(
+        parseInt(process.env.mock_panel_port) || 0
       );
+      panel.setBaseURL(process.env.panel_url);
+      console.warn("Using the mock panel, nothing reaches a real panel");
+    }
+
+    console.log("checking panel connection, url ", process.env.panel_url);
+    try {
+      await panel.listUsers({ perPage: 1 });
       console.log("Panel connection successful");
     } catch (error) {
       console.error("Panel connection failed:", error.message);
@@ -103,10 +73,37 @@ if (!process.env.panel_url || !process.env.panel_key) {
   })();
 }
 
-syncDatabase();
+// the schema is only changed by migrations; see migrate.js
+checkMigrations()
+  .then(async () => {
+    await loadSettings().catch((error) =>
+      console.error("Error loading settings, using defaults:", error)
+    );
+    startRenewalSweeper();
+    resumePurgeJobs();
+    seedStoreItems();
+    seedRoles();
+    startUnverifiedUserPurge();
+
+    // the mock panel only has a URL once it is listening
+    await panelReady;
+    startPanelStatePoller();
+    startServerActivityPoller();
+    backfillServerLinks()
+      .then(({ updated }) => {
+        if (updated > 0) console.log(`Linked ${updated} server(s)`);
+      })
+      .catch((error) =>
+        console.error("Error backfilling server links:", error.message)
+      );
+  })
+  .catch((error) => {
+    console.error("Database is not ready:", error.message);
+    process.exit(1);
+  });
 
 // listener
-app.listen(3000, () => {
+httpServer.listen(3000, () => {
   console.clear();
   console.log(banner);
   console.log("started at port 3000");
@@ -0,0 +1,51 @@
+// Database migrations
+//   bun migrate.js status      list applied and pending migrations
+//   bun migrate.js up [name]   apply pending migrations, optionally up to name
+//   bun migrate.js down [n]    revert the last n migrations (default 1)
+import "dotenv/config";
+import db from "./model/db.js";
+import {
+  appliedMigrations,
+  listMigrations,
+  migrateDown,
+  migrateUp,
+} from "./model/migrator.js";
+
+const [command = "status", arg] = process.argv.slice(2);
+
+try {
+  switch (command) {
+    case "status": {
+      const applied = new Set(await appliedMigrations());
+      for (const name of await listMigrations()) {
+        console.log(`${applied.has(name) ? "applied" : "pending"}  ${name}`);
+      }
+      break;
+    }
+    case "up": {
+      const applied = await migrateUp({ to: arg });
+      console.log(
+        applied.length > 0
+          ? `Applied ${applied.length} migration(s)`
+          : "Nothing to migrate"
+      );
+      break;
+    }
+    case "down": {
+      const steps = arg === undefined ? 1 : parseInt(arg);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error("Steps must be a positive number");
+      }
+      const reverted = await migrateDown({ steps });
+      console.log(`Reverted ${reverted.length} migration(s)`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command ${command}; use status, up or down`);
+  }
+} catch (error) {
+  console.error("Migration failed:", error.message);
+  process.exitCode = 1;
+} finally {
+  await db.close();
+}
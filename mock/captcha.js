@@ -0,0 +1,95 @@
+import express from "express";
+import { createServer } from "node:http";
+
+/**
+ * In-process fake of a captcha siteverify endpoint, the API Turnstile,
+ * hCaptcha and reCAPTCHA share. Point captcha_verify_url at its url.
+ * Tokens are valid once, and only if added with accept().
+ */
+export class MockCaptchaVerifier {
+  /**
+   * @param {Object} options
+   * @param {string} options.secret - Secret key the dashboard must send
+   */
+  constructor({ secret = "mock-secret" } = {}) {
+    this.secret = secret;
+    // Extra response fields (score, action, ...) by accepted token
+    this.tokens = new Map();
+    // Every request received, for assertions
+    this.requests = [];
+
+    this.app = this.createApp();
+    this.httpServer = null;
+    this.url = null;
+  }
+
+  /**
+   * Make a token pass verification once
+   * @param {string} token
+   * @param {Object} result - Extra fields for the response, e.g. score
+   */
+  accept(token, result = {}) {
+    this.tokens.set(token, result);
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    app.post("/siteverify", (req, res) => {
+      this.requests.push(req.body);
+      const { secret, response } = req.body;
+
+      if (secret !== this.secret) {
+        return res.json({
+          success: false,
+          "error-codes": ["invalid-input-secret"],
+        });
+      }
+
+      const result = this.tokens.get(response);
+      if (!result) {
+        return res.json({
+          success: false,
+          "error-codes": ["invalid-input-response"],
+        });
+      }
+
+      this.tokens.delete(response);
+      res.json({
+        success: true,
+        challenge_ts: new Date().toISOString(),
+        hostname: "dashboard.test",
+        ...result,
+      });
+    });
+
+    return app;
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - 0 picks a free port
+   * @param {string} host
+   * @returns {Promise<string>} - Siteverify URL
+   */
+  async listen(port = 0, host = "127.0.0.1") {
+    this.httpServer = createServer(this.app);
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once("error", reject);
+      this.httpServer.listen(port, host, resolve);
+    });
+
+    this.url = `http://${host}:${this.httpServer.address().port}/siteverify`;
+    return this.url;
+  }
+
+  async close() {
+    if (!this.httpServer) return;
+
+    this.httpServer.closeAllConnections();
+    await new Promise((resolve) => this.httpServer.close(resolve));
+    this.httpServer = null;
+  }
+}
@@ -0,0 +1,192 @@
+import express from "express";
+import { createServer } from "node:http";
+import { randomBytes } from "node:crypto";
+
+/**
+ * Body of an OAuth error response
+ * @param {string} error - RFC 6749 error code
+ * @param {string} description
+ * @returns {Object}
+ */
+const oauthError = (error, description) => ({
+  error,
+  error_description: description,
+});
+
+/**
+ * In-process fake OpenID Connect issuer: discovery, authorization code flow
+ * and userinfo. There is no login page; the authorize endpoint signs in
+ * whoever signIn() last picked, the way a browser with a provider session
+ * would be sent straight back.
+ */
+export class MockOidcProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.clientId
+   * @param {string} options.clientSecret
+   */
+  constructor({ clientId = "mock-client", clientSecret = "mock-secret" } = {}) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    // Userinfo claims by subject
+    this.users = new Map();
+    this.signedIn = null;
+    // Codes and access tokens handed out, by value
+    this.codes = new Map();
+    this.tokens = new Map();
+    // Every request received, for assertions
+    this.requests = [];
+
+    this.app = this.createApp();
+    this.httpServer = null;
+    this.url = null;
+  }
+
+  /**
+   * Add a provider account
+   * @param {Object} claims - Userinfo claims; sub is generated if missing
+   * @returns {Object} - The stored claims
+   */
+  addUser(claims) {
+    const user = {
+      sub: randomBytes(8).toString("hex"),
+      email_verified: true,
+      ...claims,
+    };
+    this.users.set(user.sub, user);
+    return user;
+  }
+
+  /**
+   * Pick the account the next authorization signs in as
+   * @param {string|null} sub
+   */
+  signIn(sub) {
+    this.signedIn = sub;
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    app.use((req, res, next) => {
+      this.requests.push({
+        method: req.method,
+        path: req.path,
+        query: req.query,
+        body: req.body,
+      });
+      next();
+    });
+
+    app.get("/.well-known/openid-configuration", (req, res) => {
+      res.json({
+        issuer: this.url,
+        authorization_endpoint: `${this.url}/authorize`,
+        token_endpoint: `${this.url}/token`,
+        userinfo_endpoint: `${this.url}/userinfo`,
+        response_types_supported: ["code"],
+        subject_types_supported: ["public"],
+        scopes_supported: ["openid", "email", "profile"],
+        token_endpoint_auth_methods_supported: ["client_secret_post"],
+      });
+    });
+
+    app.get("/authorize", (req, res) => {
+      const { client_id, redirect_uri, response_type, state } = req.query;
+      if (client_id !== this.clientId || !redirect_uri) {
+        return res
+          .status(400)
+          .json(oauthError("invalid_request", "Unknown client"));
+      }
+
+      const callback = new URL(redirect_uri);
+      if (state) callback.searchParams.set("state", state);
+
+      if (response_type !== "code") {
+        callback.searchParams.set("error", "unsupported_response_type");
+      } else if (!this.users.has(this.signedIn)) {
+        callback.searchParams.set("error", "access_denied");
+      } else {
+        const code = randomBytes(16).toString("hex");
+        this.codes.set(code, { sub: this.signedIn, redirect_uri });
+        callback.searchParams.set("code", code);
+      }
+
+      res.redirect(callback.toString());
+    });
+
+    app.post("/token", (req, res) => {
+      const { grant_type, code, redirect_uri, client_id, client_secret } =
+        req.body;
+
+      if (client_id !== this.clientId || client_secret !== this.clientSecret) {
+        return res
+          .status(401)
+          .json(oauthError("invalid_client", "Bad client credentials"));
+      }
+      if (grant_type !== "authorization_code") {
+        return res
+          .status(400)
+          .json(oauthError("unsupported_grant_type", "Codes only"));
+      }
+
+      // Codes are single use and bound to the redirect URI
+      const grant = this.codes.get(code);
+      this.codes.delete(code);
+      if (!grant || grant.redirect_uri !== redirect_uri) {
+        return res
+          .status(400)
+          .json(oauthError("invalid_grant", "Unknown or used code"));
+      }
+
+      const accessToken = randomBytes(24).toString("hex");
+      this.tokens.set(accessToken, grant.sub);
+      res.json({
+        access_token: accessToken,
+        token_type: "Bearer",
+        expires_in: 3600,
+        scope: "openid email profile",
+      });
+    });
+
+    app.get("/userinfo", (req, res) => {
+      const token = req.get("authorization")?.replace(/^Bearer /, "");
+      const user = this.users.get(this.tokens.get(token));
+      if (!user) {
+        return res
+          .status(401)
+          .json(oauthError("invalid_token", "Unknown access token"));
+      }
+      res.json(user);
+    });
+
+    return app;
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - 0 picks a free port
+   * @param {string} host
+   * @returns {Promise<string>} - Issuer URL
+   */
+  async listen(port = 0, host = "127.0.0.1") {
+    this.httpServer = createServer(this.app);
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once("error", reject);
+      this.httpServer.listen(port, host, resolve);
+    });
+
+    this.url = `http://${host}:${this.httpServer.address().port}`;
+    return this.url;
+  }
+
+  async close() {
+    if (!this.httpServer) return;
+
+    this.httpServer.closeAllConnections();
+    await new Promise((resolve) => this.httpServer.close(resolve));
+    this.httpServer = null;
+  }
+}
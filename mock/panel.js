@@ -0,0 +1,975 @@
+import express, { Router } from "express";
+import { createServer } from "node:http";
+import { randomBytes, randomUUID } from "node:crypto";
+import { MockWings } from "./wings.js";
+
+const MAX_PER_PAGE = 100;
+
+// Power signals and the state a server ends up in
+const POWER_STATES = {
+  start: "running",
+  restart: "running",
+  stop: "offline",
+  kill: "offline",
+};
+
+/**
+ * Body of a panel error response
+ * @param {number} status
+ * @param {string} detail
+ * @param {string} code - Panel exception name
+ * @returns {Object}
+ */
+const panelError = (status, detail, code) => ({
+  errors: [{ code, status: String(status), detail }],
+});
+
+const notFound = (res) =>
+  res
+    .status(404)
+    .json(
+      panelError(
+        404,
+        "The requested resource could not be found on the server.",
+        "NotFoundHttpException"
+      )
+    );
+
+/**
+ * Answer 422 when fields are missing, like the panel's form requests
+ * @returns {boolean} - Whether a response was sent
+ */
+function rejectMissing(res, body, fields) {
+  const missing = fields.filter(
+    (field) =>
+      field.split(".").reduce((value, key) => value?.[key], body) === undefined
+  );
+  if (missing.length === 0) return false;
+
+  res.status(422).json({
+    errors: missing.map((field) => ({
+      code: "ValidationException",
+      status: "422",
+      detail: `The ${field} field is required.`,
+      meta: { source_field: field, rule: "required" },
+    })),
+  });
+  return true;
+}
+
+const now = () => new Date().toISOString();
+
+/**
+ * In-process fake of the Pterodactyl Application and Client APIs, with a
+ * fake Wings console on the same port. State lives in memory, so every
+ * instance starts empty apart from what seed() adds.
+ *
+ * Faults can be injected per route with inject(), or for every request
+ * with setDown(), to exercise retries and the circuit breaker.
+ */
+export class MockPanel {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.apiKeys - Accepted bearer keys; any if empty
+   */
+  constructor({ apiKeys = [] } = {}) {
+    this.apiKeys = apiKeys.filter(Boolean);
+    this.users = new Map();
+    this.servers = new Map();
+    this.nodes = new Map();
+    this.allocations = new Map();
+    this.nests = new Map();
+    this.eggs = new Map();
+    this.nextId = {
+      user: 1,
+      server: 1,
+      node: 1,
+      allocation: 1,
+      nest: 1,
+      egg: 1,
+      variable: 1,
+    };
+
+    this.faults = [];
+    this.down = false;
+    // Every request received, for assertions
+    this.requests = [];
+    // Websocket tokens handed out, by token
+    this.socketTokens = new Map();
+
+    this.wings = new MockWings({
+      resolveToken: (token) => this.socketTokens.get(token) ?? null,
+    });
+    this.app = this.createApp();
+    this.httpServer = null;
+    this.url = null;
+  }
+
+  // ===== STATE =====
+
+  /**
+   * Add a panel user
+   * @param {Object} attributes - email, username, first_name, last_name,
+   * root_admin
+   * @returns {Object} - Stored user
+   */
+  addUser(attributes) {
+    const user = {
+      id: this.nextId.user++,
+      external_id: null,
+      uuid: randomUUID(),
+      language: "en",
+      root_admin: false,
+      "2fa": false,
+      created_at: now(),
+      updated_at: now(),
+      ...attributes,
+    };
+    delete user.password;
+    this.users.set(user.id, user);
+    return user;
+  }
+
+  /**
+   * Add a node with a block of allocations
+   * @param {Object} attributes - Node fields to override
+   * @param {Object} options
+   * @param {string} options.ip - Allocation IP
+   * @param {number[]} options.ports - Allocation ports
+   * @returns {Object} - Stored node
+   */
+  addNode(attributes = {}, { ip = "127.0.0.1", ports = [] } = {}) {
+    const id = this.nextId.node++;
+    const node = {
+      id,
+      uuid: randomUUID(),
+      public: true,
+      name: `Mock Node ${id}`,
+      description: null,
+      location_id: 1,
+      fqdn: "127.0.0.1",
+      scheme: "http",
+      behind_proxy: false,
+      maintenance_mode: false,
+      memory: 16384,
+      memory_overallocate: 0,
+      disk: 102400,
+      disk_overallocate: 0,
+      upload_size: 100,
+      daemon_listen: 8080,
+      daemon_sftp: 2022,
+      daemon_base: "/var/lib/pterodactyl/volumes",
+      created_at: now(),
+      updated_at: now(),
+      ...attributes,
+    };
+    this.nodes.set(id, node);
+    this.addAllocations(id, ports, ip);
+    return node;
+  }
+
+  /**
+   * @param {number} nodeId
+   * @param {number[]} ports
+   * @param {string} ip
+   */
+  addAllocations(nodeId, ports, ip = "127.0.0.1") {
+    for (const port of ports) {
+      const id = this.nextId.allocation++;
+      this.allocations.set(id, {
+        id,
+        node: nodeId,
+        ip,
+        alias: null,
+        port,
+        notes: null,
+        assigned: false,
+        server: null,
+      });
+    }
+  }
+
+  /**
+   * @param {Object} attributes - name, description, author
+   * @returns {Object} - Stored nest
+   */
+  addNest(attributes = {}) {
+    const id = this.nextId.nest++;
+    const nest = {
+      id,
+      uuid: randomUUID(),
+      author: "mock@example.com",
+      name: `Nest ${id}`,
+      description: null,
+      created_at: now(),
+      updated_at: now(),
+      ...attributes,
+    };
+    this.nests.set(id, nest);
+    return nest;
+  }
+
+  /**
+   * @param {number} nestId
+   * @param {Object} attributes - Egg fields to override
+   * @param {Object[]} variables - name, env_variable, default_value, rules
+   * @returns {Object} - Stored egg
+   */
+  addEgg(nestId, attributes = {}, variables = []) {
+    const id = this.nextId.egg++;
+    const egg = {
+      id,
+      uuid: randomUUID(),
+      name: `Egg ${id}`,
+      nest: nestId,
+      author: "mock@example.com",
+      description: null,
+      docker_image: "ghcr.io/pterodactyl/yolks:java_17",
+      docker_images: {
+        "Java 17": "ghcr.io/pterodactyl/yolks:java_17",
+      },
+      startup: "java -jar server.jar",
+      created_at: now(),
+      updated_at: now(),
+      ...attributes,
+      variables: variables.map((variable) => ({
+        id: this.nextId.variable++,
+        egg_id: id,
+        description: "",
+        user_viewable: true,
+        user_editable: true,
+        rules: "nullable|string",
+        created_at: now(),
+        updated_at: now(),
+        ...variable,
+      })),
+    };
+    this.eggs.set(id, egg);
+    return egg;
+  }
+
+  /**
+   * A node with ten free ports and a Minecraft nest with a Paper egg,
+   * enough to create servers from the dashboard
+   * @returns {MockPanel}
+   */
+  seed() {
+    this.addNode(
+      { name: "Mock Node" },
+      { ports: Array.from({ length: 10 }, (_, i) => 25565 + i) }
+    );
+    const nest = this.addNest({
+      name: "Minecraft",
+      description: "Minecraft servers",
+    });
+    this.addEgg(
+      nest.id,
+      { name: "Paper", description: "High performance Spigot fork" },
+      [
+        {
+          name: "Minecraft Version",
+          env_variable: "MINECRAFT_VERSION",
+          default_value: "latest",
+        },
+        {
+          name: "Server Jar File",
+          env_variable: "SERVER_JARFILE",
+          default_value: "server.jar",
+        },
+      ]
+    );
+    return this;
+  }
+
+  findServer(identifier) {
+    return [...this.servers.values()].find(
+      (server) => server.identifier === identifier || server.uuid === identifier
+    );
+  }
+
+  // ===== FAULTS =====
+
+  /**
+   * Make matching requests fail
+   * @param {Object} fault
+   * @param {string} fault.method - HTTP method, or "*" for any
+   * @param {string|RegExp} fault.path - Exact path or pattern
+   * @param {number} fault.status - Response status; 0 drops the connection
+   * @param {number} fault.times - How many requests fail; Infinity for all
+   * @param {Object} fault.headers - e.g. { "Retry-After": "1" }
+   * @param {number} fault.delay - Milliseconds to wait before answering
+   */
+  inject({
+    method = "*",
+    path,
+    status = 500,
+    times = 1,
+    headers = {},
+    delay = 0,
+  }) {
+    this.faults.push({ method, path, status, times, headers, delay });
+  }
+
+  /**
+   * Drop every connection while down, as if the panel were offline
+   * @param {boolean} down
+   */
+  setDown(down) {
+    this.down = down;
+  }
+
+  reset() {
+    this.faults = [];
+    this.down = false;
+    this.requests = [];
+  }
+
+  takeFault(req) {
+    const fault = this.faults.find(
+      (f) =>
+        f.times > 0 &&
+        (f.method === "*" || f.method.toUpperCase() === req.method) &&
+        (f.path instanceof RegExp ? f.path.test(req.path) : f.path === req.path)
+    );
+    if (fault) fault.times--;
+    return fault;
+  }
+
+  // ===== OUTPUT =====
+
+  formatUser(user, include = []) {
+    const attributes = { ...user };
+    if (include.includes("servers")) {
+      attributes.relationships = {
+        servers: list(
+          [...this.servers.values()]
+            .filter((server) => server.user === user.id)
+            .map((server) => this.formatServer(server))
+        ),
+      };
+    }
+    return { object: "user", attributes };
+  }
+
+  formatServer(server, include = []) {
+    const { environment, startup, image, ...attributes } = server;
+    attributes.container = {
+      startup_command: startup,
+      image,
+      installed: 1,
+      environment,
+    };
+
+    const relationships = {};
+    if (include.includes("allocations")) {
+      relationships.allocations = list(
+        [...this.allocations.values()]
+          .filter((alloc) => alloc.server === server.id)
+          .map((alloc) => formatAllocation(alloc))
+      );
+    }
+    if (include.includes("variables")) {
+      const egg = this.eggs.get(server.egg);
+      relationships.variables = list(
+        (egg?.variables ?? []).map((variable) => ({
+          object: "server_variable",
+          attributes: {
+            ...variable,
+            server_value: environment[variable.env_variable] ?? null,
+          },
+        }))
+      );
+    }
+    if (include.includes("user")) {
+      relationships.user = this.formatUser(this.users.get(server.user));
+    }
+    if (Object.keys(relationships).length > 0) {
+      attributes.relationships = relationships;
+    }
+
+    return { object: "server", attributes };
+  }
+
+  formatNode(node) {
+    const servers = [...this.servers.values()].filter(
+      (server) => server.node === node.id
+    );
+    return {
+      object: "node",
+      attributes: {
+        ...node,
+        allocated_resources: {
+          memory: servers.reduce((sum, s) => sum + s.limits.memory, 0),
+          disk: servers.reduce((sum, s) => sum + s.limits.disk, 0),
+        },
+      },
+    };
+  }
+
+  formatEgg(egg, include = []) {
+    const { variables, ...attributes } = egg;
+    if (include.includes("variables")) {
+      attributes.relationships = {
+        variables: list(
+          variables.map((variable) => ({
+            object: "egg_variable",
+            attributes: variable,
+          }))
+        ),
+      };
+    }
+    return { object: "egg", attributes };
+  }
+
+  // ===== ROUTES =====
+
+  createApp() {
+    const app = express();
+    // Parse filter[email]=... into an object like the panel does
+    app.set("query parser", "extended");
+    app.use(express.json());
+
+    app.use((req, res, next) => {
+      this.requests.push({
+        method: req.method,
+        path: req.path,
+        query: req.query,
+        body: req.body,
+      });
+
+      if (this.down) {
+        req.socket.destroy();
+        return;
+      }
+
+      const fault = this.takeFault(req);
+      if (!fault) return next();
+
+      setTimeout(() => {
+        if (fault.status === 0) {
+          req.socket.destroy();
+          return;
+        }
+        res
+          .status(fault.status)
+          .set(fault.headers)
+          .json(
+            panelError(fault.status, "Injected fault", "MockPanelException")
+          );
+      }, fault.delay);
+    });
+
+    app.use("/api", (req, res, next) => {
+      const key = req.get("authorization")?.replace(/^Bearer /, "");
+      if (this.apiKeys.length > 0 && !this.apiKeys.includes(key)) {
+        return res
+          .status(401)
+          .json(panelError(401, "Unauthenticated.", "AuthenticationException"));
+      }
+      next();
+    });
+
+    app.use("/api/application", this.applicationRoutes());
+    app.use("/api/client", this.clientRoutes());
+    app.use((req, res) => notFound(res));
+
+    return app;
+  }
+
+  applicationRoutes() {
+    const router = Router();
+
+    // Users
+    router.get("/users", (req, res) => {
+      const filter = req.query.filter ?? {};
+      const users = [...this.users.values()].filter((user) =>
+        ["email", "username", "uuid", "external_id"].every(
+          (field) =>
+            filter[field] === undefined ||
+            String(user[field]) === String(filter[field])
+        )
+      );
+      res.json(
+        paginate(req, users, (user) => this.formatUser(user, includes(req)))
+      );
+    });
+
+    router.get("/users/:id", (req, res) => {
+      const user = this.users.get(Number(req.params.id));
+      if (!user) return notFound(res);
+      res.json(this.formatUser(user, includes(req)));
+    });
+
+    router.post("/users", (req, res) => {
+      const body = req.body ?? {};
+      if (
+        rejectMissing(res, body, [
+          "email",
+          "username",
+          "first_name",
+          "last_name",
+        ])
+      ) {
+        return;
+      }
+      if (this.rejectTaken(res, body)) return;
+
+      const user = this.addUser({
+        email: body.email,
+        username: body.username,
+        first_name: body.first_name,
+        last_name: body.last_name,
+        root_admin: Boolean(body.root_admin),
+        language: body.language ?? "en",
+        external_id: body.external_id ?? null,
+      });
+      res.status(201).json(this.formatUser(user));
+    });
+
+    router.patch("/users/:id", (req, res) => {
+      const user = this.users.get(Number(req.params.id));
+      if (!user) return notFound(res);
+      if (this.rejectTaken(res, req.body ?? {}, user.id)) return;
+
+      const fields = [
+        "email",
+        "username",
+        "first_name",
+        "last_name",
+        "language",
+        "root_admin",
+        "external_id",
+      ];
+      for (const field of fields) {
+        if (req.body?.[field] !== undefined) user[field] = req.body[field];
+      }
+      user.updated_at = now();
+      res.json(this.formatUser(user));
+    });
+
+    router.delete("/users/:id", (req, res) => {
+      const user = this.users.get(Number(req.params.id));
+      if (!user) return notFound(res);
+
+      if ([...this.servers.values()].some((s) => s.user === user.id)) {
+        return res
+          .status(400)
+          .json(
+            panelError(
+              400,
+              "Cannot delete a user with active servers attached to their account.",
+              "DisplayException"
+            )
+          );
+      }
+
+      this.users.delete(user.id);
+      res.status(204).end();
+    });
+
+    // Servers
+    router.get("/servers", (req, res) => {
+      res.json(
+        paginate(req, [...this.servers.values()], (server) =>
+          this.formatServer(server, includes(req))
+        )
+      );
+    });
+
+    router.get("/servers/:id", (req, res) => {
+      const server = this.servers.get(Number(req.params.id));
+      if (!server) return notFound(res);
+      res.json(this.formatServer(server, includes(req)));
+    });
+
+    router.post("/servers", (req, res) => {
+      const body = req.body ?? {};
+      if (
+        rejectMissing(res, body, [
+          "name",
+          "user",
+          "egg",
+          "docker_image",
+          "startup",
+          "environment",
+          "limits.memory",
+          "limits.swap",
+          "limits.disk",
+          "limits.io",
+          "limits.cpu",
+          "feature_limits.databases",
+          "feature_limits.allocations",
+          "allocation.default",
+        ])
+      ) {
+        return;
+      }
+
+      const user = this.users.get(Number(body.user));
+      const egg = this.eggs.get(Number(body.egg));
+      const allocation = this.allocations.get(Number(body.allocation.default));
+      if (!user || !egg || !allocation) {
+        return res
+          .status(422)
+          .json(
+            panelError(
+              422,
+              !user
+                ? "The selected user is invalid."
+                : !egg
+                ? "The selected egg is invalid."
+                : "The selected allocation is invalid.",
+              "ValidationException"
+            )
+          );
+      }
+      if (allocation.assigned) {
+        return res
+          .status(400)
+          .json(
+            panelError(
+              400,
+              "The requested allocation is already assigned to a server.",
+              "DisplayException"
+            )
+          );
+      }
+
+      const uuid = randomUUID();
+      const server = {
+        id: this.nextId.server++,
+        external_id: body.external_id ?? null,
+        uuid,
+        identifier: uuid.slice(0, 8),
+        name: body.name,
+        description: body.description ?? "",
+        status: null,
+        suspended: false,
+        limits: {
+          threads: null,
+          oom_disabled: true,
+          ...body.limits,
+        },
+        feature_limits: { backups: 0, ...body.feature_limits },
+        user: user.id,
+        node: allocation.node,
+        allocation: allocation.id,
+        nest: egg.nest,
+        egg: egg.id,
+        environment: body.environment,
+        startup: body.startup,
+        image: body.docker_image,
+        created_at: now(),
+        updated_at: now(),
+      };
+
+      allocation.assigned = true;
+      allocation.server = server.id;
+      this.servers.set(server.id, server);
+      this.wings.log(uuid, "[mock] server installed");
+
+      res.status(201).json(this.formatServer(server));
+    });
+
+    router.patch("/servers/:id/build", (req, res) => {
+      const server = this.servers.get(Number(req.params.id));
+      if (!server) return notFound(res);
+
+      const body = req.body ?? {};
+      if (
+        rejectMissing(res, body, ["allocation", "limits", "feature_limits"])
+      ) {
+        return;
+      }
+
+      server.limits = { ...server.limits, ...body.limits };
+      server.feature_limits = {
+        ...server.feature_limits,
+        ...body.feature_limits,
+      };
+      server.updated_at = now();
+      res.json(this.formatServer(server));
+    });
+
+    router.patch("/servers/:id/details", (req, res) => {
+      const server = this.servers.get(Number(req.params.id));
+      if (!server) return notFound(res);
+
+      for (const field of ["name", "description", "external_id"]) {
+        if (req.body?.[field] !== undefined) server[field] = req.body[field];
+      }
+      if (req.body?.user !== undefined) {
+        if (!this.users.has(Number(req.body.user))) {
+          return res
+            .status(422)
+            .json(
+              panelError(
+                422,
+                "The selected user is invalid.",
+                "ValidationException"
+              )
+            );
+        }
+        server.user = Number(req.body.user);
+      }
+      server.updated_at = now();
+      res.json(this.formatServer(server));
+    });
+
+    router.post("/servers/:id/:action", (req, res) => {
+      const server = this.servers.get(Number(req.params.id));
+      if (!server || !["suspend", "unsuspend"].includes(req.params.action)) {
+        return notFound(res);
+      }
+
+      server.suspended = req.params.action === "suspend";
+      server.status = server.suspended ? "suspended" : null;
+      if (server.suspended) this.wings.setState(server.uuid, "offline");
+      res.status(204).end();
+    });
+
+    router.delete("/servers/:id", (req, res) => {
+      const server = this.servers.get(Number(req.params.id));
+      if (!server) return notFound(res);
+
+      for (const alloc of this.allocations.values()) {
+        if (alloc.server === server.id) {
+          alloc.assigned = false;
+          alloc.server = null;
+        }
+      }
+      this.servers.delete(server.id);
+      this.wings.remove(server.uuid);
+      res.status(204).end();
+    });
+
+    // Nodes and allocations
+    router.get("/nodes", (req, res) => {
+      res.json(
+        paginate(req, [...this.nodes.values()], (node) => this.formatNode(node))
+      );
+    });
+
+    router.get("/nodes/:id", (req, res) => {
+      const node = this.nodes.get(Number(req.params.id));
+      if (!node) return notFound(res);
+      res.json(this.formatNode(node));
+    });
+
+    router.get("/nodes/:id/allocations", (req, res) => {
+      const nodeId = Number(req.params.id);
+      if (!this.nodes.has(nodeId)) return notFound(res);
+
+      res.json(
+        paginate(
+          req,
+          [...this.allocations.values()].filter((a) => a.node === nodeId),
+          formatAllocation
+        )
+      );
+    });
+
+    // Nests and eggs
+    router.get("/nests", (req, res) => {
+      res.json(
+        paginate(req, [...this.nests.values()], (nest) => ({
+          object: "nest",
+          attributes: nest,
+        }))
+      );
+    });
+
+    router.get("/nests/:id/eggs", (req, res) => {
+      const nestId = Number(req.params.id);
+      if (!this.nests.has(nestId)) return notFound(res);
+
+      res.json(
+        list(
+          [...this.eggs.values()]
+            .filter((egg) => egg.nest === nestId)
+            .map((egg) => this.formatEgg(egg, includes(req)))
+        )
+      );
+    });
+
+    router.get("/nests/:id/eggs/:eggId", (req, res) => {
+      const egg = this.eggs.get(Number(req.params.eggId));
+      if (!egg || egg.nest !== Number(req.params.id)) return notFound(res);
+      res.json(this.formatEgg(egg, includes(req)));
+    });
+
+    return router;
+  }
+
+  clientRoutes() {
+    const router = Router();
+
+    router.use("/servers/:identifier", (req, res, next) => {
+      req.server = this.findServer(req.params.identifier);
+      if (!req.server) return notFound(res);
+      next();
+    });
+
+    router.get("/servers/:identifier/resources", (req, res) => {
+      const { server } = req;
+      const stats = this.wings.stats(server.uuid);
+      res.json({
+        object: "stats",
+        attributes: {
+          current_state: stats.state,
+          is_suspended: server.suspended,
+          resources: {
+            memory_bytes: stats.memory_bytes,
+            cpu_absolute: stats.cpu_absolute,
+            disk_bytes: stats.disk_bytes,
+            network_rx_bytes: stats.network.rx_bytes,
+            network_tx_bytes: stats.network.tx_bytes,
+            uptime: stats.uptime,
+          },
+        },
+      });
+    });
+
+    router.post("/servers/:identifier/power", (req, res) => {
+      const { server } = req;
+      const state = POWER_STATES[req.body?.signal];
+      if (!state) {
+        return res
+          .status(422)
+          .json(
+            panelError(
+              422,
+              "The selected signal is invalid.",
+              "ValidationException"
+            )
+          );
+      }
+      if (server.suspended || server.status === "installing") {
+        return res
+          .status(409)
+          .json(
+            panelError(
+              409,
+              "This server is currently in an unsupported state, please try again later.",
+              "ConflictHttpException"
+            )
+          );
+      }
+
+      this.wings.setState(server.uuid, state);
+      res.status(204).end();
+    });
+
+    router.get("/servers/:identifier/websocket", (req, res) => {
+      const token = randomBytes(24).toString("hex");
+      this.socketTokens.set(token, req.server.uuid);
+      res.json({
+        data: {
+          token,
+          socket: `${this.url.replace(/^http/, "ws")}/api/servers/${
+            req.server.uuid
+          }/ws`,
+        },
+      });
+    });
+
+    return router;
+  }
+
+  /**
+   * Refuse an email or username another user already has
+   * @returns {boolean} - Whether a response was sent
+   */
+  rejectTaken(res, body, exceptId = null) {
+    const taken = ["email", "username"].find(
+      (field) =>
+        body[field] !== undefined &&
+        [...this.users.values()].some(
+          (user) => user.id !== exceptId && user[field] === body[field]
+        )
+    );
+    if (!taken) return false;
+
+    res.status(422).json({
+      errors: [
+        {
+          code: "ValidationException",
+          status: "422",
+          detail: `The ${taken} has already been taken.`,
+          meta: { source_field: taken, rule: "unique" },
+        },
+      ],
+    });
+    return true;
+  }
+
+  // ===== LIFECYCLE =====
+
+  /**
+   * Start listening; the panel and Wings share the port
+   * @param {number} port - 0 picks a free port
+   * @param {string} host
+   * @returns {Promise<string>} - Base URL to use as panel_url
+   */
+  async listen(port = 0, host = "127.0.0.1") {
+    this.httpServer = createServer(this.app);
+    this.wings.attach(this.httpServer);
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once("error", reject);
+      this.httpServer.listen(port, host, resolve);
+    });
+
+    this.url = `http://${host}:${this.httpServer.address().port}`;
+    return this.url;
+  }
+
+  async close() {
+    this.wings.close();
+    if (!this.httpServer) return;
+
+    this.httpServer.closeAllConnections();
+    await new Promise((resolve) => this.httpServer.close(resolve));
+    this.httpServer = null;
+  }
+}
+
+const includes = (req) => String(req.query.include ?? "").split(",");
+
+const formatAllocation = ({ node, server, ...attributes }) => ({
+  object: "allocation",
+  attributes,
+});
+
+const list = (data) => ({ object: "list", data });
+
+/**
+ * One page of a list, with the panel's pagination meta
+ * @param {Object} req - Request with page and per_page query params
+ * @param {Array} items
+ * @param {Function} format - Formats one item
+ * @returns {Object}
+ */
+function paginate(req, items, format) {
+  const perPage = Math.min(
+    Math.max(parseInt(req.query.per_page) || 50, 1),
+    MAX_PER_PAGE
+  );
+  const totalPages = Math.max(Math.ceil(items.length / perPage), 1);
+  const page = Math.min(Math.max(parseInt(req.query.page) || 1, 1), totalPages);
+  const data = items.slice((page - 1) * perPage, page * perPage).map(format);
+
+  return {
+    ...list(data),
+    meta: {
+      pagination: {
+        total: items.length,
+        count: data.length,
+        per_page: perPage,
+        current_page: page,
+        total_pages: totalPages,
+        links: {},
+      },
+    },
+  };
+}
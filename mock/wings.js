@@ -0,0 +1,164 @@
+import { WebSocketServer } from "ws";
+
+const SOCKET_PATH = /^\/api\/servers\/([\w-]+)\/ws$/;
+
+/**
+ * Fake Wings console websocket. Speaks the same event protocol as the real
+ * daemon for the events the dashboard's console uses: auth, send logs,
+ * send stats, send command and set state in; auth success, console output,
+ * stats, status and jwt error out.
+ */
+export class MockWings {
+  /**
+   * @param {Object} options
+   * @param {Function} options.resolveToken - Maps a token to a server uuid,
+   * or null when the token is unknown
+   */
+  constructor({ resolveToken }) {
+    this.resolveToken = resolveToken;
+    this.wss = new WebSocketServer({ noServer: true });
+    // Console lines and power state by server uuid
+    this.servers = new Map();
+  }
+
+  /**
+   * Take over websocket upgrades for console paths on an http server
+   * @param {import("node:http").Server} httpServer
+   */
+  attach(httpServer) {
+    httpServer.on("upgrade", (req, socket, head) => {
+      const match = new URL(req.url, "http://wings").pathname.match(
+        SOCKET_PATH
+      );
+      if (!match) {
+        socket.destroy();
+        return;
+      }
+
+      this.wss.handleUpgrade(req, socket, head, (ws) =>
+        this.handleConnection(ws, match[1])
+      );
+    });
+  }
+
+  /**
+   * @param {string} uuid - Server uuid
+   * @returns {{state: string, logs: string[], sockets: Set}}
+   */
+  server(uuid) {
+    if (!this.servers.has(uuid)) {
+      this.servers.set(uuid, {
+        state: "offline",
+        logs: [],
+        sockets: new Set(),
+      });
+    }
+    return this.servers.get(uuid);
+  }
+
+  handleConnection(ws, uuid) {
+    const server = this.server(uuid);
+    let authenticated = false;
+
+    ws.on("close", () => server.sockets.delete(ws));
+    ws.on("message", (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        return;
+      }
+
+      const [arg] = message.args || [];
+
+      if (message.event === "auth") {
+        if (this.resolveToken(arg) !== uuid) {
+          send(ws, "jwt error", "invalid token");
+          return;
+        }
+        authenticated = true;
+        server.sockets.add(ws);
+        send(ws, "auth success");
+        send(ws, "status", server.state);
+        return;
+      }
+
+      if (!authenticated) return;
+
+      switch (message.event) {
+        case "send logs":
+          server.logs.forEach((line) => send(ws, "console output", line));
+          break;
+        case "send stats":
+          send(ws, "stats", JSON.stringify(this.stats(uuid)));
+          break;
+        case "send command":
+          this.log(uuid, `> ${arg}`);
+          break;
+        case "set state":
+          this.setState(
+            uuid,
+            arg === "start" || arg === "restart" ? "running" : "offline"
+          );
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  /**
+   * Append a console line and send it to every open console
+   * @param {string} uuid
+   * @param {string} line
+   */
+  log(uuid, line) {
+    const server = this.server(uuid);
+    server.logs.push(line);
+    server.sockets.forEach((ws) => send(ws, "console output", line));
+  }
+
+  /**
+   * @param {string} uuid
+   * @param {string} state - running, offline, starting or stopping
+   */
+  setState(uuid, state) {
+    const server = this.server(uuid);
+    server.state = state;
+    server.sockets.forEach((ws) => send(ws, "status", state));
+    this.log(uuid, `[mock] server marked as ${state}`);
+  }
+
+  /**
+   * @param {string} uuid
+   * @returns {Object} - Stats in the shape Wings sends
+   */
+  stats(uuid) {
+    const running = this.server(uuid).state === "running";
+    return {
+      memory_bytes: running ? 256 * 1024 * 1024 : 0,
+      memory_limit_bytes: 1024 * 1024 * 1024,
+      cpu_absolute: running ? 12.5 : 0,
+      network: { rx_bytes: 0, tx_bytes: 0 },
+      state: this.server(uuid).state,
+      disk_bytes: 64 * 1024 * 1024,
+      uptime: 0,
+    };
+  }
+
+  /**
+   * Forget a deleted server and close its consoles
+   * @param {string} uuid
+   */
+  remove(uuid) {
+    this.servers.get(uuid)?.sockets.forEach((ws) => ws.close());
+    this.servers.delete(uuid);
+  }
+
+  close() {
+    this.wss.clients.forEach((ws) => ws.terminate());
+    this.wss.close();
+  }
+}
+
+const send = (ws, event, ...args) => ws.send(JSON.stringify({ event, args }));
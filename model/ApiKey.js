@@ -0,0 +1,98 @@
+import { DataTypes } from "sequelize";
+import db from "./db.js";
+import User from "./User.js";
+
+// What a personal API key may be used for. Routes opt in with allowApiKey().
+export const API_KEY_SCOPES = {
+  "servers.read": "List and view your servers",
+  "servers.write": "Create, edit, power and delete your servers",
+  "account.read": "Read your profile and resources",
+};
+
+export const API_KEY_SCOPE_NAMES = Object.keys(API_KEY_SCOPES);
+
+// Personal API key; only a hash of the secret is stored
+const ApiKey = db.define(
+  "ApiKey",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: User,
+        key: "id",
+      },
+      onDelete: "CASCADE",
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    // Start of the key, shown so users can tell their keys apart
+    prefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+    },
+    // sha256 of the full key
+    keyHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+    },
+    // JSON array of API_KEY_SCOPES keys
+    scopes: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: "[]",
+      validate: {
+        knownScopes(value) {
+          const list = JSON.parse(value);
+          if (!Array.isArray(list) || list.length === 0) {
+            throw new Error("Select at least one scope");
+          }
+          const unknown = list.filter((s) => !API_KEY_SCOPE_NAMES.includes(s));
+          if (unknown.length > 0) {
+            throw new Error(`Unknown scopes: ${unknown.join(", ")}`);
+          }
+        },
+      },
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    lastUsedIp: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+    },
+    // Null means the key never expires
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "api_keys",
+    timestamps: true,
+    updatedAt: false,
+  }
+);
+
+ApiKey.belongsTo(User, { foreignKey: "userId", as: "user" });
+
+/**
+ * Scope names granted to a key
+ * @param {Object} apiKey - ApiKey record
+ * @returns {string[]}
+ */
+export const apiKeyScopes = (apiKey) => JSON.parse(apiKey.scopes || "[]");
+
+export default ApiKey;
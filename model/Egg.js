@@ -64,6 +64,4 @@ const Egg = db.define(
   }
 );
 
-Egg.sync({ alter: true });
-
 export default Egg;
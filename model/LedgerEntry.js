@@ -0,0 +1,166 @@
+import { DataTypes } from "sequelize";
+import db from "./db.js";
+import Resources from "./resources.js";
+
+// Resources columns tracked by the ledger
+export const LEDGER_FIELDS = [
+  "coins",
+  "ram",
+  "disk",
+  "cpu",
+  "allocations",
+  "databases",
+  "slots",
+];
+
+export const LEDGER_REASONS = [
+  "signup",
+  "purchase",
+  "admin_grant",
+  "renewal",
+  "refund",
+  "server_create",
+  "server_update",
+  "adjustment",
+];
+
+const LedgerEntry = db.define(
+  "LedgerEntry",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    // Not a foreign key: entries outlive deleted Resources rows for auditing
+    resourcesId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    // User who made the change; null for system jobs such as the sweeper
+    actorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    reason: {
+      type: DataTypes.ENUM(...LEDGER_REASONS),
+      allowNull: false,
+      defaultValue: "adjustment",
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    coinsBefore: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    coinsAfter: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    // Store item and units bought, for purchases
+    storeItemId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    // JSON-encoded { field: { before, after } } for every changed column
+    changes: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+  },
+  {
+    tableName: "ledger_entries",
+    timestamps: true,
+    updatedAt: false,
+  }
+);
+
+Resources.hasMany(LedgerEntry, {
+  foreignKey: "resourcesId",
+  as: "ledger",
+  constraints: false,
+});
+
+LedgerEntry.belongsTo(Resources, {
+  foreignKey: "resourcesId",
+  as: "resources",
+  constraints: false,
+});
+
+/**
+ * Record a saved Resources change in the ledger
+ *
+ * Callers describe the change through a `ledger` save option:
+ *   resources.save({ ledger: { reason: "refund", actorId, description } })
+ * Changes saved without one are recorded as "adjustment".
+ * @param {Object} resources - Saved Resources record
+ * @param {Object} options - Save options
+ * @param {boolean} created - Whether the record was just created
+ */
+async function recordChange(resources, options, created) {
+  const changes = {};
+
+  for (const field of LEDGER_FIELDS) {
+    const before = created ? 0 : resources.previous(field) ?? 0;
+    const after = resources.get(field) ?? 0;
+    if (before !== after) {
+      changes[field] = { before, after };
+    }
+  }
+
+  if (Object.keys(changes).length === 0) return;
+
+  const { reason, actorId, description, storeItemId, quantity } =
+    options.ledger || {};
+
+  await LedgerEntry.create(
+    {
+      resourcesId: resources.id,
+      actorId: actorId ?? null,
+      reason: reason || (created ? "signup" : "adjustment"),
+      description: description ?? null,
+      storeItemId: storeItemId ?? null,
+      quantity: quantity ?? null,
+      coinsBefore: changes.coins?.before ?? resources.get("coins") ?? 0,
+      coinsAfter: resources.get("coins") ?? 0,
+      changes: JSON.stringify(changes),
+    },
+    { transaction: options.transaction }
+  );
+}
+
+Resources.afterCreate((resources, options) =>
+  recordChange(resources, options, true)
+);
+Resources.afterUpdate((resources, options) =>
+  recordChange(resources, options, false)
+);
+
+/**
+ * Format a ledger entry for API responses
+ * @param {Object} entry - LedgerEntry record
+ * @returns {Object} - Entry with parsed changes
+ */
+export const formatLedgerEntry = (entry) => ({
+  id: entry.id,
+  resourcesId: entry.resourcesId,
+  actorId: entry.actorId,
+  reason: entry.reason,
+  description: entry.description,
+  storeItemId: entry.storeItemId,
+  quantity: entry.quantity,
+  coinsBefore: entry.coinsBefore,
+  coinsAfter: entry.coinsAfter,
+  changes: JSON.parse(entry.changes),
+  createdAt: entry.createdAt,
+});
+
+export default LedgerEntry;
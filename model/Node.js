@@ -11,9 +11,11 @@ const Node = db.define("node", {
     type: DataTypes.STRING,
     allowNull: false,
   },
+  // Pterodactyl node id
   nodeId: {
     type: DataTypes.INTEGER,
     allowNull: false,
+    unique: true,
   },
   location: {
     type: DataTypes.STRING,
@@ -21,6 +23,4 @@ const Node = db.define("node", {
   },
 });
 
-Node.sync({ alter: true });
-
 export default Node;
@@ -0,0 +1,47 @@
+import { DataTypes } from "sequelize";
+import db from "./db.js";
+import User from "./User.js";
+
+// Links a login at an OAuth/OIDC provider to a dashboard user
+const OAuthAccount = db.define(
+  "OAuthAccount",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: User,
+        key: "id",
+      },
+      onDelete: "CASCADE",
+    },
+    // Provider name from control/oauth.js, e.g. "discord"
+    provider: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+    },
+    // The user's id at the provider
+    subject: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "oauth_accounts",
+    timestamps: true,
+    indexes: [{ unique: true, fields: ["provider", "subject"] }],
+  }
+);
+
+OAuthAccount.belongsTo(User, { foreignKey: "userId", as: "user" });
+
+export default OAuthAccount;
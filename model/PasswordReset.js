@@ -0,0 +1,44 @@
+import { DataTypes } from "sequelize";
+import db from "./db.js";
+import User from "./User.js";
+
+const PasswordReset = db.define(
+  "PasswordReset",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: User,
+        key: "id",
+      },
+      onDelete: "CASCADE",
+    },
+    // SHA-256 of the token sent by mail; the token itself is never stored
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "password_resets",
+    timestamps: true,
+    updatedAt: false,
+  }
+);
+
+export default PasswordReset;
@@ -1,8 +1,8 @@
 // model/PurgeJob.js
 import { DataTypes } from "sequelize";
-import { sequelize } from "./db.js";
+import db from "./db.js";
 
-const PurgeJob = sequelize.define(
+const PurgeJob = db.define(
   "PurgeJob",
   {
     id: {
@@ -14,7 +14,7 @@ const PurgeJob = sequelize.define(
       type: DataTypes.INTEGER,
       allowNull: false,
       references: {
-        model: "User",
+        model: "users",
         key: "id",
       },
     },
@@ -22,8 +22,36 @@ const PurgeJob = sequelize.define(
       type: DataTypes.STRING,
       allowNull: false,
     },
+    batch_size: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 5,
+    },
+    // Highest Servers.id already processed, so a restarted job can resume
+    last_server_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    // JSON-encoded purge criteria (see parseCriteria in control/purger.js)
+    criteria: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // JSON-encoded Servers ids of a preview; confirming it deletes those that
+    // still match the criteria
+    server_ids: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
     status: {
-      type: DataTypes.ENUM("started", "processing", "completed", "failed"),
+      type: DataTypes.ENUM(
+        "preview",
+        "started",
+        "processing",
+        "completed",
+        "failed"
+      ),
       defaultValue: "started",
     },
     total_servers: {
@@ -0,0 +1,76 @@
+import { DataTypes } from "sequelize";
+import db from "./db.js";
+
+// Dashboard permissions a role can grant. Panel root admins have all of them.
+export const PERMISSIONS = {
+  "servers.view_all": "View any user's servers",
+  "servers.manage": "Create, edit, power and open the console of any server",
+  "servers.delete": "Delete any server",
+  "users.view": "List and look up users",
+  "users.edit": "Create users, edit their details and log them out",
+  "users.delete": "Delete users",
+  "users.edit_resources": "Change users' resources and coins",
+  "store.manage": "Manage store products",
+  "ledger.view": "View the resource ledger",
+  "purger.run": "Preview and run server purges",
+  "eggs.manage": "Manage eggs",
+  "nodes.manage": "Manage nodes",
+  "settings.manage": "Change dashboard settings",
+};
+
+export const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+const Role = db.define(
+  "Role",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    // JSON array of PERMISSIONS keys
+    permissions: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: "[]",
+      validate: {
+        knownPermissions(value) {
+          const list = JSON.parse(value);
+          if (!Array.isArray(list)) {
+            throw new Error("Permissions must be a list");
+          }
+          const unknown = list.filter((p) => !PERMISSION_NAMES.includes(p));
+          if (unknown.length > 0) {
+            throw new Error(`Unknown permissions: ${unknown.join(", ")}`);
+          }
+        },
+      },
+    },
+  },
+  {
+    tableName: "roles",
+    timestamps: true,
+  }
+);
+
+/**
+ * Permission names granted by a role
+ * @param {Object|null} role - Role record
+ * @returns {string[]}
+ */
+export const rolePermissions = (role) =>
+  role ? JSON.parse(role.permissions || "[]") : [];
+
+export default Role;
@@ -1,6 +1,31 @@
 import { DataTypes } from "sequelize";
 import db from "./db.js";
 import User from "./User.js";
+import Node from "./Node.js";
+import Egg from "./Egg.js";
+import { getSetting } from "./Setting.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Renewal settings, read on each call so admin changes apply at once
+export const getRenewalConfig = () => ({
+  enabled: getSetting("renewal_enabled"),
+  periodDays: getSetting("renewal_days"),
+  cost: getSetting("renewal_cost"),
+  graceDays: getSetting("renewal_grace_days"),
+  sweepMinutes: parseInt(process.env.renewal_sweep_minutes) || 10,
+});
+
+// Swap, IO and backup limits given to new and resized servers
+export const getDefaultLimits = () => ({
+  swap: getSetting("server_swap"),
+  io: getSetting("server_io"),
+  backups: getSetting("server_backups"),
+});
+
+// Renewal date one period after `from`
+export const nextRenewalDate = (from = new Date()) =>
+  new Date(from.getTime() + getRenewalConfig().periodDays * DAY);
 
 const Servers = db.define("servers", {
   id: {
@@ -17,19 +42,73 @@ const Servers = db.define("servers", {
     allowNull: false,
     defaultValue: DataTypes.NOW,
   },
+  // Set when the renewal sweeper suspends an overdue server
+  suspendedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // Last time the dashboard saw the server running, used by the purger
+  lastOnlineAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // First time the dashboard saw the server's power state at all
+  firstSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
   allocationId: {
     type: DataTypes.INTEGER,
     allowNull: false,
   },
+  // Owner, node and egg are stored by their Pterodactyl ids
   owner: {
     type: DataTypes.INTEGER,
-    reference: {
+    allowNull: true,
+    references: {
       model: User,
-      key: "id",
+      key: "ptero_id",
     },
+    onDelete: "SET NULL",
+  },
+  // Null for servers made before node and egg were recorded, until
+  // backfillServerLinks finds them on the panel
+  nodeId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Node,
+      key: "nodeId",
+    },
+    onDelete: "SET NULL",
+  },
+  eggId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Egg,
+      key: "eggId",
+    },
+    onDelete: "SET NULL",
   },
 });
 
-Servers.sync({ alter: true });
+Servers.belongsTo(User, {
+  foreignKey: "owner",
+  targetKey: "ptero_id",
+  as: "userInfo",
+});
+
+Servers.belongsTo(Node, {
+  foreignKey: "nodeId",
+  targetKey: "nodeId",
+  as: "node",
+});
+
+Servers.belongsTo(Egg, {
+  foreignKey: "eggId",
+  targetKey: "eggId",
+  as: "egg",
+});
 
 export default Servers;
@@ -0,0 +1,58 @@
+import { DataTypes } from "sequelize";
+import db from "./db.js";
+import User from "./User.js";
+
+// One row per issued login cookie, so sessions can be listed and revoked
+const Session = db.define(
+  "Session",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: User,
+        key: "id",
+      },
+      onDelete: "CASCADE",
+    },
+    // Random id carried in the JWT `sid` claim
+    sid: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+    },
+    userAgent: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    ip: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+    },
+    lastSeenAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "sessions",
+    timestamps: true,
+    updatedAt: false,
+  }
+);
+
+export default Session;
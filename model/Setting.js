@@ -0,0 +1,355 @@
+import { DataTypes } from "sequelize";
+import db from "./db.js";
+import SettingChange from "./SettingChange.js";
+
+/**
+ * Dashboard settings admins can change at runtime. Only settings marked
+ * public are sent to anonymous clients by GET /api/config. Until an admin
+ * saves a value, the env var of the same name is used, then `default`.
+ */
+export const SETTINGS = {
+  app_name: {
+    group: "Branding",
+    label: "Site name",
+    type: "string",
+    default: "Nexodactyl",
+    public: true,
+  },
+  short_name: {
+    group: "Branding",
+    label: "Short name",
+    description: "Shown in the collapsed sidebar",
+    type: "string",
+    default: "Nexo",
+    public: true,
+  },
+  app_icon: {
+    group: "Branding",
+    label: "Icon URL",
+    type: "string",
+    default: "/vite.svg",
+    public: true,
+  },
+  app_banner: {
+    group: "Branding",
+    label: "Banner image URL",
+    type: "string",
+    default: "",
+    public: true,
+  },
+  app_description: {
+    group: "Branding",
+    label: "Description",
+    description: "Used for link previews",
+    type: "string",
+    default: "",
+    public: true,
+  },
+  app_preview_image: {
+    group: "Branding",
+    label: "Preview image URL",
+    description: "Used for link previews",
+    type: "string",
+    default: "",
+    public: true,
+  },
+  renewal_enabled: {
+    group: "Server renewal",
+    label: "Require renewals",
+    type: "boolean",
+    default: false,
+    public: true,
+  },
+  renewal_days: {
+    group: "Server renewal",
+    label: "Renewal period (days)",
+    type: "integer",
+    default: 30,
+    min: 1,
+    public: true,
+  },
+  renewal_cost: {
+    group: "Server renewal",
+    label: "Renewal price (coins)",
+    type: "integer",
+    default: 0,
+    min: 0,
+    public: true,
+  },
+  renewal_grace_days: {
+    group: "Server renewal",
+    label: "Days suspended before deletion",
+    type: "integer",
+    default: 7,
+    min: 0,
+    public: false,
+  },
+  ram: {
+    group: "New user resources",
+    label: "Memory (MB)",
+    type: "integer",
+    default: 1024,
+    min: 0,
+    public: false,
+  },
+  disk: {
+    group: "New user resources",
+    label: "Disk (MB)",
+    type: "integer",
+    default: 10240,
+    min: 0,
+    public: false,
+  },
+  cpu: {
+    group: "New user resources",
+    label: "CPU (%)",
+    description: "100 is one core",
+    type: "integer",
+    default: 100,
+    min: 0,
+    public: false,
+  },
+  allocations: {
+    group: "New user resources",
+    label: "Allocations",
+    type: "integer",
+    default: 1,
+    min: 0,
+    public: false,
+  },
+  databases: {
+    group: "New user resources",
+    label: "Databases",
+    type: "integer",
+    default: 1,
+    min: 0,
+    public: false,
+  },
+  slots: {
+    group: "New user resources",
+    label: "Server slots",
+    type: "integer",
+    default: 1,
+    min: 0,
+    public: false,
+  },
+  server_swap: {
+    group: "Server limits",
+    label: "Swap (MB)",
+    description: "Given to every new or resized server; -1 is unlimited",
+    type: "integer",
+    default: 0,
+    min: -1,
+    public: false,
+  },
+  server_io: {
+    group: "Server limits",
+    label: "Block IO weight",
+    description: "Relative disk priority, from 10 to 1000",
+    type: "integer",
+    default: 500,
+    min: 10,
+    max: 1000,
+    public: false,
+  },
+  server_backups: {
+    group: "Server limits",
+    label: "Backups",
+    description: "Backups each server may keep",
+    type: "integer",
+    default: 0,
+    min: 0,
+    public: false,
+  },
+};
+
+export const SETTING_KEYS = Object.keys(SETTINGS);
+
+const MAX_STRING_LENGTH = 500;
+
+// Values are stored JSON encoded so booleans and numbers keep their type
+const Setting = db.define(
+  "Setting",
+  {
+    key: {
+      type: DataTypes.STRING(64),
+      primaryKey: true,
+      validate: {
+        isIn: [SETTING_KEYS],
+      },
+    },
+    value: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+  },
+  {
+    tableName: "settings",
+    timestamps: true,
+  }
+);
+
+// Saved values by key; filled by loadSettings and kept current by saveSettings
+const saved = new Map();
+
+/**
+ * Read a setting's value from an env var string
+ * @param {Object} definition - Entry of SETTINGS
+ * @param {string} raw - Env var value
+ * @returns {*} - Parsed value, or undefined if unusable
+ */
+function parseEnv(definition, raw) {
+  if (raw === undefined || raw === "") return undefined;
+
+  switch (definition.type) {
+    case "integer": {
+      const number = parseInt(raw);
+      return Number.isNaN(number) ? undefined : number;
+    }
+    case "boolean":
+      return raw === "true";
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Value used while no admin has saved one
+ * @param {string} key
+ * @returns {*}
+ */
+export function settingDefault(key) {
+  const definition = SETTINGS[key];
+  return parseEnv(definition, process.env[key]) ?? definition.default;
+}
+
+/**
+ * @param {string} key - Key of SETTINGS
+ * @returns {*} - Saved value, else the env var, else the built-in default
+ */
+export function getSetting(key) {
+  if (!SETTINGS[key]) {
+    throw new Error(`Unknown setting ${key}`);
+  }
+  return saved.has(key) ? saved.get(key) : settingDefault(key);
+}
+
+/**
+ * @param {string} key
+ * @returns {boolean} - Whether an admin has saved a value
+ */
+export const isSettingSaved = (key) => saved.has(key);
+
+/**
+ * Every public setting, for anonymous clients
+ * @returns {Object} - Values by key
+ */
+export function publicSettings() {
+  return Object.fromEntries(
+    SETTING_KEYS.filter((key) => SETTINGS[key].public).map((key) => [
+      key,
+      getSetting(key),
+    ])
+  );
+}
+
+/**
+ * Check a value against its setting's type
+ * @param {string} key
+ * @param {*} value
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateSetting(key, value) {
+  const definition = SETTINGS[key];
+  if (!definition) return `Unknown setting ${key}`;
+
+  switch (definition.type) {
+    case "integer":
+      if (!Number.isInteger(value)) {
+        return `${definition.label} must be a whole number`;
+      }
+      if (definition.min !== undefined && value < definition.min) {
+        return `${definition.label} must be at least ${definition.min}`;
+      }
+      if (definition.max !== undefined && value > definition.max) {
+        return `${definition.label} must be at most ${definition.max}`;
+      }
+      return null;
+    case "boolean":
+      return typeof value === "boolean"
+        ? null
+        : `${definition.label} must be true or false`;
+    default:
+      if (typeof value !== "string") {
+        return `${definition.label} must be text`;
+      }
+      return value.length > MAX_STRING_LENGTH
+        ? `${definition.label} must be at most ${MAX_STRING_LENGTH} characters`
+        : null;
+  }
+}
+
+/**
+ * Load saved values into memory; call once the database is synced
+ * @returns {Promise<void>}
+ */
+export async function loadSettings() {
+  const rows = await Setting.findAll();
+
+  saved.clear();
+  for (const row of rows) {
+    if (SETTINGS[row.key]) {
+      saved.set(row.key, JSON.parse(row.value));
+    }
+  }
+}
+
+/**
+ * Save validated values and record each change in the history. A null
+ * value deletes the saved one so the setting falls back to its env var or
+ * default. Takes effect immediately.
+ * @param {Object} changes - Values by key
+ * @param {Object} options
+ * @param {number} options.actorId - User making the change
+ * @returns {Promise<string[]>} - Keys that actually changed
+ */
+export async function saveSettings(changes, { actorId = null } = {}) {
+  const changed = Object.entries(changes).filter(
+    ([key, value]) => (saved.has(key) ? saved.get(key) : null) !== value
+  );
+
+  await db.transaction(async (transaction) => {
+    for (const [key, value] of changed) {
+      if (value === null) {
+        await Setting.destroy({ where: { key }, transaction });
+      } else {
+        await Setting.upsert(
+          { key, value: JSON.stringify(value) },
+          { transaction }
+        );
+      }
+
+      await SettingChange.create(
+        {
+          key,
+          oldValue: saved.has(key) ? JSON.stringify(saved.get(key)) : null,
+          newValue: value === null ? null : JSON.stringify(value),
+          actorId,
+        },
+        { transaction }
+      );
+    }
+  });
+
+  for (const [key, value] of changed) {
+    if (value === null) {
+      saved.delete(key);
+    } else {
+      saved.set(key, value);
+    }
+  }
+
+  return changed.map(([key]) => key);
+}
+
+export default Setting;
@@ -0,0 +1,53 @@
+import { DataTypes } from "sequelize";
+import db from "./db.js";
+
+// One changed setting; written by saveSettings in model/Setting.js
+const SettingChange = db.define(
+  "SettingChange",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    key: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    // JSON-encoded values; null means no saved value, i.e. the default
+    oldValue: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    newValue: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // Not a foreign key, so the history outlives deleted users
+    actorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "setting_changes",
+    timestamps: true,
+    updatedAt: false,
+    indexes: [{ fields: ["key"] }],
+  }
+);
+
+/**
+ * @param {Object} change - SettingChange record
+ * @returns {Object} - Change with decoded values
+ */
+export const formatSettingChange = (change) => ({
+  id: change.id,
+  key: change.key,
+  oldValue: change.oldValue === null ? null : JSON.parse(change.oldValue),
+  newValue: change.newValue === null ? null : JSON.parse(change.newValue),
+  actorId: change.actorId,
+  createdAt: change.createdAt,
+});
+
+export default SettingChange;
@@ -0,0 +1,102 @@
+import { DataTypes } from "sequelize";
+import db from "./db.js";
+
+// Resources columns a store item can grant
+export const GRANT_FIELDS = [
+  "ram",
+  "disk",
+  "cpu",
+  "allocations",
+  "databases",
+  "slots",
+];
+
+const grantColumn = () => ({
+  type: DataTypes.INTEGER,
+  allowNull: false,
+  defaultValue: 0,
+  validate: {
+    min: 0,
+  },
+});
+
+const StoreItem = db.define(
+  "StoreItem",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 100],
+      },
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    ram: grantColumn(),
+    disk: grantColumn(),
+    cpu: grantColumn(),
+    allocations: grantColumn(),
+    databases: grantColumn(),
+    slots: grantColumn(),
+    price: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 0,
+      },
+    },
+    // Units left for sale; null means unlimited
+    stock: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0,
+      },
+    },
+    // Units a single user may buy in total; null means unlimited
+    perUserLimit: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1,
+      },
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+  },
+  {
+    tableName: "store_items",
+    timestamps: true,
+    validate: {
+      grantsSomething() {
+        if (GRANT_FIELDS.every((field) => !this[field])) {
+          throw new Error("A store item must grant at least one resource");
+        }
+      },
+    },
+  }
+);
+
+/**
+ * Resources granted by buying `quantity` units of an item
+ * @param {Object} item - StoreItem record
+ * @param {number} quantity - Units bought
+ * @returns {Object} - Granted amount per resource field
+ */
+export const itemGrants = (item, quantity = 1) =>
+  Object.fromEntries(
+    GRANT_FIELDS.map((field) => [field, item[field] * quantity])
+  );
+
+export default StoreItem;
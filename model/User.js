@@ -1,6 +1,7 @@
 import { DataTypes } from "sequelize";
 import db from "./db.js";
-import Resources from "./Resources.js";
+import Resources from "./resources.js";
+import Role from "./Role.js";
 
 const User = db.define(
   "users",
@@ -61,6 +62,58 @@ const User = db.define(
         isInt: true,
       },
     },
+    // TOTP two-factor authentication; the secret is set during enrollment
+    // and only enforced once twoFactorEnabled is true
+    twoFactorEnabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    totpSecret: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    // Last accepted TOTP time step, so a code cannot be used twice
+    totpLastStep: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    // JSON array of SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // Bumped on password or email change to revoke previously issued tokens
+    tokenVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    // False until the owner follows the link in the verification mail.
+    // Only new registrations and changed addresses start unverified, and
+    // only while require_email_verification is on.
+    emailVerified: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    // First time any address of the account was verified; null means the
+    // account was never verified, which is what the unverified purge deletes
+    emailVerifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    // Failed password or two-factor attempts since the last login
+    failedLogins: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    // Logins are refused until this time; set by backoff and lockout
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
     resourcesId: {
       type: DataTypes.INTEGER,
       allowNull: true,
@@ -69,6 +122,16 @@ const User = db.define(
         key: "id",
       },
     },
+    // Dashboard staff role; panel root admins need none
+    roleId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: Role,
+        key: "id",
+      },
+      onDelete: "SET NULL",
+    },
   },
   {
     tableName: "users",
@@ -87,6 +150,11 @@ Resources.hasMany(User, {
   as: "users",
 });
 
+User.belongsTo(Role, {
+  foreignKey: "roleId",
+  as: "role",
+});
+
 // Fixed beforeCreate hook - automatically create resources for each new user
 User.beforeCreate(async (user, options) => {
   try {
@@ -100,4 +168,10 @@ User.beforeCreate(async (user, options) => {
   }
 });
 
+User.beforeSave((user) => {
+  if (user.emailVerified && !user.emailVerifiedAt) {
+    user.emailVerifiedAt = new Date();
+  }
+});
+
 export default User;
@@ -0,0 +1,325 @@
+// Schema as it was when migrations replaced sync({ alter: true }). Tables
+// the old sync already created are kept and given the columns they lack.
+
+/**
+ * Add an index unless one already covers the same fields
+ * @param {Object} queryInterface
+ * @param {string} table
+ * @param {string[]} fields
+ * @param {Object} options - addIndex options
+ */
+async function addIndexOnce(queryInterface, table, fields, options = {}) {
+  const indexes = await queryInterface.showIndex(table);
+  const exists = indexes.some(
+    (index) =>
+      index.fields.length === fields.length &&
+      index.fields.every((field, i) => field.attribute === fields[i])
+  );
+  if (!exists) {
+    await queryInterface.addIndex(table, fields, options);
+  }
+}
+
+/**
+ * Create a table, or add the columns missing from an older version of it
+ * @param {Object} queryInterface
+ * @param {string} table
+ * @param {Object} attributes - createTable attributes
+ */
+export async function createOrExtendTable(queryInterface, table, attributes) {
+  const tables = await queryInterface.showAllTables();
+  if (!tables.includes(table)) {
+    await queryInterface.createTable(table, attributes);
+    return;
+  }
+
+  const columns = await queryInterface.describeTable(table);
+  for (const [column, attribute] of Object.entries(attributes)) {
+    if (!columns[column]) {
+      await queryInterface.addColumn(table, column, attribute);
+    }
+  }
+}
+
+/**
+ * Baseline tables in creation order, so references point at existing tables
+ * @param {Object} DataTypes
+ * @returns {Array<{name: string, attributes: Object, indexes: Array}>} -
+ * indexes holds [fields, addIndex options] pairs
+ */
+export function baselineTables(DataTypes) {
+  const id = {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true,
+  };
+  const timestamps = {
+    createdAt: { type: DataTypes.DATE, allowNull: false },
+    updatedAt: { type: DataTypes.DATE, allowNull: false },
+  };
+  const userReference = {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: "users", key: "id" },
+    onDelete: "CASCADE",
+  };
+  const count = (defaultValue) => ({
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue,
+  });
+
+  const tables = [];
+  const table = (name, attributes, indexes = []) =>
+    tables.push({ name, attributes, indexes });
+
+  table("roles", {
+    id,
+    name: { type: DataTypes.STRING(50), allowNull: false, unique: true },
+    description: { type: DataTypes.STRING, allowNull: true },
+    permissions: { type: DataTypes.TEXT, allowNull: false, defaultValue: "[]" },
+    ...timestamps,
+  });
+
+  table("resources", {
+    id,
+    ram: { type: DataTypes.INTEGER, allowNull: false },
+    disk: { type: DataTypes.INTEGER, allowNull: false },
+    cpu: { type: DataTypes.INTEGER, allowNull: false },
+    allocations: { type: DataTypes.INTEGER, allowNull: false },
+    databases: { type: DataTypes.INTEGER, allowNull: false },
+    slots: { type: DataTypes.INTEGER, allowNull: false },
+    coins: { type: DataTypes.INTEGER, allowNull: true, defaultValue: 0 },
+    ...timestamps,
+  });
+
+  table("users", {
+    id,
+    firstName: { type: DataTypes.STRING, allowNull: false },
+    lastName: { type: DataTypes.STRING, allowNull: false },
+    username: { type: DataTypes.STRING, allowNull: false, unique: true },
+    email: { type: DataTypes.STRING, allowNull: false, unique: true },
+    password: { type: DataTypes.STRING, allowNull: false },
+    ptero_id: { type: DataTypes.INTEGER, allowNull: false, unique: true },
+    twoFactorEnabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    totpSecret: { type: DataTypes.STRING, allowNull: true },
+    totpLastStep: { type: DataTypes.INTEGER, allowNull: true },
+    recoveryCodes: { type: DataTypes.TEXT, allowNull: true },
+    tokenVersion: count(0),
+    emailVerified: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    failedLogins: count(0),
+    lockedUntil: { type: DataTypes.DATE, allowNull: true },
+    resourcesId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "resources", key: "id" },
+    },
+    roleId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "roles", key: "id" },
+      onDelete: "SET NULL",
+    },
+    ...timestamps,
+  });
+
+  table("sessions", {
+    id,
+    userId: userReference,
+    sid: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+    userAgent: { type: DataTypes.STRING, allowNull: true },
+    ip: { type: DataTypes.STRING(64), allowNull: true },
+    lastSeenAt: { type: DataTypes.DATE, allowNull: false },
+    expiresAt: { type: DataTypes.DATE, allowNull: false },
+    revokedAt: { type: DataTypes.DATE, allowNull: true },
+    createdAt: timestamps.createdAt,
+  });
+
+  table("api_keys", {
+    id,
+    userId: userReference,
+    name: { type: DataTypes.STRING(100), allowNull: false },
+    prefix: { type: DataTypes.STRING(16), allowNull: false },
+    keyHash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+    scopes: { type: DataTypes.TEXT, allowNull: false, defaultValue: "[]" },
+    lastUsedAt: { type: DataTypes.DATE, allowNull: true },
+    lastUsedIp: { type: DataTypes.STRING(64), allowNull: true },
+    expiresAt: { type: DataTypes.DATE, allowNull: true },
+    createdAt: timestamps.createdAt,
+  });
+
+  table(
+    "oauth_accounts",
+    {
+      id,
+      userId: userReference,
+      provider: { type: DataTypes.STRING(32), allowNull: false },
+      subject: { type: DataTypes.STRING, allowNull: false },
+      email: { type: DataTypes.STRING, allowNull: true },
+      ...timestamps,
+    },
+    [[["provider", "subject"], { unique: true }]]
+  );
+
+  table("password_resets", {
+    id,
+    userId: userReference,
+    tokenHash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+    expiresAt: { type: DataTypes.DATE, allowNull: false },
+    usedAt: { type: DataTypes.DATE, allowNull: true },
+    createdAt: timestamps.createdAt,
+  });
+
+  table("nodes", {
+    id,
+    name: { type: DataTypes.STRING, allowNull: false },
+    nodeId: { type: DataTypes.INTEGER, allowNull: false },
+    location: { type: DataTypes.STRING, allowNull: false },
+    ...timestamps,
+  });
+
+  table(
+    "eggs",
+    {
+      id,
+      eggId: { type: DataTypes.INTEGER, allowNull: false, unique: true },
+      name: { type: DataTypes.STRING, allowNull: false },
+      description: { type: DataTypes.TEXT, allowNull: true },
+      img: { type: DataTypes.STRING, allowNull: false },
+      ...timestamps,
+    },
+    [[["name"]]]
+  );
+
+  table("servers", {
+    id,
+    serverId: { type: DataTypes.INTEGER, allowNull: false },
+    renewDate: { type: DataTypes.DATE, allowNull: false },
+    suspendedAt: { type: DataTypes.DATE, allowNull: true },
+    lastOnlineAt: { type: DataTypes.DATE, allowNull: true },
+    allocationId: { type: DataTypes.INTEGER, allowNull: false },
+    owner: { type: DataTypes.INTEGER, allowNull: true },
+    ...timestamps,
+  });
+
+  table("store_items", {
+    id,
+    name: { type: DataTypes.STRING, allowNull: false },
+    description: { type: DataTypes.TEXT, allowNull: true },
+    ram: count(0),
+    disk: count(0),
+    cpu: count(0),
+    allocations: count(0),
+    databases: count(0),
+    slots: count(0),
+    price: { type: DataTypes.INTEGER, allowNull: false },
+    stock: { type: DataTypes.INTEGER, allowNull: true },
+    perUserLimit: { type: DataTypes.INTEGER, allowNull: true },
+    active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+    ...timestamps,
+  });
+
+  table("ledger_entries", {
+    id,
+    resourcesId: { type: DataTypes.INTEGER, allowNull: false },
+    actorId: { type: DataTypes.INTEGER, allowNull: true },
+    reason: {
+      type: DataTypes.ENUM(
+        "signup",
+        "purchase",
+        "admin_grant",
+        "renewal",
+        "refund",
+        "server_create",
+        "server_update",
+        "adjustment"
+      ),
+      allowNull: false,
+      defaultValue: "adjustment",
+    },
+    description: { type: DataTypes.STRING, allowNull: true },
+    coinsBefore: count(0),
+    coinsAfter: count(0),
+    storeItemId: { type: DataTypes.INTEGER, allowNull: true },
+    quantity: { type: DataTypes.INTEGER, allowNull: true },
+    changes: { type: DataTypes.TEXT, allowNull: false },
+    createdAt: timestamps.createdAt,
+  });
+
+  table("purge_jobs", {
+    id: { type: DataTypes.STRING, primaryKey: true, allowNull: false },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: "users", key: "id" },
+    },
+    keywords: { type: DataTypes.STRING, allowNull: false },
+    batch_size: count(5),
+    last_server_id: count(0),
+    criteria: { type: DataTypes.TEXT, allowNull: true },
+    server_ids: { type: DataTypes.TEXT, allowNull: true },
+    status: {
+      type: DataTypes.ENUM(
+        "preview",
+        "started",
+        "processing",
+        "completed",
+        "failed"
+      ),
+      defaultValue: "started",
+    },
+    total_servers: { type: DataTypes.INTEGER, defaultValue: 0 },
+    processed_count: { type: DataTypes.INTEGER, defaultValue: 0 },
+    deleted_count: { type: DataTypes.INTEGER, defaultValue: 0 },
+    failed_count: { type: DataTypes.INTEGER, defaultValue: 0 },
+    estimated_matches: { type: DataTypes.INTEGER, defaultValue: 0 },
+    error_message: { type: DataTypes.TEXT, allowNull: true },
+    created_at: { type: DataTypes.DATE },
+    completed_at: { type: DataTypes.DATE, allowNull: true },
+  });
+
+  table("settings", {
+    key: { type: DataTypes.STRING(64), primaryKey: true },
+    value: { type: DataTypes.TEXT, allowNull: false },
+    ...timestamps,
+  });
+
+  table(
+    "setting_changes",
+    {
+      id,
+      key: { type: DataTypes.STRING(64), allowNull: false },
+      oldValue: { type: DataTypes.TEXT, allowNull: true },
+      newValue: { type: DataTypes.TEXT, allowNull: true },
+      actorId: { type: DataTypes.INTEGER, allowNull: true },
+      createdAt: timestamps.createdAt,
+    },
+    [[["key"]]]
+  );
+
+  return tables;
+}
+
+export async function up({ queryInterface, DataTypes }) {
+  for (const { name, attributes, indexes } of baselineTables(DataTypes)) {
+    await createOrExtendTable(queryInterface, name, attributes);
+    for (const [fields, options] of indexes) {
+      await addIndexOnce(queryInterface, name, fields, options);
+    }
+  }
+}
+
+export async function down({ queryInterface, DataTypes }) {
+  // Reverse order, so no table is dropped while another references it
+  for (const { name } of baselineTables(DataTypes).reverse()) {
+    await queryInterface.dropTable(name);
+  }
+}
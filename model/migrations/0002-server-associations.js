@@ -0,0 +1,63 @@
+// Servers reference their owner, node and egg by Pterodactyl ids, the same
+// way owner always has: users.ptero_id, nodes.nodeId and eggs.eggId. Node
+// and egg ids of existing servers are filled in by backfillServerLinks in
+// control/adminServer.js.
+
+export async function up({ queryInterface, DataTypes, db }) {
+  const [duplicates] = await db.query(
+    "SELECT nodeId FROM nodes GROUP BY nodeId HAVING COUNT(*) > 1"
+  );
+  if (duplicates.length > 0) {
+    const ids = duplicates.map((row) => row.nodeId).join(", ");
+    throw new Error(
+      `Several nodes share a Pterodactyl node id (${ids}); remove the duplicates first`
+    );
+  }
+  await queryInterface.addIndex("nodes", ["nodeId"], { unique: true });
+
+  // A foreign key cannot point at users that no longer exist
+  await db.query(
+    "UPDATE servers SET owner = NULL WHERE owner NOT IN (SELECT ptero_id FROM users)"
+  );
+  await queryInterface.changeColumn("servers", "owner", {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: { model: "users", key: "ptero_id" },
+    onUpdate: "CASCADE",
+    onDelete: "SET NULL",
+  });
+
+  await queryInterface.addColumn("servers", "nodeId", {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: { model: "nodes", key: "nodeId" },
+    onUpdate: "CASCADE",
+    onDelete: "SET NULL",
+  });
+  await queryInterface.addColumn("servers", "eggId", {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: { model: "eggs", key: "eggId" },
+    onUpdate: "CASCADE",
+    onDelete: "SET NULL",
+  });
+}
+
+export async function down({ queryInterface, DataTypes }) {
+  await queryInterface.removeColumn("servers", "eggId");
+  await queryInterface.removeColumn("servers", "nodeId");
+
+  // MySQL needs the constraint dropped by name; sqlite has no names and
+  // drops the reference when changeColumn rebuilds the table
+  const keys = await queryInterface.getForeignKeyReferencesForTable("servers");
+  const ownerKey = keys.find((key) => key.columnName === "owner");
+  if (ownerKey?.constraintName) {
+    await queryInterface.removeConstraint("servers", ownerKey.constraintName);
+  }
+  await queryInterface.changeColumn("servers", "owner", {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: null,
+  });
+  await queryInterface.removeIndex("nodes", ["nodeId"]);
+}
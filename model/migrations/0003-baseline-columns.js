@@ -0,0 +1,13 @@
+// 0001-baseline used to skip tables the old sync() had already created, so
+// databases that applied it early lack the columns added to those tables
+// since, such as users.twoFactorEnabled and servers.suspendedAt.
+import { baselineTables, createOrExtendTable } from "./0001-baseline.js";
+
+export async function up({ queryInterface, DataTypes }) {
+  for (const { name, attributes } of baselineTables(DataTypes)) {
+    await createOrExtendTable(queryInterface, name, attributes);
+  }
+}
+
+// The columns are part of the baseline, which removes them
+export async function down() {}
@@ -0,0 +1,18 @@
+// Accounts that were ever verified are told apart from never verified ones,
+// so an account that changes to an unverified address is not purged.
+// Existing verified accounts count as verified when they were created.
+
+export async function up({ queryInterface, DataTypes, db }) {
+  await queryInterface.addColumn("users", "emailVerifiedAt", {
+    type: DataTypes.DATE,
+    allowNull: true,
+  });
+  await db.query(
+    "UPDATE users SET emailVerifiedAt = createdAt WHERE emailVerified = :verified",
+    { replacements: { verified: true } }
+  );
+}
+
+export async function down({ queryInterface }) {
+  await queryInterface.removeColumn("users", "emailVerifiedAt");
+}
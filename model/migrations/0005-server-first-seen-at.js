@@ -0,0 +1,14 @@
+// The purger's offline filter needs to know since when the dashboard has
+// watched a server: one never seen running is offline since then, not
+// since it was created. Existing servers start unobserved.
+
+export async function up({ queryInterface, DataTypes }) {
+  await queryInterface.addColumn("servers", "firstSeenAt", {
+    type: DataTypes.DATE,
+    allowNull: true,
+  });
+}
+
+export async function down({ queryInterface }) {
+  await queryInterface.removeColumn("servers", "firstSeenAt");
+}
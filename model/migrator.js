@@ -0,0 +1,153 @@
+import { DataTypes, Sequelize } from "sequelize";
+import fs from "node:fs/promises";
+import db from "./db.js";
+
+const MIGRATIONS_DIR = new URL("./migrations/", import.meta.url);
+
+// Migration files are run in name order, so names start with a number
+const MIGRATION_FILE = /^\d+-[\w-]+\.js$/;
+
+// Names of applied migrations; the only table created outside a migration
+const SchemaMigration = db.define(
+  "SchemaMigration",
+  {
+    name: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+    },
+  },
+  {
+    tableName: "schema_migrations",
+    timestamps: true,
+    updatedAt: false,
+  }
+);
+
+/**
+ * Every migration file, oldest first
+ * @returns {Promise<string[]>} - Migration names without the extension
+ */
+export async function listMigrations() {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  return files
+    .filter((file) => MIGRATION_FILE.test(file))
+    .sort()
+    .map((file) => file.slice(0, -".js".length));
+}
+
+/**
+ * @returns {Promise<string[]>} - Applied migration names, oldest first
+ */
+export async function appliedMigrations() {
+  await SchemaMigration.sync();
+  const rows = await SchemaMigration.findAll({ order: [["name", "ASC"]] });
+  return rows.map((row) => row.name);
+}
+
+/**
+ * @returns {Promise<string[]>} - Migrations not applied yet, oldest first
+ */
+export async function pendingMigrations() {
+  const applied = new Set(await appliedMigrations());
+  return (await listMigrations()).filter((name) => !applied.has(name));
+}
+
+/**
+ * Load a migration file
+ * @param {string} name - Migration name
+ * @returns {Promise<{up: Function, down: Function}>}
+ */
+async function loadMigration(name) {
+  const migration = await import(new URL(`${name}.js`, MIGRATIONS_DIR));
+  if (
+    typeof migration.up !== "function" ||
+    typeof migration.down !== "function"
+  ) {
+    throw new Error(`Migration ${name} must export up and down functions`);
+  }
+  return migration;
+}
+
+// Passed to each migration's up and down
+const migrationContext = () => ({
+  queryInterface: db.getQueryInterface(),
+  DataTypes,
+  Sequelize,
+  db,
+});
+
+/**
+ * Apply pending migrations in order. A migration is recorded only once its
+ * up has finished, so a failed one runs again next time.
+ * @param {Object} options
+ * @param {string} options.to - Stop after this migration
+ * @returns {Promise<string[]>} - Applied migration names
+ */
+export async function migrateUp({ to } = {}) {
+  const pending = await pendingMigrations();
+  if (to && !pending.includes(to)) {
+    throw new Error(`Migration ${to} is not pending`);
+  }
+
+  const applied = [];
+  for (const name of pending) {
+    const migration = await loadMigration(name);
+    console.log(`Applying migration ${name}`);
+    await migration.up(migrationContext());
+    await SchemaMigration.create({ name });
+    applied.push(name);
+
+    if (name === to) break;
+  }
+  return applied;
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {Object} options
+ * @param {number} options.steps - Number of migrations to revert
+ * @returns {Promise<string[]>} - Reverted migration names, newest first
+ */
+export async function migrateDown({ steps = 1 } = {}) {
+  const known = new Set(await listMigrations());
+  const applied = (await appliedMigrations()).reverse().slice(0, steps);
+
+  const reverted = [];
+  for (const name of applied) {
+    if (!known.has(name)) {
+      throw new Error(`Migration file for ${name} is missing`);
+    }
+    const migration = await loadMigration(name);
+    console.log(`Reverting migration ${name}`);
+    await migration.down(migrationContext());
+    await SchemaMigration.destroy({ where: { name } });
+    reverted.push(name);
+  }
+  return reverted;
+}
+
+/**
+ * Make sure the schema is current before the app starts. Pending
+ * migrations are applied when auto_migrate is on; otherwise startup is
+ * refused so a deploy never runs against an outdated schema.
+ * @param {Object} options
+ * @param {boolean} options.autoMigrate - Apply pending migrations
+ * @returns {Promise<void>}
+ */
+export async function checkMigrations({
+  autoMigrate = process.env.auto_migrate === "true",
+} = {}) {
+  const pending = await pendingMigrations();
+  if (pending.length === 0) return;
+
+  if (!autoMigrate) {
+    const names = pending.join(", ");
+    throw new Error(
+      `Pending database migrations: ${names}. ` +
+        `Run "bun migrate.js up" or set auto_migrate=true`
+    );
+  }
+
+  await migrateUp();
+  console.log(`Applied ${pending.length} database migration(s)`);
+}
@@ -1,6 +1,8 @@
 import { DataTypes } from "sequelize";
 import db from "./db.js";
+import { getSetting } from "./Setting.js";
 
+// Column defaults are read from settings for each new user
 const Resources = db.define(
   "resources",
   {
@@ -12,7 +14,7 @@ const Resources = db.define(
     ram: {
       type: DataTypes.INTEGER,
       allowNull: false,
-      defaultValue: parseInt(process.env.ram) || 1024,
+      defaultValue: () => getSetting("ram"),
       validate: {
         min: 0,
       },
@@ -20,7 +22,7 @@ const Resources = db.define(
     disk: {
       type: DataTypes.INTEGER,
       allowNull: false,
-      defaultValue: parseInt(process.env.disk) || 10240,
+      defaultValue: () => getSetting("disk"),
       validate: {
         min: 0,
       },
@@ -28,7 +30,7 @@ const Resources = db.define(
     cpu: {
       type: DataTypes.INTEGER,
       allowNull: false,
-      defaultValue: parseInt(process.env.cpu) || 100,
+      defaultValue: () => getSetting("cpu"),
       validate: {
         min: 0,
       },
@@ -36,7 +38,7 @@ const Resources = db.define(
     allocations: {
       type: DataTypes.INTEGER,
       allowNull: false,
-      defaultValue: parseInt(process.env.allocations) || 1,
+      defaultValue: () => getSetting("allocations"),
       validate: {
         min: 0,
       },
@@ -44,7 +46,7 @@ const Resources = db.define(
     databases: {
       type: DataTypes.INTEGER,
       allowNull: false,
-      defaultValue: parseInt(process.env.databases) || 1,
+      defaultValue: () => getSetting("databases"),
       validate: {
         min: 0,
       },
@@ -52,7 +54,7 @@ const Resources = db.define(
     slots: {
       type: DataTypes.INTEGER,
       allowNull: false,
-      defaultValue: parseInt(process.env.slots) || 1,
+      defaultValue: () => getSetting("slots"),
       validate: {
         min: 0,
       },
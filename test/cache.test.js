@@ -0,0 +1,62 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { TtlCache } from "../control/cache.js";
+import { AttemptThrottle } from "../control/throttle.js";
+
+describe("TtlCache", () => {
+  it("drops expired entries that are never read again", async () => {
+    const cache = new TtlCache(10, { sweepMs: 20 });
+    for (let i = 0; i < 100; i++) cache.set(`key${i}`, i);
+    assert.equal(cache.size, 100);
+
+    await sleep(60);
+    assert.equal(cache.size, 0);
+    cache.close();
+  });
+
+  it("evicts the oldest writes beyond maxSize", () => {
+    const cache = new TtlCache(60 * 1000, { maxSize: 3 });
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.set("c", 3);
+    // Writing a key again makes it the newest
+    cache.set("a", 4);
+    cache.set("d", 5);
+
+    assert.equal(cache.size, 3);
+    assert.equal(cache.get("b"), undefined);
+    assert.equal(cache.get("a"), 4);
+    assert.equal(cache.get("d"), 5);
+    cache.close();
+  });
+
+  it("prefers dropping expired entries to evicting live ones", () => {
+    const cache = new TtlCache(60 * 1000, { maxSize: 2 });
+    cache.set("expired", 1, -1);
+    cache.set("live", 2);
+    cache.set("new", 3);
+
+    assert.equal(cache.get("live"), 2);
+    assert.equal(cache.get("new"), 3);
+    cache.close();
+  });
+});
+
+describe("AttemptThrottle", () => {
+  it("remembers a bounded number of keys", () => {
+    const throttle = new AttemptThrottle({
+      freeAttempts: 0,
+      baseDelayMs: 1000,
+      maxDelayMs: 1000,
+      windowMs: 60 * 1000,
+      maxKeys: 10,
+    });
+
+    for (let i = 0; i < 1000; i++) throttle.fail(`10.0.${i >> 8}.${i & 255}`);
+
+    assert.equal(throttle.attempts.size, 10);
+    assert.ok(throttle.retryAfter("10.0.3.231") > 0);
+    throttle.attempts.close();
+  });
+});
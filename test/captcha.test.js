@@ -0,0 +1,190 @@
+import { PASSWORD, startApp } from "./helpers.js";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { setTimeout as sleep } from "node:timers/promises";
+import {
+  ProofOfWorkProvider,
+  createCaptchaProvider,
+  setCaptchaProvider,
+} from "../control/captcha.js";
+import { MockCaptchaVerifier } from "../mock/captcha.js";
+
+let app;
+let verifier;
+
+before(async () => {
+  app = await startApp();
+  verifier = new MockCaptchaVerifier();
+  await verifier.listen();
+});
+
+after(async () => {
+  setCaptchaProvider(null);
+  await verifier.close();
+  await app.close();
+});
+
+/**
+ * @param {string} name - captcha_provider value
+ * @param {Object} env - Extra env vars
+ * @returns {CaptchaProvider}
+ */
+const siteverifyProvider = (name, env = {}) =>
+  createCaptchaProvider({
+    captcha_provider: name,
+    site_key: "site-key",
+    site_secret: verifier.secret,
+    captcha_verify_url: verifier.url,
+    ...env,
+  });
+
+/**
+ * Search for a nonce like the browser widget does
+ * @param {{challenge: string, difficulty: number}} challenge
+ * @returns {string} - Token for verify
+ */
+function solve({ challenge, difficulty }) {
+  for (let nonce = 0; ; nonce++) {
+    const hash = createHash("sha256").update(`${challenge}${nonce}`).digest();
+    const bits = hash.readUInt32BE(0).toString(2).padStart(32, "0");
+    if (bits.startsWith("0".repeat(difficulty))) return `${challenge}:${nonce}`;
+  }
+}
+
+for (const name of ["turnstile", "hcaptcha", "recaptcha"]) {
+  describe(name, () => {
+    it("accepts a token the verifier vouches for, once", async () => {
+      const provider = siteverifyProvider(name);
+      verifier.accept(`${name}-token`);
+
+      assert.equal(await provider.verify(`${name}-token`, "10.0.0.1"), true);
+      assert.deepEqual(verifier.requests.at(-1), {
+        secret: verifier.secret,
+        response: `${name}-token`,
+        remoteip: "10.0.0.1",
+      });
+
+      assert.equal(await provider.verify(`${name}-token`, "10.0.0.1"), false);
+    });
+
+    it("refuses unknown and missing tokens", async () => {
+      const provider = siteverifyProvider(name);
+      const requests = verifier.requests.length;
+
+      assert.equal(await provider.verify("forged", "10.0.0.1"), false);
+      assert.equal(await provider.verify("", "10.0.0.1"), false);
+      // Empty tokens are refused without asking the verifier
+      assert.equal(verifier.requests.length, requests + 1);
+    });
+  });
+}
+
+describe("recaptcha_v3", () => {
+  const provider = () =>
+    siteverifyProvider("recaptcha_v3", { recaptcha_min_score: "0.7" });
+
+  it("accepts scores at or above the minimum for the login action", async () => {
+    verifier.accept("human", { score: 0.9, action: "login" });
+    assert.equal(await provider().verify("human"), true);
+  });
+
+  it("refuses low scores and other actions", async () => {
+    verifier.accept("bot", { score: 0.3, action: "login" });
+    verifier.accept("elsewhere", { score: 0.9, action: "signup" });
+
+    assert.equal(await provider().verify("bot"), false);
+    assert.equal(await provider().verify("elsewhere"), false);
+  });
+
+  it("tells the widget its action", () => {
+    assert.equal(provider().publicConfig().action, "login");
+  });
+});
+
+describe("pow", () => {
+  const provider = () =>
+    createCaptchaProvider({
+      captcha_provider: "pow",
+      SECRET_KEY: "test-secret",
+      captcha_pow_difficulty: "8",
+    });
+
+  it("accepts a solved challenge once", async () => {
+    const pow = provider();
+    const token = solve(pow.createChallenge());
+
+    assert.equal(await pow.verify(token), true);
+    assert.equal(await pow.verify(token), false);
+  });
+
+  it("refuses unsolved, forged and malformed tokens", async () => {
+    const pow = provider();
+    const { challenge } = pow.createChallenge();
+    const other = new ProofOfWorkProvider({ secret: "other", difficulty: 8 });
+
+    // Nonces are checked against the challenge's own difficulty
+    const unsolved = new ProofOfWorkProvider({
+      secret: "test-secret",
+      difficulty: 64,
+    }).createChallenge();
+    assert.equal(await pow.verify(`${unsolved.challenge}:0`), false);
+    assert.equal(await pow.verify(solve(other.createChallenge())), false);
+    assert.equal(await pow.verify(challenge), false);
+    assert.equal(await pow.verify(undefined), false);
+  });
+
+  it("forgets used challenges once they expire", async () => {
+    const pow = new ProofOfWorkProvider({
+      secret: "test-secret",
+      difficulty: 4,
+      expiresInMs: 1000,
+    });
+    assert.equal(await pow.verify(solve(pow.createChallenge())), true);
+    assert.equal(pow.used.size, 1);
+
+    // Expired after a second and swept within the next
+    await sleep(2200);
+    assert.equal(pow.used.size, 0);
+    pow.used.close();
+  });
+});
+
+describe("login with a captcha", () => {
+  it("needs a valid token", async () => {
+    setCaptchaProvider(siteverifyProvider("turnstile"));
+    const user = await app.createUser();
+    const client = app.client();
+
+    const missing = await client.login(user.email);
+    assert.equal(missing.status, 400);
+    assert.equal(
+      missing.body.error,
+      "Captcha verification failed, please try again"
+    );
+
+    verifier.accept("login-token");
+    const response = await client.post("/auth/login", {
+      email: user.email,
+      password: PASSWORD,
+      captchaToken: "login-token",
+    });
+    assert.equal(response.status, 200);
+  });
+
+  it("fails closed when the verifier cannot be reached", async () => {
+    setCaptchaProvider(
+      siteverifyProvider("turnstile", {
+        captcha_verify_url: "http://127.0.0.1:1/siteverify",
+      })
+    );
+    const user = await app.createUser();
+
+    const response = await app.client().post("/auth/login", {
+      email: user.email,
+      password: PASSWORD,
+      captchaToken: "any",
+    });
+    assert.equal(response.status, 503);
+  });
+});
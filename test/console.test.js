@@ -0,0 +1,111 @@
+import { startApp } from "./helpers.js";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import Node from "../model/Node.js";
+import { WingsConsole } from "../control/console.js";
+import { fetchWebsocketCredentials } from "../control/server.js";
+
+let app;
+let serverId;
+
+before(async () => {
+  app = await startApp();
+  await Node.create({ name: "Mock Node", nodeId: 1, location: "Test" });
+
+  const client = app.client();
+  await client.login((await app.createUser()).email);
+  const created = await client.post("/servers", {
+    name: "Console Server",
+    ram: 512,
+    disk: 2048,
+    cpu: 50,
+    nodeId: 1,
+    eggId: 1,
+  });
+  serverId = created.body.server.pterodactylId;
+});
+
+after(() => app.close());
+
+/**
+ * Wait for the next matching event
+ * @param {WingsConsole} wings
+ * @param {string} event
+ * @param {Function} matches - Picks the event's first argument
+ * @returns {Promise<*>} - That argument
+ */
+const waitFor = (wings, event, matches = () => true) =>
+  new Promise((resolve) => {
+    const listener = (value) => {
+      if (!matches(value)) return;
+      wings.off(event, listener);
+      resolve(value);
+    };
+    wings.on(event, listener);
+  });
+
+describe("WingsConsole", () => {
+  it("authenticates and relays status, stats and commands", async () => {
+    const wings = new WingsConsole(serverId);
+    const status = waitFor(wings, "status");
+    const stats = waitFor(wings, "stats");
+
+    await wings.connect();
+    assert.equal(await status, "offline");
+    assert.equal((await stats).state, "offline");
+
+    const echoed = waitFor(wings, "console", (line) => line === "> say hi");
+    wings.sendCommand("say hi");
+    await echoed;
+
+    wings.close();
+  });
+
+  it("rejects connect() when closed before the socket opens", async () => {
+    const wings = new WingsConsole(serverId, {
+      fetchCredentials: async (id) => {
+        const credentials = await fetchWebsocketCredentials(id);
+        // Runs once connect() has created the socket and waits for it
+        setImmediate(() => wings.close());
+        return credentials;
+      },
+    });
+
+    await assert.rejects(wings.connect(), /Console closed/);
+  });
+
+  it("emits nothing once closed", async () => {
+    let refreshes = 0;
+    const wings = new WingsConsole(serverId, {
+      fetchCredentials: async (id) => {
+        if (refreshes++ > 0) throw new Error("Panel unavailable");
+        return fetchWebsocketCredentials(id);
+      },
+    });
+    await wings.connect();
+
+    // The token refresh fails after close(), when no listener is left
+    const refresh = wings.handleMessage(
+      JSON.stringify({ event: "token expired", args: [] })
+    );
+    wings.close();
+    await refresh;
+
+    assert.equal(wings.emit("console", "late line"), false);
+  });
+
+  it("emits close when Wings drops the socket", async () => {
+    const wings = new WingsConsole(serverId);
+    const authenticated = waitFor(wings, "status");
+    await wings.connect();
+    await authenticated;
+
+    const closed = once(wings, "close");
+    const { uuid } = app.mockPanel.servers.get(serverId);
+    app.mockPanel.wings.remove(uuid);
+    await closed;
+
+    assert.equal(wings.closed, true);
+  });
+});
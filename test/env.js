@@ -0,0 +1,23 @@
+// Settings for the app under test. Imported before any app module, since
+// several read process.env when they load.
+Object.assign(process.env, {
+  db_url: "sqlite::memory:",
+  SECRET_KEY: "test-secret",
+  NODE_ENV: "test",
+  app_url: "http://dashboard.test",
+  // Replaced with the mock panel's URL once it listens
+  panel_url: "http://127.0.0.1:1",
+  panel_key: "ptla_test",
+  panel_max_retries: "0",
+  mail_transport: "memory",
+  captcha_provider: "none",
+  site_key: "",
+  require_email_verification: "false",
+  renewal_enabled: "false",
+  ram: "1024",
+  disk: "10240",
+  cpu: "100",
+  allocations: "1",
+  databases: "0",
+  slots: "1",
+});
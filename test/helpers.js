@@ -0,0 +1,174 @@
+import "./env.js";
+import bcrypt from "bcrypt";
+import { createApp } from "../app.js";
+import db from "../model/db.js";
+import User from "../model/User.js";
+import Resources from "../model/resources.js";
+import { migrateUp } from "../model/migrator.js";
+import { loadSettings } from "../model/Setting.js";
+import { seedRoles } from "../control/roles.js";
+import { seedStoreItems } from "../control/store.js";
+import { MemoryTransport, setMailTransport } from "../control/mail.js";
+import panel from "../control/pterodactyl.js";
+import { MockPanel } from "../mock/panel.js";
+
+export const PASSWORD = "correct horse battery";
+
+/**
+ * Talks to the app under test like a browser: JSON bodies and the auth
+ * cookie kept between requests
+ */
+export class TestClient {
+  /**
+   * @param {string} baseURL - App URL
+   */
+  constructor(baseURL) {
+    this.baseURL = baseURL;
+    this.cookies = new Map();
+  }
+
+  /**
+   * @param {string} method
+   * @param {string} path - Path below /api
+   * @param {Object} body - Sent as JSON
+   * @returns {Promise<{status: number, body: Object, headers: Headers}>}
+   */
+  async request(method, path, body) {
+    const headers = { accept: "application/json" };
+    if (body !== undefined) headers["content-type"] = "application/json";
+    if (this.cookies.size > 0) {
+      headers.cookie = [...this.cookies]
+        .map(([name, value]) => `${name}=${value}`)
+        .join("; ");
+    }
+
+    const response = await fetch(`${this.baseURL}/api${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      redirect: "manual",
+    });
+
+    for (const cookie of response.headers.getSetCookie()) {
+      const [pair] = cookie.split(";");
+      const name = pair.slice(0, pair.indexOf("="));
+      const value = pair.slice(pair.indexOf("=") + 1);
+      if (value) this.cookies.set(name, value);
+      else this.cookies.delete(name);
+    }
+
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      json = text;
+    }
+    return { status: response.status, body: json, headers: response.headers };
+  }
+
+  get(path) {
+    return this.request("GET", path);
+  }
+
+  post(path, body = {}) {
+    return this.request("POST", path, body);
+  }
+
+  put(path, body = {}) {
+    return this.request("PUT", path, body);
+  }
+
+  delete(path, body) {
+    return this.request("DELETE", path, body);
+  }
+
+  /**
+   * @param {string} email
+   * @param {string} password
+   * @returns {Promise<Object>} - Login response
+   */
+  login(email, password = PASSWORD) {
+    return this.post("/auth/login", { email, password });
+  }
+}
+
+/**
+ * Boot the app against a fresh in-memory database and a seeded mock panel
+ * @returns {Promise<Object>} - url, mockPanel, mail, client(), createUser()
+ * and close()
+ */
+export async function startApp() {
+  const mockPanel = new MockPanel().seed();
+  process.env.panel_url = await mockPanel.listen();
+  panel.setBaseURL(process.env.panel_url);
+
+  await migrateUp();
+  await loadSettings();
+  await seedRoles();
+  await seedStoreItems();
+
+  const mail = new MemoryTransport();
+  setMailTransport(mail);
+
+  const { httpServer, io } = createApp({ logRequests: false });
+  await new Promise((resolve) => httpServer.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${httpServer.address().port}`;
+
+  let users = 0;
+
+  return {
+    url,
+    mockPanel,
+    mail,
+    db,
+
+    client: () => new TestClient(url),
+
+    /**
+     * Create a user on the panel and locally without going through
+     * registration, which is rate limited per IP
+     * @param {Object} attributes - User fields to override
+     * @param {Object} options
+     * @param {boolean} options.rootAdmin - Make them a panel root admin
+     * @param {Object} options.resources - Resource fields to override
+     * @returns {Promise<Object>} - User record
+     */
+    async createUser(attributes = {}, { rootAdmin = false, resources } = {}) {
+      users++;
+      const username = attributes.username ?? `user${users}`;
+      const email = attributes.email ?? `${username}@example.com`;
+      const pteroUser = mockPanel.addUser({
+        email,
+        username,
+        first_name: "Test",
+        last_name: "User",
+        root_admin: rootAdmin,
+      });
+      const user = await User.create({
+        firstName: "Test",
+        lastName: "User",
+        username,
+        email,
+        // Cheap rounds; bcrypt.compare reads them from the hash
+        password: await bcrypt.hash(PASSWORD, 4),
+        ptero_id: pteroUser.id,
+        ...attributes,
+      });
+
+      // User creation gives every user the default resources
+      if (resources) {
+        await Resources.update(resources, { where: { id: user.resourcesId } });
+      }
+      return user;
+    },
+
+    async close() {
+      io.close();
+      httpServer.closeAllConnections();
+      await new Promise((resolve) => httpServer.close(resolve));
+      await mockPanel.close();
+      await db.close();
+    },
+  };
+}
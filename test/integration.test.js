@@ -0,0 +1,415 @@
+import { startApp } from "./helpers.js";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import Node from "../model/Node.js";
+import Servers from "../model/Servers.js";
+import Resources from "../model/resources.js";
+import StoreItem from "../model/StoreItem.js";
+import LedgerEntry from "../model/LedgerEntry.js";
+import PurgeJob from "../model/PurgeJob.js";
+import { pollServerActivity } from "../control/server.js";
+
+let app;
+
+before(async () => {
+  app = await startApp();
+  // The seeded mock panel has node 1 with free ports and egg 1
+  await Node.create({ name: "Mock Node", nodeId: 1, location: "Test" });
+});
+
+after(() => app.close());
+
+/**
+ * @param {TestClient} client - Logged in client
+ * @param {Object} body - Overrides for the create request
+ * @returns {Promise<Object>} - Create response
+ */
+const createServer = (client, body = {}) =>
+  client.post("/servers", {
+    name: "Test Server",
+    ram: 512,
+    disk: 2048,
+    cpu: 50,
+    nodeId: 1,
+    eggId: 1,
+    ...body,
+  });
+
+/**
+ * Wait for a purge job to finish
+ * @param {TestClient} client - Admin client
+ * @param {string} jobId
+ * @returns {Promise<Object>} - Finished job
+ */
+async function waitForJob(client, jobId) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const { body } = await client.get(`/admin/purger/status/${jobId}`);
+    if (["completed", "failed"].includes(body.job.status)) return body.job;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`Purge job ${jobId} did not finish`);
+}
+
+describe("registration and login", () => {
+  it("registers a user on the panel and logs them in", async () => {
+    const client = app.client();
+    const registered = await client.post("/auth/register", {
+      firstname: "New",
+      lastname: "Player",
+      username: "newplayer",
+      email: "new@example.com",
+      password: "a long password",
+    });
+
+    assert.equal(registered.status, 201);
+    assert.ok(client.cookies.has("auth_token"));
+
+    const pteroUser = [...app.mockPanel.users.values()].find(
+      (user) => user.email === "new@example.com"
+    );
+    assert.equal(pteroUser?.username, "newplayer");
+
+    const me = await client.get("/auth/me");
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user.ptero_id, pteroUser.id);
+    assert.equal(me.body.resources.ram, 1024);
+  });
+
+  it("refuses a taken email", async () => {
+    const response = await app.client().post("/auth/register", {
+      firstname: "Other",
+      lastname: "Player",
+      username: "otherplayer",
+      email: "new@example.com",
+      password: "a long password",
+    });
+
+    assert.equal(response.status, 409);
+  });
+
+  it("accepts the right password only", async () => {
+    const client = app.client();
+
+    const wrong = await client.login("new@example.com", "not the password");
+    assert.equal(wrong.status, 401);
+    assert.equal(client.cookies.has("auth_token"), false);
+
+    const right = await client.login("new@example.com", "a long password");
+    assert.equal(right.status, 200);
+    assert.equal(right.body.user.username, "newplayer");
+    assert.ok(client.cookies.has("auth_token"));
+  });
+});
+
+describe("servers", () => {
+  let user;
+  let client;
+
+  before(async () => {
+    user = await app.createUser();
+    client = app.client();
+    await client.login(user.email);
+  });
+
+  const resources = () => Resources.findByPk(user.resourcesId);
+
+  it("creates, resizes and deletes a server with resource accounting", async () => {
+    const created = await createServer(client);
+    assert.equal(created.status, 201);
+
+    const panelServer = app.mockPanel.servers.get(
+      created.body.server.pterodactylId
+    );
+    assert.equal(panelServer.user, user.ptero_id);
+    assert.equal(panelServer.limits.memory, 512);
+
+    let balance = await resources();
+    assert.equal(balance.ram, 1024 - 512);
+    assert.equal(balance.disk, 10240 - 2048);
+    assert.equal(balance.cpu, 100 - 50);
+    assert.equal(balance.slots, 0);
+
+    const dbServer = await Servers.findByPk(created.body.server.id);
+    assert.equal(dbServer.owner, user.ptero_id);
+    assert.equal(dbServer.nodeId, 1);
+
+    const updated = await client.put(`/servers/${dbServer.id}`, {
+      name: "Renamed",
+      ram: 768,
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(panelServer.name, "Renamed");
+    assert.equal(panelServer.limits.memory, 768);
+    balance = await resources();
+    assert.equal(balance.ram, 1024 - 768);
+
+    const deleted = await client.delete(`/servers/${dbServer.id}`);
+    assert.equal(deleted.status, 200);
+    assert.equal(app.mockPanel.servers.has(panelServer.id), false);
+    assert.equal(await Servers.findByPk(dbServer.id), null);
+
+    balance = await resources();
+    assert.equal(balance.ram, 1024);
+    assert.equal(balance.disk, 10240);
+    assert.equal(balance.cpu, 100);
+    assert.equal(balance.slots, 1);
+
+    const reasons = (
+      await LedgerEntry.findAll({
+        where: { resourcesId: user.resourcesId },
+        order: [["id", "ASC"]],
+      })
+    )
+      .map((entry) => entry.reason)
+      .filter((reason) => reason !== "signup");
+    assert.deepEqual(reasons, ["server_create", "server_update", "refund"]);
+  });
+
+  it("refuses servers larger than the user's resources", async () => {
+    const response = await createServer(client, { ram: 4096 });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "Insufficient resources");
+    assert.equal(app.mockPanel.servers.size, 0);
+  });
+
+  it("refuses resizes beyond the user's resources", async () => {
+    const created = await createServer(client);
+    const response = await client.put(`/servers/${created.body.server.id}`, {
+      ram: 2048,
+    });
+
+    assert.equal(response.status, 400);
+    const panelServer = app.mockPanel.servers.get(
+      created.body.server.pterodactylId
+    );
+    assert.equal(panelServer.limits.memory, 512);
+    assert.equal((await resources()).ram, 1024 - 512);
+
+    await client.delete(`/servers/${created.body.server.id}`);
+  });
+
+  it("hides other users' servers", async () => {
+    const created = await createServer(client);
+    const other = app.client();
+    await other.login((await app.createUser()).email);
+
+    const response = await other.delete(`/servers/${created.body.server.id}`);
+    assert.equal(response.status, 404);
+    assert.ok(app.mockPanel.servers.has(created.body.server.pterodactylId));
+
+    await client.delete(`/servers/${created.body.server.id}`);
+  });
+});
+
+describe("store", () => {
+  let user;
+  let client;
+
+  before(async () => {
+    user = await app.createUser({}, { resources: { coins: 100 } });
+    client = app.client();
+    await client.login(user.email);
+  });
+
+  it("sells items for coins", async () => {
+    const item = await StoreItem.create({
+      name: "512 MB RAM",
+      ram: 512,
+      price: 30,
+      stock: 5,
+    });
+
+    const response = await client.post("/store", {
+      itemId: item.id,
+      quantity: 2,
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.totalCost, 60);
+
+    const resources = await Resources.findByPk(user.resourcesId);
+    assert.equal(resources.coins, 40);
+    assert.equal(resources.ram, 1024 + 1024);
+    assert.equal((await item.reload()).stock, 3);
+
+    const entry = await LedgerEntry.findOne({
+      where: { resourcesId: user.resourcesId, reason: "purchase" },
+    });
+    assert.equal(entry.coinsBefore, 100);
+    assert.equal(entry.coinsAfter, 40);
+    assert.equal(entry.quantity, 2);
+  });
+
+  it("refuses purchases the user cannot afford", async () => {
+    const item = await StoreItem.create({ name: "Slot", slots: 1, price: 50 });
+
+    const response = await client.post("/store", {
+      itemId: item.id,
+      quantity: 1,
+    });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "Insufficient coins");
+
+    const resources = await Resources.findByPk(user.resourcesId);
+    assert.equal(resources.coins, 40);
+    assert.equal(resources.slots, 1);
+  });
+});
+
+describe("purger", () => {
+  let admin;
+  let owner;
+  let ownerClient;
+
+  before(async () => {
+    admin = app.client();
+    await admin.login((await app.createUser({}, { rootAdmin: true })).email);
+
+    owner = await app.createUser(
+      {},
+      { resources: { slots: 2, allocations: 2 } }
+    );
+    ownerClient = app.client();
+    await ownerClient.login(owner.email);
+  });
+
+  it("is only open to admins", async () => {
+    const response = await ownerClient.post("/admin/purger/preview", {
+      keywords: "keep",
+    });
+    assert.equal(response.status, 403);
+  });
+
+  it("previews and purges servers without a protected keyword", async () => {
+    const kept = await createServer(ownerClient, {
+      name: "keep me",
+      ram: 256,
+    });
+    const purged = await createServer(ownerClient, {
+      name: "old server",
+      ram: 256,
+    });
+
+    const preview = await admin.post("/admin/purger/preview", {
+      keywords: "keep",
+    });
+    assert.equal(preview.status, 200);
+    assert.deepEqual(
+      preview.body.servers.map((server) => server.id),
+      [purged.body.server.id]
+    );
+    // A preview changes nothing
+    assert.ok(app.mockPanel.servers.has(purged.body.server.pterodactylId));
+
+    const confirmed = await admin.post(
+      `/admin/purger/preview/${preview.body.preview_id}/confirm`
+    );
+    assert.equal(confirmed.status, 202);
+
+    const job = await waitForJob(admin, confirmed.body.job_id);
+    assert.equal(job.status, "completed");
+    assert.equal(job.progress.deleted, 1);
+
+    assert.equal(
+      app.mockPanel.servers.has(purged.body.server.pterodactylId),
+      false
+    );
+    assert.ok(app.mockPanel.servers.has(kept.body.server.pterodactylId));
+    assert.equal(await Servers.findByPk(purged.body.server.id), null);
+
+    // The owner gets the purged server's resources back
+    const resources = await Resources.findByPk(owner.resourcesId);
+    assert.equal(resources.ram, 1024 - 256);
+    assert.equal(resources.slots, 1);
+  });
+
+  it("counts servers offline only since the dashboard first saw them", async () => {
+    const idle = await createServer(ownerClient, { name: "idle", ram: 256 });
+    const { id } = idle.body.server;
+    const monthAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    await Servers.update(
+      { createdAt: monthAgo },
+      { where: { id }, silent: true }
+    );
+
+    const offlineIds = async () => {
+      const preview = await admin.post("/admin/purger/preview", {
+        keywords: "keep",
+        offlineDays: 7,
+      });
+      assert.equal(preview.status, 200);
+      return preview.body.servers.map((server) => server.id);
+    };
+
+    // Never observed, however old
+    assert.deepEqual(await offlineIds(), []);
+
+    await pollServerActivity();
+    const dbServer = await Servers.findByPk(id);
+    assert.ok(dbServer.firstSeenAt);
+    assert.equal(dbServer.lastOnlineAt, null);
+    assert.deepEqual(await offlineIds(), []);
+
+    // Seen offline for over a week
+    await dbServer.update({ firstSeenAt: monthAgo });
+    assert.deepEqual(await offlineIds(), [id]);
+  });
+
+  it("rechecks previewed servers before deleting them", async () => {
+    await Resources.increment(
+      { slots: 2, allocations: 2, cpu: 100 },
+      { where: { id: owner.resourcesId } }
+    );
+    const renamed = await createServer(ownerClient, {
+      name: "renamed later",
+      ram: 128,
+    });
+    const stale = await createServer(ownerClient, { name: "stale", ram: 128 });
+
+    const preview = await admin.post("/admin/purger/preview", {
+      keywords: "keep,idle",
+    });
+    assert.deepEqual(
+      preview.body.servers.map((server) => server.id),
+      [renamed.body.server.id, stale.body.server.id]
+    );
+
+    // Protected by a keyword after the preview
+    const { pterodactylId } = renamed.body.server;
+    app.mockPanel.servers.get(pterodactylId).name = "keep renamed";
+
+    const confirmed = await admin.post(
+      `/admin/purger/preview/${preview.body.preview_id}/confirm`
+    );
+    const job = await waitForJob(admin, confirmed.body.job_id);
+    assert.equal(job.progress.deleted, 1);
+
+    assert.ok(app.mockPanel.servers.has(pterodactylId));
+    assert.ok(await Servers.findByPk(renamed.body.server.id));
+    assert.equal(await Servers.findByPk(stale.body.server.id), null);
+  });
+
+  it("expires previews nobody confirmed", async () => {
+    const preview = () =>
+      admin.post("/admin/purger/preview", { keywords: "keep,idle" });
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+
+    const expired = (await preview()).body.preview_id;
+    await PurgeJob.update({ created_at: hourAgo }, { where: { id: expired } });
+    const confirmed = await admin.post(
+      `/admin/purger/preview/${expired}/confirm`
+    );
+    assert.equal(confirmed.status, 410);
+    assert.equal(await PurgeJob.findByPk(expired), null);
+
+    // A new preview clears out the stale ones
+    const unconfirmed = (await preview()).body.preview_id;
+    await PurgeJob.update(
+      { created_at: hourAgo },
+      { where: { id: unconfirmed } }
+    );
+    const current = (await preview()).body.preview_id;
+    assert.equal(await PurgeJob.findByPk(unconfirmed), null);
+    assert.ok(await PurgeJob.findByPk(current));
+  });
+});
@@ -0,0 +1,177 @@
+import { startApp } from "./helpers.js";
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import User from "../model/User.js";
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+afterEach(() => {
+  process.env.require_email_verification = "false";
+  app.mail.clear();
+});
+
+/**
+ * @param {Object} message - Mail from the memory transport
+ * @returns {URL} - The link in its text
+ */
+const mailLink = (message) => {
+  const links = message.text.match(/https?:\/\/\S+/g);
+  assert.equal(links?.length, 1, "expected one link in the mail");
+  return new URL(links[0]);
+};
+
+/**
+ * @param {TestClient} client
+ * @param {string} username
+ * @returns {Promise<Object>} - Register response
+ */
+const register = (client, username) =>
+  client.post("/auth/register", {
+    firstname: "Mail",
+    lastname: "Tester",
+    username,
+    email: `${username}@example.com`,
+    password: "a long password",
+  });
+
+describe("verification mail", () => {
+  it("is sent on registration and verifies the address", async () => {
+    process.env.require_email_verification = "true";
+    const client = app.client();
+
+    const registered = await register(client, "verifyme");
+    assert.equal(registered.status, 201);
+    assert.equal(registered.body.user.emailVerified, false);
+
+    assert.equal(app.mail.messages.length, 1);
+    const [message] = app.mail.messages;
+    assert.equal(message.to, "verifyme@example.com");
+    assert.match(message.subject, /^Verify your .+ email$/);
+    assert.match(message.text, /^Hi Mail,/);
+    assert.match(message.text, /expires in 24 hours/);
+
+    const link = mailLink(message);
+    assert.equal(link.origin, process.env.app_url);
+    assert.equal(link.pathname, "/auth/verify-email");
+
+    const token = link.searchParams.get("token");
+    const user = await User.findOne({ where: { username: "verifyme" } });
+    const claims = jwt.decode(token);
+    assert.equal(claims.purpose, "verify-email");
+    assert.equal(claims.userId, user.id);
+    assert.equal(claims.email, "verifyme@example.com");
+
+    const verified = await client.post("/auth/verify-email", { token });
+    assert.equal(verified.status, 200);
+    assert.equal((await user.reload()).emailVerified, true);
+  });
+
+  it("is not sent while verification is off", async () => {
+    const registered = await register(app.client(), "noverify");
+
+    assert.equal(registered.status, 201);
+    assert.equal(registered.body.user.emailVerified, true);
+    assert.equal(app.mail.messages.length, 0);
+  });
+});
+
+describe("password reset mail", () => {
+  let user;
+
+  before(async () => {
+    user = await app.createUser({ firstName: "Forgetful" });
+  });
+
+  /**
+   * @returns {Promise<string>} - Token from the newest reset mail
+   */
+  async function requestReset() {
+    const response = await app
+      .client()
+      .post("/auth/forgot-password", { email: user.email });
+    assert.equal(response.status, 200);
+
+    const message = app.mail.messages.at(-1);
+    assert.equal(message.to, user.email);
+    return mailLink(message).searchParams.get("token");
+  }
+
+  it("answers the same for unknown addresses and sends nothing", async () => {
+    const response = await app
+      .client()
+      .post("/auth/forgot-password", { email: "nobody@example.com" });
+
+    assert.equal(response.status, 200);
+    assert.match(response.body.message, /If an account exists/);
+    assert.equal(app.mail.messages.length, 0);
+  });
+
+  it("mails a single-use link that sets a new password", async () => {
+    const token = await requestReset();
+
+    const [message] = app.mail.messages;
+    assert.match(message.subject, /^Reset your .+ password$/);
+    assert.match(message.text, /^Hi Forgetful,/);
+    assert.match(message.text, /expires in 60 minutes/);
+    const link = mailLink(message);
+    assert.equal(link.origin, process.env.app_url);
+    assert.equal(link.pathname, "/auth/reset-password");
+    assert.match(token, /^[0-9a-f]{64}$/);
+
+    const reset = await app
+      .client()
+      .post("/auth/reset-password", { token, password: "a new password" });
+    assert.equal(reset.status, 200);
+
+    assert.equal((await app.client().login(user.email)).status, 401);
+    assert.equal(
+      (await app.client().login(user.email, "a new password")).status,
+      200
+    );
+
+    const reused = await app
+      .client()
+      .post("/auth/reset-password", { token, password: "another password" });
+    assert.equal(reused.status, 400);
+  });
+
+  it("only honours the newest link", async () => {
+    const first = await requestReset();
+    const second = await requestReset();
+    assert.notEqual(first, second);
+
+    const stale = await app.client().post("/auth/reset-password", {
+      token: first,
+      password: "stale password",
+    });
+    assert.equal(stale.status, 400);
+
+    const fresh = await app.client().post("/auth/reset-password", {
+      token: second,
+      password: "fresh password",
+    });
+    assert.equal(fresh.status, 200);
+  });
+
+  it("stops mailing an address that keeps asking", async () => {
+    const { email } = await app.createUser();
+    const ask = (address) =>
+      app.client().post("/auth/forgot-password", { email: address });
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await ask(email)).status, 200);
+    }
+    // However the address is spelled
+    const throttled = await ask(email.toUpperCase());
+    assert.equal(throttled.status, 429);
+    assert.match(throttled.body.error, /^Too many attempts/);
+    assert.equal(app.mail.messages.length, 3);
+  });
+});
@@ -0,0 +1,125 @@
+import "./env.js";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import bcrypt from "bcrypt";
+
+// Tables as sync() created them before migrations, without the columns
+// added to users and servers later
+const SYNC_ERA_SCHEMA = [
+  "CREATE TABLE `resources` (`id` INTEGER PRIMARY KEY, `ram` INTEGER NOT NULL DEFAULT '1024', `disk` INTEGER NOT NULL DEFAULT '10240', `cpu` INTEGER NOT NULL DEFAULT '100', `allocations` INTEGER NOT NULL DEFAULT '1', `databases` INTEGER NOT NULL DEFAULT '1', `slots` INTEGER NOT NULL DEFAULT '1', `coins` INTEGER DEFAULT '0', `createdAt` DATETIME NOT NULL, `updatedAt` DATETIME NOT NULL)",
+  "CREATE TABLE `users` (`id` INTEGER PRIMARY KEY, `firstName` VARCHAR(255) NOT NULL, `lastName` VARCHAR(255) NOT NULL, `username` VARCHAR(255) NOT NULL UNIQUE, `email` VARCHAR(255) NOT NULL UNIQUE, `password` VARCHAR(255) NOT NULL, `ptero_id` INTEGER NOT NULL UNIQUE, `resourcesId` INTEGER REFERENCES `resources` (`id`), `createdAt` DATETIME NOT NULL, `updatedAt` DATETIME NOT NULL)",
+  "CREATE TABLE `nodes` (`id` INTEGER PRIMARY KEY, `name` VARCHAR(255) NOT NULL, `nodeId` INTEGER NOT NULL, `location` VARCHAR(255) NOT NULL, `createdAt` DATETIME NOT NULL, `updatedAt` DATETIME NOT NULL)",
+  "CREATE TABLE `servers` (`id` INTEGER PRIMARY KEY, `serverId` INTEGER NOT NULL, `renewDate` DATETIME NOT NULL, `allocationId` INTEGER NOT NULL, `owner` INTEGER, `createdAt` DATETIME NOT NULL, `updatedAt` DATETIME NOT NULL)",
+  "CREATE TABLE `eggs` (`id` INTEGER PRIMARY KEY, `eggId` INTEGER NOT NULL UNIQUE, `name` VARCHAR(255) NOT NULL, `description` TEXT, `img` VARCHAR(255) NOT NULL, `createdAt` DATETIME NOT NULL, `updatedAt` DATETIME NOT NULL)",
+  "CREATE INDEX `eggs_name` ON `eggs` (`name`)",
+];
+
+const dir = mkdtempSync(path.join(tmpdir(), "nexodactyl-"));
+process.env.db_url = `sqlite:${path.join(dir, "database.sqlite")}`;
+
+let db;
+let migrator;
+let applied;
+let app;
+
+before(async () => {
+  // Loaded only now, so the database module picks up the file above
+  ({ default: db } = await import("../model/db.js"));
+  migrator = await import("../model/migrator.js");
+
+  for (const statement of SYNC_ERA_SCHEMA) {
+    await db.query(statement);
+  }
+  const now = new Date().toISOString();
+  const password = await bcrypt.hash("an old password", 4);
+  await db.query(
+    "INSERT INTO resources VALUES (1, 1024, 10240, 100, 1, 1, 1, 50, ?, ?)",
+    { replacements: [now, now] }
+  );
+  await db.query(
+    "INSERT INTO users VALUES (1, 'Old', 'User', 'olduser', 'old@example.com', ?, 1, 1, ?, ?)",
+    { replacements: [password, now, now] }
+  );
+  await db.query("INSERT INTO servers VALUES (1, 1, ?, 1, 1, ?, ?)", {
+    replacements: [now, now, now],
+  });
+
+  applied = await migrator.migrateUp();
+});
+
+after(async () => {
+  // Closing the app closes the database too
+  await (app ? app.close() : db.close());
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe("upgrading a database created by sync()", () => {
+  it("applies every migration", async () => {
+    assert.deepEqual(applied, await migrator.listMigrations());
+    assert.deepEqual(await migrator.pendingMigrations(), []);
+  });
+
+  it("adds the columns sync() never created", async () => {
+    const queryInterface = db.getQueryInterface();
+    const users = await queryInterface.describeTable("users");
+    for (const column of [
+      "twoFactorEnabled",
+      "tokenVersion",
+      "emailVerified",
+      "emailVerifiedAt",
+      "failedLogins",
+      "lockedUntil",
+      "roleId",
+    ]) {
+      assert.ok(users[column], `users.${column} is missing`);
+    }
+
+    const servers = await queryInterface.describeTable("servers");
+    for (const column of [
+      "suspendedAt",
+      "lastOnlineAt",
+      "firstSeenAt",
+      "nodeId",
+      "eggId",
+    ]) {
+      assert.ok(servers[column], `servers.${column} is missing`);
+    }
+  });
+
+  it("keeps existing rows, with defaults for the new columns", async () => {
+    const [[user]] = await db.query("SELECT * FROM users WHERE id = 1");
+    assert.equal(user.email, "old@example.com");
+    assert.equal(user.tokenVersion, 0);
+    assert.equal(user.failedLogins, 0);
+    assert.equal(Boolean(user.twoFactorEnabled), false);
+    assert.equal(Boolean(user.emailVerified), true);
+    assert.equal(user.emailVerifiedAt, user.createdAt);
+
+    const [[server]] = await db.query("SELECT * FROM servers WHERE id = 1");
+    assert.equal(server.owner, 1);
+    assert.equal(server.suspendedAt, null);
+  });
+
+  it("lets existing users log in and servers be backfilled", async () => {
+    const { startApp } = await import("./helpers.js");
+    const { backfillServerLinks } = await import("../control/adminServer.js");
+
+    app = await startApp();
+    app.mockPanel.addUser({
+      email: "old@example.com",
+      username: "olduser",
+      first_name: "Old",
+      last_name: "User",
+    });
+
+    const response = await app
+      .client()
+      .login("old@example.com", "an old password");
+    assert.equal(response.status, 200);
+
+    await backfillServerLinks();
+  });
+});
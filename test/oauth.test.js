@@ -0,0 +1,186 @@
+import { startApp } from "./helpers.js";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import User from "../model/User.js";
+import OAuthAccount from "../model/OAuthAccount.js";
+import { OidcProvider, registerOAuthProvider } from "../control/oauth.js";
+import { MockOidcProvider } from "../mock/oidc.js";
+
+let app;
+let oidc;
+
+before(async () => {
+  app = await startApp();
+
+  oidc = new MockOidcProvider();
+  registerOAuthProvider(
+    new OidcProvider({
+      name: "oidc",
+      label: "Test SSO",
+      issuer: await oidc.listen(),
+      clientId: oidc.clientId,
+      clientSecret: oidc.clientSecret,
+    })
+  );
+});
+
+after(async () => {
+  await oidc.close();
+  await app.close();
+});
+
+/**
+ * Go through the provider login like a browser following redirects
+ * @param {TestClient} client
+ * @param {string} sub - Provider account to sign in as
+ * @param {string} path - Where the browser starts
+ * @returns {Promise<URL>} - Where the dashboard sends the browser at the end
+ */
+async function signIn(client, sub, path = "/auth/oauth/oidc") {
+  oidc.signIn(sub);
+
+  const start = await client.get(path);
+  assert.equal(start.status, 302);
+
+  const authorize = await fetch(start.headers.get("location"), {
+    redirect: "manual",
+  });
+  const callback = new URL(authorize.headers.get("location"));
+
+  // app_url is not the test server, so replay the callback against it
+  const finish = await client.get(
+    callback.pathname.replace(/^\/api/, "") + callback.search
+  );
+  assert.equal(finish.status, 302);
+  return new URL(finish.headers.get("location"));
+}
+
+const redirectError = (url) =>
+  new URLSearchParams(url.hash.slice(1)).get("error");
+
+describe("OIDC login", () => {
+  it("creates a user and a panel account for a new verified email", async () => {
+    const account = oidc.addUser({
+      email: "sso@example.com",
+      preferred_username: "ssouser",
+      given_name: "Single",
+      family_name: "Sign-On",
+    });
+    const client = app.client();
+
+    const landing = await signIn(client, account.sub);
+    assert.equal(landing.pathname, "/");
+    assert.ok(client.cookies.has("auth_token"));
+
+    const me = await client.get("/auth/me");
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user.email, "sso@example.com");
+    assert.equal(me.body.user.username, "ssouser");
+
+    const pteroUser = app.mockPanel.users.get(me.body.user.ptero_id);
+    assert.equal(pteroUser.email, "sso@example.com");
+
+    const linked = await OAuthAccount.findOne({
+      where: { provider: "oidc", subject: account.sub },
+    });
+    assert.equal(linked.userId, me.body.user.id);
+  });
+
+  it("links a verified email to the existing user", async () => {
+    const user = await app.createUser({ email: "linked@example.com" });
+    const account = oidc.addUser({ email: "linked@example.com" });
+    const users = await User.count();
+
+    const client = app.client();
+    const landing = await signIn(client, account.sub);
+    assert.equal(landing.pathname, "/");
+    assert.equal(await User.count(), users);
+
+    const linked = await OAuthAccount.findOne({
+      where: { provider: "oidc", subject: account.sub },
+    });
+    assert.equal(linked.userId, user.id);
+
+    // Later logins go by the subject, even once the email changes
+    account.email = "renamed@example.com";
+    const again = app.client();
+    await signIn(again, account.sub);
+    const me = await again.get("/auth/me");
+    assert.equal(me.body.user.id, user.id);
+  });
+
+  it("refuses an unverified email instead of taking over its owner", async () => {
+    const user = await app.createUser({ email: "victim@example.com" });
+    const account = oidc.addUser({
+      email: "victim@example.com",
+      email_verified: false,
+    });
+
+    const client = app.client();
+    const landing = await signIn(client, account.sub);
+
+    assert.equal(landing.pathname, "/auth/login");
+    assert.equal(
+      redirectError(landing),
+      "Your Test SSO account has no verified email address"
+    );
+    assert.equal(client.cookies.has("auth_token"), false);
+    assert.equal(await OAuthAccount.count({ where: { userId: user.id } }), 0);
+  });
+
+  it("does not link an account that never verified the email", async () => {
+    // Whoever registered the address first may not own it
+    const user = await app.createUser({
+      email: "squatted@example.com",
+      emailVerified: false,
+    });
+    const account = oidc.addUser({ email: "squatted@example.com" });
+
+    const client = app.client();
+    const landing = await signIn(client, account.sub);
+    assert.equal(landing.pathname, "/auth/login");
+    assert.match(redirectError(landing), /^An account already uses this email/);
+    assert.equal(client.cookies.has("auth_token"), false);
+    assert.equal(await OAuthAccount.count({ where: { userId: user.id } }), 0);
+    assert.equal((await user.reload()).emailVerified, false);
+  });
+
+  it("links any account from a signed-in session", async () => {
+    const user = await app.createUser({ emailVerified: false });
+    const account = oidc.addUser({ email: "elsewhere@example.com" });
+
+    const client = app.client();
+    await client.login(user.email);
+    const landing = await signIn(client, account.sub, "/auth/oauth/oidc/link");
+    assert.equal(landing.pathname, "/settings");
+    assert.equal(
+      new URLSearchParams(landing.hash.slice(1)).get("linked"),
+      "Test SSO"
+    );
+
+    const again = app.client();
+    await signIn(again, account.sub);
+    const me = await again.get("/auth/me");
+    assert.equal(me.body.user.id, user.id);
+
+    // One provider account belongs to one user
+    const other = app.client();
+    await other.login((await app.createUser()).email);
+    const taken = await signIn(other, account.sub, "/auth/oauth/oidc/link");
+    assert.equal(
+      redirectError(taken),
+      "This Test SSO account is linked to another user"
+    );
+  });
+
+  it("refuses a callback without the matching state", async () => {
+    const client = app.client();
+    const landing = await client.get(
+      "/auth/oauth/oidc/callback?code=forged&state=forged"
+    );
+
+    const error = redirectError(new URL(landing.headers.get("location")));
+    assert.equal(error, "Sign in expired, please try again");
+    assert.equal(client.cookies.has("auth_token"), false);
+  });
+});
@@ -0,0 +1,99 @@
+import "./env.js";
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import panel from "../control/pterodactyl.js";
+import {
+  forgetPanelServer,
+  getPanelServer,
+  refreshPanelState,
+} from "../control/panelState.js";
+
+const original = {
+  listAllServers: panel.listAllServers,
+  getServer: panel.getServer,
+};
+
+afterEach(() => Object.assign(panel, original));
+
+/**
+ * @param {number} id
+ * @param {string} name
+ * @returns {Object} - Panel server in the API's shape
+ */
+const panelServer = (id, name) => ({
+  object: "server",
+  attributes: { id, name, identifier: `srv${id}` },
+});
+
+/**
+ * A promise the test settles by hand, standing in for a slow panel
+ * @returns {{promise: Promise, resolve: Function}}
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+/**
+ * Answer getServer from a map of current panel names, counting calls
+ * @param {Map<number, string>} names
+ * @returns {{calls: number}}
+ */
+function servePanel(names) {
+  const counter = { calls: 0 };
+  panel.getServer = async (id) => {
+    counter.calls++;
+    return panelServer(id, names.get(id));
+  };
+  return counter;
+}
+
+describe("panel state cache", () => {
+  it("does not restore a server forgotten during a refresh", async () => {
+    const list = deferred();
+    panel.listAllServers = () => list.promise;
+
+    const refresh = refreshPanelState();
+    // We rename server 1, the refresh answers with the old name
+    forgetPanelServer(1);
+    list.resolve([panelServer(1, "old name"), panelServer(2, "other")]);
+    await refresh;
+
+    const names = new Map([
+      [1, "new name"],
+      [2, "other"],
+    ]);
+    const panelCalls = servePanel(names);
+    assert.equal((await getPanelServer(1)).attributes.name, "new name");
+    // Servers nobody changed still come from the refresh
+    assert.equal((await getPanelServer(2)).attributes.name, "other");
+    assert.equal(panelCalls.calls, 1);
+  });
+
+  it("does not cache a single fetch that raced a forget", async () => {
+    const answer = deferred();
+    panel.getServer = () => answer.promise;
+
+    const fetch = getPanelServer(3, { fresh: true });
+    forgetPanelServer(3);
+    answer.resolve(panelServer(3, "old name"));
+    // The caller still gets what it asked for
+    assert.equal((await fetch).attributes.name, "old name");
+
+    servePanel(new Map([[3, "new name"]]));
+    assert.equal((await getPanelServer(3)).attributes.name, "new name");
+  });
+
+  it("caches refreshes that start after a forget", async () => {
+    forgetPanelServer(4);
+    panel.listAllServers = async () => [panelServer(4, "current")];
+    await refreshPanelState();
+
+    const panelCalls = servePanel(new Map());
+    assert.equal((await getPanelServer(4)).attributes.name, "current");
+    assert.equal(panelCalls.calls, 0);
+  });
+});
@@ -0,0 +1,87 @@
+import { startApp } from "./helpers.js";
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import User from "../model/User.js";
+import { purgeUnverifiedUsers } from "../control/auth.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+afterEach(() => {
+  process.env.require_email_verification = "false";
+  app.mail.clear();
+});
+
+/**
+ * @param {Object} message - Mail from the memory transport
+ * @returns {string} - Token from the verification link
+ */
+const verificationToken = (message) =>
+  new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get("token");
+
+describe("changing the email on the profile", () => {
+  it("needs the new address verified when verification is required", async () => {
+    process.env.require_email_verification = "true";
+    const user = await app.createUser();
+    const client = app.client();
+    await client.login(user.email);
+
+    const response = await client.put("/auth/profile", {
+      email: "moved@example.com",
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.user.emailVerified, false);
+    assert.equal((await user.reload()).emailVerified, false);
+
+    // Unverified accounts cannot create servers until they verify
+    const blocked = await client.post("/servers", {});
+    assert.equal(blocked.status, 403);
+
+    assert.equal(app.mail.messages.length, 1);
+    const [message] = app.mail.messages;
+    assert.equal(message.to, "moved@example.com");
+
+    const verified = await client.post("/auth/verify-email", {
+      token: verificationToken(message),
+    });
+    assert.equal(verified.status, 200);
+    assert.equal((await user.reload()).emailVerified, true);
+  });
+
+  it("keeps accounts that changed to an unverified address from the purge", async () => {
+    process.env.require_email_verification = "true";
+    const user = await app.createUser();
+    const client = app.client();
+    await client.login(user.email);
+
+    await client.put("/auth/profile", { email: "pending@example.com" });
+    await User.update(
+      { createdAt: new Date(Date.now() - 30 * DAY) },
+      { where: { id: user.id }, silent: true }
+    );
+
+    const stats = await purgeUnverifiedUsers();
+    assert.equal(stats.purged, 0);
+    assert.ok(await User.findByPk(user.id));
+  });
+
+  it("changes the address directly when verification is off", async () => {
+    const user = await app.createUser();
+    const client = app.client();
+    await client.login(user.email);
+
+    const response = await client.put("/auth/profile", {
+      email: "direct@example.com",
+    });
+    assert.equal(response.status, 200);
+    assert.equal((await user.reload()).emailVerified, true);
+    assert.equal(app.mail.messages.length, 0);
+  });
+});
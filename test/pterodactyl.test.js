@@ -0,0 +1,198 @@
+import "./env.js";
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { PterodactylClient, PterodactylError } from "../control/pterodactyl.js";
+import { MockPanel } from "../mock/panel.js";
+
+let mockPanel;
+let userId;
+let userPath;
+
+before(async () => {
+  mockPanel = new MockPanel();
+  await mockPanel.listen();
+  const user = mockPanel.addUser({
+    email: "panel@example.com",
+    username: "paneluser",
+    first_name: "Panel",
+    last_name: "User",
+  });
+  userId = user.id;
+  userPath = `/api/application/users/${userId}`;
+});
+
+after(() => mockPanel.close());
+
+beforeEach(() => mockPanel.reset());
+
+/**
+ * @param {Object} options - PterodactylClient options to override
+ * @returns {PterodactylClient} - Client for the mock panel with short delays
+ */
+const client = (options = {}) =>
+  new PterodactylClient({
+    baseURL: mockPanel.url,
+    applicationKey: "ptla_test",
+    retryDelay: 10,
+    maxRetryDelay: 2000,
+    ...options,
+  });
+
+const requestsTo = (path) =>
+  mockPanel.requests.filter((request) => request.path === path).length;
+
+/**
+ * @param {Promise} promise
+ * @returns {Promise<PterodactylError>} - What the promise rejected with
+ */
+async function failure(promise) {
+  const error = await promise.then(
+    () => assert.fail("expected the request to fail"),
+    (error) => error
+  );
+  assert.ok(error instanceof PterodactylError, error);
+  return error;
+}
+
+describe("retries", () => {
+  it("retries rate limited requests after Retry-After", async () => {
+    mockPanel.inject({
+      path: userPath,
+      status: 429,
+      headers: { "Retry-After": "1" },
+    });
+
+    const startedAt = Date.now();
+    const user = await client().getUser(userId);
+    assert.equal(user.attributes.email, "panel@example.com");
+    assert.ok(Date.now() - startedAt >= 1000, "retried before Retry-After");
+    assert.equal(requestsTo(userPath), 2);
+  });
+
+  it("gives up on rate limits longer than it is willing to wait", async () => {
+    mockPanel.inject({
+      path: userPath,
+      status: 429,
+      headers: { "Retry-After": "60" },
+    });
+
+    const error = await failure(client().getUser(userId));
+    assert.equal(error.statusCode, 429);
+    assert.ok(error.retryAfter > 59 * 1000);
+    assert.equal(requestsTo(userPath), 1);
+  });
+
+  it("retries panel errors with backoff", async () => {
+    mockPanel.inject({ path: userPath, status: 503, times: 2 });
+
+    const user = await client().getUser(userId);
+    assert.equal(user.attributes.username, "paneluser");
+    assert.equal(requestsTo(userPath), 3);
+  });
+
+  it("stops after maxRetries", async () => {
+    mockPanel.inject({ path: userPath, status: 500, times: 5 });
+
+    const error = await failure(client({ maxRetries: 2 }).getUser(userId));
+    assert.equal(error.statusCode, 502);
+    assert.equal(error.status, 500);
+    assert.equal(requestsTo(userPath), 3);
+  });
+
+  it("does not retry client errors", async () => {
+    mockPanel.inject({ path: userPath, status: 422 });
+
+    const error = await failure(client().getUser(userId));
+    assert.equal(error.statusCode, 422);
+    assert.equal(requestsTo(userPath), 1);
+  });
+
+  it("does not resend requests that may have run", async () => {
+    const path = "/api/application/users";
+    mockPanel.inject({ method: "POST", path, status: 502 });
+
+    await failure(
+      client().createUser({
+        email: "new@example.com",
+        username: "newuser",
+        first_name: "New",
+        last_name: "User",
+      })
+    );
+    assert.equal(requestsTo(path), 1);
+  });
+});
+
+describe("circuit breaker", () => {
+  const breakerClient = () =>
+    client({ maxRetries: 0, breakerThreshold: 2, breakerCooldown: 200 });
+
+  /**
+   * Fail enough requests in a row to open the circuit
+   * @param {PterodactylClient} panel
+   */
+  async function open(panel) {
+    mockPanel.inject({ path: userPath, status: 500, times: 2 });
+    await failure(panel.getUser(userId));
+    await failure(panel.getUser(userId));
+  }
+
+  it("does not count client errors", async () => {
+    const panel = breakerClient();
+    mockPanel.inject({ path: userPath, status: 404, times: 3 });
+    for (let i = 0; i < 3; i++) await failure(panel.getUser(userId));
+
+    assert.ok(await panel.getUser(userId));
+  });
+
+  it("fails fast once the threshold is reached", async () => {
+    const panel = breakerClient();
+    await open(panel);
+
+    const error = await failure(panel.getUser(userId));
+    assert.equal(error.statusCode, 503);
+    assert.ok(error.retryAfter > 0);
+    assert.equal(requestsTo(userPath), 2);
+  });
+
+  it("lets one probe through after the cooldown and closes on success", async () => {
+    const panel = breakerClient();
+    await open(panel);
+    await sleep(250);
+
+    // Only the probe reaches the panel; requests alongside it fail fast
+    const [probe, alongside] = await Promise.allSettled([
+      panel.getUser(userId),
+      panel.getUser(userId),
+    ]);
+    assert.equal(probe.status, "fulfilled");
+    assert.equal(alongside.reason?.statusCode, 503);
+    assert.equal(requestsTo(userPath), 3);
+
+    assert.ok(await panel.getUser(userId));
+  });
+
+  it("opens again when the probe fails", async () => {
+    const panel = breakerClient();
+    await open(panel);
+    await sleep(250);
+
+    mockPanel.inject({ path: userPath, status: 500 });
+    assert.equal((await failure(panel.getUser(userId))).statusCode, 502);
+
+    assert.equal((await failure(panel.getUser(userId))).statusCode, 503);
+    assert.equal(requestsTo(userPath), 3);
+  });
+
+  it("treats a panel that drops connections as down", async () => {
+    const panel = breakerClient();
+    mockPanel.setDown(true);
+    await failure(panel.getUser(userId));
+    await failure(panel.getUser(userId));
+    mockPanel.setDown(false);
+
+    const error = await failure(panel.getUser(userId));
+    assert.equal(error.message, "Panel is unavailable, try again shortly");
+  });
+});
@@ -0,0 +1,175 @@
+import { startApp } from "./helpers.js";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import Node from "../model/Node.js";
+import Servers from "../model/Servers.js";
+import Resources from "../model/resources.js";
+import LedgerEntry from "../model/LedgerEntry.js";
+import { sweepExpiredServers } from "../control/renewal.js";
+import { isSettingSaved } from "../model/Setting.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let app;
+let admin;
+let owner;
+let ownerClient;
+let overdue;
+
+before(async () => {
+  app = await startApp();
+  await Node.create({ name: "Mock Node", nodeId: 1, location: "Test" });
+
+  admin = app.client();
+  await admin.login((await app.createUser({}, { rootAdmin: true })).email);
+
+  owner = await app.createUser(
+    {},
+    { resources: { slots: 2, allocations: 2, coins: 10 } }
+  );
+  ownerClient = app.client();
+  await ownerClient.login(owner.email);
+});
+
+after(() => app.close());
+
+/**
+ * @returns {Promise<Object>} - Local record of a new server
+ */
+async function createServer() {
+  const response = await ownerClient.post("/servers", {
+    name: "Test Server",
+    ram: 256,
+    disk: 1024,
+    cpu: 25,
+    nodeId: 1,
+    eggId: 1,
+  });
+  assert.equal(response.status, 201);
+  return Servers.findByPk(response.body.server.id);
+}
+
+describe("turning renewals on", () => {
+  it("gives existing servers a full period instead of suspending them", async () => {
+    const dbServer = await createServer();
+    // Servers from before renewals existed are dated at their creation
+    const created = new Date(Date.now() - 90 * DAY);
+    await dbServer.update({ renewDate: created });
+
+    const response = await admin.put("/admin/settings", {
+      settings: { renewal_enabled: true, renewal_days: 30, renewal_cost: 5 },
+    });
+    assert.equal(response.status, 200);
+
+    await dbServer.reload();
+    assert.ok(dbServer.renewDate.getTime() > Date.now() + 29 * DAY);
+
+    const stats = await sweepExpiredServers();
+    assert.equal(stats.suspended, 0);
+    assert.equal(app.mockPanel.servers.get(dbServer.serverId).suspended, false);
+  });
+
+  it("still suspends servers that fall due afterwards", async () => {
+    overdue = await createServer();
+    await overdue.update({ renewDate: new Date(Date.now() - DAY) });
+
+    const stats = await sweepExpiredServers();
+    assert.equal(stats.suspended, 1);
+    assert.ok((await overdue.reload()).suspendedAt);
+    assert.equal(app.mockPanel.servers.get(overdue.serverId).suspended, true);
+  });
+});
+
+describe("renewing", () => {
+  it("charges only while the balance covers the cost", async () => {
+    const dbServer = await Servers.findOne({
+      where: { owner: owner.ptero_id, suspendedAt: null },
+    });
+    await Resources.update({ coins: 5 }, { where: { id: owner.resourcesId } });
+    const renewDate = dbServer.renewDate.getTime();
+
+    const renewed = await ownerClient.post(`/servers/${dbServer.id}/renew`);
+    assert.equal(renewed.status, 200);
+    assert.equal(renewed.body.data.coinsRemaining, 0);
+
+    const refused = await ownerClient.post(`/servers/${dbServer.id}/renew`);
+    assert.equal(refused.status, 400);
+    assert.equal(refused.body.error, "Insufficient coins");
+
+    assert.equal((await Resources.findByPk(owner.resourcesId)).coins, 0);
+    assert.equal(
+      (await dbServer.reload()).renewDate.getTime(),
+      renewDate + 30 * DAY
+    );
+
+    const entries = await LedgerEntry.findAll({
+      where: { resourcesId: owner.resourcesId, reason: "renewal" },
+    });
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].coinsBefore, 5);
+    assert.equal(entries[0].coinsAfter, 0);
+  });
+
+  it("lifts the suspension of an overdue server", async () => {
+    await Resources.update({ coins: 5 }, { where: { id: owner.resourcesId } });
+
+    const response = await ownerClient.post(`/servers/${overdue.id}/renew`);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.coinsRemaining, 0);
+
+    await overdue.reload();
+    assert.equal(overdue.suspendedAt, null);
+    assert.ok(overdue.renewDate.getTime() > Date.now() + 29 * DAY);
+    assert.equal(app.mockPanel.servers.get(overdue.serverId).suspended, false);
+  });
+
+  it("keeps a renewal paid when the panel fails to lift the suspension", async () => {
+    await overdue.update({ renewDate: new Date(Date.now() - DAY) });
+    assert.equal((await sweepExpiredServers()).suspended, 1);
+    await Resources.update({ coins: 5 }, { where: { id: owner.resourcesId } });
+
+    app.mockPanel.inject({ method: "POST", path: /\/unsuspend$/ });
+    const response = await ownerClient.post(`/servers/${overdue.id}/renew`);
+    assert.equal(response.status, 200);
+    assert.equal(
+      response.body.message,
+      "Server renewed, it will be unsuspended shortly"
+    );
+    assert.equal(response.body.data.coinsRemaining, 0);
+
+    await overdue.reload();
+    assert.ok(overdue.suspendedAt);
+    assert.ok(overdue.renewDate.getTime() > Date.now());
+    assert.equal(app.mockPanel.servers.get(overdue.serverId).suspended, true);
+
+    // The next sweep lifts it
+    const stats = await sweepExpiredServers();
+    assert.equal(stats.unsuspended, 1);
+    assert.equal((await overdue.reload()).suspendedAt, null);
+    assert.equal(app.mockPanel.servers.get(overdue.serverId).suspended, false);
+  });
+});
+
+describe("renewals turned on by the env var", () => {
+  after(() => {
+    process.env.renewal_enabled = "false";
+  });
+
+  it("starts the clock on the first sweep and saves the setting", async () => {
+    process.env.renewal_enabled = "true";
+    const response = await admin.put("/admin/settings", {
+      settings: { renewal_enabled: null },
+    });
+    assert.equal(response.status, 200);
+
+    const dbServer = await Servers.findOne({
+      where: { owner: owner.ptero_id, suspendedAt: null },
+    });
+    await dbServer.update({ renewDate: new Date(Date.now() - 90 * DAY) });
+
+    const stats = await sweepExpiredServers();
+    assert.equal(stats.suspended, 0);
+    assert.ok((await dbServer.reload()).renewDate.getTime() > Date.now());
+    assert.equal(isSettingSaved("renewal_enabled"), true);
+  });
+});
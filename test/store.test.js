@@ -0,0 +1,112 @@
+import "./env.js";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+
+// An in-memory database runs every transaction on one connection; a file
+// gives each its own, so parallel purchases really race
+const dir = mkdtempSync(path.join(tmpdir(), "nexodactyl-"));
+process.env.db_url = `sqlite:${path.join(dir, "database.sqlite")}`;
+
+let app;
+let Resources;
+let StoreItem;
+let LedgerEntry;
+
+before(async () => {
+  // Loaded only now, so the database module picks up the file above
+  const { startApp } = await import("./helpers.js");
+  ({ default: Resources } = await import("../model/resources.js"));
+  ({ default: StoreItem } = await import("../model/StoreItem.js"));
+  ({ default: LedgerEntry } = await import("../model/LedgerEntry.js"));
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Send the same purchase several times at once
+ * @param {TestClient} client - Logged in client
+ * @param {Object} body - Purchase request
+ * @param {number} times
+ * @returns {Promise<Array<Object>>} - Responses
+ */
+const buyInParallel = (client, body, times) =>
+  Promise.all(Array.from({ length: times }, () => client.post("/store", body)));
+
+describe("parallel purchases", () => {
+  it("do not spend the same coins twice", async () => {
+    const user = await app.createUser({}, { resources: { coins: 100 } });
+    const client = app.client();
+    await client.login(user.email);
+    const item = await StoreItem.create({
+      name: "Database",
+      databases: 1,
+      price: 40,
+    });
+
+    // Coins for two of the five
+    const responses = await buyInParallel(
+      client,
+      { itemId: item.id, quantity: 1 },
+      5
+    );
+    assert.deepEqual(
+      responses.map((response) => response.status).sort(),
+      [200, 200, 400, 400, 400]
+    );
+
+    const resources = await Resources.findByPk(user.resourcesId);
+    assert.equal(resources.coins, 20);
+    assert.equal(resources.databases, 2);
+    assert.equal(
+      await LedgerEntry.count({
+        where: { resourcesId: user.resourcesId, reason: "purchase" },
+      }),
+      2
+    );
+  });
+
+  it("sell no more than the stock and the per-user limit", async () => {
+    const item = await StoreItem.create({
+      name: "Slot",
+      slots: 1,
+      price: 10,
+      stock: 3,
+      perUserLimit: 2,
+    });
+
+    const buyers = await Promise.all(
+      [0, 1].map(async () => {
+        const user = await app.createUser({}, { resources: { coins: 100 } });
+        const client = app.client();
+        await client.login(user.email);
+        return { user, client };
+      })
+    );
+
+    const responses = (
+      await Promise.all(
+        buyers.map(({ client }) =>
+          buyInParallel(client, { itemId: item.id, quantity: 1 }, 3)
+        )
+      )
+    ).flat();
+    assert.equal(
+      responses.filter((response) => response.status === 200).length,
+      3
+    );
+    assert.equal((await item.reload()).stock, 0);
+
+    for (const { user } of buyers) {
+      const resources = await Resources.findByPk(user.resourcesId);
+      assert.ok(resources.slots - 1 <= 2, "bought past the per-user limit");
+      assert.equal(resources.coins, 100 - (resources.slots - 1) * 10);
+    }
+  });
+});
@@ -0,0 +1,86 @@
+import { PASSWORD, startApp } from "./helpers.js";
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { forgetAdminStatus } from "../control/auth.js";
+import { generateCode, generateSecret } from "../control/totp.js";
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+afterEach(() => {
+  process.env.require_admin_2fa = "false";
+});
+
+/**
+ * Log a user in, then turn on two-factor authentication for them
+ * @param {Object} options - createUser options, e.g. rootAdmin
+ * @returns {Promise<Object>} - user, client and secret
+ */
+async function signedInWithTwoFactor(options = {}) {
+  const user = await app.createUser({}, options);
+  const client = app.client();
+  await client.login(user.email);
+
+  const secret = generateSecret();
+  await user.update({ twoFactorEnabled: true, totpSecret: secret });
+  return { user, client, secret };
+}
+
+/**
+ * Change a user's admin flag on the panel, as an admin would there
+ * @param {Object} user - User record
+ * @param {boolean} rootAdmin
+ */
+function setPanelAdmin(user, rootAdmin) {
+  app.mockPanel.users.get(user.ptero_id).root_admin = rootAdmin;
+  // As if the cached flag had expired
+  forgetAdminStatus(user.ptero_id);
+}
+
+const disable = (client, secret) =>
+  client.post("/auth/2fa/disable", {
+    password: PASSWORD,
+    code: generateCode(secret),
+  });
+
+describe("admin two-factor requirement", () => {
+  it("keeps admins promoted after login from disabling two-factor", async () => {
+    const { user, client, secret } = await signedInWithTwoFactor();
+    process.env.require_admin_2fa = "true";
+    setPanelAdmin(user, true);
+
+    const response = await disable(client, secret);
+    assert.equal(response.status, 403);
+    assert.equal((await user.reload()).twoFactorEnabled, true);
+  });
+
+  it("lets admins demoted after login disable two-factor", async () => {
+    const { user, client, secret } = await signedInWithTwoFactor({
+      rootAdmin: true,
+    });
+    process.env.require_admin_2fa = "true";
+    setPanelAdmin(user, false);
+
+    const response = await disable(client, secret);
+    assert.equal(response.status, 200);
+    assert.equal((await user.reload()).twoFactorEnabled, false);
+  });
+
+  it("ends sessions of admins promoted after login without two-factor", async () => {
+    const user = await app.createUser();
+    const client = app.client();
+    await client.login(user.email);
+    process.env.require_admin_2fa = "true";
+
+    assert.equal((await client.get("/auth/me")).status, 200);
+
+    setPanelAdmin(user, true);
+    const response = await client.get("/auth/me");
+    assert.equal(response.status, 401);
+  });
+});
@@ -0,0 +1,91 @@
+import { startApp } from "./helpers.js";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import Role from "../model/Role.js";
+import User from "../model/User.js";
+
+let app;
+let rootAdmin;
+let adminRole;
+let moderator;
+let player;
+let moderatorClient;
+
+/**
+ * @param {string} name - Seeded role name
+ * @returns {Promise<number>} - Role ID
+ */
+const roleId = async (name) => (await Role.findOne({ where: { name } })).id;
+
+before(async () => {
+  app = await startApp();
+
+  rootAdmin = await app.createUser({}, { rootAdmin: true });
+  adminRole = await app.createUser({ roleId: await roleId("admin") });
+  moderator = await app.createUser({ roleId: await roleId("moderator") });
+  player = await app.createUser();
+
+  moderatorClient = app.client();
+  await moderatorClient.login(moderator.email);
+});
+
+after(() => app.close());
+
+describe("managing users with users.edit", () => {
+  it("lets a moderator edit a user with fewer permissions", async () => {
+    const response = await moderatorClient.put(`/users/${player.id}`, {
+      firstName: "Renamed",
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(
+      app.mockPanel.users.get(player.ptero_id).first_name,
+      "Renamed"
+    );
+  });
+
+  it("refuses to let a moderator take over a root admin", async () => {
+    const response = await moderatorClient.put(`/users/${rootAdmin.id}`, {
+      email: "taken@example.com",
+      password: "a new password",
+    });
+
+    assert.equal(response.status, 403);
+    assert.equal((await rootAdmin.reload()).email, rootAdmin.email);
+    assert.equal(
+      app.mockPanel.users.get(rootAdmin.ptero_id).email,
+      rootAdmin.email
+    );
+  });
+
+  it("refuses users whose role has more permissions", async () => {
+    const response = await moderatorClient.put(`/users/${adminRole.id}`, {
+      email: "taken@example.com",
+    });
+
+    assert.equal(response.status, 403);
+    assert.equal((await adminRole.reload()).email, adminRole.email);
+  });
+
+  it("refuses to unlock or log out a root admin", async () => {
+    const unlock = await moderatorClient.post(`/users/${rootAdmin.id}/unlock`);
+    assert.equal(unlock.status, 403);
+
+    const sessions = await moderatorClient.delete(
+      `/users/${rootAdmin.id}/sessions`
+    );
+    assert.equal(sessions.status, 403);
+  });
+
+  it("lets root admins edit anyone", async () => {
+    const client = app.client();
+    await client.login(rootAdmin.email);
+
+    const response = await client.put(`/users/${moderator.id}`, {
+      lastName: "Demoted",
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal((await User.findByPk(moderator.id)).lastName, "Demoted");
+  });
+});